@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "public"."workflow_runs" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "triggerType" TEXT,
+    "input" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "workflowId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "contactId" TEXT,
+
+    CONSTRAINT "workflow_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."workflow_run_steps" (
+    "id" TEXT NOT NULL,
+    "nodeId" TEXT NOT NULL,
+    "nodeType" TEXT NOT NULL,
+    "label" TEXT,
+    "status" TEXT NOT NULL,
+    "output" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "finishedAt" TIMESTAMP(3),
+    "runId" TEXT NOT NULL,
+
+    CONSTRAINT "workflow_run_steps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_runs_workflowId_startedAt_idx" ON "public"."workflow_runs"("workflowId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "workflow_run_steps_runId_idx" ON "public"."workflow_run_steps"("runId");
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_runs" ADD CONSTRAINT "workflow_runs_workflowId_fkey" FOREIGN KEY ("workflowId") REFERENCES "public"."automation_workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_runs" ADD CONSTRAINT "workflow_runs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_runs" ADD CONSTRAINT "workflow_runs_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."contacts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_run_steps" ADD CONSTRAINT "workflow_run_steps_runId_fkey" FOREIGN KEY ("runId") REFERENCES "public"."workflow_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
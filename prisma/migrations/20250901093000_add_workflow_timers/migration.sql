@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."workflow_runs" ADD COLUMN     "state" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."workflow_timers" (
+    "id" TEXT NOT NULL,
+    "nodeId" TEXT NOT NULL,
+    "resumeAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "lockedAt" TIMESTAMP(3),
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "runId" TEXT NOT NULL,
+
+    CONSTRAINT "workflow_timers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_timers_status_resumeAt_idx" ON "public"."workflow_timers"("status", "resumeAt");
+
+-- CreateIndex
+CREATE INDEX "workflow_timers_runId_idx" ON "public"."workflow_timers"("runId");
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_timers" ADD CONSTRAINT "workflow_timers_runId_fkey" FOREIGN KEY ("runId") REFERENCES "public"."workflow_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "public"."automation_workflows" ADD COLUMN     "publishedVersionId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."workflow_runs" ADD COLUMN     "versionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."workflow_versions" (
+    "id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "definition" JSONB NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "workflowId" TEXT NOT NULL,
+
+    CONSTRAINT "workflow_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "automation_workflows_publishedVersionId_key" ON "public"."automation_workflows"("publishedVersionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflow_versions_workflowId_version_key" ON "public"."workflow_versions"("workflowId", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."automation_workflows" ADD CONSTRAINT "automation_workflows_publishedVersionId_fkey" FOREIGN KEY ("publishedVersionId") REFERENCES "public"."workflow_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_runs" ADD CONSTRAINT "workflow_runs_versionId_fkey" FOREIGN KEY ("versionId") REFERENCES "public"."workflow_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_versions" ADD CONSTRAINT "workflow_versions_workflowId_fkey" FOREIGN KEY ("workflowId") REFERENCES "public"."automation_workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Snapshot existing definitions as version 1, publish it, and pin existing runs to it
+INSERT INTO "public"."workflow_versions" ("id", "version", "definition", "note", "createdAt", "workflowId")
+SELECT md5(random()::text || "id"), 1, "definition", 'Initial version', "updatedAt", "id"
+FROM "public"."automation_workflows";
+
+UPDATE "public"."automation_workflows" AS w
+SET "publishedVersionId" = v."id"
+FROM "public"."workflow_versions" AS v
+WHERE v."workflowId" = w."id";
+
+UPDATE "public"."workflow_runs" AS r
+SET "versionId" = v."id"
+FROM "public"."workflow_versions" AS v
+WHERE v."workflowId" = r."workflowId";
@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "public"."workflow_runs" ADD COLUMN     "enrollmentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."workflow_enrollments" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "source" TEXT NOT NULL DEFAULT 'trigger',
+    "currentNodeId" TEXT,
+    "activeKey" TEXT,
+    "enrolledAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "pausedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "workflowId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "workflow_enrollments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflow_enrollments_activeKey_key" ON "public"."workflow_enrollments"("activeKey");
+
+-- CreateIndex
+CREATE INDEX "workflow_enrollments_workflowId_status_idx" ON "public"."workflow_enrollments"("workflowId", "status");
+
+-- CreateIndex
+CREATE INDEX "workflow_enrollments_contactId_enrolledAt_idx" ON "public"."workflow_enrollments"("contactId", "enrolledAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_runs" ADD CONSTRAINT "workflow_runs_enrollmentId_fkey" FOREIGN KEY ("enrollmentId") REFERENCES "public"."workflow_enrollments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_enrollments" ADD CONSTRAINT "workflow_enrollments_workflowId_fkey" FOREIGN KEY ("workflowId") REFERENCES "public"."automation_workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_enrollments" ADD CONSTRAINT "workflow_enrollments_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_enrollments" ADD CONSTRAINT "workflow_enrollments_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
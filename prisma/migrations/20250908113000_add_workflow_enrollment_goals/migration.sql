@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."workflow_enrollments" ADD COLUMN     "goalReachedAt" TIMESTAMP(3);
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "public"."workflow_timers" ADD COLUMN     "retryAttempt" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."workflow_dead_letters" (
+    "id" TEXT NOT NULL,
+    "nodeId" TEXT NOT NULL,
+    "nodeType" TEXT NOT NULL,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL,
+    "continued" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "runId" TEXT NOT NULL,
+    "workflowId" TEXT NOT NULL,
+
+    CONSTRAINT "workflow_dead_letters_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_dead_letters_workflowId_status_idx" ON "public"."workflow_dead_letters"("workflowId", "status");
+
+-- CreateIndex
+CREATE INDEX "workflow_dead_letters_runId_idx" ON "public"."workflow_dead_letters"("runId");
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_dead_letters" ADD CONSTRAINT "workflow_dead_letters_runId_fkey" FOREIGN KEY ("runId") REFERENCES "public"."workflow_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_dead_letters" ADD CONSTRAINT "workflow_dead_letters_workflowId_fkey" FOREIGN KEY ("workflowId") REFERENCES "public"."automation_workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "public"."form_submissions" (
+    "id" TEXT NOT NULL,
+    "formId" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "workflowId" TEXT NOT NULL,
+    "contactId" TEXT,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "form_submissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "form_submissions_workflowId_formId_createdAt_idx" ON "public"."form_submissions"("workflowId", "formId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "form_submissions_contactId_idx" ON "public"."form_submissions"("contactId");
+
+-- AddForeignKey
+ALTER TABLE "public"."form_submissions" ADD CONSTRAINT "form_submissions_workflowId_fkey" FOREIGN KEY ("workflowId") REFERENCES "public"."automation_workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."form_submissions" ADD CONSTRAINT "form_submissions_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."contacts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."form_submissions" ADD CONSTRAINT "form_submissions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
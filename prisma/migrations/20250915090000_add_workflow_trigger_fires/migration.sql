@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "public"."workflow_trigger_fires" (
+    "id" TEXT NOT NULL,
+    "nodeId" TEXT NOT NULL,
+    "fireKey" TEXT NOT NULL,
+    "contactCount" INTEGER NOT NULL DEFAULT 0,
+    "firedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "workflowId" TEXT NOT NULL,
+
+    CONSTRAINT "workflow_trigger_fires_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflow_trigger_fires_workflowId_nodeId_fireKey_key" ON "public"."workflow_trigger_fires"("workflowId", "nodeId", "fireKey");
+
+-- AddForeignKey
+ALTER TABLE "public"."workflow_trigger_fires" ADD CONSTRAINT "workflow_trigger_fires_workflowId_fkey" FOREIGN KEY ("workflowId") REFERENCES "public"."automation_workflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "public"."workflow_timers" ADD COLUMN     "throttled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."workflow_rate_slots" (
+    "scope" TEXT NOT NULL,
+    "window" TIMESTAMP(3) NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "workflow_rate_slots_pkey" PRIMARY KEY ("scope","window")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_rate_slots_window_idx" ON "public"."workflow_rate_slots"("window");
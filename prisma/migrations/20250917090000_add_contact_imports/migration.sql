@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "public"."contact_imports" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "fileName" TEXT NOT NULL,
+    "mapping" JSONB NOT NULL,
+    "dedupeKey" TEXT NOT NULL DEFAULT 'email',
+    "dedupeStrategy" TEXT NOT NULL DEFAULT 'skip',
+    "rows" JSONB NOT NULL,
+    "totalRows" INTEGER NOT NULL,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedCount" INTEGER NOT NULL DEFAULT 0,
+    "skippedCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "rowErrors" JSONB,
+    "error" TEXT,
+    "lockedAt" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "contact_imports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "contact_imports_userId_createdAt_idx" ON "public"."contact_imports"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "contact_imports_status_idx" ON "public"."contact_imports"("status");
+
+-- AddForeignKey
+ALTER TABLE "public"."contact_imports" ADD CONSTRAINT "contact_imports_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
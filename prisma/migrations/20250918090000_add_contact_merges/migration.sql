@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "public"."contact_merges" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'merged',
+    "primaryId" TEXT NOT NULL,
+    "duplicateIds" TEXT[],
+    "snapshot" JSONB NOT NULL,
+    "undoneAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "contact_merges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "contact_merges_userId_createdAt_idx" ON "public"."contact_merges"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "contact_merges_primaryId_idx" ON "public"."contact_merges"("primaryId");
+
+-- AddForeignKey
+ALTER TABLE "public"."contact_merges" ADD CONSTRAINT "contact_merges_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
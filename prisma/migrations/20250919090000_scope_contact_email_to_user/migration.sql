@@ -0,0 +1,7 @@
+-- DropIndex
+DROP INDEX IF EXISTS "public"."contacts_email_key";
+
+-- CreateIndex
+-- Emails compare exactly, as Prisma's userId_email lookups do; lookups that
+-- match incoming emails against existing contacts ignore case instead.
+CREATE UNIQUE INDEX "contacts_userId_email_key" ON "public"."contacts"("userId", "email");
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."custom_fields" ADD COLUMN "definitionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."custom_field_definitions" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "label" TEXT,
+    "type" TEXT NOT NULL,
+    "required" BOOLEAN NOT NULL DEFAULT false,
+    "options" TEXT[],
+    "defaultValue" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "custom_field_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "custom_fields_contactId_name_idx" ON "public"."custom_fields"("contactId", "name");
+
+-- CreateIndex
+CREATE INDEX "custom_fields_definitionId_idx" ON "public"."custom_fields"("definitionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_field_definitions_userId_name_key" ON "public"."custom_field_definitions"("userId", "name");
+
+-- AddForeignKey
+ALTER TABLE "public"."custom_fields" ADD CONSTRAINT "custom_fields_definitionId_fkey" FOREIGN KEY ("definitionId") REFERENCES "public"."custom_field_definitions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."custom_field_definitions" ADD CONSTRAINT "custom_field_definitions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
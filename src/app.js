@@ -31,17 +31,34 @@ const corsOptions = {
 
 const authRoutes = require('./routes/auth');
 const contactRoutes = require('./routes/contactRoutes');
+const customFieldRoutes = require('./routes/customFieldRoutes');
 const pipelinesRoutes = require('./routes/pipelines');
 const dealRoutes = require('./routes/dealRoutes');
 const workflowRoutes = require('./routes/workflowRoutes');
 const integrationRoutes = require('./routes/integrationRoutes');
 const templateRoutes = require('./routes/templateRoutes');
+const formRoutes = require('./routes/formRoutes');
+
+const { registerWorkflowTriggers } = require('./services/automationService');
 
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
 
 const app = express();
 
+// Behind a proxy (Vercel), req.ip must come from X-Forwarded-For so rate limits
+// and recorded IP addresses are per client. TRUST_PROXY takes a hop count,
+// true/false or a comma-separated list of proxy addresses.
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : 'false')));
+
+// Start matching automation workflows when CRM events are published
+registerWorkflowTriggers();
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors(corsOptions)); // Cross-origin resource sharing with configured options
@@ -52,12 +69,16 @@ app.use(express.urlencoded({ extended: true })); // URL-encoded parsing
 // API Routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/contacts', authMiddleware, contactRoutes);
+app.use('/api/v1/custom-fields', authMiddleware, customFieldRoutes);
 app.use('/api/v1/pipelines', authMiddleware, pipelinesRoutes);
 app.use('/api/v1/deals', authMiddleware, dealRoutes);
 app.use('/api/v1/workflows', workflowRoutes);
 app.use('/api/v1/integrations', authMiddleware, integrationRoutes);
 app.use('/api/v1/templates', authMiddleware, templateRoutes);
 
+// Hosted form endpoints (no auth required)
+app.use('/api/v1/forms', formRoutes);
+
 // Webhook endpoints (no auth required)
 app.use('/webhooks/kixie', require('./routes/webhooks/kixie'));
 app.use('/webhooks/iclosed', require('./routes/webhooks/iclosed'));
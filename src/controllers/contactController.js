@@ -1,4 +1,73 @@
 const { prisma } = require('../services/db');
+const { EVENTS, publish } = require('../services/eventBus');
+const { listEnrollments } = require('../services/enrollmentService');
+const { EXPORT_FORMATS, streamContacts, sendExport } = require('../services/exportService');
+const {
+  listDefinitions,
+  validateContactCustomFields,
+  buildCustomFieldWrites,
+  toCustomValues,
+  getCustomFieldQuery,
+  sortContactIds,
+} = require('../services/customFieldService');
+const { buildContactWhere } = require('../utils/recordFilters');
+
+// Relations returned with each contact of the contact list
+const CONTACT_LIST_INCLUDE = {
+  tags: {
+    include: {
+      tag: true,
+    },
+  },
+  customFields: true,
+  deals: {
+    select: {
+      id: true,
+      title: true,
+      value: true,
+      stage: {
+        select: {
+          name: true,
+        },
+      },
+    },
+  },
+  activities: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+        },
+      },
+    },
+    orderBy: {
+      createdAt: 'desc',
+    },
+    take: 5, // Only get recent activities
+  },
+};
+
+/**
+ * Adds a contact's custom field values by name, as `custom`
+ * @param {Object} contact - Contact with customFields included
+ * @returns {Object} - Contact with custom
+ */
+const withCustomValues = (contact) => ({
+  ...contact,
+  custom: toCustomValues(contact),
+});
+
+/**
+ * Responds with the errors of invalid custom field values
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} errors - Errors as { field, message }
+ */
+const sendCustomFieldErrors = (res, errors) => res.status(400).json({
+  error: 'Validation failed',
+  details: errors,
+});
 
 /**
  * Get all contacts for the authenticated user with pagination, search, and filtering
@@ -18,80 +87,49 @@ const getContacts = async (req, res) => {
 
     const skip = (page - 1) * limit;
 
-    // Build where clause
-    const where = {
-      userId: req.user.id,
-    };
-
-    if (search) {
-      where.OR = [
-        { firstName: { contains: search, mode: 'insensitive' } },
-        { lastName: { contains: search, mode: 'insensitive' } },
-        { email: { contains: search, mode: 'insensitive' } },
-        { phone: { contains: search, mode: 'insensitive' } },
-        { company: { contains: search, mode: 'insensitive' } },
-      ];
+    // custom.<name> filters and sortBy=custom.<name> use the user's custom field definitions
+    const { customFilters, customFilterSql, sortField, error } = await getCustomFieldQuery(req.user.id, req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    if (tagId) {
-      where.tags = {
-        some: {
-          tagId: tagId,
-        },
-      };
-    }
+    // Build where clause
+    const where = buildContactWhere(req.user.id, { search, tagId, customFilters });
+
+    let contacts;
+    let total;
+    if (sortField) {
+      const pageIds = await sortContactIds(req.user.id, { search, tagId, customFilterSql }, sortField, {
+        sortOrder,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+      });
+      const pageContacts = await prisma.contact.findMany({
+        where: { id: { in: pageIds } },
+        include: CONTACT_LIST_INCLUDE,
+      });
 
-    // Get contacts
-    const contacts = await prisma.contact.findMany({
-      where,
-      skip: parseInt(skip),
-      take: parseInt(limit),
-      orderBy: {
-        [sortBy]: sortOrder,
-      },
-      include: {
-        tags: {
-          include: {
-            tag: true,
-          },
-        },
-        customFields: true,
-        deals: {
-          select: {
-            id: true,
-            title: true,
-            value: true,
-            stage: {
-              select: {
-                name: true,
-              },
-            },
-          },
-        },
-        activities: {
-          include: {
-            user: {
-              select: {
-                id: true,
-                firstName: true,
-                lastName: true,
-              },
-            },
-          },
-          orderBy: {
-            createdAt: 'desc',
-          },
-          take: 5, // Only get recent activities
+      contacts = pageIds.map(id => pageContacts.find(contact => contact.id === id)).filter(Boolean);
+      total = await prisma.contact.count({ where });
+    } else {
+      // Get contacts
+      contacts = await prisma.contact.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: {
+          [sortBy]: sortOrder,
         },
-      },
-    });
+        include: CONTACT_LIST_INCLUDE,
+      });
 
-    // Get total count for pagination
-    const total = await prisma.contact.count({ where });
+      // Get total count for pagination
+      total = await prisma.contact.count({ where });
+    }
 
     res.json({
       success: true,
-      data: contacts,
+      data: contacts.map(withCustomValues),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -105,6 +143,40 @@ const getContacts = async (req, res) => {
   }
 };
 
+/**
+ * Export every contact matching the list filters as CSV or JSON Lines
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportContacts = async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const { customFilters, error } = await getCustomFieldQuery(req.user.id, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const stream = await streamContacts(buildContactWhere(req.user.id, { ...req.query, customFilters }), format);
+    await sendExport(res, stream, { name: 'contacts', format });
+  } catch (error) {
+    // The client went away mid-download
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+
+    console.error('Error exporting contacts:', error);
+    // Past the first page the download has started and pipeline has already aborted it
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export contacts' });
+    }
+  }
+};
+
 /**
  * Get a single contact by ID with all related data
  * @param {Object} req - Express request object
@@ -154,7 +226,8 @@ const getContactById = async (req, res) => {
     // Transform the contact data to match the new data contract
     const transformedContact = {
       ...contact,
-      tags: contact.tags.map(tagJoin => tagJoin.tag.name)
+      tags: contact.tags.map(tagJoin => tagJoin.tag.name),
+      custom: toCustomValues(contact)
     };
 
     res.status(200).json({
@@ -174,7 +247,14 @@ const getContactById = async (req, res) => {
  */
 const createContact = async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, company, tags = [] } = req.body;
+    const { firstName, lastName, email, phone, company, tags = [], customFields } = req.body;
+
+    // Custom field values are checked against the user's definitions, which also supply defaults
+    const definitions = await listDefinitions(req.user.id);
+    const { values, errors } = validateContactCustomFields(definitions, customFields, { creating: true });
+    if (errors.length > 0) {
+      return sendCustomFieldErrors(res, errors);
+    }
 
     // Process tags for connectOrCreate
     const tagConnectOrCreate = tags.map(tagName => ({
@@ -191,7 +271,8 @@ const createContact = async (req, res) => {
         phone,
         company,
         userId: req.user.id,
-        tags: { create: tagConnectOrCreate.map(tco => ({ tag: { connectOrCreate: tco } })) }
+        tags: { create: tagConnectOrCreate.map(tco => ({ tag: { connectOrCreate: tco } })) },
+        customFields: { create: buildCustomFieldWrites(definitions, values).create },
       },
       include: {
         tags: {
@@ -199,6 +280,7 @@ const createContact = async (req, res) => {
             tag: true,
           },
         },
+        customFields: true,
       },
     });
 
@@ -212,12 +294,25 @@ const createContact = async (req, res) => {
       },
     });
 
+    // Fire workflow triggers
+    publish(EVENTS.CONTACT_CREATED, { userId: req.user.id, contactId: contact.id });
+    for (const { tag } of contact.tags) {
+      publish(EVENTS.TAG_ADDED, {
+        userId: req.user.id,
+        contactId: contact.id,
+        data: { tagId: tag.id, tagName: tag.name },
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Contact created successfully',
-      data: contact,
+      data: withCustomValues(contact),
     });
   } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'You already have a contact with this email' });
+    }
     console.error('Error creating contact:', error);
     res.status(500).json({ error: 'Failed to create contact' });
   }
@@ -230,7 +325,7 @@ const createContact = async (req, res) => {
  */
 const updateContact = async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, company, tags = [] } = req.body;
+    const { firstName, lastName, email, phone, company, tags = [], customFields } = req.body;
 
     // Check if contact exists
     const existingContact = await prisma.contact.findFirst({
@@ -238,12 +333,26 @@ const updateContact = async (req, res) => {
         id: req.params.id,
         userId: req.user.id,
       },
+      include: {
+        tags: true,
+      },
     });
 
     if (!existingContact) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
+    // Only the custom fields sent are written; null or '' clears a value
+    let customFieldWrites;
+    if (customFields !== undefined) {
+      const definitions = await listDefinitions(req.user.id);
+      const { values, errors } = validateContactCustomFields(definitions, customFields);
+      if (errors.length > 0) {
+        return sendCustomFieldErrors(res, errors);
+      }
+      customFieldWrites = buildCustomFieldWrites(definitions, values);
+    }
+
     // Process tags for connectOrCreate
     const tagConnectOrCreate = tags.map(tagName => ({
       where: { name: tagName },
@@ -262,7 +371,8 @@ const updateContact = async (req, res) => {
         tags: {
           set: [], // First, disconnect all old tags
           create: tagConnectOrCreate.map(tco => ({ tag: { connectOrCreate: tco } }))
-        }
+        },
+        ...(customFieldWrites && { customFields: customFieldWrites }),
       },
       include: {
         tags: {
@@ -270,6 +380,7 @@ const updateContact = async (req, res) => {
             tag: true,
           },
         },
+        customFields: true,
       },
     });
 
@@ -283,12 +394,32 @@ const updateContact = async (req, res) => {
       },
     });
 
+    // Fire workflow triggers, including tags the contact did not have before
+    publish(EVENTS.CONTACT_UPDATED, {
+      userId: req.user.id,
+      contactId: updatedContact.id,
+      data: { fields: Object.keys(req.body) },
+    });
+    const previousTagIds = new Set(existingContact.tags.map(contactTag => contactTag.tagId));
+    for (const { tag } of updatedContact.tags) {
+      if (!previousTagIds.has(tag.id)) {
+        publish(EVENTS.TAG_ADDED, {
+          userId: req.user.id,
+          contactId: updatedContact.id,
+          data: { tagId: tag.id, tagName: tag.name },
+        });
+      }
+    }
+
     res.json({
       success: true,
       message: 'Contact updated successfully',
-      data: updatedContact,
+      data: withCustomValues(updatedContact),
     });
   } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'You already have a contact with this email' });
+    }
     console.error('Error updating contact:', error);
     res.status(500).json({ error: 'Failed to update contact' });
   }
@@ -406,6 +537,13 @@ const assignTagToContact = async (req, res) => {
       },
     });
 
+    // Fire workflow triggers
+    publish(EVENTS.TAG_ADDED, {
+      userId: req.user.id,
+      contactId: contact.id,
+      data: { tagId: tag.id, tagName: tag.name },
+    });
+
     res.status(201).json({
       success: true,
       message: 'Tag assigned successfully',
@@ -488,12 +626,59 @@ const removeTagFromContact = async (req, res) => {
   }
 };
 
+/**
+ * Get the workflow enrollments of a contact
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getContactEnrollments = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    // Check if contact exists
+    const contact = await prisma.contact.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+      },
+    });
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const { enrollments, total } = await listEnrollments({
+      contactId: contact.id,
+      userId: req.user.id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: enrollments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching contact enrollments:', error);
+    res.status(500).json({ error: 'Failed to fetch contact enrollments' });
+  }
+};
+
 module.exports = {
   getContacts,
+  exportContacts,
   getContactById,
   createContact,
   updateContact,
   deleteContact,
   assignTagToContact,
   removeTagFromContact,
+  getContactEnrollments,
 };
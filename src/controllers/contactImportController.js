@@ -0,0 +1,125 @@
+const {
+  getImportOptionsError,
+  previewImport,
+  startImport,
+  listImports,
+  getImport
+} = require('../services/contactImportService');
+const { parseImportFile, suggestMapping } = require('../utils/contactImport');
+
+/**
+ * Import contacts from an uploaded CSV or XLSX file, or preview the import
+ * with dryRun
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importContacts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a CSV or XLSX file in the file field' });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { columns, rows } = parsed;
+
+    // Without a mapping, columns are matched to fields by their headers
+    let mapping;
+    try {
+      mapping = req.body.mapping ? JSON.parse(req.body.mapping) : suggestMapping(columns);
+    } catch (error) {
+      return res.status(400).json({ error: 'mapping must be valid JSON' });
+    }
+
+    const { dedupeKey = 'email', dedupeStrategy = 'skip' } = req.body;
+    const optionsError = getImportOptionsError({ mapping, columns, dedupeKey, dedupeStrategy });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const params = { userId: req.user.id, rows, mapping, dedupeKey, dedupeStrategy };
+
+    if (req.body.dryRun === 'true') {
+      const preview = await previewImport(params);
+      return res.json({
+        success: true,
+        data: { dryRun: true, fileName: req.file.originalname, columns, mapping, dedupeKey, dedupeStrategy, ...preview },
+      });
+    }
+
+    const contactImport = await startImport({ ...params, fileName: req.file.originalname });
+
+    // Large imports keep running in the background; poll the import for progress
+    res.status(contactImport.status === 'pending' ? 202 : 201).json({
+      success: true,
+      data: contactImport,
+    });
+  } catch (error) {
+    console.error('Error importing contacts:', error);
+    res.status(500).json({ error: 'Failed to import contacts' });
+  }
+};
+
+/**
+ * Get the contact imports of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const { imports, total } = await listImports({
+      userId: req.user.id,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: imports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching contact imports:', error);
+    res.status(500).json({ error: 'Failed to fetch contact imports' });
+  }
+};
+
+/**
+ * Get a contact import with its progress and row errors
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getImportById = async (req, res) => {
+  try {
+    const contactImport = await getImport(req.user.id, req.params.importId);
+
+    if (!contactImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json({
+      success: true,
+      data: contactImport,
+    });
+  } catch (error) {
+    console.error('Error fetching contact import:', error);
+    res.status(500).json({ error: 'Failed to fetch contact import' });
+  }
+};
+
+module.exports = {
+  importContacts,
+  getImports,
+  getImportById,
+};
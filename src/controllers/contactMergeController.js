@@ -0,0 +1,154 @@
+const {
+  findDuplicates,
+  getMergeError,
+  getMergeContacts,
+  mergeContacts,
+  undoMerge,
+  listMerges,
+  getMerge
+} = require('../services/contactMergeService');
+
+/**
+ * Get groups of likely duplicate contacts of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDuplicates = async (req, res) => {
+  try {
+    const minScore = req.query.minScore === undefined ? 50 : Number(req.query.minScore);
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+
+    if (!Number.isInteger(minScore) || minScore < 1 || minScore > 100) {
+      return res.status(400).json({ error: 'minScore must be an integer from 1 to 100' });
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const { groups, total } = await findDuplicates(req.user.id, { minScore, limit });
+
+    res.json({
+      success: true,
+      data: groups,
+      total,
+    });
+  } catch (error) {
+    console.error('Error finding duplicate contacts:', error);
+    res.status(500).json({ error: 'Failed to find duplicate contacts' });
+  }
+};
+
+/**
+ * Merge duplicate contacts into a primary contact
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const mergeDuplicates = async (req, res) => {
+  try {
+    const { primaryId, duplicateIds, fields } = req.body;
+
+    const mergeError = getMergeError({ primaryId, duplicateIds, fields });
+    if (mergeError) {
+      return res.status(400).json({ error: mergeError });
+    }
+
+    const contacts = await getMergeContacts(req.user.id, [primaryId, ...duplicateIds]);
+    if (contacts.length !== duplicateIds.length + 1) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const byId = new Map(contacts.map(contact => [contact.id, contact]));
+    const { merge, contact } = await mergeContacts({
+      userId: req.user.id,
+      primary: byId.get(primaryId),
+      duplicates: duplicateIds.map(id => byId.get(id)),
+      fields,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { merge, contact },
+    });
+  } catch (error) {
+    // A duplicate was merged or deleted by another request meanwhile
+    if (error.code === 'P2025') {
+      return res.status(409).json({ error: 'The contacts changed while merging; try again' });
+    }
+    console.error('Error merging contacts:', error);
+    res.status(500).json({ error: 'Failed to merge contacts' });
+  }
+};
+
+/**
+ * Get the contact merges of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMerges = async (req, res) => {
+  try {
+    const { contactId, page = 1, limit = 20 } = req.query;
+
+    const { merges, total } = await listMerges({
+      userId: req.user.id,
+      contactId,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      data: merges,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching contact merges:', error);
+    res.status(500).json({ error: 'Failed to fetch contact merges' });
+  }
+};
+
+/**
+ * Undo a contact merge, recreating the merged duplicates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const undoMergeById = async (req, res) => {
+  try {
+    const merge = await getMerge(req.user.id, req.params.mergeId);
+
+    if (!merge) {
+      return res.status(404).json({ error: 'Merge not found' });
+    }
+    if (merge.status !== 'merged') {
+      return res.status(409).json({ error: `Merge is already ${merge.status}` });
+    }
+
+    const result = await undoMerge(merge);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: result.merge,
+    });
+  } catch (error) {
+    // Another contact has taken a duplicate's email since the merge
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Another contact now uses the email of a merged contact' });
+    }
+    console.error('Error undoing contact merge:', error);
+    res.status(500).json({ error: 'Failed to undo contact merge' });
+  }
+};
+
+module.exports = {
+  getDuplicates,
+  mergeDuplicates,
+  getMerges,
+  undoMergeById,
+};
@@ -0,0 +1,171 @@
+const { prisma } = require('../services/db');
+const { parseDefinition, listDefinitions } = require('../services/customFieldService');
+
+/**
+ * Get the custom field definitions of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCustomFields = async (req, res) => {
+  try {
+    const definitions = await listDefinitions(req.user.id);
+
+    res.json({
+      success: true,
+      data: definitions,
+    });
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+};
+
+/**
+ * Get a custom field definition
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCustomFieldById = async (req, res) => {
+  try {
+    const definition = await prisma.customFieldDefinition.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+      },
+    });
+
+    if (!definition) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    res.json({
+      success: true,
+      data: definition,
+    });
+  } catch (error) {
+    console.error('Error fetching custom field:', error);
+    res.status(500).json({ error: 'Failed to fetch custom field' });
+  }
+};
+
+/**
+ * Create a custom field definition
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCustomField = async (req, res) => {
+  try {
+    const { data, error } = parseDefinition(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const definition = await prisma.customFieldDefinition.create({
+      data: {
+        ...data,
+        userId: req.user.id,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: definition,
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'You already have a custom field with this name' });
+    }
+    console.error('Error creating custom field:', error);
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+};
+
+/**
+ * Update a custom field definition. Renaming it renames the contacts' values
+ * too; values of options that are removed stay until the contact is updated.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateCustomField = async (req, res) => {
+  try {
+    const existing = await prisma.customFieldDefinition.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+      },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const { data, error } = parseDefinition(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const definition = await prisma.$transaction(async (tx) => {
+      if (data.name !== existing.name) {
+        await tx.customField.updateMany({
+          where: { definitionId: existing.id },
+          data: { name: data.name },
+        });
+      }
+
+      return tx.customFieldDefinition.update({
+        where: { id: existing.id },
+        data,
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: definition,
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'You already have a custom field with this name' });
+    }
+    console.error('Error updating custom field:', error);
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+};
+
+/**
+ * Delete a custom field definition along with every contact's value of it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCustomField = async (req, res) => {
+  try {
+    const existing = await prisma.customFieldDefinition.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+      },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    await prisma.customFieldDefinition.delete({
+      where: { id: existing.id },
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting custom field:', error);
+    res.status(500).json({ error: 'Failed to delete custom field' });
+  }
+};
+
+module.exports = {
+  getCustomFields,
+  getCustomFieldById,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+};
@@ -1,4 +1,7 @@
 const { prisma } = require('../services/db');
+const { EVENTS, publish } = require('../services/eventBus');
+const { EXPORT_FORMATS, streamDeals, sendExport } = require('../services/exportService');
+const { buildDealWhere } = require('../utils/recordFilters');
 
 /**
  * Get all deals for the authenticated user with pagination and filtering
@@ -20,21 +23,7 @@ const getDeals = async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Build where clause
-    const where = {
-      userId: req.user.id,
-    };
-
-    if (pipelineId) {
-      where.pipelineId = pipelineId;
-    }
-
-    if (stageId) {
-      where.stageId = stageId;
-    }
-
-    if (contactId) {
-      where.contactId = contactId;
-    }
+    const where = buildDealWhere(req.user.id, { pipelineId, stageId, contactId });
 
     // Get deals
     const deals = await prisma.deal.findMany({
@@ -93,6 +82,35 @@ const getDeals = async (req, res) => {
   }
 };
 
+/**
+ * Export every deal matching the list filters as CSV or JSON Lines
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportDeals = async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const stream = await streamDeals(buildDealWhere(req.user.id, req.query), format);
+    await sendExport(res, stream, { name: 'deals', format });
+  } catch (error) {
+    // The client went away mid-download
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+
+    console.error('Error exporting deals:', error);
+    // Past the first page the download has started and pipeline has already aborted it
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export deals' });
+    }
+  }
+};
+
 /**
  * Get a single deal by ID
  * @param {Object} req - Express request object
@@ -326,6 +344,15 @@ const updateDeal = async (req, res) => {
       },
     });
 
+    // Fire workflow triggers and goals that watch the deal's stage
+    if (deal.stageId !== stageId) {
+      publish(EVENTS.DEAL_STAGE_CHANGED, {
+        userId: req.user.id,
+        contactId: updatedDeal.contactId,
+        data: { dealId: updatedDeal.id, fromStageId: deal.stageId, stageId, stageName: stage.name },
+      });
+    }
+
     res.json({
       success: true,
       message: 'Deal updated successfully',
@@ -400,6 +427,15 @@ const updateDealStage = async (req, res) => {
       },
     });
 
+    // Fire workflow triggers and goals that watch the deal's stage
+    if (deal.stageId !== stageId) {
+      publish(EVENTS.DEAL_STAGE_CHANGED, {
+        userId: req.user.id,
+        contactId: updatedDeal.contactId,
+        data: { dealId: updatedDeal.id, fromStageId: deal.stageId, stageId, stageName: stage.name },
+      });
+    }
+
     res.json({
       success: true,
       message: 'Deal stage updated successfully',
@@ -458,6 +494,7 @@ const deleteDeal = async (req, res) => {
 
 module.exports = {
   getDeals,
+  exportDeals,
   getDealById,
   createDeal,
   updateDeal,
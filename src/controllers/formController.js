@@ -0,0 +1,86 @@
+const { getHostedForm, describeForm, submitForm } = require('../services/formService');
+const { validateSubmission } = require('../utils/formValidator');
+const { listDefinitionsFor, checkCustomFieldValues } = require('../services/customFieldService');
+
+// Hidden field rendered by hosted forms; people never fill it in, bots do
+const HONEYPOT_FIELD = '_website';
+
+/**
+ * Get the public definition of a hosted form
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getForm = async (req, res) => {
+  try {
+    const hosted = await getHostedForm(req.params.workflowId, req.params.formId);
+
+    if (!hosted) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...describeForm(hosted.form),
+        honeypotField: HONEYPOT_FIELD,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching form:', error);
+    res.status(500).json({ error: 'Failed to fetch form' });
+  }
+};
+
+/**
+ * Accept a submission of a hosted form
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const submitHostedForm = async (req, res) => {
+  try {
+    const hosted = await getHostedForm(req.params.workflowId, req.params.formId);
+
+    if (!hosted) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    // Answer bots like a real submission so they do not learn to skip the field
+    if (req.body[HONEYPOT_FIELD]) {
+      console.log(`[Hosted Forms] Dropped honeypot submission for form ${hosted.form.id} from ${req.ip}`);
+      return res.status(201).json({ success: true, message: 'Form submitted' });
+    }
+
+    const { values, errors } = validateSubmission(hosted.form.data?.formFields, req.body);
+
+    // Fields stored as custom.<name> must also satisfy the owner's custom field definitions
+    if (errors.length === 0) {
+      const definitions = await listDefinitionsFor(hosted.workflow.userId, Object.keys(values));
+      errors.push(...checkCustomFieldValues(definitions, values).errors);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors,
+      });
+    }
+
+    await submitForm({
+      workflow: hosted.workflow,
+      form: hosted.form,
+      values,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    res.status(201).json({ success: true, message: 'Form submitted' });
+  } catch (error) {
+    console.error('Error submitting form:', error);
+    res.status(500).json({ error: 'Failed to submit form' });
+  }
+};
+
+module.exports = {
+  getForm,
+  submitHostedForm,
+};
@@ -1,5 +1,5 @@
 const { prisma } = require('../services/db');
-const { triggerWorkflow } = require('../services/automationService');
+const { EVENTS, publish } = require('../services/eventBus');
 
 /**
  * Placeholder function to create or update a contact
@@ -14,22 +14,24 @@ async function upsertContact(contactData) {
       throw new Error('Email is required for contact operations');
     }
     
+    // Emails are unique per user, so each user keeps their own copy of a lead
     const existingContact = await prisma.contact.findUnique({
-      where: { email }
+      where: { userId_email: { userId, email } }
     });
     
     if (existingContact) {
-      return await prisma.contact.update({
+      const contact = await prisma.contact.update({
         where: { id: existingContact.id },
         data: {
           firstName: firstName || existingContact.firstName,
           lastName: lastName || existingContact.lastName,
-          phone: phone || existingContact.phone,
-          userId
+          phone: phone || existingContact.phone
         }
       });
+      publish(EVENTS.CONTACT_UPDATED, { userId, contactId: contact.id, data: { source: 'iclosed' } });
+      return contact;
     } else {
-      return await prisma.contact.create({
+      const contact = await prisma.contact.create({
         data: {
           firstName,
           lastName,
@@ -38,6 +40,8 @@ async function upsertContact(contactData) {
           userId
         }
       });
+      publish(EVENTS.CONTACT_CREATED, { userId, contactId: contact.id, data: { source: 'iclosed' } });
+      return contact;
     }
   } catch (error) {
     console.error('[iClosed Webhook] Error in upsertContact:', error);
@@ -401,6 +405,12 @@ async function handleAppointmentBooked(payload, user) {
       }
     });
     
+    publish(EVENTS.WEBHOOK_RECEIVED, {
+      userId: user.id,
+      contactId: contact.id,
+      data: { source: 'iclosed', event: 'appointment_booked', dealId: deal.id, appointmentTime }
+    });
+    
     console.log(`[iClosed Webhook] Successfully processed appointment_booked for ${email}`);
     
   } catch (error) {
@@ -473,6 +483,12 @@ async function handleStatusChanged(payload, user) {
       }
     });
     
+    publish(EVENTS.WEBHOOK_RECEIVED, {
+      userId: user.id,
+      contactId: deal.contactId,
+      data: { source: 'iclosed', event: 'status_changed', dealId: deal.id, newStatus }
+    });
+    
     console.log(`[iClosed Webhook] Successfully updated deal ${dealId} status to ${newStatus}`);
     
   } catch (error) {
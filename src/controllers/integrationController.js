@@ -1,6 +1,7 @@
 const { prisma } = require('../services/db');
 const { encrypt, decrypt } = require('../utils/crypto');
 const httpClient = require('../utils/httpClient');
+const { EVENTS, publish } = require('../services/eventBus');
 
 /**
  * Upserts Kixie API credentials for the authenticated user
@@ -472,6 +473,13 @@ const handleKixieWebhook = async (req, res) => {
         },
       });
       console.log(`Successfully created activity: ${activityType} for user ${user.id}`);
+
+      // Fire workflow triggers listening for Kixie webhooks
+      publish(EVENTS.WEBHOOK_RECEIVED, {
+        userId: user.id,
+        contactId: contact ? contact.id : null,
+        data: { source: 'kixie', event: eventType }
+      });
     } catch (dbError) {
       console.error('Database error creating activity:', dbError);
       // Respond with 200 OK to prevent Kixie from retrying.
@@ -693,11 +701,20 @@ const handleIclosedWebhook = async (req, res) => {
     // Find or Create the Contact
     console.log(`Attempting to upsert contact with email: ${contactEmail}`);
     let contact;
+    let contactExisted;
     try {
-      contact = await prisma.contact.upsert({
-        where: {
+      // Emails are unique per user, so another user's contact is never reused
+      const contactKey = {
+        userId_email: {
+          userId: finalUserId,
           email: contactEmail
-        },
+        }
+      };
+      contactExisted = !!(await prisma.contact.findUnique({
+        where: contactKey
+      }));
+      contact = await prisma.contact.upsert({
+        where: contactKey,
         update: {
           // Update block ensures the existing contact is selected without changing it
         },
@@ -815,6 +832,16 @@ const handleIclosedWebhook = async (req, res) => {
       return res.status(500).json({ error: 'Failed to create deal' });
     }
 
+    // Fire workflow triggers for the new contact and the webhook itself
+    if (!contactExisted) {
+      publish(EVENTS.CONTACT_CREATED, { userId: contact.userId, contactId: contact.id, data: { source: 'iclosed' } });
+    }
+    publish(EVENTS.WEBHOOK_RECEIVED, {
+      userId: contact.userId,
+      contactId: contact.id,
+      data: { source: 'iclosed', event: 'appointment', dealId: newDeal.id }
+    });
+
     // Log the successful creation
     console.log(`Successfully created contact ${contact.id} and deal ${newDeal.id} from iClosed webhook`);
     console.log(`User ID used: ${finalUserId}, Stage ID used: ${finalStageId}`);
@@ -1,4 +1,16 @@
 const { prisma } = require('../services/db');
+const { loadContact, buildSampleContact } = require('../services/workflowContext');
+const { renderTemplate, getTemplateError, buildTemplateData } = require('../utils/templateRenderer');
+
+/**
+ * Lists merge-tag syntax errors in the subject and body of a template
+ * @param {object} fields - { subject, body }
+ * @returns {Array<object>} - Errors as { field, message }
+ */
+const getSyntaxErrors = (fields) => ['subject', 'body']
+  .filter(field => typeof fields[field] === 'string')
+  .map(field => ({ field, message: getTemplateError(fields[field]) }))
+  .filter(error => error.message);
 
 // Create a new email template
 exports.createTemplate = async (req, res, next) => {
@@ -13,6 +25,11 @@ exports.createTemplate = async (req, res, next) => {
       return res.status(400).json({ error: 'Name, subject, and body are required' });
     }
 
+    const syntaxErrors = getSyntaxErrors({ subject, body });
+    if (syntaxErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: syntaxErrors });
+    }
+
     const template = await prisma.emailTemplate.create({
       data: {
         name,
@@ -96,6 +113,11 @@ exports.updateTemplate = async (req, res, next) => {
       return res.status(404).json({ error: 'Email template not found' });
     }
 
+    const syntaxErrors = getSyntaxErrors({ subject, body });
+    if (syntaxErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: syntaxErrors });
+    }
+
     const updatedTemplate = await prisma.emailTemplate.update({
       where: { id },
       data: {
@@ -140,3 +162,49 @@ exports.deleteTemplate = async (req, res, next) => {
     next(error);
   }
 };
+
+// Render an email template against a contact (or sample contact) without sending it
+exports.previewTemplate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { contactId, contact: samplePayload, trigger = {} } = req.body || {};
+    const userId = req.user.id;
+
+    const template = await prisma.emailTemplate.findFirst({
+      where: {
+        id,
+        userId,
+      },
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    let contact = null;
+    if (contactId) {
+      contact = await loadContact(contactId, userId);
+
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+    } else if (samplePayload) {
+      contact = buildSampleContact(samplePayload);
+    }
+
+    const data = buildTemplateData({
+      contact,
+      deal: contact?.deals?.[0] || null,
+      user: req.user,
+      trigger,
+    });
+
+    res.json({
+      subject: renderTemplate(template.subject, data),
+      body: renderTemplate(template.body, data, { escape: 'html' }),
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    next(error);
+  }
+};
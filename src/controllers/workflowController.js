@@ -1,5 +1,55 @@
 const { prisma } = require('../services/db');
-const { runWorkflow } = require('../../../utils/workflowRunner');
+const { loadContact, buildSampleContact } = require('../services/workflowContext');
+const {
+  startRun,
+  simulateRun,
+  listRuns,
+  getRun,
+  listDeadLetters,
+  getDeadLetter,
+  redriveDeadLetter
+} = require('../services/workflowRunService');
+const {
+  createWorkflowWithVersion,
+  saveDraft,
+  listVersions,
+  getVersion,
+  getLatestVersion,
+  publishVersion,
+  rollbackToVersion,
+  diffVersions
+} = require('../services/workflowVersionService');
+const {
+  enrollContact,
+  getEnrollment,
+  pauseEnrollment,
+  resumeEnrollment,
+  unenroll,
+  listEnrollments
+} = require('../services/enrollmentService');
+const { listSubmissions } = require('../services/formService');
+const { parseRange, getWorkflowAnalytics, getEnrollmentSummaries } = require('../services/workflowAnalyticsService');
+const { exportWorkflow, getBundleError, importBundle } = require('../services/workflowBundleService');
+const { listGalleryTemplates, getGalleryTemplate } = require('../utils/workflowGallery');
+const { validateWorkflowDefinition } = require('../utils/workflowValidator');
+
+// Most contacts a single bulk enroll request may carry
+const MAX_BULK_ENROLL = 500;
+
+// Version summary included with workflows
+const PUBLISHED_VERSION = {
+  select: { id: true, version: true, createdAt: true }
+};
+
+/**
+ * Sends a 400 listing the problems in a workflow definition
+ * @param {object} res - Express response
+ * @param {Array<object>} errors - Errors from validateWorkflowDefinition
+ */
+const sendDefinitionErrors = (res, errors) => res.status(400).json({
+  error: 'Workflow definition is invalid',
+  details: errors
+});
 
 // Create a new workflow
 exports.createWorkflow = async (req, res) => {
@@ -11,16 +61,20 @@ exports.createWorkflow = async (req, res) => {
       return res.status(400).json({ error: 'Name and definition are required' });
     }
     
+    const { valid, errors } = validateWorkflowDefinition(definition);
+    if (!valid) {
+      return sendDefinitionErrors(res, errors);
+    }
+    
     // The definition should already be a JSON object from the frontend
     // We'll save it directly without any parsing or transformation
     console.log('Saving workflow:', { name, definition });
     
-    const workflow = await prisma.automationWorkflow.create({
-      data: {
-        name,
-        definition, // Save the entire JSON object as is
-        userId: req.user.id // From auth middleware
-      }
+    // The definition is stored as the draft and as published version 1
+    const workflow = await createWorkflowWithVersion({
+      name,
+      definition,
+      userId: req.user.id // From auth middleware
     });
     
     res.status(201).json(workflow);
@@ -42,8 +96,11 @@ exports.getWorkflows = async (req, res) => {
       }
     });
     
+    // Each workflow carries its enrolled/active/completed counts for the list view
+    const summaries = await getEnrollmentSummaries(req.user.id, workflows.map(workflow => workflow.id));
+    
     // Return the definition as-is without modification
-    res.json(workflows);
+    res.json(workflows.map(workflow => ({ ...workflow, stats: summaries.get(workflow.id) })));
   } catch (error) {
     console.error('Error fetching workflows:', error);
     res.status(500).json({ error: 'Failed to fetch workflows' });
@@ -59,6 +116,9 @@ exports.getWorkflow = async (req, res) => {
       where: {
         id,
         userId: req.user.id // Ensure user owns this workflow
+      },
+      include: {
+        publishedVersion: PUBLISHED_VERSION
       }
     });
     
@@ -93,7 +153,14 @@ exports.updateWorkflow = async (req, res) => {
       return res.status(404).json({ error: 'Workflow not found' });
     }
     
-    // Update the workflow with the definition as-is
+    if (definition !== undefined) {
+      const { valid, errors } = validateWorkflowDefinition(definition);
+      if (!valid) {
+        return sendDefinitionErrors(res, errors);
+      }
+    }
+    
+    // Update the draft; a changed definition is kept as a new, unpublished version
     const updateData = {
       name,
       definition // Save the entire JSON object as is
@@ -101,9 +168,7 @@ exports.updateWorkflow = async (req, res) => {
     
     console.log('Updating workflow:', updateData);
     
-    const updatedWorkflow = await prisma.automationWorkflow.update({
-      where: { id },
-      data: updateData,
+    const { workflow: updatedWorkflow } = await saveDraft(existingWorkflow, updateData, {
       include: {
         user: {
           select: {
@@ -112,7 +177,8 @@ exports.updateWorkflow = async (req, res) => {
             lastName: true,
             email: true
           }
-        }
+        },
+        publishedVersion: PUBLISHED_VERSION
       }
     });
     
@@ -152,16 +218,21 @@ exports.deleteWorkflow = async (req, res) => {
   }
 };
 
-// Run a workflow by ID
+// Run a workflow by ID, optionally against a contact
 exports.runWorkflow = async (req, res) => {
+  const { id } = req.params;
+
   try {
-    const { id } = req.params;
+    const { contactId, payload = {} } = req.body || {};
     
     // Check if workflow exists and user owns it
     const workflow = await prisma.automationWorkflow.findFirst({
       where: {
         id,
         userId: req.user.id
+      },
+      include: {
+        publishedVersion: true
       }
     });
     
@@ -169,41 +240,852 @@ exports.runWorkflow = async (req, res) => {
       return res.status(404).json({ error: 'Workflow not found' });
     }
     
-    if (!workflow.definition || !workflow.definition.nodes || !workflow.definition.edges) {
+    // Runs execute the published version, not the draft being edited
+    const version = workflow.publishedVersion;
+    if (!version) {
+      return res.status(400).json({ error: 'Workflow has no published version' });
+    }
+    
+    if (!version.definition || !version.definition.nodes || !version.definition.edges) {
       return res.status(400).json({ error: 'Workflow definition is invalid or incomplete' });
     }
     
+    let contact = null;
+    if (contactId) {
+      contact = await loadContact(contactId, req.user.id);
+      
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+    }
+    
     console.log(`Starting workflow execution for workflow ID: ${id}`);
     
-    // Execute the workflow using the workflow runner
-    const logs = await runWorkflow(workflow.definition);
+    // Execute the workflow graph; the run and its steps are recorded as it goes
+    const { run, result } = await startRun({
+      workflow,
+      version,
+      contact,
+      trigger: { type: 'manual', ...payload }
+    });
     
-    console.log(`Workflow execution completed for workflow ID: ${id}`);
-    console.log('Execution logs:', logs);
+    console.log(`Workflow execution for workflow ID: ${id} finished with status: ${result.status}`);
     
-    // Return the execution logs
     res.json({
-      success: true,
+      success: result.status !== 'failed',
       workflowId: id,
-      logs: logs,
+      version: version.version,
+      runId: run.id,
+      status: result.status,
+      error: run.error,
+      trace: result.steps,
+      waiting: result.waiting,
       executedAt: new Date().toISOString()
     });
     
   } catch (error) {
     console.error(`Error running workflow ${id}:`, error);
     
-    // Return error logs if available
-    const errorLogs = [
-      `Workflow execution failed: ${error.message}`,
-      'Stack trace:',
-      error.stack
-    ];
-    
     res.status(500).json({
       success: false,
       workflowId: id,
-      logs: errorLogs,
+      error: error.message,
       executedAt: new Date().toISOString()
     });
   }
 };
+
+// Simulate a workflow against an existing or sample contact without side effects
+exports.simulateWorkflow = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { contactId, contact: samplePayload, payload = {}, version: versionNumber } = req.body || {};
+    
+    if (contactId && samplePayload) {
+      return res.status(400).json({ error: 'Provide either contactId or contact, not both' });
+    }
+    if (samplePayload !== undefined && (typeof samplePayload !== 'object' || Array.isArray(samplePayload))) {
+      return res.status(400).json({ error: 'contact must be an object' });
+    }
+    if (samplePayload?.tags !== undefined && !Array.isArray(samplePayload.tags)) {
+      return res.status(400).json({ error: 'contact.tags must be an array of tag names' });
+    }
+    if (versionNumber !== undefined && !Number.isInteger(versionNumber)) {
+      return res.status(400).json({ error: 'Version must be a number' });
+    }
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    // The draft is simulated unless a saved version is requested
+    let definition = workflow.definition;
+    if (versionNumber !== undefined) {
+      const version = await getVersion(id, versionNumber);
+      
+      if (!version) {
+        return res.status(404).json({ error: 'Workflow version not found' });
+      }
+      definition = version.definition;
+    }
+    
+    let contact = null;
+    if (contactId) {
+      contact = await loadContact(contactId, req.user.id);
+      
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+    } else if (samplePayload) {
+      contact = buildSampleContact(samplePayload);
+    }
+    
+    const result = await simulateRun({
+      workflow,
+      definition,
+      contact,
+      trigger: { type: 'manual', ...payload }
+    });
+    const failedStep = result.steps.find(step => step.status === 'failed');
+    
+    res.json({
+      success: result.status !== 'failed',
+      workflowId: id,
+      version: versionNumber ?? null,
+      status: result.status,
+      error: result.error || failedStep?.error || null,
+      path: result.steps.map(step => step.nodeId),
+      trace: result.steps,
+      simulatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error simulating workflow ${id}:`, error);
+    res.status(500).json({ error: 'Failed to simulate workflow' });
+  }
+};
+
+// Get the run history of a workflow
+exports.getWorkflowRuns = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const { runs, total } = await listRuns({
+      workflowId: id,
+      userId: req.user.id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workflow runs:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow runs' });
+  }
+};
+
+// Get a single workflow run with its per-node steps
+exports.getWorkflowRun = async (req, res) => {
+  try {
+    const run = await getRun(req.params.runId, req.user.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Workflow run not found' });
+    }
+    
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error fetching workflow run:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow run' });
+  }
+};
+
+// List the saved versions of a workflow
+exports.getWorkflowVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const versions = await listVersions(id);
+    
+    res.json({
+      success: true,
+      data: versions.map(version => ({
+        ...version,
+        isPublished: version.id === workflow.publishedVersionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching workflow versions:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow versions' });
+  }
+};
+
+// Get a single version of a workflow with its definition
+exports.getWorkflowVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseInt(req.params.version);
+    
+    if (Number.isNaN(versionNumber)) {
+      return res.status(400).json({ error: 'Version must be a number' });
+    }
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const version = await getVersion(id, versionNumber);
+    
+    if (!version) {
+      return res.status(404).json({ error: 'Workflow version not found' });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...version,
+        isPublished: version.id === workflow.publishedVersionId
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workflow version:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow version' });
+  }
+};
+
+// Diff two versions of a workflow (defaults: published version -> latest version)
+exports.diffWorkflowVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    
+    if ((from && Number.isNaN(parseInt(from))) || (to && Number.isNaN(parseInt(to)))) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      },
+      include: {
+        publishedVersion: true
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const fromVersion = from ? await getVersion(id, parseInt(from)) : workflow.publishedVersion;
+    const toVersion = to ? await getVersion(id, parseInt(to)) : await getLatestVersion(id);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Workflow version not found' });
+    }
+    
+    res.json({
+      success: true,
+      data: diffVersions(fromVersion, toVersion)
+    });
+  } catch (error) {
+    console.error('Error diffing workflow versions:', error);
+    res.status(500).json({ error: 'Failed to diff workflow versions' });
+  }
+};
+
+// Publish a version of a workflow (defaults to the latest saved version)
+exports.publishWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version: versionNumber } = req.body || {};
+    
+    if (versionNumber !== undefined && !Number.isInteger(versionNumber)) {
+      return res.status(400).json({ error: 'Version must be a number' });
+    }
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const version = versionNumber !== undefined
+      ? await getVersion(id, versionNumber)
+      : await getLatestVersion(id);
+    
+    if (!version) {
+      return res.status(404).json({ error: 'Workflow version not found' });
+    }
+    
+    // Stored drafts may predate server-side validation
+    const { valid, errors } = validateWorkflowDefinition(version.definition);
+    if (!valid) {
+      return sendDefinitionErrors(res, errors);
+    }
+    
+    await publishVersion(workflow, version);
+    
+    console.log(`Published version ${version.version} of workflow ID: ${id}`);
+    
+    res.json({
+      success: true,
+      data: {
+        workflowId: id,
+        publishedVersion: { id: version.id, version: version.version, createdAt: version.createdAt }
+      }
+    });
+  } catch (error) {
+    console.error('Error publishing workflow:', error);
+    res.status(500).json({ error: 'Failed to publish workflow' });
+  }
+};
+
+// Roll a workflow back to an earlier version
+exports.rollbackWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseInt(req.params.version);
+    
+    if (Number.isNaN(versionNumber)) {
+      return res.status(400).json({ error: 'Version must be a number' });
+    }
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const target = await getVersion(id, versionNumber);
+    
+    if (!target) {
+      return res.status(404).json({ error: 'Workflow version not found' });
+    }
+    
+    const { version } = await rollbackToVersion(workflow, target);
+    
+    console.log(`Rolled back workflow ID: ${id} to version ${target.version} as version ${version.version}`);
+    
+    res.json({
+      success: true,
+      data: {
+        workflowId: id,
+        rolledBackTo: target.version,
+        publishedVersion: { id: version.id, version: version.version, createdAt: version.createdAt }
+      }
+    });
+  } catch (error) {
+    console.error('Error rolling back workflow:', error);
+    res.status(500).json({ error: 'Failed to roll back workflow' });
+  }
+};
+
+// Manually enroll one contact ({ contactId }) or many ({ contactIds }) into a workflow
+exports.enrollContacts = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { contactId, contactIds, payload = {} } = req.body || {};
+    const ids = contactIds !== undefined ? contactIds : contactId ? [contactId] : [];
+    
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(value => typeof value !== 'string')) {
+      return res.status(400).json({ error: 'contactId or a non-empty contactIds array is required' });
+    }
+    if (ids.length > MAX_BULK_ENROLL) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_ENROLL} contacts can be enrolled at once` });
+    }
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      },
+      include: {
+        publishedVersion: true
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const version = workflow.publishedVersion;
+    if (!version) {
+      return res.status(400).json({ error: 'Workflow has no published version' });
+    }
+    
+    const results = [];
+    for (const contactIdToEnroll of [...new Set(ids)]) {
+      const contact = await loadContact(contactIdToEnroll, req.user.id);
+      
+      if (!contact) {
+        results.push({ contactId: contactIdToEnroll, status: 'skipped', reason: 'contact_not_found' });
+        continue;
+      }
+      
+      const { enrollment, run, skipped, reason } = await enrollContact({
+        workflow,
+        version,
+        contact,
+        trigger: { type: 'manual', ...payload },
+        source: 'manual'
+      });
+      
+      results.push(skipped
+        ? { contactId: contact.id, status: 'skipped', reason }
+        : { contactId: contact.id, status: 'enrolled', enrollmentId: enrollment.id, runId: run.id, runStatus: run.status });
+    }
+    
+    const enrolled = results.filter(result => result.status === 'enrolled').length;
+    console.log(`Enrolled ${enrolled} of ${results.length} contact(s) in workflow ID: ${id}`);
+    
+    res.json({
+      success: true,
+      data: {
+        workflowId: id,
+        version: version.version,
+        enrolled,
+        skipped: results.length - enrolled,
+        results
+      }
+    });
+  } catch (error) {
+    console.error(`Error enrolling contacts in workflow ${id}:`, error);
+    res.status(500).json({ error: 'Failed to enroll contacts' });
+  }
+};
+
+// Export a workflow's draft as a portable bundle
+exports.exportWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const bundle = await exportWorkflow(workflow);
+    
+    res.json({
+      success: true,
+      data: bundle
+    });
+  } catch (error) {
+    console.error(`Error exporting workflow ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to export workflow' });
+  }
+};
+
+/**
+ * Validates a bundle and imports it for the requesting user
+ * @param {Object} res - Express response object
+ * @param {object} bundle - Workflow bundle
+ * @param {string} userId - Importing user ID
+ * @param {string} [name] - Name for the new workflow
+ */
+const sendImport = async (res, bundle, userId, name) => {
+  const bundleError = getBundleError(bundle);
+  if (bundleError) {
+    return res.status(400).json({ error: bundleError });
+  }
+  
+  const { valid, errors } = validateWorkflowDefinition(bundle.workflow.definition);
+  if (!valid) {
+    return sendDefinitionErrors(res, errors);
+  }
+  
+  const result = await importBundle(bundle, userId, { name });
+  console.log(`Imported workflow ${result.workflow.id} with ${result.unresolved.length} unresolved reference(s)`);
+  
+  res.status(201).json({
+    success: true,
+    data: result
+  });
+};
+
+// Import a workflow bundle as a new, unpublished workflow
+exports.importWorkflow = async (req, res) => {
+  try {
+    const { bundle, name } = req.body;
+    
+    await sendImport(res, bundle, req.user.id, name);
+  } catch (error) {
+    console.error('Error importing workflow:', error);
+    res.status(500).json({ error: 'Failed to import workflow' });
+  }
+};
+
+// List the built-in starter workflows
+exports.getWorkflowTemplates = async (req, res) => {
+  res.json({
+    success: true,
+    data: listGalleryTemplates()
+  });
+};
+
+// Get a built-in starter workflow with its definition
+exports.getWorkflowTemplate = async (req, res) => {
+  const template = getGalleryTemplate(req.params.templateId);
+  
+  if (!template) {
+    return res.status(404).json({ error: 'Workflow template not found' });
+  }
+  
+  res.json({
+    success: true,
+    data: template
+  });
+};
+
+// Clone a built-in starter workflow into the user's account
+exports.cloneWorkflowTemplate = async (req, res) => {
+  try {
+    const template = getGalleryTemplate(req.params.templateId);
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Workflow template not found' });
+    }
+    
+    await sendImport(res, template, req.user.id, req.body.name);
+  } catch (error) {
+    console.error(`Error cloning workflow template ${req.params.templateId}:`, error);
+    res.status(500).json({ error: 'Failed to clone workflow template' });
+  }
+};
+
+// List the submissions of a workflow's hosted forms
+exports.getFormSubmissions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { formId, page = 1, limit = 20 } = req.query;
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const { submissions, total } = await listSubmissions({
+      workflowId: id,
+      formId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: submissions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching form submissions:', error);
+    res.status(500).json({ error: 'Failed to fetch form submissions' });
+  }
+};
+
+// Report the per-node funnel, drop-off, time between nodes and goal conversion of a workflow
+exports.getWorkflowAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const analytics = await getWorkflowAnalytics(workflow, range);
+    
+    res.json({ success: true, data: analytics });
+  } catch (error) {
+    console.error('Error fetching workflow analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow analytics' });
+  }
+};
+
+// List the enrollments of a workflow
+exports.getWorkflowEnrollments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+    
+    // Check if workflow exists and user owns it
+    const workflow = await prisma.automationWorkflow.findFirst({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    const { enrollments, total } = await listEnrollments({
+      workflowId: id,
+      userId: req.user.id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: enrollments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workflow enrollments:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow enrollments' });
+  }
+};
+
+/**
+ * Builds a handler that changes an enrollment's status when it is in one of
+ * the allowed statuses
+ * @param {Array<string>} allowed - Statuses the enrollment may be in
+ * @param {Function} change - Enrollment service function applying the change
+ * @param {string} action - Verb used in messages
+ * @returns {Function} - Express handler
+ */
+const changeEnrollment = (allowed, change, action) => async (req, res) => {
+  try {
+    const enrollment = await getEnrollment(req.params.enrollmentId, req.user.id);
+    
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    
+    if (!allowed.includes(enrollment.status)) {
+      return res.status(409).json({ error: `Cannot ${action} an enrollment that is ${enrollment.status}` });
+    }
+    
+    const updated = await change(enrollment);
+    
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error(`Error trying to ${action} enrollment:`, error);
+    res.status(500).json({ error: `Failed to ${action} enrollment` });
+  }
+};
+
+// Pause an active enrollment
+exports.pauseEnrollment = changeEnrollment(['active'], pauseEnrollment, 'pause');
+
+// Resume a paused enrollment
+exports.resumeEnrollment = changeEnrollment(['paused'], resumeEnrollment, 'resume');
+
+// Remove a contact from a workflow
+exports.unenrollEnrollment = changeEnrollment(['active', 'paused'], unenroll, 'unenroll');
+
+// List dead-lettered nodes (failed for good) across the user's workflows
+exports.getDeadLetters = async (req, res) => {
+  try {
+    const { workflowId, status = 'open', page = 1, limit = 20 } = req.query;
+    
+    const { deadLetters, total } = await listDeadLetters({
+      userId: req.user.id,
+      workflowId,
+      status: status === 'all' ? undefined : status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: deadLetters,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+};
+
+// Execute a dead-lettered node again
+exports.redriveDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await getDeadLetter(req.params.deadLetterId, req.user.id);
+    
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    
+    if (deadLetter.status !== 'open') {
+      return res.status(409).json({ error: `Dead letter is already ${deadLetter.status}` });
+    }
+    
+    const redriven = await redriveDeadLetter(deadLetter);
+    
+    if (!redriven) {
+      return res.status(409).json({ error: 'Dead letter is no longer open' });
+    }
+    
+    const { run, result } = redriven;
+    
+    console.log(`Re-drove node ${deadLetter.nodeId} of run ${run.id}: ${result.status}`);
+    
+    res.json({
+      success: result.status !== 'failed',
+      data: {
+        deadLetterId: deadLetter.id,
+        runId: run.id,
+        status: run.status,
+        error: run.error,
+        trace: result.steps
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'The contact has been enrolled in this workflow again since the run failed' });
+    }
+    console.error('Error re-driving dead letter:', error);
+    res.status(500).json({ error: 'Failed to re-drive dead letter' });
+  }
+};
+
+// Dismiss a dead letter without executing it again
+exports.discardDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await getDeadLetter(req.params.deadLetterId, req.user.id);
+    
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    
+    if (deadLetter.status !== 'open') {
+      return res.status(409).json({ error: `Dead letter is already ${deadLetter.status}` });
+    }
+    
+    const { count } = await prisma.workflowDeadLetter.updateMany({
+      where: { id: deadLetter.id, status: 'open' },
+      data: { status: 'discarded', resolvedAt: new Date() }
+    });
+    
+    if (count === 0) {
+      return res.status(409).json({ error: 'Dead letter is no longer open' });
+    }
+    
+    const updated = await prisma.workflowDeadLetter.findUnique({ where: { id: deadLetter.id } });
+    
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    res.status(500).json({ error: 'Failed to discard dead letter' });
+  }
+};
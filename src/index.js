@@ -1,5 +1,8 @@
 const app = require('./app');
 const { connectDatabase } = require('./services/db');
+const { startWaitScheduler } = require('./services/waitScheduler');
+const { startTriggerScheduler } = require('./services/triggerScheduler');
+const { startImportWorker } = require('./services/importWorker');
 const PORT = process.env.PORT || 3000;
 
 // Connect to the database
@@ -9,6 +12,15 @@ connectDatabase()
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
+
+    // Resume workflow runs whose Wait nodes have elapsed
+    startWaitScheduler();
+
+    // Fire schedule and date-relative workflow triggers
+    startTriggerScheduler();
+
+    // Run contact imports too large for the upload request
+    startImportWorker();
   })
   .catch((error) => {
     console.error('Failed to start server:', error);
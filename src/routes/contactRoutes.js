@@ -1,9 +1,28 @@
 const express = require('express');
+const multer = require('multer');
 const { body } = require('express-validator');
 const contactController = require('../controllers/contactController');
+const contactImportController = require('../controllers/contactImportController');
+const contactMergeController = require('../controllers/contactMergeController');
 
 const router = express.Router();
 
+// Import files are held in memory and parsed before anything is stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+}).single('file');
+
+const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'Import files are limited to 10 MB' : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
 /**
  * @route   GET /api/v1/contacts
  * @desc    List Contacts with pagination, search, and filtering
@@ -11,6 +30,62 @@ const router = express.Router();
  */
 router.get('/', contactController.getContacts);
 
+/**
+ * @route   POST /api/v1/contacts/import
+ * @desc    Import Contacts from a CSV or XLSX file, or preview the import with dryRun
+ * @access  Private
+ */
+router.post('/import', uploadImportFile, contactImportController.importContacts);
+
+/**
+ * @route   GET /api/v1/contacts/imports
+ * @desc    List Contact Imports
+ * @access  Private
+ */
+router.get('/imports', contactImportController.getImports);
+
+/**
+ * @route   GET /api/v1/contacts/imports/:importId
+ * @desc    Get Contact Import progress and row errors
+ * @access  Private
+ */
+router.get('/imports/:importId', contactImportController.getImportById);
+
+/**
+ * @route   GET /api/v1/contacts/export
+ * @desc    Export Contacts matching the list filters as CSV or JSON Lines
+ * @access  Private
+ */
+router.get('/export', contactController.exportContacts);
+
+/**
+ * @route   GET /api/v1/contacts/duplicates
+ * @desc    Find groups of likely duplicate Contacts
+ * @access  Private
+ */
+router.get('/duplicates', contactMergeController.getDuplicates);
+
+/**
+ * @route   POST /api/v1/contacts/merge
+ * @desc    Merge duplicate Contacts into a primary Contact
+ * @access  Private
+ */
+router.post('/merge', contactMergeController.mergeDuplicates);
+
+/**
+ * @route   GET /api/v1/contacts/merges
+ * @desc    List Contact Merges
+ * @access  Private
+ */
+router.get('/merges', contactMergeController.getMerges);
+
+/**
+ * @route   POST /api/v1/contacts/merges/:mergeId/undo
+ * @desc    Undo a Contact Merge
+ * @access  Private
+ */
+router.post('/merges/:mergeId/undo', contactMergeController.undoMergeById);
+
 /**
  * @route   GET /api/v1/contacts/:id
  * @desc    Get Single Contact with all related data
@@ -123,4 +198,11 @@ router.post(
  */
 router.delete('/:id/tags/:tagId', contactController.removeTagFromContact);
 
+/**
+ * @route   GET /api/v1/contacts/:id/enrollments
+ * @desc    Get Workflow Enrollments of Contact
+ * @access  Private
+ */
+router.get('/:id/enrollments', contactController.getContactEnrollments);
+
 module.exports = router;
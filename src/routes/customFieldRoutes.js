@@ -0,0 +1,41 @@
+const express = require('express');
+const customFieldController = require('../controllers/customFieldController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/custom-fields
+ * @desc    List Custom Field definitions
+ * @access  Private
+ */
+router.get('/', customFieldController.getCustomFields);
+
+/**
+ * @route   GET /api/v1/custom-fields/:id
+ * @desc    Get Single Custom Field definition
+ * @access  Private
+ */
+router.get('/:id', customFieldController.getCustomFieldById);
+
+/**
+ * @route   POST /api/v1/custom-fields
+ * @desc    Create Custom Field definition
+ * @access  Private
+ */
+router.post('/', customFieldController.createCustomField);
+
+/**
+ * @route   PUT /api/v1/custom-fields/:id
+ * @desc    Update Custom Field definition
+ * @access  Private
+ */
+router.put('/:id', customFieldController.updateCustomField);
+
+/**
+ * @route   DELETE /api/v1/custom-fields/:id
+ * @desc    Delete Custom Field definition and its contact values
+ * @access  Private
+ */
+router.delete('/:id', customFieldController.deleteCustomField);
+
+module.exports = router;
@@ -11,6 +11,13 @@ const router = express.Router();
  */
 router.get('/', dealController.getDeals);
 
+/**
+ * @route   GET /api/v1/deals/export
+ * @desc    Export Deals matching the list filters as CSV or JSON Lines
+ * @access  Private
+ */
+router.get('/export', dealController.exportDeals);
+
 /**
  * @route   GET /api/v1/deals/:id
  * @desc    Get a single deal by ID
@@ -0,0 +1,30 @@
+const express = require('express');
+const { rateLimit } = require('express-rate-limit');
+const formController = require('../controllers/formController');
+
+const router = express.Router();
+
+// Submissions per IP address and window, across all forms
+const submissionLimiter = rateLimit({
+  windowMs: Number(process.env.FORM_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  limit: Number(process.env.FORM_RATE_LIMIT_MAX) || 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many submissions, please try again later' },
+});
+
+/**
+ * @route   GET /api/v1/forms/:workflowId/:formId
+ * @desc    Get a hosted form's fields
+ * @access  Public
+ */
+router.get('/:workflowId/:formId', formController.getForm);
+
+/**
+ * @route   POST /api/v1/forms/:workflowId/:formId
+ * @desc    Submit a hosted form
+ * @access  Public
+ */
+router.post('/:workflowId/:formId', submissionLimiter, formController.submitHostedForm);
+
+module.exports = router;
@@ -15,6 +15,9 @@ router.get('/', templateController.getTemplates);
 // Get a single email template by ID
 router.get('/:id', templateController.getTemplateById);
 
+// Render an email template against a contact without sending it
+router.post('/:id/preview', templateController.previewTemplate);
+
 // Update an email template by ID
 router.put('/:id', templateController.updateTemplate);
 
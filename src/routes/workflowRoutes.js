@@ -9,6 +9,39 @@ router.get('/', auth, workflowController.getWorkflows);
 // POST /api/v1/workflows - Create a new workflow
 router.post('/', auth, workflowController.createWorkflow);
 
+// GET /api/v1/workflows/runs/:runId - Get a single workflow run with its steps
+router.get('/runs/:runId', auth, workflowController.getWorkflowRun);
+
+// GET /api/v1/workflows/dead-letters - List nodes that failed after exhausting their retries
+router.get('/dead-letters', auth, workflowController.getDeadLetters);
+
+// POST /api/v1/workflows/dead-letters/:deadLetterId/redrive - Execute a dead-lettered node again
+router.post('/dead-letters/:deadLetterId/redrive', auth, workflowController.redriveDeadLetter);
+
+// POST /api/v1/workflows/dead-letters/:deadLetterId/discard - Dismiss a dead letter
+router.post('/dead-letters/:deadLetterId/discard', auth, workflowController.discardDeadLetter);
+
+// POST /api/v1/workflows/enrollments/:enrollmentId/pause - Pause an enrollment
+router.post('/enrollments/:enrollmentId/pause', auth, workflowController.pauseEnrollment);
+
+// POST /api/v1/workflows/enrollments/:enrollmentId/resume - Resume a paused enrollment
+router.post('/enrollments/:enrollmentId/resume', auth, workflowController.resumeEnrollment);
+
+// POST /api/v1/workflows/enrollments/:enrollmentId/unenroll - Remove a contact from a workflow
+router.post('/enrollments/:enrollmentId/unenroll', auth, workflowController.unenrollEnrollment);
+
+// POST /api/v1/workflows/import - Import a workflow bundle
+router.post('/import', auth, workflowController.importWorkflow);
+
+// GET /api/v1/workflows/templates - List the built-in starter workflows
+router.get('/templates', auth, workflowController.getWorkflowTemplates);
+
+// GET /api/v1/workflows/templates/:templateId - Get a starter workflow with its definition
+router.get('/templates/:templateId', auth, workflowController.getWorkflowTemplate);
+
+// POST /api/v1/workflows/templates/:templateId/clone - Clone a starter workflow into the account
+router.post('/templates/:templateId/clone', auth, workflowController.cloneWorkflowTemplate);
+
 // GET /api/v1/workflows/:id - Get a single workflow
 router.get('/:id', auth, workflowController.getWorkflow);
 
@@ -21,4 +54,40 @@ router.delete('/:id', auth, workflowController.deleteWorkflow);
 // POST /api/v1/workflows/:id/run - Run a workflow
 router.post('/:id/run', auth, workflowController.runWorkflow);
 
+// POST /api/v1/workflows/:id/simulate - Dry-run a workflow without side effects
+router.post('/:id/simulate', auth, workflowController.simulateWorkflow);
+
+// GET /api/v1/workflows/:id/runs - Get the run history of a workflow
+router.get('/:id/runs', auth, workflowController.getWorkflowRuns);
+
+// GET /api/v1/workflows/:id/analytics - Per-node funnel, drop-off, timing and goal conversion
+router.get('/:id/analytics', auth, workflowController.getWorkflowAnalytics);
+
+// POST /api/v1/workflows/:id/enrollments - Enroll one or more contacts
+router.post('/:id/enrollments', auth, workflowController.enrollContacts);
+
+// GET /api/v1/workflows/:id/enrollments - List the enrollments of a workflow
+router.get('/:id/enrollments', auth, workflowController.getWorkflowEnrollments);
+
+// GET /api/v1/workflows/:id/export - Export the workflow as a portable bundle
+router.get('/:id/export', auth, workflowController.exportWorkflow);
+
+// GET /api/v1/workflows/:id/form-submissions - List submissions of the workflow's hosted forms
+router.get('/:id/form-submissions', auth, workflowController.getFormSubmissions);
+
+// POST /api/v1/workflows/:id/publish - Publish a saved version
+router.post('/:id/publish', auth, workflowController.publishWorkflow);
+
+// GET /api/v1/workflows/:id/versions - List the saved versions of a workflow
+router.get('/:id/versions', auth, workflowController.getWorkflowVersions);
+
+// GET /api/v1/workflows/:id/versions/diff - Diff two versions
+router.get('/:id/versions/diff', auth, workflowController.diffWorkflowVersions);
+
+// GET /api/v1/workflows/:id/versions/:version - Get a single version
+router.get('/:id/versions/:version', auth, workflowController.getWorkflowVersion);
+
+// POST /api/v1/workflows/:id/versions/:version/rollback - Roll back to a version
+router.post('/:id/versions/:version/rollback', auth, workflowController.rollbackWorkflow);
+
 module.exports = router;
@@ -3,228 +3,157 @@
  */
 
 const { prisma } = require('./db');
+const { EVENTS, subscribe } = require('./eventBus');
+const { loadContact } = require('./workflowContext');
+const { startRun } = require('./workflowRunService');
+const { enrollContact, checkGoals } = require('./enrollmentService');
 
 /**
- * Triggers an internal workflow based on an event
- * @param {string} eventName - The name of the event that triggered the workflow
- * @param {number} contactId - The ID of the contact associated with the event
+ * Returns the trigger nodes of a definition that an event should start
+ * @param {object} definition - Workflow definition
+ * @param {object} event - Event from the event bus
+ * @returns {Array<object>} - Matching trigger nodes
  */
-async function triggerWorkflow(eventName, contactId) {
+function getMatchingTriggers(definition, event) {
+  const nodes = Array.isArray(definition?.nodes) ? definition.nodes : [];
+
+  return nodes.filter(node => {
+    const data = node.data || {};
+    if (node.type !== 'trigger' || data.triggerType !== event.type) {
+      return false;
+    }
+
+    // Optional filters narrow a trigger to one tag, form, webhook source or stage
+    switch (event.type) {
+      case EVENTS.TAG_ADDED:
+        return !data.tagId || data.tagId === event.data.tagId;
+      case EVENTS.FORM_SUBMISSION:
+        return !data.formId || data.formId === event.data.formId;
+      case EVENTS.WEBHOOK_RECEIVED:
+        return !data.source || data.source === event.data.source;
+      case EVENTS.DEAL_STAGE_CHANGED:
+        return !data.stageId || data.stageId === event.data.stageId;
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Enrolls the event's contact into every active workflow of the owning user
+ * whose trigger matches the event. Workflows the contact is already in, or
+ * whose re-entry policy keeps it out, are skipped. Events without a contact
+ * start a plain run.
+ * @param {object} event - Event from the event bus
+ * @returns {Promise<Array<object>>} - Started runs
+ */
+async function enrollFromEvent(event) {
+  // Only published versions run; unpublished drafts never react to events
+  const workflows = await prisma.automationWorkflow.findMany({
+    where: {
+      userId: event.userId,
+      isActive: true,
+      publishedVersionId: { not: null }
+    },
+    include: { publishedVersion: true }
+  });
+
+  const matches = workflows
+    .map(workflow => ({ workflow, triggers: getMatchingTriggers(workflow.publishedVersion.definition, event) }))
+    .filter(match => match.triggers.length > 0);
+
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const contact = event.contactId ? await loadContact(event.contactId, event.userId) : null;
+  if (event.contactId && !contact) {
+    console.error(`[Automation Service] Contact ${event.contactId} for event '${event.type}' not found`);
+    return [];
+  }
+
+  const runs = [];
+  for (const { workflow, triggers } of matches) {
+    const params = {
+      workflow,
+      version: workflow.publishedVersion,
+      contact,
+      trigger: { type: event.type, ...event.data },
+      startNodeIds: triggers.map(node => node.id)
+    };
+
+    if (!contact) {
+      console.log(`[Automation Service] Event '${event.type}' starts workflow '${workflow.name}'`);
+      const { run } = await startRun(params);
+      runs.push(run);
+      continue;
+    }
+
+    const { run, skipped, reason } = await enrollContact(params);
+    if (skipped) {
+      console.log(`[Automation Service] Contact ${contact.id} not enrolled in workflow '${workflow.name}': ${reason}`);
+      continue;
+    }
+
+    console.log(`[Automation Service] Event '${event.type}' enrolled contact ${contact.id} in workflow '${workflow.name}'`);
+    runs.push(run);
+  }
+
+  return runs;
+}
+
+/**
+ * Triggers the automation workflows of a contact's owner for an event
+ * @param {string} eventName - Event type, matching a TriggerNode triggerType
+ * @param {string} contactId - The ID of the contact associated with the event
+ * @param {object} [payload] - Event payload made available to nodes as trigger.*
+ * @returns {Promise<object>} - { success, message, runs }
+ */
+async function triggerWorkflow(eventName, contactId, payload = {}) {
   console.log(`[Automation Service] Triggering workflow for event '${eventName}' on contact ID ${contactId}`);
   
   try {
-    // Find the contact to ensure it exists
     const contact = await prisma.contact.findUnique({
       where: { id: contactId },
-      include: {
-        deals: {
-          include: {
-            stage: true,
-            pipeline: true
-          }
-        },
-        user: true
-      }
+      select: { id: true, userId: true }
     });
     
     if (!contact) {
       console.error(`[Automation Service] Contact with ID ${contactId} not found`);
-      return { success: false, message: 'Contact not found' };
+      return { success: false, message: 'Contact not found', runs: [] };
     }
     
-    // Find active workflows that match this event type
-    const workflows = await prisma.workflow.findMany({
-      where: {
-        isActive: true,
-        triggers: {
-          some: {
-            eventType: eventName
-          }
-        }
-      },
-      include: {
-        triggers: true,
-        actions: true
-      }
+    const runs = await enrollFromEvent({
+      type: eventName,
+      userId: contact.userId,
+      contactId: contact.id,
+      data: payload
     });
     
-    console.log(`[Automation Service] Found ${workflows.length} active workflows for event '${eventName}'`);
-    
-    // Process each matching workflow
-    for (const workflow of workflows) {
-      try {
-        // Check if workflow conditions are met
-        const conditionsMet = await evaluateWorkflowConditions(workflow, contact);
-        
-        if (conditionsMet) {
-          console.log(`[Automation Service] Executing workflow '${workflow.name}' for contact ${contactId}`);
-          
-          // Execute workflow actions
-          const executionResult = await executeWorkflowActions(workflow, contact);
-          
-          // Log workflow execution
-          await prisma.activity.create({
-            data: {
-              type: 'workflow_executed',
-              note: `Workflow '${workflow.name}' executed successfully for event '${eventName}'`,
-              userId: contact.userId,
-              contactId: contact.id,
-              data: {
-                workflowId: workflow.id,
-                eventName,
-                executionResult
-              }
-            }
-          });
-          
-          console.log(`[Automation Service] Workflow '${workflow.name}' executed successfully`);
-        } else {
-          console.log(`[Automation Service] Workflow '${workflow.name}' conditions not met for contact ${contactId}`);
-        }
-      } catch (error) {
-        console.error(`[Automation Service] Error executing workflow '${workflow.name}':`, error);
-        
-        // Log workflow execution failure
-        await prisma.activity.create({
-          data: {
-            type: 'workflow_failed',
-            note: `Workflow '${workflow.name}' failed to execute for event '${eventName}': ${error.message}`,
-            userId: contact.userId,
-            contactId: contact.id,
-            data: {
-              workflowId: workflow.id,
-              eventName,
-              error: error.message
-            }
-          }
-        });
-      }
-    }
-    
-    return { success: true, message: `Processed ${workflows.length} workflows for event '${eventName}'` };
+    return {
+      success: true,
+      message: `Started ${runs.length} workflow run(s) for event '${eventName}'`,
+      runs
+    };
   } catch (error) {
     console.error('[Automation Service] Error triggering workflow:', error);
-    return { success: false, message: error.message };
-  }
-}
-
-/**
- * Evaluates workflow conditions for a contact
- * @param {object} workflow - The workflow object
- * @param {object} contact - The contact object
- * @returns {boolean} - True if conditions are met
- */
-async function evaluateWorkflowConditions(workflow, contact) {
-  // If no conditions are specified, the workflow should always run
-  if (!workflow.conditions || !workflow.conditions.conditions || workflow.conditions.conditions.length === 0) {
-    return true;
-  }
-  
-  // Simple condition evaluation - can be expanded for more complex logic
-  for (const condition of workflow.conditions.conditions) {
-    switch (condition.field) {
-      case 'deal_value':
-        const dealValue = contact.deals[0]?.value || 0;
-        if (condition.operator === 'greater_than' && dealValue <= condition.value) {
-          return false;
-        }
-        if (condition.operator === 'less_than' && dealValue >= condition.value) {
-          return false;
-        }
-        break;
-        
-      case 'deal_stage':
-        const dealStage = contact.deals[0]?.stage?.name;
-        if (condition.operator === 'equals' && dealStage !== condition.value) {
-          return false;
-        }
-        if (condition.operator === 'contains' && !dealStage?.includes(condition.value)) {
-          return false;
-        }
-        break;
-        
-      case 'contact_tag':
-        // This would require tags to be implemented in the contact model
-        break;
-    }
+    return { success: false, message: error.message, runs: [] };
   }
-  
-  return true;
 }
 
 /**
- * Executes workflow actions for a contact
- * @param {object} workflow - The workflow object
- * @param {object} contact - The contact object
- * @returns {object} - Execution result
+ * Subscribes workflow enrollment to every event that can start a workflow,
+ * and goal checks to every event that can change a contact
  */
-async function executeWorkflowActions(workflow, contact) {
-  const results = [];
-  
-  for (const action of workflow.actions) {
-    try {
-      switch (action.type) {
-        case 'send_email':
-          // This would integrate with an email service
-          console.log(`[Automation Service] Would send email to ${contact.email} with template ${action.templateId}`);
-          results.push({ actionType: 'send_email', status: 'simulated' });
-          break;
-          
-        case 'create_task':
-          // Create a task for the contact
-          const task = await prisma.task.create({
-            data: {
-              title: action.title || `Task for ${contact.firstName} ${contact.lastName}`,
-              description: action.description || '',
-              dueDate: action.dueDate ? new Date(action.dueDate) : null,
-              assignedTo: contact.userId,
-              contactId: contact.id
-            }
-          });
-          results.push({ actionType: 'create_task', status: 'success', taskId: task.id });
-          break;
-          
-        case 'add_tag':
-          // This would require tags to be implemented in the contact model
-          console.log(`[Automation Service] Would add tag '${action.tag}' to contact ${contact.id}`);
-          results.push({ actionType: 'add_tag', status: 'simulated', tag: action.tag });
-          break;
-          
-        case 'move_deal_stage':
-          if (contact.deals.length > 0) {
-            const deal = contact.deals[0];
-            const targetStage = await prisma.pipelineStage.findFirst({
-              where: {
-                name: action.targetStage,
-                pipelineId: deal.pipelineId
-              }
-            });
-            
-            if (targetStage) {
-              await prisma.deal.update({
-                where: { id: deal.id },
-                data: { stageId: targetStage.id }
-              });
-              results.push({ actionType: 'move_deal_stage', status: 'success', fromStage: deal.stage.name, toStage: targetStage.name });
-            } else {
-              results.push({ actionType: 'move_deal_stage', status: 'failed', error: 'Target stage not found' });
-            }
-          }
-          break;
-          
-        default:
-          console.log(`[Automation Service] Unknown action type: ${action.type}`);
-          results.push({ actionType: action.type, status: 'unknown' });
-      }
-    } catch (error) {
-      console.error(`[Automation Service] Error executing action ${action.type}:`, error);
-      results.push({ actionType: action.type, status: 'failed', error: error.message });
-    }
+function registerWorkflowTriggers() {
+  for (const type of Object.values(EVENTS)) {
+    subscribe(type, checkGoals);
+    subscribe(type, enrollFromEvent);
   }
-  
-  return { results };
 }
 
 module.exports = {
-  triggerWorkflow
+  triggerWorkflow,
+  enrollFromEvent,
+  registerWorkflowTriggers
 };
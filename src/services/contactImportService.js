@@ -0,0 +1,488 @@
+/**
+ * Service for importing contacts from CSV and XLSX files.
+ *
+ * Uploaded rows are stored on a ContactImport and imported in batches,
+ * recording progress after each batch. Small imports run within the upload
+ * request; larger ones are picked up by the import worker and polled for
+ * progress. Existing contacts are matched on email (ignoring case) or phone
+ * (by digits) and skipped, updated, or created anyway according to the
+ * import's dedupe strategy.
+ */
+
+const { prisma } = require('./db');
+const { EVENTS, publish } = require('./eventBus');
+const { writeContactFields, resolveTag } = require('./workflowActions');
+const { IMPORT_FIELDS, getMappingError, mapRow } = require('../utils/contactImport');
+const { normalizeEmail, normalizePhone } = require('../utils/contactMatching');
+const { listDefinitions, validateContactCustomFields, checkCustomFieldValues } = require('./customFieldService');
+
+const DEDUPE_KEYS = ['email', 'phone'];
+const DEDUPE_STRATEGIES = ['skip', 'update', 'create'];
+
+// Imports up to this many rows run within the upload request
+const INLINE_IMPORT_ROWS = 100;
+
+const BATCH_SIZE = 100;
+const MAX_ROW_ERRORS = 1000;
+const PREVIEW_ROWS = 10;
+
+/**
+ * Checks the mapping and dedupe settings of an import
+ * @param {object} params - { mapping, columns, dedupeKey, dedupeStrategy }
+ * @returns {string|null} - Error message, or null when the import can run
+ */
+function getImportOptionsError({ mapping, columns, dedupeKey, dedupeStrategy }) {
+  if (!DEDUPE_KEYS.includes(dedupeKey)) {
+    return `dedupeKey must be one of: ${DEDUPE_KEYS.join(', ')}`;
+  }
+  if (!DEDUPE_STRATEGIES.includes(dedupeStrategy)) {
+    return `dedupeStrategy must be one of: ${DEDUPE_STRATEGIES.join(', ')}`;
+  }
+
+  const mappingError = getMappingError(mapping, columns);
+  if (mappingError) {
+    return mappingError;
+  }
+
+  if (dedupeStrategy !== 'create' && !Object.values(mapping).includes(dedupeKey)) {
+    return `Map a column to ${dedupeKey} to deduplicate on it`;
+  }
+
+  return null;
+}
+
+/**
+ * Maps a row's cells and checks its custom field values against their definitions
+ * @param {object} cells - Cells by column header
+ * @param {object} mapping - Column header -> target
+ * @param {Array<object>} definitions - The importing user's CustomFieldDefinitions
+ * @returns {object} - { values, tags, errors } as from mapRow
+ */
+function mapAndCheckRow(cells, mapping, definitions) {
+  const { values, tags, errors } = mapRow(cells, mapping);
+  const checked = checkCustomFieldValues(definitions, values);
+
+  return {
+    values: checked.values,
+    tags,
+    errors: [...errors, ...checked.errors.map(error => error.message)]
+  };
+}
+
+/**
+ * Checks the custom field values of a row that creates a contact the way the
+ * contact API does: defined fields the row leaves empty get their default,
+ * and required fields must end up with a value
+ * @param {object} values - Mapped and checked row values
+ * @param {Array<object>} definitions - The importing user's CustomFieldDefinitions
+ * @returns {object} - { values, errors } with the defaults added to values
+ */
+function checkNewContactRow(values, definitions) {
+  const defined = new Set(definitions.map(definition => definition.name));
+  const input = Object.fromEntries(Object.entries(values)
+    .filter(([field]) => field.startsWith('custom.') && defined.has(field.slice('custom.'.length)))
+    .map(([field, value]) => [field.slice('custom.'.length), value]));
+
+  const checked = validateContactCustomFields(definitions, input, { creating: true });
+
+  return {
+    values: {
+      ...values,
+      ...Object.fromEntries(Object.entries(checked.values).map(([name, value]) => [`custom.${name}`, value]))
+    },
+    errors: checked.errors.map(error => error.message)
+  };
+}
+
+/**
+ * Normalizes a row's dedupe key value: emails are compared ignoring case and
+ * phone numbers by their digits
+ * @param {string} dedupeKey - email or phone
+ * @param {string} value - Mapped email or phone
+ * @returns {string|null} - Comparable key, or null when the row has none
+ */
+function toDedupeKey(dedupeKey, value) {
+  return dedupeKey === 'email' ? normalizeEmail(value) : normalizePhone(value);
+}
+
+/**
+ * Finds a user's contacts whose phone number has the same digits as one of
+ * the given keys, oldest first
+ * @param {string} userId - Importing user
+ * @param {Array<string>} keys - Phone keys from toDedupeKey
+ * @returns {Promise<Array<object>>} - { id, phone } of the matching contacts
+ */
+function findContactsByPhone(userId, keys) {
+  // Stored numbers may carry the leading 1 that normalizePhone drops
+  const digits = keys.flatMap(key => (key.length === 10 ? [key, `1${key}`] : [key]));
+
+  return prisma.$queryRaw`
+    SELECT "id", "phone" FROM "contacts"
+    WHERE "userId" = ${userId}
+      AND regexp_replace("phone", '[^0-9]', '', 'g') = ANY(${digits})
+    ORDER BY "createdAt" ASC
+  `;
+}
+
+/**
+ * Finds which dedupe keys already belong to a user's contacts
+ * @param {string} userId - Importing user
+ * @param {string} dedupeKey - email or phone
+ * @param {Array<string>} keys - Keys from toDedupeKey
+ * @returns {Promise<Set<string>>} - Keys with an existing contact
+ */
+async function findExistingKeys(userId, dedupeKey, keys) {
+  const existing = new Set();
+  const unique = [...new Set(keys)];
+
+  for (let start = 0; start < unique.length; start += 1000) {
+    const chunk = unique.slice(start, start + 1000);
+    const contacts = dedupeKey === 'email'
+      ? await prisma.contact.findMany({
+        where: { userId, email: { in: chunk, mode: 'insensitive' } },
+        select: { email: true }
+      })
+      : await findContactsByPhone(userId, chunk);
+    contacts.forEach(contact => existing.add(toDedupeKey(dedupeKey, contact[dedupeKey])));
+  }
+
+  return existing;
+}
+
+/**
+ * Finds the user's oldest contact with a dedupe key
+ * @param {string} userId - Importing user
+ * @param {string} dedupeKey - email or phone
+ * @param {string} key - Key from toDedupeKey
+ * @returns {Promise<object|null>} - Contact with its custom fields and tags
+ */
+async function findExistingContact(userId, dedupeKey, key) {
+  const include = { customFields: true, tags: true };
+
+  if (dedupeKey === 'email') {
+    return prisma.contact.findFirst({
+      where: { userId, email: { equals: key, mode: 'insensitive' } },
+      orderBy: { createdAt: 'asc' },
+      include
+    });
+  }
+
+  const [match] = await findContactsByPhone(userId, [key]);
+  return match ? prisma.contact.findUnique({ where: { id: match.id }, include }) : null;
+}
+
+/**
+ * Works out what an import would do without writing anything
+ * @param {object} params - Import parameters
+ * @param {string} params.userId - Importing user
+ * @param {Array<object>} params.rows - Parsed rows ({ row, cells })
+ * @param {object} params.mapping - Column header -> target
+ * @param {string} params.dedupeKey - email or phone
+ * @param {string} params.dedupeStrategy - skip, update or create
+ * @returns {Promise<object>} - { totalRows, summary, rowErrors, preview }
+ */
+async function previewImport({ userId, rows, mapping, dedupeKey, dedupeStrategy }) {
+  // New contacts get definition defaults and required checks even without custom columns
+  const definitions = await listDefinitions(userId);
+  const mapped = rows.map(({ row, cells }) => ({ row, ...mapAndCheckRow(cells, mapping, definitions) }));
+
+  const existing = dedupeStrategy === 'create'
+    ? new Set()
+    : await findExistingKeys(userId, dedupeKey, mapped
+      .filter(({ errors }) => errors.length === 0)
+      .map(({ values }) => toDedupeKey(dedupeKey, values[dedupeKey]))
+      .filter(Boolean));
+
+  // Rows repeating a key earlier in the file match the contact that row creates
+  const seen = new Set();
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  const rowErrors = [];
+
+  const results = mapped.map(({ row, values, tags, errors }) => {
+    if (errors.length > 0) {
+      summary.failed += 1;
+      rowErrors.push({ row, errors });
+      return { row, action: null, values, tags, errors };
+    }
+
+    const key = toDedupeKey(dedupeKey, values[dedupeKey]);
+    const matches = dedupeStrategy !== 'create' && key && (existing.has(key) || seen.has(key));
+
+    let action = 'create';
+    if (matches) {
+      action = dedupeStrategy === 'update' ? 'update' : 'skip';
+    }
+
+    let rowValues = values;
+    if (action === 'create') {
+      const checked = checkNewContactRow(values, definitions);
+      if (checked.errors.length > 0) {
+        summary.failed += 1;
+        rowErrors.push({ row, errors: checked.errors });
+        return { row, action: null, values, tags, errors: checked.errors };
+      }
+      rowValues = checked.values;
+    }
+
+    if (key) {
+      seen.add(key);
+    }
+    summary[{ create: 'created', update: 'updated', skip: 'skipped' }[action]] += 1;
+
+    return { row, action, values: rowValues, tags, errors };
+  });
+
+  return {
+    totalRows: rows.length,
+    summary,
+    rowErrors,
+    preview: results.slice(0, PREVIEW_ROWS)
+  };
+}
+
+/**
+ * Adds tags to a contact by name, creating tags that don't exist yet
+ * @param {object} contact - Contact with tags included
+ * @param {Array<string>} names - Tag names
+ * @param {Map} tagCache - Tags resolved so far in the import, by name
+ * @returns {Promise<Array<object>>} - Tags the contact did not have before
+ */
+async function addTags(contact, names, tagCache) {
+  const added = [];
+
+  for (const name of names) {
+    if (!tagCache.has(name)) {
+      tagCache.set(name, await resolveTag({ tagName: name }));
+    }
+    const tag = tagCache.get(name);
+
+    if ((contact.tags || []).some(entry => entry.tagId === tag.id)) {
+      continue;
+    }
+
+    await prisma.contactTag.create({
+      data: {
+        contactId: contact.id,
+        tagId: tag.id
+      }
+    });
+    added.push(tag);
+  }
+
+  return added;
+}
+
+/**
+ * Imports one row
+ * @param {object} contactImport - ContactImport being processed
+ * @param {object} row - Parsed row ({ row, cells })
+ * @param {Map} tagCache - Tags resolved so far in the import, by name
+ * @param {Array<object>} definitions - The importing user's CustomFieldDefinitions
+ * @returns {Promise<object>} - { result, errors } where result is created,
+ * updated, skipped or failed
+ */
+async function importRow(contactImport, { cells }, tagCache, definitions) {
+  const { id: importId, userId, mapping, dedupeKey, dedupeStrategy } = contactImport;
+  const { values, tags, errors } = mapAndCheckRow(cells, mapping, definitions);
+
+  if (errors.length > 0) {
+    return { result: 'failed', errors };
+  }
+
+  const key = toDedupeKey(dedupeKey, values[dedupeKey]);
+  let contact = dedupeStrategy !== 'create' && key
+    ? await findExistingContact(userId, dedupeKey, key)
+    : null;
+
+  if (contact && dedupeStrategy === 'skip') {
+    return { result: 'skipped' };
+  }
+
+  const created = !contact;
+  try {
+    if (created) {
+      const checked = checkNewContactRow(values, definitions);
+      if (checked.errors.length > 0) {
+        return { result: 'failed', errors: checked.errors };
+      }
+
+      const columns = Object.fromEntries(Object.entries(checked.values).filter(([field]) => IMPORT_FIELDS.includes(field)));
+      const others = Object.fromEntries(Object.entries(checked.values).filter(([field]) => !IMPORT_FIELDS.includes(field)));
+
+      contact = await prisma.contact.create({
+        data: { userId, ...columns },
+        include: { customFields: true, tags: true }
+      });
+      await writeContactFields(contact, others, { definitions });
+    } else {
+      await writeContactFields(contact, values, { definitions });
+    }
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { result: 'failed', errors: [`Another contact already uses ${values.email || values.phone}`] };
+    }
+    throw error;
+  }
+
+  const addedTags = await addTags(contact, tags, tagCache);
+
+  publish(created ? EVENTS.CONTACT_CREATED : EVENTS.CONTACT_UPDATED, {
+    userId,
+    contactId: contact.id,
+    data: { source: 'import', importId, ...(!created && { fields: Object.keys(values) }) }
+  });
+  for (const tag of addedTags) {
+    publish(EVENTS.TAG_ADDED, {
+      userId,
+      contactId: contact.id,
+      data: { tagId: tag.id, tagName: tag.name }
+    });
+  }
+
+  return { result: created ? 'created' : 'updated' };
+}
+
+/**
+ * Imports the remaining rows of a claimed import, batch by batch. A worker
+ * that picks up an interrupted import continues after the last recorded batch.
+ * @param {string} importId - ContactImport ID, with status processing
+ * @returns {Promise<object|null>} - Finished ContactImport without its rows, or
+ * null when the import is not being processed
+ */
+async function processImport(importId) {
+  const contactImport = await prisma.contactImport.findUnique({ where: { id: importId } });
+  if (!contactImport || contactImport.status !== 'processing') {
+    return null;
+  }
+
+  const { rows } = contactImport;
+  const counts = {
+    createdCount: contactImport.createdCount,
+    updatedCount: contactImport.updatedCount,
+    skippedCount: contactImport.skippedCount,
+    failedCount: contactImport.failedCount
+  };
+  const rowErrors = contactImport.rowErrors || [];
+  const tagCache = new Map();
+  const definitions = await listDefinitions(contactImport.userId);
+
+  try {
+    for (let start = contactImport.processedRows; start < rows.length; start += BATCH_SIZE) {
+      for (const row of rows.slice(start, start + BATCH_SIZE)) {
+        const { result, errors } = await importRow(contactImport, row, tagCache, definitions);
+        counts[`${result}Count`] += 1;
+        if (errors && rowErrors.length < MAX_ROW_ERRORS) {
+          rowErrors.push({ row: row.row, errors });
+        }
+      }
+
+      await prisma.contactImport.update({
+        where: { id: importId },
+        data: {
+          ...counts,
+          processedRows: Math.min(start + BATCH_SIZE, rows.length),
+          rowErrors,
+          lockedAt: new Date()
+        }
+      });
+    }
+
+    const finished = await prisma.contactImport.update({
+      where: { id: importId },
+      data: { status: 'completed', rows: [], lockedAt: null, finishedAt: new Date() },
+      omit: { rows: true }
+    });
+    console.log(`[Contact Import] Import ${importId} finished: ${counts.createdCount} created, ${counts.updatedCount} updated, ${counts.skippedCount} skipped, ${counts.failedCount} failed`);
+    return finished;
+  } catch (error) {
+    console.error(`[Contact Import] Import ${importId} failed:`, error);
+    return prisma.contactImport.update({
+      where: { id: importId },
+      data: { status: 'failed', error: error.message, lockedAt: null, finishedAt: new Date() },
+      omit: { rows: true }
+    });
+  }
+}
+
+/**
+ * Stores an import and runs it right away when it is small; larger imports
+ * are left pending for the import worker
+ * @param {object} params - Import parameters
+ * @param {string} params.userId - Importing user
+ * @param {string} params.fileName - Uploaded file name
+ * @param {Array<object>} params.rows - Parsed rows ({ row, cells })
+ * @param {object} params.mapping - Column header -> target
+ * @param {string} params.dedupeKey - email or phone
+ * @param {string} params.dedupeStrategy - skip, update or create
+ * @returns {Promise<object>} - ContactImport without its rows
+ */
+async function startImport({ userId, fileName, rows, mapping, dedupeKey, dedupeStrategy }) {
+  const inline = rows.length <= INLINE_IMPORT_ROWS;
+  const now = new Date();
+
+  const contactImport = await prisma.contactImport.create({
+    data: {
+      userId,
+      fileName,
+      mapping,
+      dedupeKey,
+      dedupeStrategy,
+      rows,
+      totalRows: rows.length,
+      // Claimed by this request, so the worker leaves it alone
+      ...(inline && { status: 'processing', lockedAt: now, startedAt: now })
+    },
+    omit: { rows: true }
+  });
+
+  return inline ? processImport(contactImport.id) : contactImport;
+}
+
+/**
+ * Lists a user's imports, newest first
+ * @param {object} params - Query parameters
+ * @param {string} params.userId - Importing user
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<object>} - { imports, total }
+ */
+async function listImports({ userId, page = 1, limit = 20 }) {
+  const where = { userId };
+
+  const [imports, total] = await Promise.all([
+    prisma.contactImport.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      omit: { rows: true, rowErrors: true }
+    }),
+    prisma.contactImport.count({ where })
+  ]);
+
+  return { imports, total };
+}
+
+/**
+ * Gets one of a user's imports with its progress and row errors
+ * @param {string} userId - Importing user
+ * @param {string} importId - ContactImport ID
+ * @returns {Promise<object|null>} - ContactImport without its rows
+ */
+function getImport(userId, importId) {
+  return prisma.contactImport.findFirst({
+    where: { id: importId, userId },
+    omit: { rows: true }
+  });
+}
+
+module.exports = {
+  DEDUPE_KEYS,
+  DEDUPE_STRATEGIES,
+  getImportOptionsError,
+  previewImport,
+  startImport,
+  processImport,
+  listImports,
+  getImport
+};
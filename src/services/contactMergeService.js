@@ -0,0 +1,573 @@
+/**
+ * Service for finding and merging duplicate contacts.
+ *
+ * Duplicates are found by scoring pairs of a user's contacts that share an
+ * email, phone number or similar name. Merging folds duplicates into a primary
+ * contact: empty fields are filled in, and deals, activities, form
+ * submissions, workflow runs, enrollments, tags and custom fields move over
+ * before the duplicates are deleted. Each merge keeps a snapshot of what it
+ * changed, so it can be undone.
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('./db');
+const { EVENTS, publish } = require('./eventBus');
+const { activeKeyFor, unenroll } = require('./enrollmentService');
+const { toMatchKeys, scoreDuplicate } = require('../utils/contactMatching');
+
+const MERGE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'company'];
+
+const MAX_DUPLICATES_PER_MERGE = 10;
+
+// Name blocks larger than this (very common names) are not compared pairwise;
+// their contacts are still compared through shared emails and phone numbers
+const MAX_BLOCK_SIZE = 100;
+
+const SCAN_PAGE_SIZE = 1000;
+
+// Records that belong to a contact and move to the primary on merge
+const MOVED_RELATIONS = {
+  deals: 'deal',
+  activities: 'activity',
+  formSubmissions: 'formSubmission',
+  workflowRuns: 'workflowRun'
+};
+
+const MERGE_TRANSACTION_OPTIONS = { timeout: 30000 };
+
+/**
+ * Loads all of a user's contacts with the fields duplicate scoring compares
+ * @param {string} userId - Owner of the contacts
+ * @returns {Promise<Array<object>>} - Contacts
+ */
+async function loadContacts(userId) {
+  const contacts = [];
+  let cursor;
+
+  for (;;) {
+    const page = await prisma.contact.findMany({
+      where: cursor ? { userId, id: { gt: cursor } } : { userId },
+      select: { id: true, firstName: true, lastName: true, email: true, phone: true, company: true, createdAt: true },
+      orderBy: { id: 'asc' },
+      take: SCAN_PAGE_SIZE
+    });
+
+    contacts.push(...page);
+
+    if (page.length < SCAN_PAGE_SIZE) {
+      return contacts;
+    }
+    cursor = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Finds groups of a user's contacts that are likely the same person. Pairs
+ * scoring at least minScore are linked, and linked contacts form a group.
+ * @param {string} userId - Owner of the contacts
+ * @param {object} [options] - Search options
+ * @param {number} [options.minScore] - Lowest pair score to report, 1-100
+ * @param {number} [options.limit] - Most groups to return
+ * @returns {Promise<object>} - { groups, total } where each group is
+ * { score, reasons, suggestedPrimaryId, contacts }, highest scores first
+ */
+async function findDuplicates(userId, { minScore = 50, limit = 50 } = {}) {
+  const contacts = await loadContacts(userId);
+  const keys = contacts.map(toMatchKeys);
+
+  // Only contacts sharing an email, phone or name key are compared
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) {
+      blocks.set(key, []);
+    }
+    blocks.get(key).push(index);
+  };
+  keys.forEach((contactKeys, index) => {
+    if (contactKeys.email) {
+      addToBlock(`email:${contactKeys.email}`, index);
+    }
+    if (contactKeys.phone) {
+      addToBlock(`phone:${contactKeys.phone}`, index);
+    }
+    contactKeys.nameKeys.forEach(nameKey => addToBlock(`name:${nameKey}`, index));
+  });
+
+  const parents = contacts.map((_, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  const compared = new Set();
+  const matches = [];
+  for (const [key, members] of blocks) {
+    if (members.length < 2 || (key.startsWith('name:') && members.length > MAX_BLOCK_SIZE)) {
+      continue;
+    }
+
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pair = `${members[i]}:${members[j]}`;
+        if (compared.has(pair)) {
+          continue;
+        }
+        compared.add(pair);
+
+        const { score, reasons } = scoreDuplicate(keys[members[i]], keys[members[j]]);
+        if (score >= minScore) {
+          matches.push({ a: members[i], b: members[j], score, reasons });
+          parents[find(members[i])] = find(members[j]);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const { a, b, score, reasons } of matches) {
+    const root = find(a);
+    if (!groups.has(root)) {
+      groups.set(root, { score: 0, reasons: new Set(), members: new Set() });
+    }
+    const group = groups.get(root);
+    group.score = Math.max(group.score, score);
+    reasons.forEach(reason => group.reasons.add(reason));
+    group.members.add(a).add(b);
+  }
+
+  const results = [...groups.values()]
+    .map(group => {
+      // Oldest first: the original record is the suggested primary
+      const members = [...group.members]
+        .map(index => contacts[index])
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      return {
+        score: group.score,
+        reasons: [...group.reasons],
+        suggestedPrimaryId: members[0].id,
+        contacts: members
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.contacts.length - a.contacts.length);
+
+  return { groups: results.slice(0, limit), total: results.length };
+}
+
+/**
+ * Checks the body of a merge request
+ * @param {object} params - { primaryId, duplicateIds, fields }
+ * @returns {string|null} - Error message, or null when the merge can run
+ */
+function getMergeError({ primaryId, duplicateIds, fields }) {
+  if (!primaryId || typeof primaryId !== 'string') {
+    return 'primaryId is required';
+  }
+  if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 || duplicateIds.some(id => typeof id !== 'string')) {
+    return 'duplicateIds must be a non-empty array of contact IDs';
+  }
+  if (duplicateIds.length > MAX_DUPLICATES_PER_MERGE) {
+    return `At most ${MAX_DUPLICATES_PER_MERGE} contacts can be merged at once`;
+  }
+  if (new Set(duplicateIds).size !== duplicateIds.length || duplicateIds.includes(primaryId)) {
+    return 'duplicateIds must be distinct and must not include primaryId';
+  }
+
+  if (fields !== undefined) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return 'fields must be an object of field -> contact ID';
+    }
+    for (const [field, contactId] of Object.entries(fields)) {
+      if (!MERGE_FIELDS.includes(field)) {
+        return `fields can only choose: ${MERGE_FIELDS.join(', ')}`;
+      }
+      if (contactId !== primaryId && !duplicateIds.includes(contactId)) {
+        return `fields.${field} must be one of the merged contacts`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Loads the contacts of a merge with their tags and custom fields
+ * @param {string} userId - Owner of the contacts
+ * @param {Array<string>} contactIds - Primary and duplicate IDs
+ * @returns {Promise<Array<object>>} - Contacts that exist and belong to the user
+ */
+function getMergeContacts(userId, contactIds) {
+  return prisma.contact.findMany({
+    where: { userId, id: { in: contactIds } },
+    include: { tags: true, customFields: true }
+  });
+}
+
+/**
+ * Works out the primary's fields after a merge. Fields chosen in `fields`
+ * come from that contact; the rest keep the primary's value, or take the
+ * first duplicate's value when the primary's is empty.
+ * @param {object} primary - Primary contact
+ * @param {Array<object>} duplicates - Duplicate contacts, in merge order
+ * @param {object} fields - Field -> ID of the contact to take it from
+ * @returns {object} - Contact fields and data
+ */
+function resolveMergedFields(primary, duplicates, fields) {
+  const contacts = [primary, ...duplicates];
+  const merged = {};
+
+  for (const field of MERGE_FIELDS) {
+    if (fields[field]) {
+      merged[field] = contacts.find(contact => contact.id === fields[field])[field];
+    } else {
+      merged[field] = contacts.map(contact => contact[field]).find(value => value) || primary[field];
+    }
+  }
+
+  // Data keys merge too, earlier contacts winning
+  const data = Object.assign({}, ...contacts.map(contact => contact.data || {}).reverse());
+  if (Object.keys(data).length > 0) {
+    merged.data = data;
+  }
+
+  return merged;
+}
+
+/**
+ * Keeps the columns of a contact for its snapshot
+ * @param {object} contact - Contact
+ * @returns {object} - Contact columns
+ */
+function toContactSnapshot(contact) {
+  return {
+    id: contact.id,
+    firstName: contact.firstName,
+    lastName: contact.lastName,
+    email: contact.email,
+    phone: contact.phone,
+    company: contact.company,
+    data: contact.data,
+    createdAt: contact.createdAt
+  };
+}
+
+/**
+ * Merges duplicates into a primary contact and records the merge
+ * @param {object} params - Merge parameters
+ * @param {string} params.userId - Owner of the contacts
+ * @param {object} params.primary - Contact to keep, with tags and customFields
+ * @param {Array<object>} params.duplicates - Contacts to fold in and delete, with tags and customFields
+ * @param {object} [params.fields] - Field -> ID of the contact to take it from
+ * @returns {Promise<object>} - { merge, contact } with the ContactMerge and the merged contact
+ */
+async function mergeContacts({ userId, primary, duplicates, fields = {} }) {
+  const duplicateIds = duplicates.map(duplicate => duplicate.id);
+
+  const result = await prisma.$transaction(async (tx) => {
+    const moved = {};
+
+    for (const [relation, model] of Object.entries(MOVED_RELATIONS)) {
+      const records = await tx[model].findMany({
+        where: { contactId: { in: duplicateIds } },
+        select: { id: true, contactId: true }
+      });
+      await tx[model].updateMany({
+        where: { id: { in: records.map(record => record.id) } },
+        data: { contactId: primary.id }
+      });
+      moved[relation] = records;
+    }
+
+    // A contact is in a workflow once at a time: a duplicate's enrollment in a
+    // workflow the primary is already in ends, the others carry on as the primary's
+    const enrollments = await tx.workflowEnrollment.findMany({
+      where: { contactId: { in: [primary.id, ...duplicateIds] } },
+      select: { id: true, contactId: true, workflowId: true, activeKey: true },
+      orderBy: { enrolledAt: 'asc' }
+    });
+    const activeWorkflows = new Set(enrollments
+      .filter(enrollment => enrollment.contactId === primary.id && enrollment.activeKey)
+      .map(enrollment => enrollment.workflowId));
+
+    moved.workflowEnrollments = [];
+    for (const enrollment of enrollments.filter(({ contactId }) => contactId !== primary.id)) {
+      let activeKey = null;
+      if (enrollment.activeKey) {
+        if (activeWorkflows.has(enrollment.workflowId)) {
+          await unenroll(enrollment, tx);
+        } else {
+          activeKey = activeKeyFor(enrollment.workflowId, primary.id);
+          activeWorkflows.add(enrollment.workflowId);
+        }
+      }
+
+      await tx.workflowEnrollment.update({
+        where: { id: enrollment.id },
+        data: { contactId: primary.id, activeKey }
+      });
+      moved.workflowEnrollments.push({ id: enrollment.id, contactId: enrollment.contactId, activeKey: enrollment.activeKey });
+    }
+
+    const tagIds = new Set(primary.tags.map(tag => tag.tagId));
+    const addedTagIds = [];
+    for (const { tagId } of duplicates.flatMap(duplicate => duplicate.tags)) {
+      if (!tagIds.has(tagId)) {
+        await tx.contactTag.create({ data: { contactId: primary.id, tagId } });
+        tagIds.add(tagId);
+        addedTagIds.push(tagId);
+      }
+    }
+
+    // Custom fields the primary lacks move over; the others go with the duplicates
+    const fieldNames = new Set(primary.customFields.map(field => field.name));
+    moved.customFields = [];
+    for (const field of duplicates.flatMap(duplicate => duplicate.customFields)) {
+      if (!fieldNames.has(field.name)) {
+        await tx.customField.update({ where: { id: field.id }, data: { contactId: primary.id } });
+        fieldNames.add(field.name);
+        moved.customFields.push({ id: field.id, contactId: field.contactId });
+      }
+    }
+
+    // Deleted first, so the primary can take over a duplicate's email
+    await tx.contact.deleteMany({ where: { id: { in: duplicateIds } } });
+
+    const contact = await tx.contact.update({
+      where: { id: primary.id },
+      data: resolveMergedFields(primary, duplicates, fields),
+      include: {
+        tags: { include: { tag: true } },
+        customFields: true
+      }
+    });
+
+    const merge = await tx.contactMerge.create({
+      data: {
+        userId,
+        primaryId: primary.id,
+        duplicateIds,
+        snapshot: {
+          primary: toContactSnapshot(primary),
+          duplicates: duplicates.map(duplicate => ({
+            contact: toContactSnapshot(duplicate),
+            tagIds: duplicate.tags.map(tag => tag.tagId),
+            customFields: duplicate.customFields.map(field => ({
+              id: field.id,
+              name: field.name,
+              type: field.type,
+              data: field.data,
+              definitionId: field.definitionId,
+              createdAt: field.createdAt
+            }))
+          })),
+          moved,
+          addedTagIds
+        }
+      }
+    });
+
+    await tx.activity.create({
+      data: {
+        type: 'contacts_merged',
+        note: `Merged ${duplicateIds.length} duplicate contact${duplicateIds.length === 1 ? '' : 's'}`,
+        userId,
+        contactId: primary.id,
+        data: { mergeId: merge.id, duplicateIds }
+      }
+    });
+
+    return { merge, contact };
+  }, MERGE_TRANSACTION_OPTIONS);
+
+  console.log(`[Contact Merge] Merged ${duplicateIds.join(', ')} into ${primary.id}`);
+  publish(EVENTS.CONTACT_UPDATED, {
+    userId,
+    contactId: primary.id,
+    data: { source: 'merge', mergeId: result.merge.id, fields: MERGE_FIELDS }
+  });
+
+  return result;
+}
+
+/**
+ * Groups snapshot records by the contact they belonged to
+ * @param {Array<object>} records - { id, contactId } records
+ * @returns {Map<string, Array<string>>} - Contact ID -> record IDs
+ */
+function groupByContact(records) {
+  const groups = new Map();
+  for (const { id, contactId } of records) {
+    if (!groups.has(contactId)) {
+      groups.set(contactId, []);
+    }
+    groups.get(contactId).push(id);
+  }
+  return groups;
+}
+
+/**
+ * Undoes a merge: the duplicates are recreated with their IDs, tags and
+ * custom fields, the records that moved go back, and the primary gets its
+ * fields back. Enrollments the merge ended stay ended, and records created
+ * on the primary after the merge stay with it. Custom field values follow
+ * their definition's current name, and are dropped with it when the
+ * definition was deleted since.
+ * @param {object} merge - ContactMerge with status merged
+ * @returns {Promise<object>} - { merge } with the undone ContactMerge, or
+ * { error } when the merge can no longer be undone
+ */
+async function undoMerge(merge) {
+  const { primary, duplicates, moved, addedTagIds } = merge.snapshot;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const current = await tx.contact.findUnique({ where: { id: merge.primaryId }, select: { id: true } });
+    if (!current) {
+      return { error: 'The merged contact has been deleted' };
+    }
+
+    // The primary gives back a duplicate's email before that duplicate is recreated
+    await tx.contact.update({
+      where: { id: primary.id },
+      data: {
+        firstName: primary.firstName,
+        lastName: primary.lastName,
+        email: primary.email,
+        phone: primary.phone,
+        company: primary.company,
+        data: primary.data ?? Prisma.DbNull
+      }
+    });
+
+    const definitionIds = duplicates.flatMap(({ customFields }) => customFields.map(field => field.definitionId).filter(Boolean));
+    const definitions = await tx.customFieldDefinition.findMany({
+      where: { id: { in: [...new Set(definitionIds)] } },
+      select: { id: true, name: true }
+    });
+    const definitionNames = new Map(definitions.map(definition => [definition.id, definition.name]));
+
+    const movedFieldIds = new Set(moved.customFields.map(field => field.id));
+    for (const { contact, tagIds, customFields } of duplicates) {
+      await tx.contact.create({ data: { ...contact, data: contact.data ?? undefined, userId: merge.userId } });
+      await tx.contactTag.createMany({
+        data: tagIds.map(tagId => ({ contactId: contact.id, tagId }))
+      });
+      await tx.customField.createMany({
+        data: customFields
+          .filter(field => !movedFieldIds.has(field.id))
+          .filter(field => !field.definitionId || definitionNames.has(field.definitionId))
+          .map(field => ({
+            ...field,
+            ...(field.definitionId && { name: definitionNames.get(field.definitionId) }),
+            data: field.data ?? undefined,
+            contactId: contact.id
+          }))
+      });
+    }
+
+    for (const [relation, model] of Object.entries({ ...MOVED_RELATIONS, customFields: 'customField' })) {
+      for (const [contactId, ids] of groupByContact(moved[relation])) {
+        await tx[model].updateMany({
+          where: { id: { in: ids } },
+          data: { contactId }
+        });
+      }
+    }
+
+    for (const enrollment of moved.workflowEnrollments) {
+      const { status } = await tx.workflowEnrollment.findUnique({
+        where: { id: enrollment.id },
+        select: { status: true }
+      });
+      const stillActive = enrollment.activeKey && ['active', 'paused'].includes(status);
+
+      await tx.workflowEnrollment.update({
+        where: { id: enrollment.id },
+        data: { contactId: enrollment.contactId, activeKey: stillActive ? enrollment.activeKey : null }
+      });
+    }
+
+    await tx.contactTag.deleteMany({
+      where: { contactId: primary.id, tagId: { in: addedTagIds } }
+    });
+
+    const undone = await tx.contactMerge.update({
+      where: { id: merge.id },
+      data: { status: 'undone', undoneAt: new Date() }
+    });
+
+    await tx.activity.create({
+      data: {
+        type: 'contacts_unmerged',
+        note: `Undid merge of ${merge.duplicateIds.length} duplicate contact${merge.duplicateIds.length === 1 ? '' : 's'}`,
+        userId: merge.userId,
+        contactId: primary.id,
+        data: { mergeId: merge.id, duplicateIds: merge.duplicateIds }
+      }
+    });
+
+    return { merge: undone };
+  }, MERGE_TRANSACTION_OPTIONS);
+
+  if (result.merge) {
+    console.log(`[Contact Merge] Undid merge ${merge.id} of ${merge.duplicateIds.join(', ')}`);
+    publish(EVENTS.CONTACT_UPDATED, {
+      userId: merge.userId,
+      contactId: merge.primaryId,
+      data: { source: 'merge_undo', mergeId: merge.id, fields: MERGE_FIELDS }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Lists a user's merges, newest first
+ * @param {object} params - Query parameters
+ * @param {string} params.userId - Owner of the contacts
+ * @param {string} [params.contactId] - Only merges into this contact
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<object>} - { merges, total }
+ */
+async function listMerges({ userId, contactId, page = 1, limit = 20 }) {
+  const where = { userId, ...(contactId && { primaryId: contactId }) };
+
+  const [merges, total] = await Promise.all([
+    prisma.contactMerge.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      omit: { snapshot: true }
+    }),
+    prisma.contactMerge.count({ where })
+  ]);
+
+  return { merges, total };
+}
+
+/**
+ * Gets one of a user's merges
+ * @param {string} userId - Owner of the contacts
+ * @param {string} mergeId - ContactMerge ID
+ * @returns {Promise<object|null>} - ContactMerge
+ */
+function getMerge(userId, mergeId) {
+  return prisma.contactMerge.findFirst({
+    where: { id: mergeId, userId }
+  });
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  findDuplicates,
+  getMergeError,
+  getMergeContacts,
+  mergeContacts,
+  undoMerge,
+  listMerges,
+  getMerge
+};
@@ -0,0 +1,526 @@
+/**
+ * Service for typed custom field definitions and the contact values they hold.
+ *
+ * A user defines custom fields once (type, required flag, options and a
+ * default); contacts store a value per definition as a CustomField row with
+ * data.value, where templates, exports and workflows already read it. Values
+ * are validated and normalized against their definition before they are saved,
+ * and contacts can be filtered and sorted by them.
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('./db');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'dropdown', 'multi_select', 'url', 'phone'];
+
+// Types whose values must be among the definition's options
+const OPTION_TYPES = ['dropdown', 'multi_select'];
+
+// Names are used as keys in contact payloads, custom.<name> filters and {{custom.<name>}} merge tags
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+const MAX_TEXT_LENGTH = 1000;
+const MAX_OPTIONS = 100;
+
+// Comparison operators of custom.<name>[op]= filters, by field type
+const FILTER_OPERATORS = {
+  text: ['eq', 'contains'],
+  number: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  dropdown: ['eq'],
+  multi_select: ['eq'],
+  url: ['eq', 'contains'],
+  phone: ['eq', 'contains']
+};
+
+/**
+ * Checks whether a value counts as empty, clearing the field
+ * @param {*} value - Value
+ * @returns {boolean} - True for null, undefined, '' and []
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Validates a value against a definition and normalizes it for storage:
+ * numbers as numbers, dates as YYYY-MM-DD and multi-select values as arrays
+ * @param {object} definition - CustomFieldDefinition
+ * @param {*} value - Value as sent by the client
+ * @returns {object} - { value } with null for an empty value, or { error }
+ */
+function normalizeValue(definition, value) {
+  if (isEmpty(value)) {
+    return { value: null };
+  }
+
+  switch (definition.type) {
+    case 'text':
+      if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+      }
+      return value.length > MAX_TEXT_LENGTH
+        ? { error: `must be at most ${MAX_TEXT_LENGTH} characters` }
+        : { value };
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number)
+        ? { value: number }
+        : { error: 'must be a number' };
+    }
+
+    case 'date': {
+      const date = typeof value === 'string' ? new Date(ISO_DATE.test(value) ? `${value}T00:00:00.000Z` : value) : null;
+      // Dates roll over (2025-02-30 is March 2) and years past 9999 print as +099999,
+      // so only a round trip to the same 4-digit-year day is stored
+      const day = date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+      return day && ISO_DATE.test(day) && (!ISO_DATE.test(value) || day === value)
+        ? { value: day }
+        : { error: 'must be a date (YYYY-MM-DD)' };
+    }
+
+    case 'dropdown':
+      return definition.options.includes(value)
+        ? { value }
+        : { error: `must be one of: ${definition.options.join(', ')}` };
+
+    case 'multi_select': {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.find(entry => !definition.options.includes(entry));
+      return invalid === undefined
+        ? { value: [...new Set(values)] }
+        : { error: `must only contain: ${definition.options.join(', ')}` };
+    }
+
+    case 'url': {
+      let url;
+      try {
+        url = typeof value === 'string' && new URL(value);
+      } catch (error) {
+        url = null;
+      }
+      return url && ['http:', 'https:'].includes(url.protocol)
+        ? { value }
+        : { error: 'must be an http or https URL' };
+    }
+
+    case 'phone': {
+      const digits = typeof value === 'string' ? value.replace(/\D/g, '') : '';
+      return PHONE_PATTERN.test(value) && digits.length >= 7 && digits.length <= 15
+        ? { value: value.trim() }
+        : { error: 'must be a phone number' };
+    }
+
+    default:
+      return { error: `has unknown type ${definition.type}` };
+  }
+}
+
+/**
+ * Validates a definition being created, or the changes to an existing one
+ * @param {object} input - { name, label, type, required, options, defaultValue }
+ * @param {object} [existing] - CustomFieldDefinition being updated
+ * @returns {object} - { data } with the fields to save, or { error }
+ */
+function parseDefinition(input, existing) {
+  const definition = {
+    name: existing?.name,
+    label: existing?.label ?? null,
+    type: existing?.type,
+    required: existing?.required ?? false,
+    options: existing?.options ?? [],
+    defaultValue: existing?.defaultValue ?? null
+  };
+  for (const key of Object.keys(definition)) {
+    if (input[key] !== undefined) {
+      definition[key] = input[key];
+    }
+  }
+
+  if (typeof definition.name !== 'string' || !NAME_PATTERN.test(definition.name)) {
+    return { error: 'name must start with a letter and contain only letters, digits and underscores (up to 50)' };
+  }
+  if (definition.label !== null && typeof definition.label !== 'string') {
+    return { error: 'label must be a string' };
+  }
+  if (existing && definition.type !== existing.type) {
+    return { error: 'type cannot be changed' };
+  }
+  if (!FIELD_TYPES.includes(definition.type)) {
+    return { error: `type must be one of: ${FIELD_TYPES.join(', ')}` };
+  }
+  if (typeof definition.required !== 'boolean') {
+    return { error: 'required must be a boolean' };
+  }
+
+  definition.options = definition.options ?? [];
+  if (OPTION_TYPES.includes(definition.type)) {
+    const { options } = definition;
+    if (!Array.isArray(options) || options.length === 0 || options.some(option => typeof option !== 'string' || !option.trim())) {
+      return { error: `options must be a non-empty array of strings for ${definition.type} fields` };
+    }
+    if (options.length > MAX_OPTIONS || new Set(options).size !== options.length) {
+      return { error: `options must be distinct, at most ${MAX_OPTIONS}` };
+    }
+  } else if (!Array.isArray(definition.options) || definition.options.length > 0) {
+    return { error: `options are only allowed for ${OPTION_TYPES.join(' and ')} fields` };
+  }
+
+  const defaultValue = normalizeValue(definition, definition.defaultValue);
+  if (defaultValue.error) {
+    return { error: `defaultValue ${defaultValue.error}` };
+  }
+  definition.defaultValue = defaultValue.value ?? Prisma.DbNull;
+
+  return { data: definition };
+}
+
+/**
+ * Lists a user's custom field definitions, oldest first
+ * @param {string} userId - Owner of the definitions
+ * @returns {Promise<Array<object>>} - CustomFieldDefinitions
+ */
+function listDefinitions(userId) {
+  return prisma.customFieldDefinition.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Validates the custom field values of a contact being created or updated.
+ * New contacts get the default of every definition they have no value for.
+ * @param {Array<object>} definitions - The user's CustomFieldDefinitions
+ * @param {object} [input] - Definition name -> value; null or '' clears a value
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.creating] - Whether the contact is being created
+ * @returns {object} - { values, errors } where values maps names to
+ * normalized values (null to clear) and errors lists { field, message }
+ */
+function validateContactCustomFields(definitions, input, { creating = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    return { values, errors: [{ field: 'customFields', message: 'customFields must be an object of field name -> value' }] };
+  }
+
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+  for (const [name, value] of Object.entries(input || {})) {
+    const definition = byName.get(name);
+    if (!definition) {
+      errors.push({ field: `customFields.${name}`, message: 'Unknown custom field' });
+      continue;
+    }
+
+    const normalized = normalizeValue(definition, value);
+    if (normalized.error) {
+      errors.push({ field: `customFields.${name}`, message: `${definition.label || name} ${normalized.error}` });
+    } else {
+      values[name] = normalized.value;
+    }
+  }
+
+  for (const definition of definitions) {
+    if (creating && values[definition.name] == null && definition.defaultValue != null) {
+      values[definition.name] = definition.defaultValue;
+    }
+
+    const missing = creating ? values[definition.name] == null : definition.name in values && values[definition.name] === null;
+    if (definition.required && missing && !errors.some(error => error.field === `customFields.${definition.name}`)) {
+      errors.push({ field: `customFields.${definition.name}`, message: `${definition.label || definition.name} is required` });
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Loads a user's definitions when any of the given fields is a custom field
+ * @param {string} userId - Owner of the definitions
+ * @param {Array<string>} fields - Field names or mapping targets
+ * @returns {Promise<Array<object>>} - CustomFieldDefinitions, or [] without custom fields
+ */
+async function listDefinitionsFor(userId, fields) {
+  const writesCustom = fields.some(field => typeof field === 'string' && field.startsWith('custom.'));
+  return writesCustom ? listDefinitions(userId) : [];
+}
+
+/**
+ * Checks the "custom.<name>" values that imports, hosted forms, webhook
+ * mappings and workflow actions write. Values of defined fields are validated
+ * and normalized; names without a definition are kept as they are.
+ * @param {Array<object>} definitions - The user's CustomFieldDefinitions
+ * @param {object} values - Values by field name
+ * @returns {object} - { values, errors } with errors as [{ field, message }]
+ */
+function checkCustomFieldValues(definitions, values) {
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+  const checked = { ...values };
+  const errors = [];
+
+  for (const [field, value] of Object.entries(values)) {
+    const definition = field.startsWith('custom.') && byName.get(field.slice('custom.'.length));
+    if (!definition) {
+      continue;
+    }
+
+    const normalized = normalizeValue(definition, value);
+    if (normalized.error) {
+      errors.push({ field, message: `${definition.label || definition.name} ${normalized.error}` });
+    } else if (normalized.value === null && definition.required) {
+      errors.push({ field, message: `${definition.label || definition.name} is required` });
+    } else {
+      checked[field] = normalized.value;
+    }
+  }
+
+  return { values: checked, errors };
+}
+
+/**
+ * Builds the nested Prisma write that stores validated values on a contact.
+ * Every written name replaces the contact's current value; null values only clear.
+ * @param {Array<object>} definitions - The user's CustomFieldDefinitions
+ * @param {object} values - Name -> normalized value, from validateContactCustomFields
+ * @returns {object} - { deleteMany, create } for the contact's customFields relation
+ */
+function buildCustomFieldWrites(definitions, values) {
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+  const names = Object.keys(values);
+
+  return {
+    deleteMany: { name: { in: names } },
+    create: names
+      .filter(name => values[name] !== null)
+      .map(name => ({
+        name,
+        type: byName.get(name).type,
+        data: { value: values[name] },
+        definitionId: byName.get(name).id
+      }))
+  };
+}
+
+/**
+ * Reads a contact's custom field values by name
+ * @param {object} contact - Contact with customFields included
+ * @returns {object} - Name -> value
+ */
+function toCustomValues(contact) {
+  return Object.fromEntries((contact.customFields || []).map(field => [
+    field.name,
+    field.data?.value !== undefined ? field.data.value : field.data
+  ]));
+}
+
+// SQL operators of the range filters
+const SQL_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Escapes the wildcards of a LIKE pattern
+ * @param {string} value - Text to match literally
+ * @returns {string} - Escaped text
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Builds the where condition of one custom field filter, both as a Prisma
+ * condition and as SQL over the contacts alias c for sortContactIds
+ * @param {object} definition - CustomFieldDefinition
+ * @param {string} operator - eq, gt, gte, lt, lte or contains
+ * @param {*} raw - Value from the query string
+ * @returns {object} - { condition, sql } or { error }
+ */
+function buildFilterCondition(definition, operator, raw) {
+  const field = `custom.${definition.name}`;
+
+  if (!FILTER_OPERATORS[definition.type].includes(operator)) {
+    return { error: `${field} supports: ${FILTER_OPERATORS[definition.type].join(', ')}` };
+  }
+  if (typeof raw !== 'string' || raw === '') {
+    return { error: `${field} needs a single value` };
+  }
+
+  let filter;
+  let predicate;
+  if (operator === 'contains') {
+    filter = { string_contains: raw };
+    predicate = Prisma.sql`jsonb_typeof(f."data"->'value') = 'string' AND f."data"->>'value' LIKE ${`%${escapeLike(raw)}%`}`;
+  } else {
+    // multi_select matches contacts whose selection includes the value
+    const { value, error } = definition.type === 'multi_select'
+      ? normalizeValue({ ...definition, type: 'dropdown' }, raw)
+      : normalizeValue(definition, raw);
+    if (error) {
+      return { error: `${field} ${error}` };
+    }
+
+    if (definition.type === 'multi_select') {
+      filter = { array_contains: [value] };
+      predicate = Prisma.sql`f."data"->'value' @> ${JSON.stringify([value])}::jsonb`;
+    } else if (operator === 'eq') {
+      filter = { equals: value };
+      predicate = Prisma.sql`f."data"->'value' = ${JSON.stringify(value)}::jsonb`;
+    } else {
+      filter = { [operator]: value };
+      // Dates are stored as YYYY-MM-DD, which compare in order as text
+      predicate = definition.type === 'number'
+        ? Prisma.sql`jsonb_typeof(f."data"->'value') = 'number' AND (f."data"->>'value')::numeric ${Prisma.raw(SQL_OPERATORS[operator])} ${value}`
+        : Prisma.sql`jsonb_typeof(f."data"->'value') = 'string' AND f."data"->>'value' ${Prisma.raw(SQL_OPERATORS[operator])} ${value}`;
+    }
+  }
+
+  return {
+    condition: {
+      customFields: {
+        some: {
+          name: definition.name,
+          data: { path: ['value'], ...filter }
+        }
+      }
+    },
+    sql: Prisma.sql`EXISTS (
+      SELECT 1 FROM "custom_fields" f
+      WHERE f."contactId" = c."id" AND f."name" = ${definition.name} AND ${predicate}
+    )`
+  };
+}
+
+/**
+ * Reads the custom field filters and sort of a contact list query:
+ * custom.<name>=value, custom.<name>[op]=value and sortBy=custom.<name>.
+ * Definitions are only loaded when the query uses custom fields.
+ * @param {string} userId - Owner of the contacts
+ * @param {object} query - Express query object
+ * @returns {Promise<object>} - { customFilters, customFilterSql, sortField }
+ * with the where conditions, as Prisma conditions and as SQL, and the
+ * definition to sort by, or { error }
+ */
+async function getCustomFieldQuery(userId, query) {
+  const keys = Object.keys(query).filter(key => key.startsWith('custom.'));
+  const sortBy = typeof query.sortBy === 'string' && query.sortBy.startsWith('custom.') ? query.sortBy : null;
+
+  if (keys.length === 0 && !sortBy) {
+    return { customFilters: [], customFilterSql: [], sortField: null };
+  }
+
+  const definitions = await listDefinitions(userId);
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+
+  const customFilters = [];
+  const customFilterSql = [];
+  for (const key of keys) {
+    const definition = byName.get(key.slice('custom.'.length));
+    if (!definition) {
+      return { error: `Unknown custom field in filter: ${key}` };
+    }
+
+    const value = query[key];
+    const comparisons = value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(value)
+      : [['eq', value]];
+
+    for (const [operator, raw] of comparisons) {
+      const { condition, sql, error } = buildFilterCondition(definition, operator, raw);
+      if (error) {
+        return { error };
+      }
+      customFilters.push(condition);
+      customFilterSql.push(sql);
+    }
+  }
+
+  const sortField = sortBy ? byName.get(sortBy.slice('custom.'.length)) : null;
+  if (sortBy && !sortField) {
+    return { error: `Unknown custom field in sortBy: ${sortBy}` };
+  }
+
+  return { customFilters, customFilterSql, sortField };
+}
+
+/**
+ * Builds the SQL sort key of a custom field value, cast by the field's type
+ * @param {string} type - Field type
+ * @returns {Prisma.Sql} - Sort expression over the value alias v
+ */
+function sortValueSql(type) {
+  if (type === 'number') {
+    return Prisma.sql`(v."value")::numeric`;
+  }
+  if (type === 'date') {
+    return Prisma.sql`(v."value")::date`;
+  }
+  // multi_select values sort by their JSON text
+  return Prisma.sql`v."value"`;
+}
+
+/**
+ * Reads one page of the IDs of a user's contacts ordered by a custom field;
+ * contacts without a value come last. The filters are those of
+ * buildContactWhere, as SQL. Only values written through the definition are
+ * read, since those were validated and cast safely to its type.
+ * @param {string} userId - Owner of the contacts
+ * @param {object} filters - Query filters
+ * @param {string} [filters.search] - Text in the name, email, phone or company
+ * @param {string} [filters.tagId] - Tag the contacts have
+ * @param {Array<Prisma.Sql>} [filters.customFilterSql] - Custom field filters from getCustomFieldQuery
+ * @param {object} definition - CustomFieldDefinition to sort by
+ * @param {object} page - Page to read
+ * @param {string} page.sortOrder - asc or desc
+ * @param {number} page.skip - Contacts to skip
+ * @param {number} page.take - Contacts to read
+ * @returns {Promise<Array<string>>} - Contact IDs in order
+ */
+async function sortContactIds(userId, { search, tagId, customFilterSql = [] }, definition, { sortOrder, skip, take }) {
+  const conditions = [Prisma.sql`c."userId" = ${userId}`];
+  if (search) {
+    const pattern = `%${escapeLike(search)}%`;
+    conditions.push(Prisma.sql`(
+      c."firstName" ILIKE ${pattern} OR c."lastName" ILIKE ${pattern} OR c."email" ILIKE ${pattern}
+      OR c."phone" ILIKE ${pattern} OR c."company" ILIKE ${pattern}
+    )`);
+  }
+  if (tagId) {
+    conditions.push(Prisma.sql`EXISTS (SELECT 1 FROM "contact_tags" t WHERE t."contactId" = c."id" AND t."tagId" = ${tagId})`);
+  }
+  conditions.push(...customFilterSql);
+
+  const direction = Prisma.raw(sortOrder === 'asc' ? 'ASC' : 'DESC');
+  const rows = await prisma.$queryRaw`
+    SELECT c."id"
+    FROM "contacts" c
+    LEFT JOIN LATERAL (
+      SELECT f."data"->>'value' AS "value"
+      FROM "custom_fields" f
+      WHERE f."contactId" = c."id" AND f."definitionId" = ${definition.id}
+      ORDER BY f."createdAt" DESC
+      LIMIT 1
+    ) v ON true
+    WHERE ${Prisma.join(conditions, ' AND ')}
+    ORDER BY ${sortValueSql(definition.type)} ${direction} NULLS LAST, c."id"
+    LIMIT ${take} OFFSET ${skip}
+  `;
+
+  return rows.map(row => row.id);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  normalizeValue,
+  parseDefinition,
+  listDefinitions,
+  listDefinitionsFor,
+  validateContactCustomFields,
+  checkCustomFieldValues,
+  buildCustomFieldWrites,
+  toCustomValues,
+  getCustomFieldQuery,
+  sortContactIds
+};
@@ -0,0 +1,325 @@
+/**
+ * Service for per-contact workflow enrollments.
+ *
+ * A WorkflowEnrollment tracks one pass of a contact through a workflow and
+ * owns the run that carries it out. While an enrollment is active or paused
+ * its activeKey ("<workflowId>:<contactId>") is set, and the unique index on
+ * it keeps the contact from being enrolled in the same workflow twice.
+ * settings.reentry on the definition decides whether a contact that finished
+ * may come back, and settings.goal ends an enrollment early once it is met.
+ */
+
+const { prisma } = require('./db');
+const { startRun, exitAtGoal } = require('./workflowRunService');
+const { loadContact, buildContext } = require('./workflowContext');
+const { evaluateGoal } = require('../utils/workflowConditions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields returned with enrollments when listing them
+const ENROLLMENT_INCLUDE = {
+  workflow: {
+    select: { id: true, name: true }
+  },
+  contact: {
+    select: { id: true, firstName: true, lastName: true, email: true }
+  }
+};
+
+const activeKeyFor = (workflowId, contactId) => `${workflowId}:${contactId}`;
+
+/**
+ * Decides whether a contact may enter a workflow again under its re-entry policy
+ * @param {object} definition - Workflow definition carrying settings.reentry
+ * @param {object|null} previous - The contact's latest enrollment in the workflow
+ * @param {Date} [now] - Current time
+ * @returns {string|null} - Reason the contact is skipped, or null when it may enroll
+ */
+function getReentryBlock(definition, previous, now = new Date()) {
+  if (!previous) {
+    return null;
+  }
+  if (previous.activeKey) {
+    return 'already_enrolled';
+  }
+
+  const { policy = 'allow', periodDays } = definition?.settings?.reentry || {};
+
+  if (policy === 'once') {
+    return 'reentry_not_allowed';
+  }
+  if (policy === 'once_per_period' && now - previous.enrolledAt < (periodDays || 1) * DAY_MS) {
+    return 'reentry_too_soon';
+  }
+
+  return null;
+}
+
+/**
+ * Enrolls a contact into a workflow and starts the run for the enrollment
+ * @param {object} params - Enrollment parameters
+ * @param {object} params.workflow - AutomationWorkflow record
+ * @param {object} params.version - WorkflowVersion to execute
+ * @param {object} params.contact - Contact loaded via workflowContext.loadContact
+ * @param {object} [params.trigger] - Payload of the event that started the enrollment
+ * @param {Array<string>} [params.startNodeIds] - Trigger nodes to start from
+ * @param {string} [params.source] - 'trigger' or 'manual'
+ * @returns {Promise<object>} - { enrollment, run, result } or { skipped: true, reason }
+ */
+async function enrollContact({ workflow, version, contact, trigger = {}, startNodeIds, source = 'trigger' }) {
+  const previous = await prisma.workflowEnrollment.findFirst({
+    where: { workflowId: workflow.id, contactId: contact.id },
+    orderBy: { enrolledAt: 'desc' }
+  });
+
+  const reason = getReentryBlock(version.definition, previous);
+  if (reason) {
+    return { skipped: true, reason };
+  }
+
+  // A contact that already meets the goal has nothing left to do in the workflow
+  const goal = version.definition.settings?.goal;
+  if (goal && evaluateGoal(goal, buildContext({ workflow, contact, trigger }))) {
+    return { skipped: true, reason: 'goal_met' };
+  }
+
+  let enrollment;
+  try {
+    enrollment = await prisma.workflowEnrollment.create({
+      data: {
+        workflowId: workflow.id,
+        contactId: contact.id,
+        userId: workflow.userId,
+        source,
+        activeKey: activeKeyFor(workflow.id, contact.id)
+      }
+    });
+  } catch (error) {
+    // Another event enrolled the contact between the check and the insert
+    if (error.code === 'P2002') {
+      return { skipped: true, reason: 'already_enrolled' };
+    }
+    throw error;
+  }
+
+  const { run, result } = await startRun({
+    workflow,
+    version,
+    contact,
+    trigger,
+    startNodeIds,
+    enrollmentId: enrollment.id
+  });
+
+  return { enrollment, run, result };
+}
+
+/**
+ * Fetches an enrollment owned by a user
+ * @param {string} enrollmentId - WorkflowEnrollment ID
+ * @param {string} userId - Owning user ID
+ * @returns {Promise<object|null>} - WorkflowEnrollment
+ */
+function getEnrollment(enrollmentId, userId) {
+  return prisma.workflowEnrollment.findFirst({
+    where: { id: enrollmentId, userId },
+    include: ENROLLMENT_INCLUDE
+  });
+}
+
+/**
+ * Pauses an active enrollment. Its waiting runs stop resuming until the
+ * enrollment is resumed; waits that fall due meanwhile fire on resume. A run
+ * that is executing finishes its current pass and schedules its waits paused.
+ * @param {object} enrollment - Active WorkflowEnrollment
+ * @returns {Promise<object>} - Updated enrollment
+ */
+function pauseEnrollment(enrollment) {
+  return prisma.$transaction(async (tx) => {
+    const runs = await tx.workflowRun.findMany({
+      where: { enrollmentId: enrollment.id, status: { in: ['running', 'waiting'] } },
+      select: { id: true }
+    });
+    const runIds = runs.map(run => run.id);
+
+    await tx.workflowRun.updateMany({
+      where: { id: { in: runIds }, status: { in: ['running', 'waiting'] } },
+      data: { status: 'paused' }
+    });
+    await tx.workflowTimer.updateMany({
+      where: { runId: { in: runIds }, status: 'pending' },
+      data: { status: 'paused' }
+    });
+
+    return tx.workflowEnrollment.update({
+      where: { id: enrollment.id },
+      data: { status: 'paused', pausedAt: new Date() },
+      include: ENROLLMENT_INCLUDE
+    });
+  });
+}
+
+/**
+ * Resumes a paused enrollment
+ * @param {object} enrollment - Paused WorkflowEnrollment
+ * @returns {Promise<object>} - Updated enrollment
+ */
+function resumeEnrollment(enrollment) {
+  return prisma.$transaction(async (tx) => {
+    const runs = await tx.workflowRun.findMany({
+      where: { enrollmentId: enrollment.id, status: 'paused' },
+      select: { id: true }
+    });
+    const runIds = runs.map(run => run.id);
+
+    await tx.workflowRun.updateMany({
+      where: { id: { in: runIds } },
+      data: { status: 'waiting' }
+    });
+    await tx.workflowTimer.updateMany({
+      where: { runId: { in: runIds }, status: 'paused' },
+      data: { status: 'pending' }
+    });
+
+    return tx.workflowEnrollment.update({
+      where: { id: enrollment.id },
+      data: { status: 'active', pausedAt: null },
+      include: ENROLLMENT_INCLUDE
+    });
+  });
+}
+
+/**
+ * Removes a contact from a workflow: unfinished runs are cancelled along with
+ * their timers, and the contact may be enrolled again as its re-entry policy allows
+ * @param {object} enrollment - Active or paused WorkflowEnrollment
+ * @param {object} [transaction] - Prisma transaction client to run in, instead of a new transaction
+ * @returns {Promise<object>} - Updated enrollment
+ */
+function unenroll(enrollment, transaction) {
+  const end = async (tx) => {
+    const runs = await tx.workflowRun.findMany({
+      where: { enrollmentId: enrollment.id, status: { in: ['running', 'waiting', 'paused'] } },
+      select: { id: true }
+    });
+    const runIds = runs.map(run => run.id);
+
+    await tx.workflowRun.updateMany({
+      where: { id: { in: runIds } },
+      data: { status: 'cancelled', finishedAt: new Date() }
+    });
+    await tx.workflowTimer.updateMany({
+      where: { runId: { in: runIds }, status: { in: ['pending', 'paused'] } },
+      data: { status: 'cancelled' }
+    });
+
+    return tx.workflowEnrollment.update({
+      where: { id: enrollment.id },
+      data: { status: 'unenrolled', activeKey: null, finishedAt: new Date() },
+      include: ENROLLMENT_INCLUDE
+    });
+  };
+
+  return transaction ? end(transaction) : prisma.$transaction(end);
+}
+
+/**
+ * Checks the goals of the workflows an event's contact is enrolled in, and
+ * moves every enrollment whose goal is now met to its goal node
+ * @param {object} event - Event from the event bus
+ * @returns {Promise<Array<object>>} - Runs that exited at their goal
+ */
+async function checkGoals(event) {
+  if (!event.contactId) {
+    return [];
+  }
+
+  // Only runs parked at a wait can be cut short; exitAtGoal claims the run, so
+  // one that a timer started executing meanwhile is skipped
+  const runs = await prisma.workflowRun.findMany({
+    where: {
+      contactId: event.contactId,
+      userId: event.userId,
+      status: { in: ['waiting', 'paused'] },
+      enrollment: { status: { in: ['active', 'paused'] } }
+    },
+    include: { workflow: true, version: true }
+  });
+
+  const withGoals = runs
+    .map(run => ({ run, definition: run.version ? run.version.definition : run.workflow.definition }))
+    .filter(({ definition }) => definition?.settings?.goal);
+
+  if (withGoals.length === 0) {
+    return [];
+  }
+
+  const contact = await loadContact(event.contactId, event.userId);
+  if (!contact) {
+    return [];
+  }
+
+  const exited = [];
+  for (const { run, definition } of withGoals) {
+    const context = buildContext({ workflow: run.workflow, contact, trigger: run.input?.trigger || {} });
+    context.steps = run.state?.steps || {};
+
+    if (evaluateGoal(definition.settings.goal, context)) {
+      const exit = await exitAtGoal(run, definition, context);
+      if (exit) {
+        exited.push(exit.run);
+      }
+    }
+  }
+
+  return exited;
+}
+
+/**
+ * Lists enrollments of a workflow or of a contact, newest first
+ * @param {object} params - Query parameters
+ * @param {string} params.userId - Owning user ID
+ * @param {string} [params.workflowId] - Workflow ID
+ * @param {string} [params.contactId] - Contact ID
+ * @param {string} [params.status] - Optional status filter
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<object>} - { enrollments, total }
+ */
+async function listEnrollments({ userId, workflowId, contactId, status, page = 1, limit = 20 }) {
+  const where = { userId };
+  if (workflowId) {
+    where.workflowId = workflowId;
+  }
+  if (contactId) {
+    where.contactId = contactId;
+  }
+  if (status) {
+    where.status = status;
+  }
+
+  const [enrollments, total] = await Promise.all([
+    prisma.workflowEnrollment.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { enrolledAt: 'desc' },
+      include: ENROLLMENT_INCLUDE
+    }),
+    prisma.workflowEnrollment.count({ where })
+  ]);
+
+  return { enrollments, total };
+}
+
+module.exports = {
+  activeKeyFor,
+  getReentryBlock,
+  enrollContact,
+  getEnrollment,
+  pauseEnrollment,
+  resumeEnrollment,
+  unenroll,
+  checkGoals,
+  listEnrollments
+};
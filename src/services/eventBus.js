@@ -0,0 +1,84 @@
+/**
+ * In-process domain event bus.
+ *
+ * Controllers and webhook handlers publish typed CRM events here; subscribers
+ * (such as the workflow trigger handler in automationService) react to them
+ * after the publishing request has been answered.
+ */
+
+const { EventEmitter } = require('events');
+
+// Event types, named after the TriggerNode triggerType they can start
+const EVENTS = Object.freeze({
+  CONTACT_CREATED: 'contact_created',
+  CONTACT_UPDATED: 'contact_updated',
+  TAG_ADDED: 'tag_added',
+  FORM_SUBMISSION: 'form_submission',
+  WEBHOOK_RECEIVED: 'webhook',
+  DEAL_STAGE_CHANGED: 'deal_stage_changed'
+});
+
+const EVENT_TYPES = new Set(Object.values(EVENTS));
+
+const emitter = new EventEmitter();
+
+/**
+ * Publishes an event to every subscriber of its type
+ * @param {string} type - One of EVENTS
+ * @param {object} params - Event parameters
+ * @param {string} params.userId - User that owns the affected records
+ * @param {string} [params.contactId] - Contact the event is about
+ * @param {object} [params.data] - Event-specific payload
+ * @returns {object} - The published event
+ */
+function publish(type, { userId, contactId = null, data = {} }) {
+  if (!EVENT_TYPES.has(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  if (!userId) {
+    throw new Error(`Event '${type}' requires a userId`);
+  }
+
+  const event = {
+    type,
+    userId,
+    contactId,
+    data,
+    occurredAt: new Date().toISOString()
+  };
+
+  // Deliver after the current request has finished its own work
+  setImmediate(() => emitter.emit(type, event));
+
+  return event;
+}
+
+/**
+ * Subscribes a handler to an event type. Handler errors are logged, never
+ * propagated to the publisher.
+ * @param {string} type - One of EVENTS
+ * @param {Function} handler - Async function receiving the event
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(type, handler) {
+  if (!EVENT_TYPES.has(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const listener = async (event) => {
+    try {
+      await handler(event);
+    } catch (error) {
+      console.error(`[Event Bus] Handler for '${type}' failed:`, error);
+    }
+  };
+
+  emitter.on(type, listener);
+  return () => emitter.off(type, listener);
+}
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe
+};
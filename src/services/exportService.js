@@ -0,0 +1,279 @@
+/**
+ * Streaming exports of contacts and deals as CSV or JSON Lines.
+ *
+ * Records are read in pages by ID and written one line at a time through a
+ * Readable stream, so memory use stays flat however many records match and
+ * a slow client holds back the database reads instead of buffering output.
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { prisma } = require('./db');
+
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+const PAGE_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+const CONTACT_COLUMNS = ['id', 'firstName', 'lastName', 'email', 'phone', 'company', 'tags', 'dealStages', 'createdAt', 'updatedAt'];
+
+const DEAL_COLUMNS = [
+  'id', 'title', 'value', 'currency', 'pipeline', 'stage',
+  'contactId', 'contactName', 'contactEmail', 'createdAt', 'updatedAt'
+];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats a value as a CSV field, quoting it when needed. Text that a
+ * spreadsheet would read as a formula is prefixed with ' to keep it text.
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join('; ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats values as a CSV line
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line, ending with CRLF
+ */
+function toCsvLine(values) {
+  return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Reads every record matching a query, a page at a time, in ID order. The
+ * first page is read before this resolves, so a failing query rejects while
+ * the response can still be an error.
+ * @param {object} model - Prisma model delegate
+ * @param {object} where - Prisma where clause
+ * @param {object} include - Relations to include
+ * @returns {Promise<AsyncGenerator<object>>} - Records
+ */
+async function readPages(model, where, include) {
+  const readPage = cursor => model.findMany({
+    where: cursor ? { AND: [where, { id: { gt: cursor } }] } : where,
+    include,
+    orderBy: { id: 'asc' },
+    take: PAGE_SIZE
+  });
+
+  const firstPage = await readPage();
+
+  return (async function* () {
+    let records = firstPage;
+    for (;;) {
+      yield* records;
+
+      if (records.length < PAGE_SIZE) {
+        return;
+      }
+      records = await readPage(records[records.length - 1].id);
+    }
+  })();
+}
+
+/**
+ * Reads a CSV column of an export record; custom.<name> columns read the
+ * record's custom fields
+ * @param {object} record - Export record
+ * @param {string} column - Column name
+ * @returns {*} - Field value
+ */
+function readColumn(record, column) {
+  return column.startsWith('custom.')
+    ? record.customFields?.[column.slice('custom.'.length)]
+    : record[column];
+}
+
+/**
+ * Writes records as CSV lines under a header, or as JSON Lines
+ * @param {AsyncIterable<object>} records - Export records
+ * @param {string} format - csv or jsonl
+ * @param {Array<string>} columns - CSV columns, in order
+ * @returns {AsyncGenerator<string>} - Lines
+ */
+async function* formatLines(records, format, columns) {
+  if (format === 'csv') {
+    yield toCsvLine(columns);
+  }
+
+  for await (const record of records) {
+    yield format === 'csv'
+      ? toCsvLine(columns.map(column => readColumn(record, column)))
+      : `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * Reads the value of a custom field
+ * @param {object} field - CustomField record
+ * @returns {*} - data.value when set, otherwise the whole data object
+ */
+function customFieldValue(field) {
+  const data = field.data || {};
+  return data.value !== undefined ? data.value : data;
+}
+
+/**
+ * Flattens a contact for export
+ * @param {object} contact - Contact with tags, customFields and deals included
+ * @returns {object} - Export record
+ */
+function toContactRecord(contact) {
+  return {
+    id: contact.id,
+    firstName: contact.firstName,
+    lastName: contact.lastName,
+    email: contact.email,
+    phone: contact.phone,
+    company: contact.company,
+    tags: contact.tags.map(({ tag }) => tag.name),
+    dealStages: contact.deals.map(deal => `${deal.pipeline.name}: ${deal.stage.name}`),
+    customFields: Object.fromEntries(contact.customFields.map(field => [field.name, customFieldValue(field)])),
+    data: contact.data,
+    createdAt: contact.createdAt,
+    updatedAt: contact.updatedAt
+  };
+}
+
+/**
+ * Flattens a deal for export
+ * @param {object} deal - Deal with pipeline, stage and contact included
+ * @returns {object} - Export record
+ */
+function toDealRecord(deal) {
+  const contactName = deal.contact
+    ? [deal.contact.firstName, deal.contact.lastName].filter(Boolean).join(' ') || null
+    : null;
+
+  return {
+    id: deal.id,
+    title: deal.title,
+    value: deal.value,
+    currency: deal.currency,
+    pipelineId: deal.pipelineId,
+    pipeline: deal.pipeline.name,
+    stageId: deal.stageId,
+    stage: deal.stage.name,
+    contactId: deal.contactId,
+    contactName,
+    contactEmail: deal.contact?.email || null,
+    data: deal.data,
+    createdAt: deal.createdAt,
+    updatedAt: deal.updatedAt
+  };
+}
+
+/**
+ * Maps records as they are read
+ * @param {AsyncIterable<object>} records - Records
+ * @param {Function} map - Mapping function
+ * @returns {AsyncGenerator<object>} - Mapped records
+ */
+async function* mapRecords(records, map) {
+  for await (const record of records) {
+    yield map(record);
+  }
+}
+
+/**
+ * Streams the contacts matching a where clause. CSV exports get a
+ * custom.<name> column for every custom field the contacts use.
+ * @param {object} where - Prisma where clause from buildContactWhere
+ * @param {string} format - csv or jsonl
+ * @returns {Promise<Readable>} - Stream of export lines
+ */
+async function streamContacts(where, format) {
+  let columns = CONTACT_COLUMNS;
+
+  if (format === 'csv') {
+    const fields = await prisma.customField.findMany({
+      where: { contact: where },
+      distinct: ['name'],
+      select: { name: true },
+      orderBy: { name: 'asc' }
+    });
+    columns = [...CONTACT_COLUMNS, ...fields.map(field => `custom.${field.name}`)];
+  }
+
+  const contacts = await readPages(prisma.contact, where, {
+    tags: { include: { tag: true } },
+    customFields: true,
+    deals: {
+      select: { pipeline: { select: { name: true } }, stage: { select: { name: true } } },
+      orderBy: { createdAt: 'asc' }
+    }
+  });
+
+  return Readable.from(formatLines(mapRecords(contacts, toContactRecord), format, columns));
+}
+
+/**
+ * Streams the deals matching a where clause
+ * @param {object} where - Prisma where clause from buildDealWhere
+ * @param {string} format - csv or jsonl
+ * @returns {Promise<Readable>} - Stream of export lines
+ */
+async function streamDeals(where, format) {
+  const deals = await readPages(prisma.deal, where, {
+    pipeline: { select: { name: true } },
+    stage: { select: { name: true } },
+    contact: { select: { firstName: true, lastName: true, email: true } }
+  });
+
+  return Readable.from(formatLines(mapRecords(deals, toDealRecord), format, DEAL_COLUMNS));
+}
+
+/**
+ * Sends an export stream as a file download. The stream's first page has
+ * already been read; a read that fails after the headers are sent can only
+ * abort the connection, so the client sees an incomplete download.
+ * @param {object} res - Express response object
+ * @param {Readable} stream - Stream of export lines
+ * @param {object} options - Download options
+ * @param {string} options.name - File name without date or extension, e.g. contacts
+ * @param {string} options.format - csv or jsonl
+ * @returns {Promise<void>} - Settles once the stream ended or the client went away
+ */
+function sendExport(res, stream, { name, format }) {
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${date}.${format}"`);
+
+  return pipeline(stream, res);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamContacts,
+  streamDeals,
+  sendExport
+};
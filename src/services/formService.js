@@ -0,0 +1,186 @@
+/**
+ * Service for hosted forms.
+ *
+ * A hosted form is a Form node of an active workflow's published version,
+ * addressed by the workflow ID and the node ID. Submissions are validated
+ * against the node's formFields, upsert the contact by email, are stored as
+ * FormSubmission rows and publish a form_submission event.
+ */
+
+const { prisma } = require('./db');
+const { EVENTS, publish } = require('./eventBus');
+const { writeContactFields } = require('./workflowActions');
+
+/**
+ * Finds a form node in the published version of an active workflow
+ * @param {string} workflowId - AutomationWorkflow ID
+ * @param {string} formId - Form node ID
+ * @returns {Promise<object|null>} - { workflow, form } where form is the node
+ */
+async function getHostedForm(workflowId, formId) {
+  const workflow = await prisma.automationWorkflow.findFirst({
+    where: {
+      id: workflowId,
+      isActive: true,
+      publishedVersionId: { not: null }
+    },
+    include: { publishedVersion: true }
+  });
+
+  const nodes = workflow?.publishedVersion?.definition?.nodes || [];
+  const form = nodes.find(node => node.id === formId && node.type === 'form');
+
+  return form ? { workflow, form } : null;
+}
+
+/**
+ * Public description of a form, without any workflow internals
+ * @param {object} form - Form node
+ * @returns {object} - Form title, fields and submit button text
+ */
+function describeForm(form) {
+  const { formTitle, description, formFields = [], submitButtonText = 'Submit' } = form.data || {};
+
+  return {
+    id: form.id,
+    title: formTitle,
+    description,
+    fields: formFields.map(({ id, name, type, required = false, options, validation }) => ({
+      id, name, type, required, options, validation
+    })),
+    submitButtonText
+  };
+}
+
+/**
+ * Finds the user's contact with an email, ignoring case
+ * @param {string} userId - Workflow owner
+ * @param {string} email - Submitted email
+ * @returns {Promise<object|null>} - Contact with its custom fields
+ */
+function findContactByEmail(userId, email) {
+  return prisma.contact.findFirst({
+    where: { userId, email: { equals: email, mode: 'insensitive' } },
+    orderBy: { createdAt: 'asc' },
+    include: { customFields: true }
+  });
+}
+
+/**
+ * Finds the workflow owner's contact with the submitted email, or creates
+ * one, and writes the submitted values to it
+ * @param {string} userId - Workflow owner
+ * @param {object} values - Validated values by field name
+ * @returns {Promise<object>} - { contact, created }
+ */
+async function upsertSubmittingContact(userId, values) {
+  const email = values.email || null;
+
+  let contact = email && await findContactByEmail(userId, email);
+  let created = false;
+
+  if (!contact) {
+    try {
+      contact = await prisma.contact.create({
+        data: { userId, email },
+        include: { customFields: true }
+      });
+      created = true;
+    } catch (error) {
+      // A concurrent submission with the same email created the contact first
+      if (error.code !== 'P2002' || !email) {
+        throw error;
+      }
+      contact = await findContactByEmail(userId, email);
+    }
+  }
+
+  await writeContactFields(contact, values);
+
+  return { contact, created };
+}
+
+/**
+ * Stores a validated submission and publishes the events it causes
+ * @param {object} params - Submission parameters
+ * @param {object} params.workflow - Workflow the form belongs to
+ * @param {object} params.form - Form node
+ * @param {object} params.values - Validated values by field name
+ * @param {string} [params.ipAddress] - Submitter IP address
+ * @param {string} [params.userAgent] - Submitter user agent
+ * @returns {Promise<object>} - Created FormSubmission
+ */
+async function submitForm({ workflow, form, values, ipAddress = null, userAgent = null }) {
+  const { userId } = workflow;
+  const { contact, created } = await upsertSubmittingContact(userId, values);
+
+  const submission = await prisma.formSubmission.create({
+    data: {
+      formId: form.id,
+      data: values,
+      ipAddress,
+      userAgent,
+      workflowId: workflow.id,
+      contactId: contact.id,
+      userId
+    }
+  });
+
+  publish(created ? EVENTS.CONTACT_CREATED : EVENTS.CONTACT_UPDATED, {
+    userId,
+    contactId: contact.id,
+    data: { source: 'form' }
+  });
+  publish(EVENTS.FORM_SUBMISSION, {
+    userId,
+    contactId: contact.id,
+    data: {
+      formId: form.id,
+      workflowId: workflow.id,
+      submissionId: submission.id,
+      values
+    }
+  });
+
+  return submission;
+}
+
+/**
+ * Lists the submissions of a workflow's forms, newest first
+ * @param {object} params - Query parameters
+ * @param {string} params.workflowId - AutomationWorkflow ID
+ * @param {string} [params.formId] - Form node ID
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<object>} - { submissions, total }
+ */
+async function listSubmissions({ workflowId, formId, page = 1, limit = 20 }) {
+  const where = { workflowId };
+  if (formId) {
+    where.formId = formId;
+  }
+
+  const [submissions, total] = await Promise.all([
+    prisma.formSubmission.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        contact: {
+          select: { id: true, firstName: true, lastName: true, email: true }
+        }
+      }
+    }),
+    prisma.formSubmission.count({ where })
+  ]);
+
+  return { submissions, total };
+}
+
+module.exports = {
+  getHostedForm,
+  describeForm,
+  submitForm,
+  listSubmissions
+};
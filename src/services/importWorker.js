@@ -0,0 +1,106 @@
+/**
+ * Polling worker that runs contact imports too large to finish within the
+ * upload request.
+ *
+ * Pending imports are claimed with FOR UPDATE SKIP LOCKED, so several server
+ * instances can poll without running an import twice. An import whose worker
+ * stopped sending heartbeats for five minutes is reclaimed and continues after
+ * its last recorded batch.
+ */
+
+const { prisma } = require('./db');
+const { processImport } = require('./contactImportService');
+
+const DEFAULT_INTERVAL_MS = 5 * 1000;
+
+let intervalHandle = null;
+let polling = false;
+
+/**
+ * Atomically claims the oldest import waiting to run
+ * @returns {Promise<string|null>} - ContactImport ID, or null when none is waiting
+ */
+async function claimNextImport() {
+  const [claimed] = await prisma.$queryRaw`
+    UPDATE "contact_imports"
+    SET "status" = 'processing',
+        "lockedAt" = (NOW() AT TIME ZONE 'UTC'),
+        "startedAt" = COALESCE("startedAt", (NOW() AT TIME ZONE 'UTC')),
+        "updatedAt" = (NOW() AT TIME ZONE 'UTC')
+    WHERE "id" = (
+      SELECT "id" FROM "contact_imports"
+      WHERE "status" = 'pending'
+         OR ("status" = 'processing' AND "lockedAt" < (NOW() AT TIME ZONE 'UTC') - INTERVAL '5 minutes')
+      ORDER BY "createdAt" ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING "id"
+  `;
+  return claimed ? claimed.id : null;
+}
+
+/**
+ * Claims and runs imports until none is waiting
+ * @returns {Promise<number>} - Number of imports run
+ */
+async function pollOnce() {
+  let processed = 0;
+  let importId;
+
+  while ((importId = await claimNextImport())) {
+    await processImport(importId);
+    processed += 1;
+  }
+
+  return processed;
+}
+
+/**
+ * Starts polling for imports to run
+ * @param {object} [options] - Worker options
+ * @param {number} [options.intervalMs] - Polling interval in milliseconds
+ */
+function startImportWorker({ intervalMs = Number(process.env.CONTACT_IMPORT_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) {
+  if (intervalHandle) {
+    return;
+  }
+
+  const tick = async () => {
+    // Skip a tick while the previous poll is still importing
+    if (polling) {
+      return;
+    }
+
+    polling = true;
+    try {
+      await pollOnce();
+    } catch (error) {
+      console.error('[Import Worker] Polling failed:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  intervalHandle = setInterval(tick, intervalMs);
+  intervalHandle.unref();
+  tick();
+
+  console.log(`[Import Worker] Checking for contact imports every ${intervalMs}ms`);
+}
+
+/**
+ * Stops polling for imports to run
+ */
+function stopImportWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  startImportWorker,
+  stopImportWorker,
+  pollOnce
+};
@@ -0,0 +1,266 @@
+/**
+ * Polling worker that fires schedule and date_relative trigger nodes.
+ *
+ * Every fire is claimed by inserting a WorkflowTriggerFire row whose
+ * (workflowId, nodeId, fireKey) is unique: the cron slot for schedule
+ * triggers, the local date for date_relative triggers. Only the instance whose
+ * insert succeeds runs the fire, so several server instances can poll without
+ * enrolling contacts twice.
+ */
+
+const { prisma } = require('./db');
+const { loadContactPage, buildContext } = require('./workflowContext');
+const { startRun } = require('./workflowRunService');
+const { enrollContact } = require('./enrollmentService');
+const { resolveField, matchesContactFilter } = require('../utils/workflowConditions');
+const {
+  getLastCronFire,
+  getLocalDateTime,
+  addDays,
+  toCalendarDate,
+  isDateOn
+} = require('../utils/triggerSchedule');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// A cron slot missed by more than this (the server was down) is skipped
+const MISSED_FIRE_WINDOW_MS = 60 * 60 * 1000;
+
+const SCHEDULED_TRIGGERS = new Set(['schedule', 'date_relative']);
+
+let intervalHandle = null;
+let polling = false;
+
+/**
+ * Lists the schedule and date_relative trigger nodes of published, active workflows
+ * @returns {Promise<Array<object>>} - { workflow, node }
+ */
+async function findScheduledTriggers() {
+  const workflows = await prisma.automationWorkflow.findMany({
+    where: {
+      isActive: true,
+      publishedVersionId: { not: null }
+    },
+    include: { publishedVersion: true }
+  });
+
+  return workflows.flatMap(workflow => (workflow.publishedVersion.definition?.nodes || [])
+    .filter(node => node.type === 'trigger' && SCHEDULED_TRIGGERS.has(node.data?.triggerType))
+    .map(node => ({ workflow, node })));
+}
+
+/**
+ * Records a fire, unless another instance already did
+ * @param {string} workflowId - AutomationWorkflow ID
+ * @param {string} nodeId - Trigger node ID
+ * @param {string} fireKey - Cron slot or local date
+ * @returns {Promise<object|null>} - WorkflowTriggerFire, or null when already fired
+ */
+async function claimFire(workflowId, nodeId, fireKey) {
+  try {
+    return await prisma.workflowTriggerFire.create({ data: { workflowId, nodeId, fireKey } });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reads a date from a contact: a contact field, a data key, or custom.<name>
+ * for a custom field
+ * @param {object} contact - Contact from loadContact
+ * @param {string} field - dateField of the trigger
+ * @returns {string|null} - 'YYYY-MM-DD'
+ */
+function readContactDate(contact, field) {
+  if (field.startsWith('custom.')) {
+    const name = field.slice('custom.'.length);
+    return toCalendarDate((contact.customFields || []).find(customField => customField.name === name)?.data?.value);
+  }
+  return toCalendarDate(resolveField({ contact }, field));
+}
+
+/**
+ * Enrolls every contact matching a trigger's contactFilter, page by page
+ * @param {object} workflow - AutomationWorkflow with its publishedVersion
+ * @param {object} node - Trigger node
+ * @param {object} trigger - Trigger payload for the runs
+ * @param {Function} [accept] - Further check a contact must pass
+ * @returns {Promise<number>} - Contacts enrolled
+ */
+async function enrollMatchingContacts(workflow, node, trigger, accept = () => true) {
+  const filter = node.data.contactFilter || {};
+  let enrolled = 0;
+  let cursor;
+
+  for (;;) {
+    const contacts = await loadContactPage({ userId: workflow.userId, tagId: filter.tagId, cursor });
+    if (contacts.length === 0) {
+      break;
+    }
+    cursor = contacts[contacts.length - 1].id;
+
+    for (const contact of contacts) {
+      if (!accept(contact) || !matchesContactFilter(filter, buildContext({ workflow, contact, trigger }))) {
+        continue;
+      }
+
+      const { skipped, reason } = await enrollContact({
+        workflow,
+        version: workflow.publishedVersion,
+        contact,
+        trigger,
+        startNodeIds: [node.id]
+      });
+      if (skipped) {
+        console.log(`[Trigger Scheduler] Contact ${contact.id} not enrolled in workflow '${workflow.name}': ${reason}`);
+      } else {
+        enrolled += 1;
+      }
+    }
+  }
+
+  return enrolled;
+}
+
+/**
+ * Fires a schedule trigger for its latest cron slot, once
+ * @param {object} workflow - AutomationWorkflow with its publishedVersion
+ * @param {object} node - Schedule trigger node
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - True if this call fired the trigger
+ */
+async function fireSchedule(workflow, node, now) {
+  const { cron, timezone = 'UTC', contactFilter } = node.data;
+  const slot = getLastCronFire(cron, timezone, now);
+
+  // Slots from before the version was published, or long missed, don't fire
+  if (slot < workflow.publishedVersion.createdAt || now - slot > MISSED_FIRE_WINDOW_MS) {
+    return false;
+  }
+
+  const fire = await claimFire(workflow.id, node.id, slot.toISOString());
+  if (!fire) {
+    return false;
+  }
+
+  const trigger = { type: 'schedule', scheduledAt: slot.toISOString(), cron, timezone };
+  let contactCount = 0;
+
+  if (contactFilter) {
+    contactCount = await enrollMatchingContacts(workflow, node, trigger);
+  } else {
+    await startRun({ workflow, version: workflow.publishedVersion, contact: null, trigger, startNodeIds: [node.id] });
+  }
+
+  await prisma.workflowTriggerFire.update({ where: { id: fire.id }, data: { contactCount } });
+  console.log(`[Trigger Scheduler] Schedule '${cron}' fired workflow '${workflow.name}' (${contactCount} contact(s))`);
+  return true;
+}
+
+/**
+ * Fires a date_relative trigger once a day, after its timeOfDay, for the
+ * contacts whose date is daysOffset days away from today
+ * @param {object} workflow - AutomationWorkflow with its publishedVersion
+ * @param {object} node - Date-relative trigger node
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - True if this call fired the trigger
+ */
+async function fireDateRelative(workflow, node, now) {
+  const { dateField, daysOffset = 0, repeatYearly = false, timeOfDay = '09:00', timezone = 'UTC' } = node.data;
+  const local = getLocalDateTime(now, timezone);
+  if (local.time < timeOfDay) {
+    return false;
+  }
+
+  const fire = await claimFire(workflow.id, node.id, local.date);
+  if (!fire) {
+    return false;
+  }
+
+  // Firing daysOffset days from the date means the date is that far from today
+  const day = addDays(local.date, -daysOffset);
+  const trigger = { type: 'date_relative', dateField, date: day, daysOffset };
+
+  const contactCount = await enrollMatchingContacts(workflow, node, trigger, (contact) => {
+    const contactDate = readContactDate(contact, dateField);
+    return contactDate !== null && isDateOn(contactDate, day, repeatYearly);
+  });
+
+  await prisma.workflowTriggerFire.update({ where: { id: fire.id }, data: { contactCount } });
+  console.log(`[Trigger Scheduler] Date trigger on '${dateField}' fired workflow '${workflow.name}' (${contactCount} contact(s))`);
+  return true;
+}
+
+/**
+ * Fires every scheduled trigger that is due
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of triggers fired
+ */
+async function pollOnce(now = new Date()) {
+  let fired = 0;
+
+  for (const { workflow, node } of await findScheduledTriggers()) {
+    try {
+      const fire = node.data.triggerType === 'schedule' ? fireSchedule : fireDateRelative;
+      if (await fire(workflow, node, now)) {
+        fired += 1;
+      }
+    } catch (error) {
+      console.error(`[Trigger Scheduler] Failed to fire trigger ${node.id} of workflow ${workflow.id}:`, error);
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Starts polling for due scheduled triggers
+ * @param {object} [options] - Scheduler options
+ * @param {number} [options.intervalMs] - Polling interval in milliseconds
+ */
+function startTriggerScheduler({ intervalMs = Number(process.env.WORKFLOW_TRIGGER_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) {
+  if (intervalHandle) {
+    return;
+  }
+
+  const tick = async () => {
+    // Skip a tick while the previous poll is still enrolling contacts
+    if (polling) {
+      return;
+    }
+
+    polling = true;
+    try {
+      await pollOnce();
+    } catch (error) {
+      console.error('[Trigger Scheduler] Polling failed:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  intervalHandle = setInterval(tick, intervalMs);
+  intervalHandle.unref();
+  tick();
+
+  console.log(`[Trigger Scheduler] Checking scheduled workflow triggers every ${intervalMs}ms`);
+}
+
+/**
+ * Stops polling for due scheduled triggers
+ */
+function stopTriggerScheduler() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  startTriggerScheduler,
+  stopTriggerScheduler,
+  pollOnce
+};
@@ -0,0 +1,156 @@
+/**
+ * Polling worker that resumes workflow runs suspended on Wait nodes, on
+ * retries of failed nodes, or on nodes deferred by a rate limit.
+ *
+ * Timers live in the workflow_timers table, so pending waits survive restarts.
+ * Due timers are claimed with FOR UPDATE SKIP LOCKED, which lets several
+ * server instances poll the same table without resuming a run twice.
+ */
+
+const { prisma } = require('./db');
+const { resumeRun } = require('./workflowRunService');
+const { pruneRateSlots } = require('./workflowThrottle');
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 25;
+
+let intervalHandle = null;
+let polling = false;
+
+/**
+ * Atomically claims timers that are due. Timers stuck in "processing" for more
+ * than five minutes are assumed to belong to a crashed worker and are reclaimed.
+ * Prisma stores DateTime columns as UTC timestamps, hence NOW() AT TIME ZONE 'UTC'.
+ * @param {number} limit - Maximum number of timers to claim
+ * @returns {Promise<Array<object>>} - Claimed timers
+ */
+async function claimDueTimers(limit = BATCH_SIZE) {
+  return prisma.$queryRaw`
+    UPDATE "workflow_timers"
+    SET "status" = 'processing',
+        "lockedAt" = (NOW() AT TIME ZONE 'UTC'),
+        "attempts" = "attempts" + 1,
+        "updatedAt" = (NOW() AT TIME ZONE 'UTC')
+    WHERE "id" IN (
+      SELECT "id" FROM "workflow_timers"
+      WHERE ("status" = 'pending' AND "resumeAt" <= (NOW() AT TIME ZONE 'UTC'))
+         OR ("status" = 'processing' AND "lockedAt" < (NOW() AT TIME ZONE 'UTC') - INTERVAL '5 minutes')
+      ORDER BY "resumeAt" ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING "id", "runId", "nodeId", "resumeAt", "attempts", "retryAttempt", "throttled"
+  `;
+}
+
+/**
+ * Resumes the run a claimed timer belongs to, retries its failed node, or
+ * executes its deferred node
+ * @param {object} timer - Claimed timer
+ */
+async function processTimer(timer) {
+  try {
+    const resumed = await resumeRun(timer.runId, timer.nodeId, {
+      timerId: timer.id,
+      retryAttempt: timer.retryAttempt,
+      throttled: timer.throttled
+    });
+
+    // A run paused after the timer was claimed keeps its wait until the enrollment
+    // resumes, and one that another pass is executing gets it on a later poll
+    let status = 'done';
+    if (!resumed) {
+      const run = await prisma.workflowRun.findUnique({ where: { id: timer.runId }, select: { status: true } });
+      if (run?.status === 'paused') {
+        status = 'paused';
+      } else if (run?.status === 'running') {
+        status = 'pending';
+      }
+    }
+
+    // A goal exit may have cancelled the timer meanwhile
+    await prisma.workflowTimer.updateMany({
+      where: { id: timer.id, status: 'processing' },
+      data: { status, lockedAt: null }
+    });
+  } catch (error) {
+    console.error(`[Wait Scheduler] Failed to resume run ${timer.runId} after node ${timer.nodeId}:`, error);
+
+    await prisma.workflowTimer.updateMany({
+      where: { id: timer.id, status: 'processing' },
+      data: { status: 'failed', error: error.message, lockedAt: null }
+    });
+  }
+}
+
+/**
+ * Claims and processes every due timer
+ * @returns {Promise<number>} - Number of timers processed
+ */
+async function pollOnce() {
+  let processed = 0;
+  let batch;
+
+  do {
+    batch = await claimDueTimers(BATCH_SIZE);
+    for (const timer of batch) {
+      await processTimer(timer);
+      processed += 1;
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  return processed;
+}
+
+/**
+ * Starts polling for due timers
+ * @param {object} [options] - Scheduler options
+ * @param {number} [options.intervalMs] - Polling interval in milliseconds
+ */
+function startWaitScheduler({ intervalMs = Number(process.env.WORKFLOW_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) {
+  if (intervalHandle) {
+    return;
+  }
+
+  const tick = async () => {
+    // Skip a tick while the previous poll is still working through timers
+    if (polling) {
+      return;
+    }
+
+    polling = true;
+    try {
+      const processed = await pollOnce();
+      if (processed > 0) {
+        console.log(`[Wait Scheduler] Resumed ${processed} waiting workflow step(s)`);
+      }
+      await pruneRateSlots();
+    } catch (error) {
+      console.error('[Wait Scheduler] Polling failed:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  intervalHandle = setInterval(tick, intervalMs);
+  intervalHandle.unref();
+  tick();
+
+  console.log(`[Wait Scheduler] Polling for due workflow timers every ${intervalMs}ms`);
+}
+
+/**
+ * Stops polling for due timers
+ */
+function stopWaitScheduler() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  startWaitScheduler,
+  stopWaitScheduler,
+  pollOnce
+};
@@ -0,0 +1,453 @@
+/**
+ * Executors for the actionType values an ActionNode can carry
+ */
+
+const { prisma } = require('./db');
+const { sendSMS } = require('../integrations/kixieService');
+const { EVENTS, publish } = require('./eventBus');
+const { renderTemplate, buildTemplateData } = require('../utils/templateRenderer');
+const { listDefinitionsFor, checkCustomFieldValues } = require('./customFieldService');
+
+// Contact columns update_contact may write directly; anything else goes to contact.data
+const CONTACT_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'company'];
+
+/**
+ * Renders merge tags in action config against the run context
+ * @param {string} text - Template text
+ * @param {object} context - Run context
+ * @param {object} [options] - renderTemplate options
+ * @returns {string} - Rendered text
+ */
+function render(text, context, options) {
+  return renderTemplate(text, buildTemplateData(context), options);
+}
+
+/**
+ * Throws unless the run context carries a contact
+ * @param {object} context - Run context
+ * @param {string} actionType - Action being executed
+ * @returns {object} - The contact
+ */
+function requireContact(context, actionType) {
+  if (!context.contact) {
+    throw new Error(`Action '${actionType}' requires a contact`);
+  }
+  return context.contact;
+}
+
+async function sendEmail(config = {}, context, options = {}) {
+  const contact = requireContact(context, 'send_email');
+  const to = render(config.to, context) || contact.email;
+
+  if (!to) {
+    throw new Error('No recipient email address for send_email');
+  }
+
+  // A saved EmailTemplate supplies the subject and body unless the node overrides them
+  let template = null;
+  if (config.templateId) {
+    template = await prisma.emailTemplate.findFirst({
+      where: { id: config.templateId, userId: context.userId }
+    });
+    if (!template) {
+      throw new Error(`Email template ${config.templateId} not found`);
+    }
+  }
+
+  const email = {
+    to,
+    subject: render(config.subject || template?.subject, context),
+    body: render(config.body || template?.body, context, { escape: 'html' }),
+    templateId: config.templateId || null
+  };
+
+  if (options.dryRun) {
+    return email;
+  }
+
+  // No mail transport is configured yet, so the rendered message is recorded
+  // on the contact's timeline where it can be reviewed.
+  await prisma.activity.create({
+    data: {
+      type: 'email_sent',
+      note: `Workflow email: ${email.subject}`,
+      userId: context.userId,
+      contactId: contact.id,
+      data: {
+        ...email,
+        workflowId: context.workflowId
+      }
+    }
+  });
+
+  return email;
+}
+
+async function sendSms(config = {}, context, options = {}) {
+  const contact = requireContact(context, 'send_sms');
+  const to = render(config.to, context) || contact.phone;
+
+  if (!to) {
+    throw new Error('No recipient phone number for send_sms');
+  }
+
+  const message = render(config.message, context);
+  if (options.dryRun) {
+    return { to, message, response: null };
+  }
+
+  const response = await sendSMS(to, message, context.userId);
+
+  return { to, message, response };
+}
+
+/**
+ * Finds a tag by ID, or by name (creating it when missing)
+ * @param {object} config - tagConfig with tagId and/or tagName
+ * @param {object} [options] - Action options; a dry run never creates the tag
+ * @returns {Promise<object>} - Tag record ({ id: null, name } for a dry run's missing tag)
+ */
+async function resolveTag(config, options = {}) {
+  if (config.tagId) {
+    const tag = await prisma.tag.findUnique({ where: { id: config.tagId } });
+    if (!tag) {
+      throw new Error(`Tag ${config.tagId} not found`);
+    }
+    return tag;
+  }
+
+  if (!config.tagName) {
+    throw new Error('tagConfig.tagId or tagConfig.tagName is required');
+  }
+
+  const existing = await prisma.tag.findFirst({ where: { name: config.tagName } });
+  if (existing || options.dryRun) {
+    return existing || { id: null, name: config.tagName };
+  }
+
+  return prisma.tag.create({ data: { name: config.tagName } });
+}
+
+/**
+ * Checks the in-memory contact for a tag, matched by ID or name
+ * @param {object} contact - Contact with tags included
+ * @param {object} tag - Tag record
+ * @returns {boolean} - True if the contact carries the tag
+ */
+function contactHasTag(contact, tag) {
+  return (contact.tags || []).some(entry => (tag.id && entry.tagId === tag.id) || entry.tag?.name === tag.name);
+}
+
+async function addTag(config = {}, context, options = {}) {
+  const contact = requireContact(context, 'add_tag');
+  const tag = await resolveTag(config, options);
+
+  if (options.dryRun) {
+    const added = !contactHasTag(contact, tag);
+    if (added) {
+      contact.tags = [...(contact.tags || []), { contactId: contact.id, tagId: tag.id, tag }];
+    }
+    return { tagId: tag.id, tagName: tag.name, added };
+  }
+
+  const existing = await prisma.contactTag.findUnique({
+    where: {
+      contactId_tagId: {
+        contactId: contact.id,
+        tagId: tag.id
+      }
+    }
+  });
+
+  if (existing) {
+    return { tagId: tag.id, tagName: tag.name, added: false };
+  }
+
+  await prisma.contactTag.create({
+    data: {
+      contactId: contact.id,
+      tagId: tag.id
+    }
+  });
+
+  // Keep the in-memory contact current for downstream conditions
+  contact.tags = [...(contact.tags || []), { contactId: contact.id, tagId: tag.id, tag }];
+
+  await prisma.activity.create({
+    data: {
+      type: 'tag_assigned',
+      note: `Workflow assigned tag: ${tag.name}`,
+      userId: context.userId,
+      contactId: contact.id,
+      data: { tagId: tag.id, workflowId: context.workflowId }
+    }
+  });
+
+  publish(EVENTS.TAG_ADDED, {
+    userId: context.userId,
+    contactId: contact.id,
+    data: { tagId: tag.id, tagName: tag.name, workflowId: context.workflowId }
+  });
+
+  return { tagId: tag.id, tagName: tag.name, added: true };
+}
+
+async function removeTag(config = {}, context, options = {}) {
+  const contact = requireContact(context, 'remove_tag');
+  const tag = await resolveTag(config, options);
+
+  if (options.dryRun) {
+    const removed = contactHasTag(contact, tag);
+    contact.tags = (contact.tags || []).filter(entry => !((tag.id && entry.tagId === tag.id) || entry.tag?.name === tag.name));
+    return { tagId: tag.id, tagName: tag.name, removed };
+  }
+
+  const { count } = await prisma.contactTag.deleteMany({
+    where: {
+      contactId: contact.id,
+      tagId: tag.id
+    }
+  });
+
+  contact.tags = (contact.tags || []).filter(entry => entry.tagId !== tag.id);
+
+  return { tagId: tag.id, tagName: tag.name, removed: count > 0 };
+}
+
+async function moveDealStage(config = {}, context, options = {}) {
+  const { deal } = context;
+
+  if (!deal) {
+    throw new Error("Action 'move_deal_stage' requires a deal");
+  }
+  if (!config.stageId && !config.stageName) {
+    throw new Error('dealStageConfig.stageId or dealStageConfig.stageName is required');
+  }
+
+  // Stages are looked up in the deal's own pipeline; a sample deal in a dry
+  // run may have none, in which case the configured stage is taken as is
+  const targetStage = options.dryRun && !deal.pipelineId
+    ? { id: config.stageId || null, name: config.stageName || config.stageId }
+    : await prisma.pipelineStage.findFirst({
+      where: {
+        pipelineId: deal.pipelineId,
+        ...(config.stageId ? { id: config.stageId } : { name: config.stageName })
+      }
+    });
+
+  if (!targetStage) {
+    throw new Error(`Stage '${config.stageId || config.stageName}' not found in the deal's pipeline`);
+  }
+
+  const fromStage = deal.stage?.name || null;
+  Object.assign(deal, { stageId: targetStage.id, stage: targetStage });
+
+  if (options.dryRun) {
+    return { dealId: deal.id || null, fromStage, toStage: targetStage.name };
+  }
+
+  await prisma.deal.update({
+    where: { id: deal.id },
+    data: { stageId: targetStage.id }
+  });
+
+  await prisma.activity.create({
+    data: {
+      type: 'deal_stage_changed',
+      note: `Workflow moved deal to stage: ${targetStage.name}`,
+      userId: context.userId,
+      contactId: context.contact?.id || null,
+      dealId: deal.id,
+      data: { fromStage, toStage: targetStage.name, workflowId: context.workflowId }
+    }
+  });
+
+  publish(EVENTS.DEAL_STAGE_CHANGED, {
+    userId: context.userId,
+    contactId: context.contact?.id || null,
+    data: { dealId: deal.id, stageId: targetStage.id, stageName: targetStage.name, workflowId: context.workflowId }
+  });
+
+  return { dealId: deal.id, fromStage, toStage: targetStage.name };
+}
+
+async function createTask(config = {}, context, options = {}) {
+  if (!config.title) {
+    throw new Error('taskConfig.title is required for create_task');
+  }
+
+  const task = {
+    title: render(config.title, context),
+    description: render(config.description, context) || null,
+    dueDate: config.dueDate || null,
+    assigneeId: config.assigneeId || context.userId
+  };
+
+  if (options.dryRun) {
+    return { activityId: null, ...task };
+  }
+
+  // Tasks are tracked as activities until a dedicated model exists
+  const activity = await prisma.activity.create({
+    data: {
+      type: 'task',
+      note: task.title,
+      userId: context.userId,
+      contactId: context.contact?.id || null,
+      data: {
+        ...task,
+        workflowId: context.workflowId
+      }
+    }
+  });
+
+  return { activityId: activity.id, ...task };
+}
+
+/**
+ * Writes values to a contact: contact columns directly, "custom.<name>" to
+ * the contact's custom field of that name (created when missing), and any
+ * other field to contact.data. The in-memory contact is updated as well.
+ * Values of custom fields with a definition are validated against it first;
+ * an invalid value throws before anything is written.
+ * @param {object} contact - Contact from the run context
+ * @param {object} values - Values by field name
+ * @param {object} [options] - Action options; a dry run only updates the in-memory contact
+ * @param {Array<object>} [options.definitions] - The contact owner's CustomFieldDefinitions, when already loaded
+ * @returns {Promise<void>}
+ */
+async function writeContactFields(contact, values, options = {}) {
+  const definitions = options.definitions || await listDefinitionsFor(contact.userId, Object.keys(values));
+  const { values: checked, errors } = checkCustomFieldValues(definitions, values);
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.message).join('; '));
+  }
+
+  const columns = {};
+  const data = {};
+
+  for (const [field, value] of Object.entries(checked)) {
+    if (CONTACT_FIELDS.includes(field)) {
+      columns[field] = value;
+    } else if (field.startsWith('custom.')) {
+      const name = field.slice('custom.'.length);
+      const definition = definitions.find(entry => entry.name === name);
+      await writeCustomField(contact, name, value, definition, options);
+    } else {
+      data[field] = value;
+    }
+  }
+
+  const update = {
+    ...columns,
+    ...(Object.keys(data).length > 0 && { data: { ...(contact.data || {}), ...data } })
+  };
+
+  if (Object.keys(update).length === 0) {
+    return;
+  }
+
+  if (!options.dryRun) {
+    await prisma.contact.update({
+      where: { id: contact.id },
+      data: update
+    });
+  }
+
+  // Keep the in-memory contact current for downstream nodes
+  Object.assign(contact, update);
+}
+
+/**
+ * Sets the value of a contact's custom field, creating the field when missing.
+ * Fields with a definition are typed and linked to it, and an empty value
+ * removes them.
+ * @param {object} contact - Contact with customFields included
+ * @param {string} name - Custom field name
+ * @param {*} value - Value to store as data.value, normalized when defined
+ * @param {object} [definition] - CustomFieldDefinition of the field
+ * @param {object} options - Action options
+ * @returns {Promise<void>}
+ */
+async function writeCustomField(contact, name, value, definition, options) {
+  const customFields = contact.customFields || [];
+  const existing = customFields.find(field => field.name === name);
+  const others = customFields.filter(entry => entry !== existing);
+
+  if (definition && value === null) {
+    if (existing && !options.dryRun) {
+      await prisma.customField.delete({ where: { id: existing.id } });
+    }
+    contact.customFields = others;
+    return;
+  }
+
+  const fieldData = { ...(existing?.data || {}), value };
+  const typing = definition
+    ? { type: definition.type, definitionId: definition.id }
+    : { type: existing?.type || typeof value };
+
+  let field = { ...(existing || { contactId: contact.id, name }), ...typing, data: fieldData };
+  if (!options.dryRun) {
+    field = existing
+      ? await prisma.customField.update({
+        where: { id: existing.id },
+        data: { data: fieldData, ...(definition && typing) }
+      })
+      : await prisma.customField.create({ data: { contactId: contact.id, name, ...typing, data: fieldData } });
+  }
+
+  contact.customFields = [...others, field];
+}
+
+async function updateContact(config = {}, context, options = {}) {
+  const contact = requireContact(context, 'update_contact');
+
+  if (!config.field) {
+    throw new Error('contactUpdateConfig.field is required for update_contact');
+  }
+
+  const value = render(config.value, context);
+  await writeContactFields(contact, { [config.field]: value }, options);
+
+  return { field: config.field, value };
+}
+
+// actionType -> [executor, key of the node data holding its config]
+const ACTIONS = {
+  send_email: [sendEmail, 'emailConfig'],
+  send_sms: [sendSms, 'smsConfig'],
+  add_tag: [addTag, 'tagConfig'],
+  remove_tag: [removeTag, 'tagConfig'],
+  create_task: [createTask, 'taskConfig'],
+  update_contact: [updateContact, 'contactUpdateConfig'],
+  move_deal_stage: [moveDealStage, 'dealStageConfig']
+};
+
+/**
+ * Executes the action configured on an action node
+ * @param {object} node - Action node
+ * @param {object} context - Run context
+ * @param {object} [options] - Action options
+ * @param {boolean} [options.dryRun] - Compute the output without sending messages or writing CRM data
+ * @returns {Promise<object>} - Action output
+ */
+async function executeAction(node, context, options = {}) {
+  const { actionType } = node.data || {};
+  const action = ACTIONS[actionType];
+
+  if (!action) {
+    throw new Error(`Unsupported action type: ${actionType}`);
+  }
+
+  const [executor, configKey] = action;
+  const output = await executor(node.data[configKey], context, options);
+
+  return { actionType, ...output };
+}
+
+module.exports = {
+  executeAction,
+  writeContactFields,
+  resolveTag
+};
@@ -0,0 +1,264 @@
+/**
+ * Service for workflow analytics.
+ *
+ * The funnel counts contacts per node from the run steps started in a date
+ * range. A contact is counted once per node however often it passed through
+ * (retries, re-entry); runs without a contact count on their own. Contacts
+ * currently waiting at a node come from the active and paused enrollments, so
+ * they are a snapshot rather than part of the range.
+ */
+
+const { prisma } = require('./db');
+
+// Range reported when the request gives no start date
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Resolves the date range of an analytics request
+ * @param {object} query - { from, to } as ISO dates
+ * @param {Date} [now] - Current time
+ * @returns {object} - { from, to } as Dates, or { error } when the range is invalid
+ */
+function parseRange({ from, to } = {}, now = new Date()) {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(end.getTime()) || Number.isNaN(start.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Counts the contacts that reached each node, and how their steps ended
+ * @param {string} workflowId - AutomationWorkflow ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array<object>>} - { nodeId, nodeType, label, entered, completed, failed }
+ */
+function getNodeCounts(workflowId, from, to) {
+  return prisma.$queryRaw`
+    SELECT s."nodeId",
+           MAX(s."nodeType") AS "nodeType",
+           MAX(s."label") AS "label",
+           COUNT(DISTINCT COALESCE(r."contactId", r."id"))::int AS "entered",
+           COUNT(DISTINCT COALESCE(r."contactId", r."id")) FILTER (WHERE s."status" = 'completed')::int AS "completed",
+           COUNT(DISTINCT COALESCE(r."contactId", r."id")) FILTER (WHERE s."status" = 'failed')::int AS "failed"
+    FROM "workflow_run_steps" s
+    JOIN "workflow_runs" r ON r."id" = s."runId"
+    WHERE r."workflowId" = ${workflowId}
+      AND s."startedAt" >= ${from}
+      AND s."startedAt" <= ${to}
+    GROUP BY s."nodeId"
+  `;
+}
+
+/**
+ * Measures the median time from entering a node to entering the next one,
+ * for each edge of the definition. Each run counts once per edge, from the
+ * first time it entered either node.
+ * @param {string} workflowId - AutomationWorkflow ID
+ * @param {Array<object>} edges - Definition edges
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array<object>>} - { source, target, samples, medianSeconds }
+ */
+function getTransitionTimes(workflowId, edges, from, to) {
+  if (edges.length === 0) {
+    return [];
+  }
+
+  const sources = edges.map(edge => edge.source);
+  const targets = edges.map(edge => edge.target);
+
+  return prisma.$queryRaw`
+    WITH entries AS (
+      SELECT s."runId", s."nodeId", MIN(s."startedAt") AS "enteredAt"
+      FROM "workflow_run_steps" s
+      JOIN "workflow_runs" r ON r."id" = s."runId"
+      WHERE r."workflowId" = ${workflowId}
+        AND s."startedAt" >= ${from}
+        AND s."startedAt" <= ${to}
+      GROUP BY s."runId", s."nodeId"
+    )
+    SELECT e."source", e."target",
+           COUNT(*)::int AS "samples",
+           percentile_cont(0.5) WITHIN GROUP (
+             ORDER BY EXTRACT(EPOCH FROM (b."enteredAt" - a."enteredAt"))::float8
+           ) AS "medianSeconds"
+    FROM UNNEST(${sources}::text[], ${targets}::text[]) AS e("source", "target")
+    JOIN entries a ON a."nodeId" = e."source"
+    JOIN entries b ON b."runId" = a."runId" AND b."nodeId" = e."target" AND b."enteredAt" >= a."enteredAt"
+    GROUP BY e."source", e."target"
+  `;
+}
+
+/**
+ * Counts the enrollments each split branch received, and how many of them
+ * reached the goal
+ * @param {string} workflowId - AutomationWorkflow ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array<object>>} - { nodeId, branch, enrolled, converted }
+ */
+function getSplitCounts(workflowId, from, to) {
+  return prisma.$queryRaw`
+    SELECT s."nodeId",
+           s."output"->>'branch' AS "branch",
+           COUNT(DISTINCT e."id")::int AS "enrolled",
+           COUNT(DISTINCT e."id") FILTER (WHERE e."goalReachedAt" IS NOT NULL)::int AS "converted"
+    FROM "workflow_run_steps" s
+    JOIN "workflow_runs" r ON r."id" = s."runId"
+    JOIN "workflow_enrollments" e ON e."id" = r."enrollmentId"
+    WHERE r."workflowId" = ${workflowId}
+      AND s."nodeType" = 'split'
+      AND s."status" = 'completed'
+      AND s."startedAt" >= ${from}
+      AND s."startedAt" <= ${to}
+    GROUP BY s."nodeId", s."output"->>'branch'
+  `;
+}
+
+/**
+ * Counts enrollments by the node they are at, for the given statuses
+ * @param {object} where - Enrollment filter
+ * @returns {Promise<Map<string, number>>} - Node ID -> enrollments
+ */
+async function countEnrollmentsByNode(where) {
+  const groups = await prisma.workflowEnrollment.groupBy({
+    by: ['currentNodeId'],
+    where: { ...where, currentNodeId: { not: null } },
+    _count: { _all: true }
+  });
+  return new Map(groups.map(group => [group.currentNodeId, group._count._all]));
+}
+
+/**
+ * Builds the funnel, drop-off, timing and goal report of a workflow
+ * @param {object} workflow - AutomationWorkflow record
+ * @param {object} range - { from, to } from parseRange
+ * @returns {Promise<object>} - { range, nodes, transitions, goal, splits }
+ */
+async function getWorkflowAnalytics(workflow, { from, to }) {
+  const definition = workflow.definition || {};
+  const definitionNodes = definition.nodes || [];
+  const edges = (definition.edges || []).filter(edge => edge.source && edge.target);
+  const inRange = { gte: from, lte: to };
+
+  const splitNodes = definitionNodes.filter(node => node.type === 'split');
+
+  const [counts, transitions, splitCounts, waiting, droppedOff, enrolled, converted] = await Promise.all([
+    getNodeCounts(workflow.id, from, to),
+    getTransitionTimes(workflow.id, edges, from, to),
+    splitNodes.length > 0 ? getSplitCounts(workflow.id, from, to) : [],
+    countEnrollmentsByNode({ workflowId: workflow.id, status: { in: ['active', 'paused'] } }),
+    // Enrollments that failed or were removed while at a node left the workflow there
+    countEnrollmentsByNode({ workflowId: workflow.id, status: { in: ['failed', 'unenrolled'] }, finishedAt: inRange }),
+    prisma.workflowEnrollment.count({ where: { workflowId: workflow.id, enrolledAt: inRange } }),
+    prisma.workflowEnrollment.count({ where: { workflowId: workflow.id, enrolledAt: inRange, goalReachedAt: { not: null } } })
+  ]);
+
+  const countsByNode = new Map(counts.map(row => [row.nodeId, row]));
+  const report = (nodeId, type, label, removed) => {
+    const row = countsByNode.get(nodeId);
+    return {
+      nodeId,
+      type,
+      label,
+      entered: row ? row.entered : 0,
+      completed: row ? row.completed : 0,
+      failed: row ? row.failed : 0,
+      waiting: waiting.get(nodeId) || 0,
+      dropOff: droppedOff.get(nodeId) || 0,
+      ...(removed && { removed: true })
+    };
+  };
+
+  // Nodes deleted since the runs were made are still reported, flagged as removed
+  const nodes = definitionNodes.map(node => report(node.id, node.type, node.data?.label || null, false));
+  for (const row of counts) {
+    if (!definitionNodes.some(node => node.id === row.nodeId)) {
+      nodes.push(report(row.nodeId, row.nodeType, row.label || null, true));
+    }
+  }
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString() },
+    nodes,
+    transitions: edges.map(edge => {
+      const row = transitions.find(candidate => candidate.source === edge.source && candidate.target === edge.target);
+      return {
+        edgeId: edge.id,
+        source: edge.source,
+        target: edge.target,
+        samples: row ? row.samples : 0,
+        medianSeconds: row && row.medianSeconds !== null ? Number(row.medianSeconds) : null
+      };
+    }),
+    goal: {
+      defined: Boolean(definition.settings?.goal),
+      enrolled,
+      converted,
+      conversionRate: enrolled > 0 ? converted / enrolled : null
+    },
+    // Goal conversion per branch of each split node, to compare A/B variants
+    splits: splitNodes.map(node => ({
+      nodeId: node.id,
+      label: node.data?.label || null,
+      branches: (node.data?.branches || []).map(branch => {
+        const row = splitCounts.find(candidate => candidate.nodeId === node.id && candidate.branch === branch.id);
+        return {
+          id: branch.id,
+          label: branch.label || null,
+          weight: branch.weight,
+          enrolled: row ? row.enrolled : 0,
+          converted: row ? row.converted : 0,
+          conversionRate: row && row.enrolled > 0 ? row.converted / row.enrolled : null
+        };
+      })
+    }))
+  };
+}
+
+/**
+ * Summarizes the enrollments of workflows for the workflow list
+ * @param {string} userId - Owner of the workflows
+ * @param {Array<string>} workflowIds - AutomationWorkflow IDs
+ * @returns {Promise<Map<string, object>>} - Workflow ID -> { enrolled, active, completed }
+ */
+async function getEnrollmentSummaries(userId, workflowIds) {
+  const summaries = new Map(workflowIds.map(id => [id, { enrolled: 0, active: 0, completed: 0 }]));
+  if (workflowIds.length === 0) {
+    return summaries;
+  }
+
+  const groups = await prisma.workflowEnrollment.groupBy({
+    by: ['workflowId', 'status'],
+    where: { userId, workflowId: { in: workflowIds } },
+    _count: { _all: true }
+  });
+
+  for (const { workflowId, status, _count } of groups) {
+    const summary = summaries.get(workflowId);
+    if (!summary) {
+      continue;
+    }
+    summary.enrolled += _count._all;
+    if (status === 'active' || status === 'paused') {
+      summary.active += _count._all;
+    } else if (status === 'completed') {
+      summary.completed += _count._all;
+    }
+  }
+
+  return summaries;
+}
+
+module.exports = {
+  parseRange,
+  getWorkflowAnalytics,
+  getEnrollmentSummaries
+};
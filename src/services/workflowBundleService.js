@@ -0,0 +1,242 @@
+/**
+ * Service for exporting workflows as portable bundles and importing them.
+ *
+ * A bundle carries the workflow definition together with the account records
+ * its nodes reference by ID (email templates, tags and pipeline stages), so
+ * it can be imported into another account. Import matches each record by name
+ * in the importing account, creates missing email templates and tags, and
+ * rewrites the IDs in the definition. Stages are never created; a stage with
+ * no match is reported as unresolved.
+ */
+
+const { prisma } = require('./db');
+const { createWorkflowWithVersion } = require('./workflowVersionService');
+
+const BUNDLE_FORMAT = 'automation-workflow';
+const BUNDLE_VERSION = 1;
+
+// Node data fields that hold the ID of an account record
+const REFERENCE_FIELDS = [
+  { kind: 'emailTemplates', nodeType: 'action', path: ['emailConfig', 'templateId'] },
+  { kind: 'tags', nodeType: 'action', path: ['tagConfig', 'tagId'] },
+  { kind: 'tags', nodeType: 'trigger', path: ['tagId'] },
+  { kind: 'tags', nodeType: 'condition', path: ['tagId'] },
+  { kind: 'stages', nodeType: 'action', path: ['dealStageConfig', 'stageId'] },
+  { kind: 'stages', nodeType: 'trigger', path: ['stageId'] }
+];
+
+/**
+ * Lists the account records a definition references
+ * @param {object} definition - Workflow definition
+ * @returns {Array<object>} - References { kind, id, nodeId, nodeIndex, path }
+ */
+function findReferences(definition) {
+  const references = [];
+
+  (definition?.nodes || []).forEach((node, nodeIndex) => {
+    for (const { kind, nodeType, path } of REFERENCE_FIELDS) {
+      const id = path.reduce((value, key) => value?.[key], node.data);
+      if (node.type === nodeType && typeof id === 'string' && id) {
+        references.push({ kind, id, nodeId: node.id, nodeIndex, path });
+      }
+    }
+  });
+
+  return references;
+}
+
+const idsOf = (references, kind) => [...new Set(references.filter(ref => ref.kind === kind).map(ref => ref.id))];
+
+/**
+ * Builds the export bundle of a workflow's draft definition
+ * @param {object} workflow - AutomationWorkflow record
+ * @returns {Promise<object>} - Bundle
+ */
+async function exportWorkflow(workflow) {
+  const references = findReferences(workflow.definition);
+  const tagIds = idsOf(references, 'tags');
+
+  const [emailTemplates, tags, stages] = await Promise.all([
+    prisma.emailTemplate.findMany({
+      where: { id: { in: idsOf(references, 'emailTemplates') }, userId: workflow.userId },
+      select: { id: true, name: true, subject: true, body: true }
+    }),
+    // Tag conditions may name a tag instead of referencing its ID
+    prisma.tag.findMany({
+      where: { OR: [{ id: { in: tagIds } }, { name: { in: tagIds } }] },
+      select: { id: true, name: true, color: true }
+    }),
+    prisma.pipelineStage.findMany({
+      where: { id: { in: idsOf(references, 'stages') }, pipeline: { userId: workflow.userId } },
+      include: { pipeline: { select: { name: true } } }
+    })
+  ]);
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workflow: {
+      name: workflow.name,
+      description: workflow.description || null,
+      definition: workflow.definition
+    },
+    references: {
+      emailTemplates,
+      tags: tagIds
+        .map(id => {
+          const tag = tags.find(candidate => candidate.id === id) || tags.find(candidate => candidate.name === id);
+          return tag && { id, name: tag.name, color: tag.color };
+        })
+        .filter(Boolean),
+      stages: stages.map(stage => ({ id: stage.id, name: stage.name, pipelineName: stage.pipeline.name }))
+    }
+  };
+}
+
+/**
+ * Checks that a value is a bundle this version can import
+ * @param {*} bundle - Request body
+ * @returns {string|null} - Error message, or null when the bundle is usable
+ */
+function getBundleError(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return `Not a workflow bundle (format must be '${BUNDLE_FORMAT}')`;
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return `Unsupported workflow bundle version: ${bundle.version}`;
+  }
+  if (!bundle.workflow || !bundle.workflow.definition || typeof bundle.workflow.definition !== 'object') {
+    return 'Workflow bundle has no definition';
+  }
+  return null;
+}
+
+/**
+ * Finds or creates the importing user's email template for a bundled one
+ * @param {object} template - Bundled template { name, subject, body }
+ * @param {string} userId - Importing user
+ * @returns {Promise<object>} - { id, status } where status is matched or created
+ */
+async function resolveEmailTemplate(template, userId) {
+  const existing = await prisma.emailTemplate.findFirst({ where: { userId, name: template.name } });
+  if (existing) {
+    return { id: existing.id, status: 'matched' };
+  }
+
+  const created = await prisma.emailTemplate.create({
+    data: { name: template.name, subject: template.subject, body: template.body, userId }
+  });
+  return { id: created.id, status: 'created' };
+}
+
+/**
+ * Finds or creates a tag for a bundled one
+ * @param {object} tag - Bundled tag { name, color }
+ * @returns {Promise<object>} - { id, status } where status is matched or created
+ */
+async function resolveTag(tag) {
+  const existing = await prisma.tag.findFirst({ where: { name: tag.name } });
+  if (existing) {
+    return { id: existing.id, status: 'matched' };
+  }
+
+  const created = await prisma.tag.create({ data: { name: tag.name, color: tag.color || null } });
+  return { id: created.id, status: 'created' };
+}
+
+/**
+ * Finds the importing user's stage for a bundled one, preferring a pipeline
+ * with the same name, then the default pipeline
+ * @param {object} stage - Bundled stage { name, pipelineName }
+ * @param {string} userId - Importing user
+ * @returns {Promise<object>} - { id, status } where status is matched or unresolved
+ */
+async function resolveStage(stage, userId) {
+  const candidates = await prisma.pipelineStage.findMany({
+    where: { name: stage.name, pipeline: { userId } },
+    include: { pipeline: { select: { name: true, isDefault: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const match = candidates.find(candidate => candidate.pipeline.name === stage.pipelineName)
+    || candidates.find(candidate => candidate.pipeline.isDefault)
+    || candidates[0];
+
+  return match ? { id: match.id, status: 'matched' } : { id: null, status: 'unresolved' };
+}
+
+const RESOLVERS = {
+  emailTemplates: (record, userId) => resolveEmailTemplate(record, userId),
+  tags: record => resolveTag(record),
+  stages: (record, userId) => resolveStage(record, userId)
+};
+
+/**
+ * Imports a bundle as a new workflow of the user. The workflow is saved as
+ * an unpublished version 1, so nothing runs until it is reviewed and published.
+ * The bundled definition should be validated first; remapping only swaps IDs.
+ * @param {object} bundle - Bundle from exportWorkflow or the template gallery
+ * @param {string} userId - Importing user
+ * @param {object} [options] - Import options
+ * @param {string} [options.name] - Name for the new workflow (defaults to the bundled name)
+ * @returns {Promise<object>} - { workflow, references, unresolved }
+ */
+async function importBundle(bundle, userId, { name } = {}) {
+  const definition = JSON.parse(JSON.stringify(bundle.workflow.definition));
+  const references = findReferences(definition);
+
+  // Resolve every bundled record once, even when several nodes share it
+  const resolved = [];
+  for (const [kind, records] of Object.entries(bundle.references || {})) {
+    if (!RESOLVERS[kind] || !Array.isArray(records)) {
+      continue;
+    }
+    for (const record of records) {
+      if (typeof record?.name === 'string' && references.some(ref => ref.kind === kind && ref.id === record.id)) {
+        resolved.push({ kind, sourceId: record.id, name: record.name, ...await RESOLVERS[kind](record, userId) });
+      }
+    }
+  }
+
+  const unresolved = [];
+  for (const ref of references) {
+    const match = resolved.find(entry => entry.kind === ref.kind && entry.sourceId === ref.id);
+    const location = { kind: ref.kind, id: ref.id, nodeId: ref.nodeId, path: `/nodes/${ref.nodeIndex}/data/${ref.path.join('/')}` };
+
+    if (!match) {
+      unresolved.push({ ...location, reason: 'not_in_bundle' });
+    } else if (match.status === 'unresolved') {
+      unresolved.push({ ...location, name: match.name, reason: 'no_match' });
+    } else {
+      const parent = ref.path.slice(0, -1).reduce((value, key) => value[key], definition.nodes[ref.nodeIndex].data);
+      parent[ref.path[ref.path.length - 1]] = match.id;
+    }
+  }
+
+  const workflow = await createWorkflowWithVersion({
+    name: name || bundle.workflow.name || 'Imported workflow',
+    description: bundle.workflow.description || null,
+    definition,
+    userId,
+    note: 'Imported',
+    publish: false
+  });
+
+  return {
+    workflow,
+    references: resolved.map(({ kind, sourceId, name: recordName, id, status }) => ({
+      kind, sourceId, name: recordName, id, status
+    })),
+    unresolved
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  findReferences,
+  exportWorkflow,
+  getBundleError,
+  importBundle
+};
@@ -0,0 +1,130 @@
+/**
+ * Builds the execution context a workflow run reads from
+ */
+
+const { prisma } = require('./db');
+
+// Relations workflow nodes read from a contact
+const CONTACT_INCLUDE = {
+  tags: {
+    include: {
+      tag: true
+    }
+  },
+  customFields: true,
+  user: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+      phoneNumber: true,
+      company: true,
+      jobTitle: true
+    }
+  },
+  deals: {
+    include: {
+      stage: true,
+      pipeline: true
+    },
+    orderBy: {
+      updatedAt: 'desc'
+    }
+  }
+};
+
+/**
+ * Loads a contact with the relations workflow nodes need
+ * @param {string} contactId - Contact ID
+ * @param {string} userId - Owning user ID
+ * @returns {Promise<object|null>} - Contact with tags, deals and custom fields
+ */
+async function loadContact(contactId, userId) {
+  if (!contactId) {
+    return null;
+  }
+
+  return prisma.contact.findFirst({
+    where: {
+      id: contactId,
+      userId
+    },
+    include: CONTACT_INCLUDE
+  });
+}
+
+/**
+ * Loads a page of a user's contacts with the relations workflow nodes need
+ * @param {object} params - Query parameters
+ * @param {string} params.userId - Owning user ID
+ * @param {string} [params.tagId] - Only contacts with this tag
+ * @param {string} [params.cursor] - ID of the last contact of the previous page
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<Array<object>>} - Contacts ordered by ID
+ */
+function loadContactPage({ userId, tagId, cursor, limit = 200 }) {
+  return prisma.contact.findMany({
+    where: {
+      userId,
+      ...(tagId && { tags: { some: { tagId } } }),
+      ...(cursor && { id: { gt: cursor } })
+    },
+    include: CONTACT_INCLUDE,
+    orderBy: { id: 'asc' },
+    take: limit
+  });
+}
+
+/**
+ * Shapes an inline contact payload like a contact from loadContact, for
+ * simulations against a contact that doesn't exist
+ * @param {object} payload - Contact fields, plus optional tags (names) and deal ({ value, stage })
+ * @returns {object} - Sample contact
+ */
+function buildSampleContact(payload = {}) {
+  const { tags = [], deal, ...fields } = payload;
+
+  return {
+    id: null,
+    data: {},
+    customFields: [],
+    ...fields,
+    tags: tags.map(name => ({ contactId: null, tagId: null, tag: { id: null, name: String(name) } })),
+    deals: deal
+      ? [{
+        id: null,
+        title: deal.title || null,
+        value: deal.value ?? 0,
+        pipelineId: deal.pipelineId || null,
+        stage: deal.stage ? { id: null, name: deal.stage } : null
+      }]
+      : []
+  };
+}
+
+/**
+ * Creates the context object passed to the workflow runner
+ * @param {object} params - Context parameters
+ * @param {object} params.workflow - AutomationWorkflow record
+ * @param {object} [params.contact] - Contact loaded via loadContact
+ * @param {object} [params.trigger] - Payload of the event that started the run
+ * @returns {object} - Run context
+ */
+function buildContext({ workflow, contact = null, trigger = {} }) {
+  return {
+    userId: workflow.userId,
+    workflowId: workflow.id,
+    contact,
+    deal: contact?.deals?.[0] || null,
+    trigger,
+    steps: {}
+  };
+}
+
+module.exports = {
+  loadContact,
+  loadContactPage,
+  buildSampleContact,
+  buildContext
+};
@@ -0,0 +1,545 @@
+/**
+ * Service for executing workflows and recording their run and step history
+ */
+
+const { prisma } = require('./db');
+const { runWorkflow } = require('./workflowRunner');
+const { loadContact, buildContext } = require('./workflowContext');
+const { buildGraph, getGoalNode } = require('../utils/workflowGraph');
+const { evaluateGoal } = require('../utils/workflowConditions');
+const { bookExecution } = require('./workflowThrottle');
+
+/**
+ * Persists a finished step of a run
+ * @param {string} runId - WorkflowRun ID
+ * @param {object} step - Step produced by the workflow runner
+ * @returns {Promise<object>} - Created WorkflowRunStep
+ */
+function recordStep(runId, step) {
+  return prisma.workflowRunStep.create({
+    data: {
+      runId,
+      nodeId: step.nodeId,
+      nodeType: step.type,
+      label: step.label,
+      status: step.status,
+      output: step.output ?? undefined,
+      error: step.error,
+      startedAt: step.startedAt,
+      finishedAt: step.finishedAt
+    }
+  });
+}
+
+/**
+ * Starts a workflow run and records it as a WorkflowRun with its steps
+ * @param {object} params - Run parameters
+ * @param {object} params.workflow - AutomationWorkflow record
+ * @param {object} params.version - WorkflowVersion to execute (usually the published one)
+ * @param {object} [params.contact] - Contact loaded via workflowContext.loadContact
+ * @param {object} [params.trigger] - Payload of the event that started the run
+ * @param {Array<string>} [params.startNodeIds] - Trigger nodes to start from
+ * @param {string} [params.enrollmentId] - WorkflowEnrollment the run carries out
+ * @returns {Promise<object>} - { run, result }
+ */
+async function startRun({ workflow, version, contact = null, trigger = {}, startNodeIds, enrollmentId = null }) {
+  const run = await prisma.workflowRun.create({
+    data: {
+      workflowId: workflow.id,
+      versionId: version.id,
+      enrollmentId,
+      userId: workflow.userId,
+      contactId: contact?.id || null,
+      triggerType: trigger.type || null,
+      input: {
+        contactId: contact?.id || null,
+        trigger
+      }
+    }
+  });
+
+  const context = buildContext({ workflow, contact, trigger });
+
+  const result = await execute(run, version.definition, context, { startNodeIds });
+  const updatedRun = await finalizeRun(run, result);
+
+  return { run: updatedRun, result };
+}
+
+/**
+ * Simulates a workflow without recording a run: nothing is sent or written,
+ * and waits are collapsed so the whole path is walked at once
+ * @param {object} params - Simulation parameters
+ * @param {object} params.workflow - AutomationWorkflow record
+ * @param {object} params.definition - Definition to simulate (draft or a version)
+ * @param {object} [params.contact] - Loaded or sample contact
+ * @param {object} [params.trigger] - Trigger payload
+ * @returns {Promise<object>} - Runner result
+ */
+async function simulateRun({ workflow, definition, contact = null, trigger = {} }) {
+  const context = buildContext({ workflow, contact, trigger });
+
+  try {
+    return await runWorkflow(definition, context, { dryRun: true });
+  } catch (error) {
+    return { status: 'failed', steps: [], waiting: [], context, error: error.message };
+  }
+}
+
+/**
+ * Continues a waiting run after one of its wait nodes elapsed, or retries a
+ * node that failed
+ * @param {string} runId - WorkflowRun ID
+ * @param {string} nodeId - Wait node the run resumes after, or the node to retry
+ * @param {object} [options] - Resume options
+ * @param {string} [options.timerId] - Timer that fired, excluded from pending timer checks
+ * @param {number} [options.retryAttempt] - Set when the timer retries nodeId
+ * @param {boolean} [options.throttled] - Set when nodeId was deferred by a rate limit;
+ * it executes in the window it was booked into
+ * @returns {Promise<object|null>} - { run, result }, or null when the run is no longer
+ * waiting, including when another pass is executing it
+ */
+async function resumeRun(runId, nodeId, { timerId, retryAttempt, throttled } = {}) {
+  if (!(await claimRun(runId, ['waiting']))) {
+    return null;
+  }
+
+  const run = await prisma.workflowRun.findUnique({
+    where: { id: runId },
+    include: { workflow: true, version: true }
+  });
+
+  const { workflow } = run;
+  const contact = run.contactId ? await loadContact(run.contactId, run.userId) : null;
+  const context = buildContext({ workflow, contact, trigger: run.input?.trigger || {} });
+  context.steps = run.state?.steps || {};
+
+  // The wait that just elapsed is now complete
+  if (!retryAttempt && !throttled) {
+    await prisma.workflowRunStep.updateMany({
+      where: { runId, nodeId, status: 'waiting' },
+      data: { status: 'completed', finishedAt: new Date() }
+    });
+  }
+
+  // Runs finish on the version they started with, whatever was published since
+  const definition = run.version ? run.version.definition : workflow.definition;
+
+  // A contact that met the goal while waiting skips the rest of the sequence
+  if (run.enrollmentId && evaluateGoal(definition.settings?.goal, context)) {
+    return exitAtGoal(run, definition, context, { timerId, claimed: true });
+  }
+
+  let options = { resumeFrom: nodeId };
+  if (throttled) {
+    options = { startNodeIds: [nodeId], retryAttempts: { [nodeId]: retryAttempt || 0 }, reservedNodeIds: [nodeId] };
+  } else if (retryAttempt) {
+    options = { startNodeIds: [nodeId], retryAttempts: { [nodeId]: retryAttempt } };
+  }
+  const result = await execute(run, definition, context, options);
+  const updatedRun = await finalizeRun(run, result, { timerId });
+
+  return { run: updatedRun, result };
+}
+
+/**
+ * Executes a dead-lettered node again. When the failure stopped the run, the
+ * run continues from the node and its enrollment is reopened; when the run
+ * went on past it (continueOnError), only the node itself is executed.
+ * @param {object} deadLetter - Open WorkflowDeadLetter
+ * @returns {Promise<object|null>} - { run, result }, or null when the dead
+ * letter was re-driven or discarded meanwhile
+ */
+async function redriveDeadLetter(deadLetter) {
+  const run = await prisma.workflowRun.findUnique({
+    where: { id: deadLetter.runId },
+    include: { workflow: true, version: true, enrollment: true }
+  });
+
+  // The dead letter is claimed first, so concurrent re-drives send the node once
+  const claimed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.workflowDeadLetter.updateMany({
+      where: { id: deadLetter.id, status: 'open' },
+      data: { status: 'redriven', resolvedAt: new Date() }
+    });
+    if (count === 0) {
+      return false;
+    }
+
+    if (!deadLetter.continued && run.enrollment?.status === 'failed') {
+      // Fails with P2002 when the contact has been enrolled again since
+      await tx.workflowEnrollment.update({
+        where: { id: run.enrollmentId },
+        data: {
+          status: 'active',
+          activeKey: `${run.workflowId}:${run.contactId}`,
+          finishedAt: null
+        }
+      });
+    }
+    return true;
+  });
+
+  if (!claimed) {
+    return null;
+  }
+
+  const contact = run.contactId ? await loadContact(run.contactId, run.userId) : null;
+  const context = buildContext({ workflow: run.workflow, contact, trigger: run.input?.trigger || {} });
+  context.steps = run.state?.steps || {};
+
+  const definition = run.version ? run.version.definition : run.workflow.definition;
+  const result = await execute(run, definition, context, {
+    startNodeIds: [deadLetter.nodeId],
+    followEdges: !deadLetter.continued
+  });
+  const updatedRun = await finalizeRun(run, result);
+
+  return { run: updatedRun, result };
+}
+
+/**
+ * Lists dead-lettered nodes of a user's workflows, newest first
+ * @param {object} params - Query parameters
+ * @param {string} params.userId - Owning user ID
+ * @param {string} [params.workflowId] - Optional workflow filter
+ * @param {string} [params.status] - Optional status filter (open, redriven, discarded)
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<object>} - { deadLetters, total }
+ */
+async function listDeadLetters({ userId, workflowId, status, page = 1, limit = 20 }) {
+  const where = { run: { userId } };
+  if (workflowId) {
+    where.workflowId = workflowId;
+  }
+  if (status) {
+    where.status = status;
+  }
+
+  const [deadLetters, total] = await Promise.all([
+    prisma.workflowDeadLetter.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        workflow: {
+          select: { id: true, name: true }
+        },
+        run: {
+          select: { id: true, status: true, contactId: true, startedAt: true }
+        }
+      }
+    }),
+    prisma.workflowDeadLetter.count({ where })
+  ]);
+
+  return { deadLetters, total };
+}
+
+/**
+ * Fetches a dead letter owned by a user
+ * @param {string} deadLetterId - WorkflowDeadLetter ID
+ * @param {string} userId - Owning user ID
+ * @returns {Promise<object|null>} - WorkflowDeadLetter
+ */
+function getDeadLetter(deadLetterId, userId) {
+  return prisma.workflowDeadLetter.findFirst({
+    where: { id: deadLetterId, run: { userId } }
+  });
+}
+
+/**
+ * Moves a parked run to running, so that a timer and a goal event never
+ * execute it at the same time
+ * @param {string} runId - WorkflowRun ID
+ * @param {Array<string>} statuses - Statuses the run may be parked in
+ * @returns {Promise<boolean>} - Whether the run was claimed
+ */
+async function claimRun(runId, statuses) {
+  const { count } = await prisma.workflowRun.updateMany({
+    where: { id: runId, status: { in: statuses } },
+    data: { status: 'running' }
+  });
+  return count > 0;
+}
+
+/**
+ * Ends an enrollment's unfinished run because the workflow goal was met: its
+ * pending waits are cancelled and the run continues at the goal node, or
+ * completes when the workflow has none
+ * @param {object} run - Waiting or paused WorkflowRun of an enrollment
+ * @param {object} definition - Definition the run executes
+ * @param {object} context - Run context with the contact reloaded
+ * @param {object} [options] - Exit options
+ * @param {string} [options.timerId] - Timer being processed, if the goal was found on resume
+ * @param {boolean} [options.claimed] - Set when the caller already claimed the run
+ * @returns {Promise<object|null>} - { run, result }, or null when the run is
+ * no longer parked
+ */
+async function exitAtGoal(run, definition, context, { timerId, claimed = false } = {}) {
+  if (!claimed && !(await claimRun(run.id, ['waiting', 'paused']))) {
+    return null;
+  }
+
+  console.log(`[Workflow Runs] Run ${run.id} of workflow ${run.workflowId} met its goal`);
+
+  // Timers other workers are processing are cancelled too, so they do not resume the run
+  await prisma.workflowTimer.updateMany({
+    where: {
+      runId: run.id,
+      status: { in: ['pending', 'paused', 'processing'] },
+      ...(timerId && { id: { not: timerId } })
+    },
+    data: { status: 'cancelled' }
+  });
+  await prisma.workflowRunStep.updateMany({
+    where: { runId: run.id, status: 'waiting' },
+    data: { status: 'cancelled', finishedAt: new Date() }
+  });
+
+  // A paused enrollment is released so the goal path can settle it
+  await prisma.workflowEnrollment.update({
+    where: { id: run.enrollmentId },
+    data: { status: 'active', pausedAt: null, goalReachedAt: new Date() }
+  });
+
+  const goalNode = getGoalNode(buildGraph(definition));
+  const result = goalNode
+    ? await execute(run, definition, context, { startNodeIds: [goalNode.id] })
+    : { status: 'completed', steps: [], waiting: [], context };
+  const updatedRun = await finalizeRun(run, result, { timerId });
+
+  return { run: updatedRun, result };
+}
+
+/**
+ * Runs the workflow graph, recording steps as they finish. Emails, SMS and
+ * webhooks over their per-minute limits are deferred to a later window.
+ * @param {object} run - WorkflowRun record
+ * @param {object} definition - Workflow definition
+ * @param {object} context - Run context
+ * @param {object} options - Runner options
+ * @returns {Promise<object>} - Runner result
+ */
+async function execute(run, definition, context, options) {
+  try {
+    return await runWorkflow(definition, context, {
+      ...options,
+      onStep: step => recordStep(run.id, step),
+      throttle: node => bookExecution({ workflowId: run.workflowId, userId: run.userId, definition, node })
+    });
+  } catch (error) {
+    console.error(`[Workflow Runs] Run ${run.id} of workflow ${run.workflowId} crashed:`, error);
+    return { status: 'failed', steps: [], waiting: [], context, error: error.message };
+  }
+}
+
+/**
+ * Stores the outcome of an execution pass: schedules timers for new waits and
+ * settles the run status, taking other still pending waits into account.
+ * The run row is locked first, so an unenroll or pause that landed while the
+ * pass executed is respected: a cancelled run is left as it is, and the waits
+ * of a paused run are scheduled paused.
+ * @param {object} run - WorkflowRun record
+ * @param {object} result - Runner result
+ * @param {object} [options] - Finalize options
+ * @param {string} [options.timerId] - Timer being processed, not counted as pending
+ * @returns {Promise<object>} - Updated WorkflowRun
+ */
+function finalizeRun(run, result, { timerId } = {}) {
+  const failedStep = result.steps.find(step => step.status === 'failed');
+  const state = { steps: result.context?.steps || run.state?.steps || {} };
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.workflowRun.updateMany({
+      where: { id: run.id, status: { not: 'cancelled' } },
+      data: { state }
+    });
+    const current = await tx.workflowRun.findUnique({
+      where: { id: run.id },
+      include: { enrollment: { select: { status: true } } }
+    });
+    const { enrollment, ...currentRun } = current;
+
+    if (count === 0) {
+      console.log(`[Workflow Runs] Run ${run.id} of workflow ${run.workflowId} was cancelled while executing`);
+      return currentRun;
+    }
+
+    const paused = currentRun.status === 'paused' || enrollment?.status === 'paused';
+    let status = result.status;
+
+    if (status === 'failed') {
+      // A failed branch ends the whole run
+      await tx.workflowTimer.updateMany({
+        where: { runId: run.id, status: { in: ['pending', 'paused'] } },
+        data: { status: 'cancelled' }
+      });
+    } else {
+      if (result.waiting.length > 0) {
+        await tx.workflowTimer.createMany({
+          data: result.waiting.map(wait => ({
+            runId: run.id,
+            nodeId: wait.nodeId,
+            resumeAt: wait.resumeAt,
+            retryAttempt: wait.retryAttempt || null,
+            ...(wait.throttled && { throttled: true }),
+            ...(paused && { status: 'paused' })
+          }))
+        });
+      }
+
+      const pendingTimers = await tx.workflowTimer.count({
+        where: {
+          runId: run.id,
+          status: { in: ['pending', 'processing', 'paused'] },
+          ...(timerId && { id: { not: timerId } })
+        }
+      });
+      if (pendingTimers === 0) {
+        status = 'completed';
+      } else {
+        status = paused ? 'paused' : 'waiting';
+      }
+    }
+
+    // Nodes that failed for good can be re-driven from the dead-letter list
+    const failures = result.failures || [];
+    if (failures.length > 0) {
+      await tx.workflowDeadLetter.createMany({
+        data: failures.map(failure => ({
+          runId: run.id,
+          workflowId: run.workflowId,
+          nodeId: failure.nodeId,
+          nodeType: failure.nodeType,
+          error: failure.error,
+          attempts: failure.attempts,
+          continued: failure.continued
+        }))
+      });
+    }
+
+    const updatedRun = await tx.workflowRun.update({
+      where: { id: run.id },
+      data: {
+        status,
+        state,
+        error: result.error || failedStep?.error || null,
+        finishedAt: status === 'waiting' || status === 'paused' ? null : new Date()
+      }
+    });
+
+    if (run.enrollmentId) {
+      await syncEnrollment(tx, run.enrollmentId, status, result);
+    }
+
+    return updatedRun;
+  });
+}
+
+/**
+ * Mirrors a run's outcome on its enrollment: the node the contact now waits
+ * at (or last reached), and completion or failure. Unenrolled enrollments are
+ * left alone.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} enrollmentId - WorkflowEnrollment ID
+ * @param {string} status - Run status after finalizing
+ * @param {object} result - Runner result
+ * @returns {Promise<void>}
+ */
+async function syncEnrollment(tx, enrollmentId, status, result) {
+  const lastStep = result.steps[result.steps.length - 1];
+  const currentNodeId = status === 'waiting'
+    ? result.waiting[0]?.nodeId || lastStep?.nodeId
+    : lastStep?.nodeId;
+  const finished = status === 'completed' || status === 'failed';
+
+  await tx.workflowEnrollment.updateMany({
+    where: { id: enrollmentId, status: { in: ['active', 'paused'] } },
+    data: {
+      ...(currentNodeId && { currentNodeId }),
+      ...(finished && {
+        status,
+        activeKey: null,
+        finishedAt: new Date()
+      })
+    }
+  });
+}
+
+/**
+ * Lists runs of a workflow, newest first
+ * @param {object} params - Query parameters
+ * @param {string} params.workflowId - Workflow ID
+ * @param {string} params.userId - Owning user ID
+ * @param {string} [params.status] - Optional status filter
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<object>} - { runs, total }
+ */
+async function listRuns({ workflowId, userId, status, page = 1, limit = 20 }) {
+  const where = { workflowId, userId };
+  if (status) {
+    where.status = status;
+  }
+
+  const [runs, total] = await Promise.all([
+    prisma.workflowRun.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { startedAt: 'desc' },
+      include: {
+        contact: {
+          select: { id: true, firstName: true, lastName: true, email: true }
+        },
+        version: {
+          select: { id: true, version: true }
+        }
+      }
+    }),
+    prisma.workflowRun.count({ where })
+  ]);
+
+  return { runs, total };
+}
+
+/**
+ * Fetches a single run with its steps
+ * @param {string} runId - WorkflowRun ID
+ * @param {string} userId - Owning user ID
+ * @returns {Promise<object|null>} - Run with steps in execution order
+ */
+function getRun(runId, userId) {
+  return prisma.workflowRun.findFirst({
+    where: { id: runId, userId },
+    include: {
+      workflow: {
+        select: { id: true, name: true }
+      },
+      version: {
+        select: { id: true, version: true }
+      },
+      contact: {
+        select: { id: true, firstName: true, lastName: true, email: true }
+      },
+      steps: {
+        orderBy: [{ startedAt: 'asc' }, { id: 'asc' }]
+      }
+    }
+  });
+}
+
+module.exports = {
+  startRun,
+  simulateRun,
+  resumeRun,
+  exitAtGoal,
+  redriveDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  listRuns,
+  getRun
+};
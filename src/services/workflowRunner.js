@@ -0,0 +1,327 @@
+/**
+ * Executes AutomationWorkflow definitions by walking their node/edge graph
+ */
+
+const { buildGraph, getTriggerNodes, getBranch, getSplitBranch } = require('../utils/workflowGraph');
+const { evaluateCondition, chooseSplitBranch, evaluateEdgeCondition } = require('../utils/workflowConditions');
+const { executeAction } = require('./workflowActions');
+const { executeWebhook } = require('./workflowWebhooks');
+
+// Guards against graphs that loop without ever waiting
+const MAX_STEPS = 500;
+
+// Node types whose failures are retried and may be skipped by continueOnError
+const RETRYABLE_TYPES = new Set(['action', 'webhook']);
+
+const DELAY_UNIT_MS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Computes when a wait node should release the run
+ * @param {object} data - Wait node data
+ * @param {Date} now - Reference time
+ * @returns {Date} - Resume time
+ */
+function getResumeAt(data = {}, now = new Date()) {
+  switch (data.waitType) {
+    case 'delay': {
+      const unitMs = DELAY_UNIT_MS[data.delayUnit || 'minutes'];
+      if (!unitMs) {
+        throw new Error(`Unsupported delay unit: ${data.delayUnit}`);
+      }
+      return new Date(now.getTime() + (Number(data.delayAmount) || 0) * unitMs);
+    }
+    case 'until':
+      return new Date(data.waitUntil);
+    case 'date':
+      return new Date(`${data.specificDate}T00:00:00.000Z`);
+    default:
+      throw new Error(`Unsupported wait type: ${data.waitType}`);
+  }
+}
+
+/**
+ * Reads settings.errorHandling. A workflow without it keeps the original
+ * behavior: no retries, and the first failure stops the run.
+ * @param {object} definition - Workflow definition
+ * @returns {object} - { continueOnError, maxRetries, retryDelay } with retryDelay in seconds
+ */
+function getErrorHandling(definition = {}) {
+  const errorHandling = definition.settings?.errorHandling;
+  if (!errorHandling) {
+    return { continueOnError: false, maxRetries: 0, retryDelay: 0 };
+  }
+
+  return {
+    continueOnError: errorHandling.continueOnError === true,
+    maxRetries: Math.max(0, Math.floor(errorHandling.maxRetries ?? 3)),
+    retryDelay: Math.max(0, errorHandling.retryDelay ?? 60)
+  };
+}
+
+/**
+ * Computes when a failed node is retried: retryDelay doubles with each retry
+ * @param {object} errorHandling - From getErrorHandling
+ * @param {number} retryAttempt - Retry about to be scheduled (1 for the first)
+ * @param {Date} now - Reference time
+ * @returns {Date} - Retry time
+ */
+function getRetryAt(errorHandling, retryAttempt, now = new Date()) {
+  return new Date(now.getTime() + errorHandling.retryDelay * 1000 * 2 ** (retryAttempt - 1));
+}
+
+/**
+ * Executes a single node
+ * @param {object} node - Node to execute
+ * @param {object} context - Run context
+ * @param {object} options - Runner options
+ * @returns {Promise<object>} - { status, output, branch, resumeAt }
+ */
+async function executeNode(node, context, options) {
+  const data = node.data || {};
+
+  switch (node.type) {
+    case 'trigger':
+      return { status: 'completed', output: { triggerType: data.triggerType } };
+
+    case 'action':
+      return { status: 'completed', output: await executeAction(node, context, { dryRun: options.dryRun }) };
+
+    case 'condition': {
+      const result = evaluateCondition(data, context, options.now);
+      return { status: 'completed', output: { result }, branch: result ? 'true' : 'false' };
+    }
+
+    case 'split': {
+      const branch = chooseSplitBranch(node, context);
+      return { status: 'completed', output: { branch: branch.id, label: branch.label || null }, branch: branch.id };
+    }
+
+    case 'wait': {
+      const resumeAt = getResumeAt(data, options.now);
+      if (Number.isNaN(resumeAt.getTime())) {
+        throw new Error('Wait node has an invalid date');
+      }
+      if (resumeAt <= options.now) {
+        return { status: 'completed', output: { resumeAt } };
+      }
+      if (options.dryRun) {
+        // Collapse the wait and move the simulated clock to its resume time
+        options.now = resumeAt;
+        return { status: 'completed', output: { resumeAt, collapsed: true } };
+      }
+      return { status: 'waiting', output: { resumeAt }, resumeAt };
+    }
+
+    case 'webhook':
+      return { status: 'completed', output: await executeWebhook(data, context, { dryRun: options.dryRun }) };
+
+    case 'goal':
+      // Runs jump here when the workflow goal is met; the node marks the exit
+      return { status: 'completed', output: { goalReached: true } };
+
+    case 'form':
+      // Forms collect data outside the run; reaching one simply passes through
+      return { status: 'completed', output: { formTitle: data.formTitle } };
+
+    default:
+      throw new Error(`Unsupported node type: ${node.type}`);
+  }
+}
+
+/**
+ * Checks whether an edge belongs to the branch a condition or split node chose
+ * @param {object} node - Executed node
+ * @param {object} edge - Edge leaving the node
+ * @param {string|undefined} branch - Chosen branch
+ * @returns {boolean} - True if the edge may be followed
+ */
+function isOnBranch(node, edge, branch) {
+  switch (node.type) {
+    case 'condition':
+      return getBranch(edge) === branch;
+    case 'split':
+      return getSplitBranch(edge) === branch;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Returns the IDs of the nodes reached from a node after it executed
+ * @param {object} graph - Workflow graph
+ * @param {object} node - Executed node
+ * @param {string|undefined} branch - Branch chosen by a condition or split node
+ * @param {object} context - Run context
+ * @returns {Array<string>} - Target node IDs
+ */
+function getNextNodeIds(graph, node, branch, context) {
+  return graph.outgoing
+    .get(node.id)
+    .filter(edge => isOnBranch(node, edge, branch))
+    .filter(edge => evaluateEdgeCondition(edge, context))
+    .map(edge => edge.target)
+    .filter(target => graph.nodesById.has(target));
+}
+
+/**
+ * Asks the throttle option whether a node may execute now. Dry runs and nodes
+ * booked before the run resumed are never throttled.
+ * @param {object} node - Node about to execute
+ * @param {object} options - Runner options
+ * @param {Set<string>} reservedNodeIds - Nodes already booked; consumed on first use
+ * @returns {Promise<Date|null>} - Time the node was deferred to, or null
+ */
+async function throttleNode(node, options, reservedNodeIds) {
+  if (reservedNodeIds.delete(node.id)) {
+    return null;
+  }
+  if (!options.throttle || options.dryRun) {
+    return null;
+  }
+  return options.throttle(node);
+}
+
+/**
+ * Runs a workflow definition
+ * @param {object} definition - Workflow definition (nodes and edges)
+ * @param {object} [context] - Run context from workflowContext.buildContext
+ * @param {object} [options] - Runner options
+ * @param {Array<string>} [options.startNodeIds] - Nodes to start from: matching triggers, the goal node, or a node to retry (defaults to all triggers)
+ * @param {boolean} [options.followEdges] - false to execute only the start nodes
+ * @param {object} [options.retryAttempts] - Retry being made per start node ID, for nodes retried after a failure
+ * @param {string} [options.resumeFrom] - Node whose successors the run continues with
+ * @param {Date} [options.now] - Reference time
+ * @param {boolean} [options.dryRun] - Simulate: no messages, requests or CRM writes, and waits are collapsed
+ * @param {Function} [options.onStep] - Awaited with each step once it has finished
+ * @param {Function} [options.throttle] - Awaited before each node; returns the Date a
+ * rate-limited node was deferred to, or null to execute it now
+ * @param {Array<string>} [options.reservedNodeIds] - Start nodes already booked by an
+ * earlier throttle call, executed without calling throttle again
+ * @returns {Promise<object>} - { status, steps, waiting, failures, context }. waiting
+ * lists suspended branches as { nodeId, resumeAt, retryAttempt, throttled }
+ * (retryAttempt only for retries, throttled only for deferred nodes); failures
+ * lists nodes that failed for good as { nodeId, nodeType, error, attempts, continued }
+ */
+async function runWorkflow(definition, context = {}, options = {}) {
+  const graph = buildGraph(definition);
+  const errorHandling = getErrorHandling(definition);
+  const runOptions = { ...options, now: options.now || new Date() };
+  const runContext = { ...context, steps: { ...(context.steps || {}) } };
+  const reservedNodeIds = new Set(runOptions.reservedNodeIds || []);
+
+  let queue;
+  if (runOptions.resumeFrom) {
+    const node = graph.nodesById.get(runOptions.resumeFrom);
+    if (!node) {
+      throw new Error(`Node ${runOptions.resumeFrom} not found in workflow`);
+    }
+    queue = getNextNodeIds(graph, node, runContext.steps[node.id]?.branch, runContext);
+  } else if (runOptions.startNodeIds) {
+    queue = runOptions.startNodeIds.filter(id => graph.nodesById.has(id));
+  } else {
+    queue = getTriggerNodes(graph).map(node => node.id);
+  }
+
+  if (!runOptions.resumeFrom && queue.length === 0) {
+    throw new Error('Workflow has no trigger node to start from');
+  }
+
+  const steps = [];
+  const waiting = [];
+  const failures = [];
+  let status = 'completed';
+
+  while (queue.length > 0) {
+    if (steps.length >= MAX_STEPS) {
+      throw new Error(`Workflow exceeded ${MAX_STEPS} steps; check for loops without a wait node`);
+    }
+
+    const node = graph.nodesById.get(queue.shift());
+    const step = {
+      nodeId: node.id,
+      type: node.type,
+      label: node.data?.label || null,
+      status: 'running',
+      startedAt: new Date(),
+      finishedAt: null,
+      output: null,
+      error: null
+    };
+    steps.push(step);
+
+    let result;
+    try {
+      const deferredUntil = await throttleNode(node, runOptions, reservedNodeIds);
+      if (deferredUntil) {
+        // Over a rate limit: suspend the branch until the minute it was booked into
+        const attempt = runOptions.retryAttempts?.[node.id] || 0;
+        result = { status: 'throttled', output: { deferredUntil }, resumeAt: deferredUntil, retryAttempt: attempt, throttled: true };
+      } else {
+        result = await executeNode(node, runContext, runOptions);
+      }
+      step.status = result.status;
+      step.output = result.output;
+    } catch (error) {
+      step.error = error.message;
+
+      const retryable = RETRYABLE_TYPES.has(node.type);
+      const attempt = runOptions.retryAttempts?.[node.id] || 0;
+
+      if (retryable && !runOptions.dryRun && attempt < errorHandling.maxRetries) {
+        // Suspend the branch like a wait; the timer executes the node again
+        const retryAt = getRetryAt(errorHandling, attempt + 1, runOptions.now);
+        step.status = 'retrying';
+        step.output = { retryAttempt: attempt + 1, retryAt };
+        result = { status: 'retrying', resumeAt: retryAt, retryAttempt: attempt + 1 };
+      } else {
+        const continued = retryable && errorHandling.continueOnError;
+        step.status = 'failed';
+        failures.push({ nodeId: node.id, nodeType: node.type, error: error.message, attempts: attempt + 1, continued });
+        result = continued ? { status: 'failed', output: { error: error.message } } : null;
+        if (!continued) {
+          status = 'failed';
+        }
+      }
+    }
+    step.finishedAt = new Date();
+
+    if (runOptions.onStep) {
+      await runOptions.onStep(step);
+    }
+
+    if (status === 'failed') {
+      break;
+    }
+
+    if (result.status === 'waiting' || result.status === 'retrying' || result.status === 'throttled') {
+      waiting.push({
+        nodeId: node.id,
+        resumeAt: result.resumeAt,
+        ...(result.retryAttempt && { retryAttempt: result.retryAttempt }),
+        ...(result.throttled && { throttled: true })
+      });
+      continue;
+    }
+
+    runContext.steps[node.id] = { ...result.output, branch: result.branch };
+    if (runOptions.followEdges !== false) {
+      queue.push(...getNextNodeIds(graph, node, result.branch, runContext));
+    }
+  }
+
+  if (status !== 'failed' && waiting.length > 0) {
+    status = 'waiting';
+  }
+
+  return { status, steps, waiting, failures, context: runContext };
+}
+
+module.exports = {
+  runWorkflow,
+  getResumeAt
+};
@@ -0,0 +1,158 @@
+/**
+ * Per-minute rate limits for workflow nodes that reach outside services.
+ *
+ * send_email and send_sms actions and webhook nodes are limited per workflow
+ * (settings.throttle) and per user (WORKFLOW_USER_*_PER_MINUTE). Every
+ * execution books a slot in a one-minute window of the workflow_rate_slots
+ * table. When the current minute is full, the node is booked into the first
+ * minute with room and its branch waits until then, so excess work queues in
+ * order instead of being dropped. Slots are booked with a conditional upsert,
+ * which keeps the limits across server instances.
+ */
+
+const { prisma } = require('./db');
+
+const MINUTE_MS = 60 * 1000;
+
+// Bookings lost to a concurrent instance before giving up
+const MAX_BOOKING_ATTEMPTS = 20;
+
+// Windows older than this are pruned
+const SLOT_RETENTION_MS = 60 * 60 * 1000;
+
+const USER_LIMITS = {
+  send_email: { env: 'WORKFLOW_USER_EMAILS_PER_MINUTE', defaultLimit: 100 },
+  send_sms: { env: 'WORKFLOW_USER_SMS_PER_MINUTE', defaultLimit: 30 },
+  webhook: { env: 'WORKFLOW_USER_WEBHOOKS_PER_MINUTE', defaultLimit: 120 }
+};
+
+/**
+ * Returns the rate-limited channel a node uses
+ * @param {object} node - Workflow node
+ * @returns {string|null} - send_email, send_sms, webhook, or null when the node is not limited
+ */
+function getThrottleChannel(node) {
+  if (node.type === 'webhook') {
+    return 'webhook';
+  }
+  if (node.type === 'action' && USER_LIMITS[node.data?.actionType]) {
+    return node.data.actionType;
+  }
+  return null;
+}
+
+/**
+ * Lists the limits that apply to a channel of a workflow
+ * @param {object} params - { workflowId, userId, definition, channel }
+ * @returns {Array<object>} - { scope, limit }
+ */
+function getLimits({ workflowId, userId, definition, channel }) {
+  const { env, defaultLimit } = USER_LIMITS[channel];
+
+  return [
+    { scope: `workflow:${workflowId}:${channel}`, limit: definition?.settings?.throttle?.[channel] },
+    { scope: `user:${userId}:${channel}`, limit: Number(process.env[env]) || defaultLimit }
+  ].filter(({ limit }) => limit > 0);
+}
+
+/**
+ * Books one execution in a window, unless the window is full
+ * @param {string} scope - Slot scope
+ * @param {Date} window - Start of the minute
+ * @param {number} limit - Executions allowed in the window
+ * @returns {Promise<boolean>} - True if the execution was booked
+ */
+async function bookSlot(scope, window, limit) {
+  const rows = await prisma.$queryRaw`
+    INSERT INTO "workflow_rate_slots" ("scope", "window", "count")
+    VALUES (${scope}, ${window}, 1)
+    ON CONFLICT ("scope", "window") DO UPDATE
+    SET "count" = "workflow_rate_slots"."count" + 1
+    WHERE "workflow_rate_slots"."count" < ${limit}
+    RETURNING "count"
+  `;
+  return rows.length > 0;
+}
+
+/**
+ * Books an execution of a rate-limited node for every limit that applies
+ * @param {object} params - Booking parameters
+ * @param {string} params.workflowId - AutomationWorkflow ID
+ * @param {string} params.userId - Workflow owner
+ * @param {object} params.definition - Definition being executed, carrying settings.throttle
+ * @param {object} params.node - Node about to execute
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<Date|null>} - Start of the later minute the node was booked
+ * into, or null when it may execute now
+ */
+async function bookExecution({ workflowId, userId, definition, node, now = new Date() }) {
+  const channel = getThrottleChannel(node);
+  if (!channel) {
+    return null;
+  }
+
+  const limits = getLimits({ workflowId, userId, definition, channel });
+  if (limits.length === 0) {
+    return null;
+  }
+
+  const current = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+
+  // Skip straight past the windows already known to be full
+  const full = new Set();
+  for (const { scope, limit } of limits) {
+    const slots = await prisma.workflowRateSlot.findMany({
+      where: { scope, window: { gte: new Date(current) }, count: { gte: limit } },
+      select: { window: true }
+    });
+    slots.forEach(slot => full.add(slot.window.getTime()));
+  }
+
+  let window = current;
+  for (let attempt = 0; attempt < MAX_BOOKING_ATTEMPTS; attempt++) {
+    while (full.has(window)) {
+      window += MINUTE_MS;
+    }
+
+    const booked = [];
+    for (const { scope, limit } of limits) {
+      if (!await bookSlot(scope, new Date(window), limit)) {
+        break;
+      }
+      booked.push(scope);
+    }
+
+    if (booked.length === limits.length) {
+      return window === current ? null : new Date(window);
+    }
+
+    // Another instance filled the window first: give back what was booked and move on
+    for (const scope of booked) {
+      await prisma.workflowRateSlot.update({
+        where: { scope_window: { scope, window: new Date(window) } },
+        data: { count: { decrement: 1 } }
+      });
+    }
+    full.add(window);
+  }
+
+  throw new Error(`Could not book a ${channel} execution after ${MAX_BOOKING_ATTEMPTS} attempts`);
+}
+
+/**
+ * Deletes rate windows that have passed
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Windows deleted
+ */
+async function pruneRateSlots(now = new Date()) {
+  const { count } = await prisma.workflowRateSlot.deleteMany({
+    where: { window: { lt: new Date(now.getTime() - SLOT_RETENTION_MS) } }
+  });
+  return count;
+}
+
+module.exports = {
+  getThrottleChannel,
+  bookExecution,
+  pruneRateSlots
+};
@@ -0,0 +1,217 @@
+/**
+ * Service for immutable workflow versions.
+ *
+ * AutomationWorkflow.definition is the editor draft. Every save that changes
+ * it is snapshotted as a WorkflowVersion, and runs execute the version the
+ * workflow points to through publishedVersionId. A run keeps its versionId,
+ * so publishing or rolling back never changes a run already in flight.
+ */
+
+const { prisma } = require('./db');
+const { isEqual, diffDefinitions } = require('../utils/workflowDiff');
+
+// Fields returned when listing versions; definitions are fetched one at a time
+const VERSION_SUMMARY = {
+  id: true,
+  version: true,
+  note: true,
+  createdAt: true
+};
+
+/**
+ * Snapshots a definition as the next version of a workflow
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} params - Version parameters
+ * @param {string} params.workflowId - Workflow ID
+ * @param {object} params.definition - Definition to snapshot
+ * @param {string} [params.note] - Optional note describing the version
+ * @returns {Promise<object>} - Created WorkflowVersion
+ */
+async function createVersion(client, { workflowId, definition, note = null }) {
+  const { _max } = await client.workflowVersion.aggregate({
+    where: { workflowId },
+    _max: { version: true }
+  });
+
+  return client.workflowVersion.create({
+    data: {
+      workflowId,
+      version: (_max.version || 0) + 1,
+      definition,
+      note
+    }
+  });
+}
+
+/**
+ * Creates a workflow with its definition as version 1, published unless
+ * told otherwise
+ * @param {object} params - Workflow parameters
+ * @param {string} params.name - Workflow name
+ * @param {string} [params.description] - Workflow description
+ * @param {object} params.definition - Workflow definition
+ * @param {string} params.userId - Owning user ID
+ * @param {string} [params.note] - Note for version 1
+ * @param {boolean} [params.publish] - False to leave version 1 unpublished
+ * @returns {Promise<object>} - Created workflow
+ */
+function createWorkflowWithVersion({ name, description, definition, userId, note = 'Initial version', publish = true }) {
+  return prisma.$transaction(async (tx) => {
+    const workflow = await tx.automationWorkflow.create({
+      data: { name, description, definition, userId }
+    });
+
+    const version = await createVersion(tx, {
+      workflowId: workflow.id,
+      definition,
+      note
+    });
+
+    if (!publish) {
+      return workflow;
+    }
+
+    return tx.automationWorkflow.update({
+      where: { id: workflow.id },
+      data: { publishedVersionId: version.id }
+    });
+  });
+}
+
+/**
+ * Saves the draft of a workflow. A changed definition is snapshotted as a new
+ * version, which stays unpublished until publishVersion is called.
+ * @param {object} workflow - Existing AutomationWorkflow record
+ * @param {object} data - Fields to update (name, definition)
+ * @param {object} [options] - Prisma update options (include/select)
+ * @returns {Promise<object>} - { workflow, version } where version is null when the definition didn't change
+ */
+function saveDraft(workflow, data, options = {}) {
+  return prisma.$transaction(async (tx) => {
+    let version = null;
+
+    if (data.definition !== undefined) {
+      const latest = await tx.workflowVersion.findFirst({
+        where: { workflowId: workflow.id },
+        orderBy: { version: 'desc' }
+      });
+
+      if (!latest || !isEqual(latest.definition, data.definition)) {
+        version = await createVersion(tx, { workflowId: workflow.id, definition: data.definition });
+      }
+    }
+
+    const updated = await tx.automationWorkflow.update({
+      where: { id: workflow.id },
+      data,
+      ...options
+    });
+
+    return { workflow: updated, version };
+  });
+}
+
+/**
+ * Lists the versions of a workflow, newest first
+ * @param {string} workflowId - Workflow ID
+ * @returns {Promise<Array<object>>} - Version summaries
+ */
+function listVersions(workflowId) {
+  return prisma.workflowVersion.findMany({
+    where: { workflowId },
+    orderBy: { version: 'desc' },
+    select: VERSION_SUMMARY
+  });
+}
+
+/**
+ * Fetches a version of a workflow by its number
+ * @param {string} workflowId - Workflow ID
+ * @param {number} version - Version number
+ * @returns {Promise<object|null>} - WorkflowVersion
+ */
+function getVersion(workflowId, version) {
+  return prisma.workflowVersion.findUnique({
+    where: {
+      workflowId_version: { workflowId, version }
+    }
+  });
+}
+
+/**
+ * Fetches the newest version of a workflow
+ * @param {string} workflowId - Workflow ID
+ * @returns {Promise<object|null>} - WorkflowVersion
+ */
+function getLatestVersion(workflowId) {
+  return prisma.workflowVersion.findFirst({
+    where: { workflowId },
+    orderBy: { version: 'desc' }
+  });
+}
+
+/**
+ * Makes a version the one new runs execute
+ * @param {object} workflow - AutomationWorkflow record
+ * @param {object} version - WorkflowVersion of that workflow
+ * @returns {Promise<object>} - Updated workflow
+ */
+function publishVersion(workflow, version) {
+  return prisma.automationWorkflow.update({
+    where: { id: workflow.id },
+    data: { publishedVersionId: version.id }
+  });
+}
+
+/**
+ * Rolls a workflow back to an earlier version. The old definition is copied
+ * into a new version, which becomes both the draft and the published version,
+ * so the history stays append-only.
+ * @param {object} workflow - AutomationWorkflow record
+ * @param {object} target - WorkflowVersion to roll back to
+ * @returns {Promise<object>} - { workflow, version }
+ */
+function rollbackToVersion(workflow, target) {
+  return prisma.$transaction(async (tx) => {
+    const version = await createVersion(tx, {
+      workflowId: workflow.id,
+      definition: target.definition,
+      note: `Rollback to version ${target.version}`
+    });
+
+    const updated = await tx.automationWorkflow.update({
+      where: { id: workflow.id },
+      data: {
+        definition: target.definition,
+        publishedVersionId: version.id
+      }
+    });
+
+    return { workflow: updated, version };
+  });
+}
+
+/**
+ * Diffs two versions of a workflow
+ * @param {object} from - Older WorkflowVersion
+ * @param {object} to - Newer WorkflowVersion
+ * @returns {object} - { from, to, changes }
+ */
+function diffVersions(from, to) {
+  return {
+    from: from.version,
+    to: to.version,
+    changes: diffDefinitions(from.definition, to.definition)
+  };
+}
+
+module.exports = {
+  createWorkflowWithVersion,
+  saveDraft,
+  listVersions,
+  getVersion,
+  getLatestVersion,
+  publishVersion,
+  rollbackToVersion,
+  diffVersions
+};
@@ -0,0 +1,151 @@
+/**
+ * Executor for Webhook nodes: renders the request from the run context, calls
+ * the endpoint and writes mapped response fields back onto the contact
+ */
+
+const { createHttpClient } = require('../utils/httpClient');
+const { getPath } = require('../utils/objectPath');
+const { renderTemplate, buildTemplateData } = require('../utils/templateRenderer');
+const { writeContactFields } = require('./workflowActions');
+
+const REDACTED = '[redacted]';
+
+// Workflow webhooks call arbitrary endpoints, so they get a shorter timeout
+// than the integrations client and no transport retries: a POST that timed
+// out may still have been received. Retries come from settings.errorHandling.
+const webhookClient = createHttpClient({
+  timeout: Number(process.env.WORKFLOW_WEBHOOK_TIMEOUT_MS) || 10000,
+  retries: 0
+});
+
+/**
+ * Renders merge tags in every string of a JSON value
+ * @param {*} value - String, array or object
+ * @param {object} data - Template data
+ * @returns {*} - Rendered copy
+ */
+const renderValue = (value, data) => {
+  if (typeof value === 'string') {
+    return renderTemplate(value, data);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, data));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, data)]));
+  }
+  return value;
+};
+
+/**
+ * Builds the headers for the node's authentication settings
+ * @param {object} [authentication] - { type, token, username, password, apiKey, apiKeyHeader }
+ * @param {object} data - Template data the credentials are rendered with
+ * @returns {object} - Headers to add to the request
+ */
+const getAuthHeaders = (authentication = {}, data) => {
+  const render = value => renderTemplate(value || '', data);
+
+  switch (authentication.type) {
+    case 'bearer':
+      return { Authorization: `Bearer ${render(authentication.token)}` };
+    case 'basic': {
+      const credentials = `${render(authentication.username)}:${render(authentication.password)}`;
+      return { Authorization: `Basic ${Buffer.from(credentials).toString('base64')}` };
+    }
+    case 'api_key':
+      return { [authentication.apiKeyHeader || 'X-API-Key']: render(authentication.apiKey) };
+    case undefined:
+    case 'none':
+      return {};
+    default:
+      throw new Error(`Unsupported webhook authentication: ${authentication.type}`);
+  }
+};
+
+/**
+ * Builds the HTTP request a webhook node makes. GET and DELETE send the
+ * payload as query parameters.
+ * @param {object} data - Webhook node data
+ * @param {object} context - Run context
+ * @returns {object} - { request, secretHeaders } where request is axios config
+ */
+const buildRequest = (data, context) => {
+  const templateData = buildTemplateData(context);
+  const method = (data.method || 'POST').toUpperCase();
+  const authHeaders = getAuthHeaders(data.authentication, templateData);
+  const payload = renderValue(data.payload, templateData);
+
+  return {
+    request: {
+      url: renderTemplate(data.endpoint, templateData),
+      method,
+      headers: { ...renderValue(data.headers || {}, templateData), ...authHeaders },
+      ...(['GET', 'DELETE'].includes(method) ? { params: payload } : { data: payload })
+    },
+    secretHeaders: Object.keys(authHeaders)
+  };
+};
+
+/**
+ * Copies a request for the step output, hiding credentials
+ * @param {object} request - Axios request config
+ * @param {Array<string>} secretHeaders - Headers that carry credentials
+ * @returns {object} - Request safe to store
+ */
+const redact = (request, secretHeaders) => ({
+  ...request,
+  headers: Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [
+    name,
+    secretHeaders.includes(name) ? REDACTED : value
+  ]))
+});
+
+/**
+ * Picks the mapped fields out of a response body
+ * @param {object} [responseMapping] - Response path -> contact field ("custom.<name>" for custom fields)
+ * @param {*} body - Response body
+ * @returns {object} - Values by contact field; paths missing from the response are skipped
+ */
+const mapResponse = (responseMapping = {}, body) => {
+  const values = {};
+  for (const [path, field] of Object.entries(responseMapping)) {
+    const value = getPath(body, path);
+    if (value !== undefined && typeof field === 'string' && field) {
+      values[field] = value;
+    }
+  }
+  return values;
+};
+
+/**
+ * Executes a webhook node
+ * @param {object} data - Webhook node data
+ * @param {object} context - Run context
+ * @param {object} [options] - Runner options
+ * @param {boolean} [options.dryRun] - Return the request without sending it
+ * @returns {Promise<object>} - Step output: { request, status, data, mapped }
+ */
+async function executeWebhook(data = {}, context, options = {}) {
+  const { request, secretHeaders } = buildRequest(data, context);
+
+  if (options.dryRun) {
+    return { request: redact(request, secretHeaders) };
+  }
+
+  const response = await webhookClient.request(request);
+
+  const mapped = mapResponse(data.responseMapping, response.data);
+  if (Object.keys(mapped).length > 0) {
+    if (!context.contact) {
+      throw new Error('Webhook responseMapping requires a contact');
+    }
+    await writeContactFields(context.contact, mapped);
+  }
+
+  return { status: response.status, data: response.data, mapped };
+}
+
+module.exports = {
+  executeWebhook
+};
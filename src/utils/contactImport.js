@@ -0,0 +1,282 @@
+/**
+ * Parsing and column mapping for CSV and XLSX contact imports
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+const MAX_IMPORT_ROWS = 50000;
+
+// Contact columns a file column can map to
+const IMPORT_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'company'];
+
+const MAX_LENGTHS = { firstName: 50, lastName: 50, company: 100 };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+const TAG_SEPARATOR = /[,;]/;
+
+// Normalized header -> target, used to suggest a mapping
+const HEADER_ALIASES = {
+  firstname: 'firstName',
+  first: 'firstName',
+  givenname: 'firstName',
+  lastname: 'lastName',
+  last: 'lastName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  mail: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  cell: 'phone',
+  telephone: 'phone',
+  company: 'company',
+  companyname: 'company',
+  organization: 'company',
+  organisation: 'company',
+  tags: 'tags',
+  tag: 'tags'
+};
+
+/**
+ * Reads the text of an XLSX cell value
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} - Cell text
+ */
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    return cellText(value.text ?? value.result ?? '');
+  }
+  return String(value);
+}
+
+/**
+ * Reads the records of a CSV file
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<object>} - { line, cells } with cells as an array of strings
+ */
+function readCsv(buffer) {
+  return parse(buffer, {
+    bom: true,
+    info: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true
+  }).map(({ record, info }) => ({ line: info.lines, cells: record }));
+}
+
+/**
+ * Reads the rows of the first worksheet of an XLSX file
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Array<object>>} - { line, cells } with cells as an array of strings
+ */
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const records = [];
+  worksheet.eachRow((row) => {
+    // row.values is 1-based and sparse
+    records.push({ line: row.number, cells: Array.from(row.values.slice(1), value => cellText(value).trim()) });
+  });
+  return records;
+}
+
+/**
+ * Parses an uploaded CSV or XLSX file. The first row holds the column headers.
+ * @param {object} file - Uploaded file
+ * @param {Buffer} file.buffer - File contents
+ * @param {string} file.originalname - File name, whose extension picks the format
+ * @returns {Promise<object>} - { columns, rows } where each row is { row, cells }
+ * with row the line number in the file and cells the values by column header
+ */
+async function parseImportFile({ buffer, originalname }) {
+  const extension = path.extname(originalname || '').toLowerCase();
+
+  let records;
+  if (extension === '.csv') {
+    try {
+      records = readCsv(buffer);
+    } catch (error) {
+      throw new Error(`Could not read CSV file: ${error.message}`);
+    }
+  } else if (extension === '.xlsx') {
+    try {
+      records = await readXlsx(buffer);
+    } catch (error) {
+      throw new Error(`Could not read XLSX file: ${error.message}`);
+    }
+  } else {
+    throw new Error('Only .csv and .xlsx files can be imported');
+  }
+
+  const [header, ...body] = records.filter(record => record.cells.some(cell => cell !== ''));
+  if (!header) {
+    throw new Error('The file is empty');
+  }
+
+  const columns = header.cells.map(cell => cell.trim());
+  const seen = new Set();
+  for (const column of columns) {
+    if (!column) {
+      throw new Error('Every column needs a header');
+    }
+    if (seen.has(column)) {
+      throw new Error(`Column '${column}' appears more than once`);
+    }
+    seen.add(column);
+  }
+
+  if (body.length === 0) {
+    throw new Error('The file has no rows below its header');
+  }
+  if (body.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const rows = body.map(({ line, cells }) => ({
+    row: line,
+    cells: Object.fromEntries(columns.map((column, index) => [column, cells[index] || '']))
+  }));
+
+  return { columns, rows };
+}
+
+/**
+ * Suggests a target for every column from its header
+ * @param {Array<string>} columns - Column headers
+ * @returns {object} - Column header -> target, null for columns left out
+ */
+function suggestMapping(columns) {
+  const used = new Set();
+
+  return Object.fromEntries(columns.map((column) => {
+    const target = HEADER_ALIASES[column.toLowerCase().replace(/[^a-z0-9]/g, '')] || null;
+    // The first matching column wins; later ones are left out
+    if (!target || (target !== 'tags' && used.has(target))) {
+      return [column, null];
+    }
+    used.add(target);
+    return [column, target];
+  }));
+}
+
+/**
+ * Checks a column mapping against the columns of a file
+ * @param {object} mapping - Column header -> target
+ * @param {Array<string>} columns - Column headers of the file
+ * @returns {string|null} - Error message, or null when the mapping is usable
+ */
+function getMappingError(mapping, columns) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of column headers to fields';
+  }
+
+  const mappedBy = {};
+  for (const [column, target] of Object.entries(mapping)) {
+    if (!columns.includes(column)) {
+      return `Unknown column '${column}'`;
+    }
+    if (target === null || target === '') {
+      continue;
+    }
+
+    const valid = typeof target === 'string' && (
+      IMPORT_FIELDS.includes(target) ||
+      target === 'tags' ||
+      /^custom\.\S+$/.test(target) ||
+      (/^data\.\S+$/.test(target) && !IMPORT_FIELDS.includes(target.slice('data.'.length)) && !target.startsWith('data.custom.'))
+    );
+    if (!valid) {
+      return `Column '${column}' maps to unknown field '${target}'`;
+    }
+
+    if (target !== 'tags' && mappedBy[target]) {
+      return `Columns '${mappedBy[target]}' and '${column}' both map to '${target}'`;
+    }
+    mappedBy[target] = column;
+  }
+
+  if (Object.keys(mappedBy).length === 0) {
+    return 'Map at least one column';
+  }
+
+  return null;
+}
+
+/**
+ * Applies a mapping to a row and validates the result. Empty cells are left
+ * out, so an import never blanks existing values.
+ * @param {object} cells - Values by column header
+ * @param {object} mapping - Column header -> target
+ * @returns {object} - { values, tags, errors } where values are keyed like
+ * writeContactFields expects (contact fields, custom.<name> and data keys)
+ */
+function mapRow(cells, mapping) {
+  const values = {};
+  const tags = [];
+  const errors = [];
+
+  for (const [column, target] of Object.entries(mapping)) {
+    const value = String(cells[column] ?? '').trim();
+    if (!target || value === '') {
+      continue;
+    }
+
+    if (target === 'tags') {
+      for (const tag of value.split(TAG_SEPARATOR).map(name => name.trim())) {
+        if (tag && !tags.includes(tag)) {
+          tags.push(tag);
+        }
+      }
+    } else if (target.startsWith('data.')) {
+      values[target.slice('data.'.length)] = value;
+    } else {
+      values[target] = target === 'email' ? value.toLowerCase() : value;
+    }
+  }
+
+  if (values.email && !EMAIL_PATTERN.test(values.email)) {
+    errors.push(`'${values.email}' is not a valid email address`);
+  }
+  if (values.phone && !PHONE_PATTERN.test(values.phone)) {
+    errors.push(`'${values.phone}' is not a valid phone number`);
+  }
+  for (const [field, max] of Object.entries(MAX_LENGTHS)) {
+    if (values[field] && values[field].length > max) {
+      errors.push(`${field} must be at most ${max} characters`);
+    }
+  }
+  if (!values.email && !values.phone && !values.firstName && !values.lastName) {
+    errors.push('Row has no email, phone or name');
+  }
+
+  return { values, tags, errors };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  parseImportFile,
+  suggestMapping,
+  getMappingError,
+  mapRow
+};
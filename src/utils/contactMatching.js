@@ -0,0 +1,198 @@
+/**
+ * Normalization and similarity scoring for finding duplicate contacts
+ */
+
+// Name similarity (Jaro-Winkler) from which names count as matching
+const NAME_THRESHOLD = 0.88;
+const COMPANY_THRESHOLD = 0.9;
+
+// Points each matching signal adds to a pair's score, capped at 100
+const WEIGHTS = { email: 60, phone: 50, name: 30, company: 10 };
+
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc)\b/g;
+
+/**
+ * Lowercases text and strips accents, punctuation and extra whitespace
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text ('' when empty)
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalizes an email address for comparison
+ * @param {string} email - Email address
+ * @returns {string|null} - Trimmed, lowercased address
+ */
+function normalizeEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return normalized || null;
+}
+
+/**
+ * Reduces a phone number to its digits. A leading 1 on an 11-digit number
+ * (the North American country code) is dropped, so +1 555 010 0199 and
+ * (555) 010-0199 compare equal.
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} - Digits, or null for numbers too short to compare
+ */
+function normalizePhone(phone) {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
+  }
+  return digits.length >= 7 ? digits : null;
+}
+
+/**
+ * Normalizes a contact's full name
+ * @param {object} contact - Contact
+ * @returns {string} - Normalized "first last" ('' without a name)
+ */
+function normalizeName(contact) {
+  return normalizeText(`${contact.firstName || ''} ${contact.lastName || ''}`);
+}
+
+/**
+ * Normalizes a company name, dropping legal suffixes such as Inc or LLC
+ * @param {string} company - Company name
+ * @returns {string} - Normalized name ('' when empty)
+ */
+function normalizeCompany(company) {
+  return normalizeText(company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Jaro-Winkler similarity of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Similarity from 0 (nothing in common) to 1 (equal)
+ */
+function jaroWinkler(a, b) {
+  if (a === b) {
+    return a ? 1 : 0;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!matchedB[j] && a[i] === b[j]) {
+        matchedA[i] = true;
+        matchedB[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (matchedA[i]) {
+      while (!matchedB[j]) {
+        j += 1;
+      }
+      if (a[i] !== b[j]) {
+        transpositions += 1;
+      }
+      j += 1;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) {
+    prefix += 1;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Prepares the normalized values of a contact that scoring compares
+ * @param {object} contact - Contact with firstName, lastName, email, phone and company
+ * @returns {object} - { email, phone, name, company, nameKeys }
+ */
+function toMatchKeys(contact) {
+  const name = normalizeName(contact);
+  const tokens = name ? name.split(' ') : [];
+
+  // Blocking keys: the name's words in any order, and last name plus first initial
+  const nameKeys = [];
+  if (tokens.length > 0) {
+    nameKeys.push([...tokens].sort().join(' '));
+  }
+  if (tokens.length > 1) {
+    nameKeys.push(`${tokens[tokens.length - 1]} ${tokens[0][0]}`);
+  }
+
+  return {
+    email: normalizeEmail(contact.email),
+    phone: normalizePhone(contact.phone),
+    name,
+    company: normalizeCompany(contact.company),
+    nameKeys
+  };
+}
+
+/**
+ * Scores how likely two contacts are the same person
+ * @param {object} a - Match keys of the first contact, from toMatchKeys
+ * @param {object} b - Match keys of the second contact
+ * @returns {object} - { score, reasons } with score from 0 to 100 and reasons
+ * listing the matching signals (email, phone, name, company)
+ */
+function scoreDuplicate(a, b) {
+  let score = 0;
+  const reasons = [];
+
+  if (a.email && a.email === b.email) {
+    score += WEIGHTS.email;
+    reasons.push('email');
+  }
+
+  if (a.phone && a.phone === b.phone) {
+    score += WEIGHTS.phone;
+    reasons.push('phone');
+  }
+
+  const nameSimilarity = jaroWinkler(a.name, b.name);
+  if (nameSimilarity >= NAME_THRESHOLD) {
+    score += Math.round(WEIGHTS.name * nameSimilarity);
+    reasons.push('name');
+  }
+
+  if (a.company && jaroWinkler(a.company, b.company) >= COMPANY_THRESHOLD) {
+    score += WEIGHTS.company;
+    reasons.push('company');
+  }
+
+  return { score: Math.min(score, 100), reasons };
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  normalizeCompany,
+  jaroWinkler,
+  toMatchKeys,
+  scoreDuplicate
+};
@@ -0,0 +1,487 @@
+/**
+ * Parser and interpreter for the expression language of ConditionNode customLogic
+ */
+
+const { buildTemplateData } = require('./templateRenderer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 50;
+
+// Keys that must never be traversed, matching objectPath
+const BLOCKED_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+// Top-level names an expression can read
+const SCOPE_NAMES = ['contact', 'deal', 'user', 'tags', 'custom', 'trigger', 'steps'];
+
+const KEYWORDS = {
+  and: '&&',
+  or: '||',
+  not: 'not',
+  in: 'in',
+  true: true,
+  false: false,
+  null: null
+};
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.'];
+
+// Binding powers of infix operators; higher binds tighter
+const INFIX_POWER = {
+  '||': 10,
+  '&&': 20,
+  '==': 30,
+  '!=': 30,
+  '<': 40,
+  '<=': 40,
+  '>': 40,
+  '>=': 40,
+  in: 40,
+  '+': 50,
+  '-': 50,
+  '*': 60,
+  '/': 60,
+  '%': 60,
+  '.': 80,
+  '[': 80,
+  '(': 80
+};
+
+// "not" binds looser than comparisons (not a == b), "!" and "-" bind tight
+const PREFIX_POWER = { not: 25, '!': 70, '-': 70 };
+
+const isBlank = value => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Truthiness used by and/or/not and condition results: empty values, false
+ * and 0 are false, as in {{#if}} blocks
+ * @param {*} value - Any value
+ * @returns {boolean} - Truthiness
+ */
+const isTruthy = value => !isBlank(value) && value !== false && value !== 0 && !Number.isNaN(value);
+
+/**
+ * Converts a date-like value to a Date
+ * @param {*} value - Date, ISO string or timestamp
+ * @returns {Date|null} - Date, or null when the value isn't a date
+ */
+const toDate = (value) => {
+  if (isBlank(value) || typeof value === 'boolean') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toText = value => (value === undefined || value === null ? '' : String(value));
+
+// Functions callable from expressions; each receives the evaluation scope first
+const FUNCTIONS = {
+  lower: (scope, value) => toText(value).toLowerCase(),
+  upper: (scope, value) => toText(value).toUpperCase(),
+  trim: (scope, value) => toText(value).trim(),
+  len: (scope, value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  contains: (scope, haystack, needle) => (Array.isArray(haystack)
+    ? haystack.some(item => looseEquals(item, needle))
+    : toText(haystack).toLowerCase().includes(toText(needle).toLowerCase())),
+  startsWith: (scope, value, prefix) => toText(value).startsWith(toText(prefix)),
+  endsWith: (scope, value, suffix) => toText(value).endsWith(toText(suffix)),
+  isEmpty: (scope, value) => isBlank(value),
+  number: (scope, value) => (isBlank(value) ? null : Number(value)),
+  hasTag: (scope, name) => scope.tags.includes(name),
+  now: scope => scope.now,
+  date: (scope, value) => toDate(value),
+  daysSince: (scope, value) => {
+    const date = toDate(value);
+    return date && Math.floor((scope.now - date) / DAY_MS);
+  },
+  daysUntil: (scope, value) => {
+    const date = toDate(value);
+    return date && Math.ceil((date - scope.now) / DAY_MS);
+  },
+  addDays: (scope, value, days) => {
+    const date = toDate(value);
+    return date && new Date(date.getTime() + Number(days) * DAY_MS);
+  }
+};
+
+/**
+ * Splits an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<object>} - Tokens { type, value, position }, ending with 'end'
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    const rest = source.slice(index);
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const number = rest.match(/^\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position: index });
+      index += number[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const string = rest.match(char === '"' ? /^"((?:[^"\\]|\\.)*)"/ : /^'((?:[^'\\]|\\.)*)'/);
+      if (!string) {
+        throw new Error(`Unterminated string at position ${index}`);
+      }
+      tokens.push({ type: 'literal', value: string[1].replace(/\\(.)/g, '$1'), position: index });
+      index += string[0].length;
+      continue;
+    }
+
+    const name = rest.match(/^[A-Za-z_]\w*/);
+    if (name) {
+      const word = name[0];
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        const value = KEYWORDS[word];
+        tokens.push(typeof value === 'string'
+          ? { type: 'operator', value, position: index }
+          : { type: 'literal', value, position: index });
+      } else {
+        tokens.push({ type: 'name', value: word, position: index });
+      }
+      index += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+    if (!operator) {
+      throw new Error(`Unexpected character '${char}' at position ${index}`);
+    }
+    tokens.push({ type: 'operator', value: operator, position: index });
+    index += operator.length;
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+const describe = token => (token.type === 'end' ? 'end of expression' : `'${token.value}'`);
+
+/**
+ * Parses an expression into a syntax tree
+ * @param {string} source - Expression source
+ * @returns {object} - Root node
+ */
+function parse(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression is empty');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+
+  const expect = (value) => {
+    const token = next();
+    if (!isOperator(token, value)) {
+      throw new Error(`Expected '${value}' but found ${describe(token)} at position ${token.position}`);
+    }
+    return token;
+  };
+
+  // Comma-separated expressions up to the closing bracket
+  const parseList = (close) => {
+    const items = [];
+    while (!isOperator(peek(), close)) {
+      items.push(parseExpression(0));
+      if (!isOperator(peek(), ',')) {
+        break;
+      }
+      next();
+    }
+    expect(close);
+    return items;
+  };
+
+  const parsePrefix = () => {
+    const token = next();
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') {
+      if (isOperator(peek(), '(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new Error(`Unknown function '${token.value}' at position ${token.position}`);
+        }
+        next();
+        return { type: 'call', name: token.value, args: parseList(')') };
+      }
+      if (!SCOPE_NAMES.includes(token.value)) {
+        throw new Error(`Unknown name '${token.value}' at position ${token.position}; use one of: ${SCOPE_NAMES.join(', ')}`);
+      }
+      return { type: 'name', name: token.value };
+    }
+    if (isOperator(token, '(')) {
+      const inner = parseExpression(0);
+      expect(')');
+      return inner;
+    }
+    if (isOperator(token, '[')) {
+      return { type: 'array', items: parseList(']') };
+    }
+    if (token.type === 'operator' && PREFIX_POWER[token.value]) {
+      return { type: 'unary', operator: token.value, operand: parseExpression(PREFIX_POWER[token.value]) };
+    }
+
+    throw new Error(`Unexpected ${describe(token)} at position ${token.position}`);
+  };
+
+  const parseInfix = (left, token) => {
+    switch (token.value) {
+      case '.': {
+        const property = next();
+        if (property.type !== 'name' && !(property.type === 'literal' && typeof property.value !== 'string')) {
+          throw new Error(`Expected a property name after '.' at position ${property.position}`);
+        }
+        return { type: 'member', object: left, property: { type: 'literal', value: String(property.value) } };
+      }
+      case '[': {
+        const property = parseExpression(0);
+        expect(']');
+        return { type: 'member', object: left, property };
+      }
+      case '(':
+        throw new Error(`Only functions can be called, at position ${token.position}`);
+      default:
+        return { type: 'binary', operator: token.value, left, right: parseExpression(INFIX_POWER[token.value]) };
+    }
+  };
+
+  function parseExpression(minPower) {
+    depth += 1;
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Expression is nested more than ${MAX_DEPTH} levels deep`);
+    }
+
+    let left = parsePrefix();
+    while (peek().type === 'operator' && (INFIX_POWER[peek().value] || 0) > minPower) {
+      left = parseInfix(left, next());
+    }
+
+    depth -= 1;
+    return left;
+  }
+
+  const root = parseExpression(0);
+  if (peek().type !== 'end') {
+    throw new Error(`Unexpected ${describe(peek())} at position ${peek().position}`);
+  }
+
+  return root;
+}
+
+/**
+ * Equality for == and in: dates by time, numbers against numeric strings,
+ * missing values equal to null
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} - Equality
+ */
+function looseEquals(left, right) {
+  const a = left === undefined ? null : left;
+  const b = right === undefined ? null : right;
+
+  if (a instanceof Date || b instanceof Date) {
+    const dateA = toDate(a);
+    const dateB = toDate(b);
+    return dateA !== null && dateB !== null && dateA.getTime() === dateB.getTime();
+  }
+  if ((typeof a === 'number' && typeof b === 'string') || (typeof a === 'string' && typeof b === 'number')) {
+    return b !== '' && a !== '' && Number(a) === Number(b);
+  }
+  return a === b;
+}
+
+/**
+ * Ordering for <, <=, > and >=: dates by time, strings alphabetically,
+ * anything else as numbers. Comparisons with missing values are false.
+ * @param {string} operator - Comparison operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} - Comparison result
+ */
+function order(operator, left, right) {
+  if (isBlank(left) || isBlank(right)) {
+    return false;
+  }
+
+  let a;
+  let b;
+  if (left instanceof Date || right instanceof Date) {
+    a = toDate(left)?.getTime();
+    b = toDate(right)?.getTime();
+  } else if (typeof left === 'string' && typeof right === 'string') {
+    a = left;
+    b = right;
+  } else {
+    a = Number(left);
+    b = Number(right);
+  }
+
+  if (a === undefined || b === undefined || Number.isNaN(a) || Number.isNaN(b)) {
+    return false;
+  }
+
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+/**
+ * Reads an own property of a value
+ * @param {*} object - Value to read from
+ * @param {*} key - Property name or array index
+ * @returns {*} - Property value, or null when missing
+ */
+const readMember = (object, key) => {
+  const name = String(key);
+  if (object === null || object === undefined || BLOCKED_KEYS.has(name)) {
+    return null;
+  }
+  if (!Object.prototype.hasOwnProperty.call(Object(object), name)) {
+    return null;
+  }
+  const value = object[name];
+  return typeof value === 'function' ? null : value;
+};
+
+/**
+ * Interprets a syntax tree node
+ * @param {object} node - Node from parse
+ * @param {object} scope - Scope from buildExpressionScope
+ * @returns {*} - Value
+ */
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'name':
+      return scope[node.name] ?? null;
+    case 'array':
+      return node.items.map(item => evaluateNode(item, scope));
+    case 'member':
+      return readMember(evaluateNode(node.object, scope), evaluateNode(node.property, scope));
+    case 'call':
+      return FUNCTIONS[node.name](scope, ...node.args.map(arg => evaluateNode(arg, scope))) ?? null;
+    case 'unary': {
+      const operand = evaluateNode(node.operand, scope);
+      return node.operator === '-' ? -Number(operand) : !isTruthy(operand);
+    }
+    default:
+      break;
+  }
+
+  // Short-circuit before evaluating the right-hand side
+  if (node.operator === '&&') {
+    return isTruthy(evaluateNode(node.left, scope)) && isTruthy(evaluateNode(node.right, scope));
+  }
+  if (node.operator === '||') {
+    return isTruthy(evaluateNode(node.left, scope)) || isTruthy(evaluateNode(node.right, scope));
+  }
+
+  const left = evaluateNode(node.left, scope);
+  const right = evaluateNode(node.right, scope);
+
+  switch (node.operator) {
+    case '==': return looseEquals(left, right);
+    case '!=': return !looseEquals(left, right);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return order(node.operator, left, right);
+    case 'in':
+      if (Array.isArray(right)) {
+        return right.some(item => looseEquals(left, item));
+      }
+      if (typeof right === 'string') {
+        return right.includes(toText(left));
+      }
+      return right !== null && typeof right === 'object' && readMember(right, left) !== null;
+    case '+':
+      return typeof left === 'string' || typeof right === 'string'
+        ? toText(left) + toText(right)
+        : Number(left) + Number(right);
+    case '-': return Number(left) - Number(right);
+    case '*': return Number(left) * Number(right);
+    case '/': return Number(left) / Number(right);
+    default: return Number(left) % Number(right);
+  }
+}
+
+/**
+ * Builds the names an expression can read from a run context: contact, deal,
+ * user, trigger and steps as in merge tags, tags (the contact's tag names)
+ * and custom (custom fields and contact data by name)
+ * @param {object} context - Run context
+ * @param {Date} [now] - Reference time for now() and the day functions
+ * @returns {object} - Expression scope
+ */
+const buildExpressionScope = (context = {}, now = new Date()) => {
+  const data = buildTemplateData(context);
+
+  return {
+    contact: data.contact,
+    deal: data.deal,
+    user: data.user,
+    tags: data.contact?.tags || [],
+    custom: data.custom,
+    trigger: data.trigger,
+    steps: data.steps,
+    now
+  };
+};
+
+/**
+ * Evaluates an expression
+ * @param {string} source - Expression source
+ * @param {object} scope - Scope from buildExpressionScope
+ * @returns {*} - Value of the expression
+ */
+const evaluateExpression = (source, scope) => evaluateNode(parse(source), scope);
+
+/**
+ * Checks an expression for syntax errors and unknown names or functions
+ * without evaluating it
+ * @param {string} source - Expression source
+ * @returns {string|null} - Error message, or null when the expression is valid
+ */
+const getExpressionError = (source) => {
+  try {
+    parse(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+module.exports = {
+  evaluateExpression,
+  getExpressionError,
+  buildExpressionScope,
+  isTruthy
+};
@@ -0,0 +1,138 @@
+/**
+ * Validates hosted form submissions against the fields of a Form node
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = [true, 'true', 'on', '1', 'yes'];
+const FALSE_VALUES = [false, 'false', 'off', '0', 'no'];
+
+const isEmpty = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Checks a string against the field's length and pattern rules
+ * @param {object} field - Form field definition
+ * @param {string} value - Submitted value
+ * @returns {string|null} - Error message, or null when valid
+ */
+function checkText(field, value) {
+  const { min, max, pattern } = field.validation || {};
+
+  if (min !== undefined && value.length < min) {
+    return `${field.name} must be at least ${min} characters`;
+  }
+  if (max !== undefined && value.length > max) {
+    return `${field.name} must be at most ${max} characters`;
+  }
+  if (pattern && !new RegExp(pattern).test(value)) {
+    return `${field.name} has an invalid format`;
+  }
+
+  return null;
+}
+
+/**
+ * Validates and normalizes one submitted value
+ * @param {object} field - Form field definition
+ * @param {*} value - Submitted value (form-encoded posts send strings)
+ * @returns {object} - { value } or { error }
+ */
+function checkField(field, value) {
+  const options = field.options || [];
+
+  switch (field.type) {
+    case 'text':
+    case 'textarea': {
+      if (typeof value !== 'string') {
+        return { error: `${field.name} must be text` };
+      }
+      if (field.required && !value.trim()) {
+        return { error: `${field.name} is required` };
+      }
+      const error = checkText(field, value.trim());
+      return error ? { error } : { value: value.trim() };
+    }
+    case 'email': {
+      const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+      if (!EMAIL_PATTERN.test(email)) {
+        return { error: `${field.name} must be a valid email address` };
+      }
+      return { value: email };
+    }
+    case 'number': {
+      const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+      const { min, max } = field.validation || {};
+      if (!Number.isFinite(number)) {
+        return { error: `${field.name} must be a number` };
+      }
+      if (min !== undefined && number < min) {
+        return { error: `${field.name} must be at least ${min}` };
+      }
+      if (max !== undefined && number > max) {
+        return { error: `${field.name} must be at most ${max}` };
+      }
+      return { value: number };
+    }
+    case 'select':
+    case 'radio':
+      if (typeof value !== 'string' || (options.length > 0 && !options.includes(value))) {
+        return { error: `${field.name} must be one of: ${options.join(', ')}` };
+      }
+      return { value };
+    case 'checkbox': {
+      // A checkbox with options is a multi-select; without options it is a single tick box
+      if (options.length > 0) {
+        const values = Array.isArray(value) ? value : [value];
+        if (!values.every(item => options.includes(item))) {
+          return { error: `${field.name} must only contain: ${options.join(', ')}` };
+        }
+        return { value: values };
+      }
+      if (TRUE_VALUES.includes(value)) {
+        return { value: true };
+      }
+      if (FALSE_VALUES.includes(value)) {
+        return field.required ? { error: `${field.name} is required` } : { value: false };
+      }
+      return { error: `${field.name} must be checked or unchecked` };
+    }
+    default:
+      return { error: `${field.name} has an unsupported type: ${field.type}` };
+  }
+}
+
+/**
+ * Validates a submission against a form's fields. Values for names the form
+ * does not define are dropped.
+ * @param {Array<object>} formFields - Form node formFields
+ * @param {object} body - Submitted values by field name
+ * @returns {object} - { values, errors } with errors as [{ field, message }]
+ */
+function validateSubmission(formFields = [], body = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const field of formFields) {
+    const value = body[field.name];
+
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors.push({ field: field.name, message: `${field.name} is required` });
+      }
+      continue;
+    }
+
+    const result = checkField(field, value);
+    if (result.error) {
+      errors.push({ field: field.name, message: result.error });
+    } else {
+      values[field.name] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  validateSubmission
+};
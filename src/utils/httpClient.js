@@ -1,54 +1,72 @@
 const axios = require('axios');
 const { default: axiosRetry } = require('axios-retry');
 
-// Create axios instance
-const httpClient = axios.create({
-  baseURL: process.env.KIXIE_API_URL || 'https://api.kixie.com',
-  timeout: 30000, // 30 seconds timeout
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+/**
+ * Creates an axios instance with the shared retry strategy and logging
+ * @param {object} [options] - Client options
+ * @param {string} [options.baseURL] - Base URL for relative request URLs
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {number} [options.retries] - Retries on network errors and 5xx responses
+ * @param {object} [options.headers] - Default headers
+ * @returns {object} - Axios instance
+ */
+const createHttpClient = ({
+  baseURL,
+  timeout = 30000,
+  retries = 3,
+  headers = { 'Content-Type': 'application/json' },
+} = {}) => {
+  const client = axios.create({ baseURL, timeout, headers });
 
-// Configure retry strategy
-axiosRetry(httpClient, {
-  retries: 3, // Number of retries
-  retryDelay: (retryCount) => {
-    // Exponential backoff: 1000 * 2^retryCount ms
-    return 1000 * Math.pow(2, retryCount);
-  },
-  retryCondition: (error) => {
-    // Retry on network errors or 5xx server errors
-    return (
-      axiosRetry.isNetworkError(error) ||
-      axiosRetry.isRetryableError(error) ||
-      error.response?.status >= 500
-    );
-  },
-  shouldResetTimeout: true, // Reset timeout between retries
-});
+  // Configure retry strategy
+  axiosRetry(client, {
+    retries,
+    retryDelay: (retryCount) => {
+      // Exponential backoff: 1000 * 2^retryCount ms
+      return 1000 * Math.pow(2, retryCount);
+    },
+    retryCondition: (error) => {
+      // Retry on network errors or 5xx server errors
+      return (
+        axiosRetry.isNetworkError(error) ||
+        axiosRetry.isRetryableError(error) ||
+        error.response?.status >= 500
+      );
+    },
+    shouldResetTimeout: true, // Reset timeout between retries
+  });
+
+  // Request interceptor for logging
+  client.interceptors.request.use(
+    (config) => {
+      console.log(`Request: ${config.method?.toUpperCase()} ${config.url}`);
+      return config;
+    },
+    (error) => {
+      return Promise.reject(error);
+    }
+  );
 
-// Request interceptor for logging
-httpClient.interceptors.request.use(
-  (config) => {
-    console.log(`Request: ${config.method?.toUpperCase()} ${config.url}`);
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+  // Response interceptor for logging and error handling
+  client.interceptors.response.use(
+    (response) => {
+      console.log(`Response: ${response.status} ${response.config.url}`);
+      return response;
+    },
+    (error) => {
+      console.error(`Error: ${error.response?.status} ${error.config?.url}`);
+      return Promise.reject(error);
+    }
+  );
 
-// Response interceptor for logging and error handling
-httpClient.interceptors.response.use(
-  (response) => {
-    console.log(`Response: ${response.status} ${response.config.url}`);
-    return response;
-  },
-  (error) => {
-    console.error(`Error: ${error.response?.status} ${error.config?.url}`);
-    return Promise.reject(error);
-  }
-);
+  return client;
+};
+
+// Default client for the Kixie API
+const httpClient = createHttpClient({
+  baseURL: process.env.KIXIE_API_URL || 'https://api.kixie.com',
+  timeout: 30000, // 30 seconds timeout
+});
 
 module.exports = httpClient;
+module.exports.createHttpClient = createHttpClient;
@@ -0,0 +1,36 @@
+/**
+ * Helpers for reading values out of nested objects by dotted path
+ * (e.g. "contact.firstName" or "steps.node-002.status").
+ */
+
+// Keys that must never be traversed when resolving user-supplied paths
+const BLOCKED_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * Resolves a dotted path against an object
+ * @param {object} source - Object to read from
+ * @param {string} path - Dotted path, e.g. "contact.email"
+ * @returns {*} - The value at the path, or undefined if any segment is missing
+ */
+const getPath = (source, path) => {
+  if (!path || typeof path !== 'string') {
+    return undefined;
+  }
+
+  let current = source;
+  for (const key of path.split('.')) {
+    if (current === null || current === undefined || BLOCKED_KEYS.has(key)) {
+      return undefined;
+    }
+    if (!Object.prototype.hasOwnProperty.call(Object(current), key)) {
+      return undefined;
+    }
+    current = current[key];
+  }
+
+  return current;
+};
+
+module.exports = {
+  getPath,
+};
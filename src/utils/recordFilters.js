@@ -0,0 +1,77 @@
+/**
+ * Prisma where clauses for the filters the contact and deal endpoints accept,
+ * shared by their list and export endpoints
+ */
+
+/**
+ * Builds the where clause for a user's contacts
+ * @param {string} userId - Owner of the contacts
+ * @param {object} [filters] - Query filters
+ * @param {string} [filters.search] - Text matched against names, email, phone and company
+ * @param {string} [filters.tagId] - Tag the contacts carry
+ * @param {Array<object>} [filters.customFilters] - Custom field conditions, from getCustomFieldQuery
+ * @returns {object} - Prisma where clause
+ */
+function buildContactWhere(userId, { search, tagId, customFilters = [] } = {}) {
+  const where = {
+    userId,
+  };
+
+  if (search) {
+    where.OR = [
+      { firstName: { contains: search, mode: 'insensitive' } },
+      { lastName: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { phone: { contains: search, mode: 'insensitive' } },
+      { company: { contains: search, mode: 'insensitive' } },
+    ];
+  }
+
+  if (tagId) {
+    where.tags = {
+      some: {
+        tagId: tagId,
+      },
+    };
+  }
+
+  if (customFilters.length > 0) {
+    where.AND = customFilters;
+  }
+
+  return where;
+}
+
+/**
+ * Builds the where clause for a user's deals
+ * @param {string} userId - Owner of the deals
+ * @param {object} [filters] - Query filters
+ * @param {string} [filters.pipelineId] - Pipeline the deals are in
+ * @param {string} [filters.stageId] - Stage the deals are in
+ * @param {string} [filters.contactId] - Contact the deals belong to
+ * @returns {object} - Prisma where clause
+ */
+function buildDealWhere(userId, { pipelineId, stageId, contactId } = {}) {
+  const where = {
+    userId,
+  };
+
+  if (pipelineId) {
+    where.pipelineId = pipelineId;
+  }
+
+  if (stageId) {
+    where.stageId = stageId;
+  }
+
+  if (contactId) {
+    where.contactId = contactId;
+  }
+
+  return where;
+}
+
+module.exports = {
+  buildContactWhere,
+  buildDealWhere,
+};
@@ -0,0 +1,316 @@
+/**
+ * Merge-tag renderer ({{ contact.firstName }}, filters and {{#if}} blocks)
+ * shared by workflow actions and email templates
+ */
+
+const { getPath } = require('./objectPath');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const TAG = /\\{{|{{{\s*([\s\S]*?)\s*}}}|{{\s*([\s\S]*?)\s*}}/g;
+const PATH = /^[\w-]+(\.[\w-]+)*$/;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Formats a date with YYYY, YY, MMMM, MMM, MM, M, DD, D, HH, mm and ss tokens (UTC)
+ * @param {*} value - Date, ISO string or timestamp
+ * @param {string} [format] - Format pattern
+ * @returns {string} - Formatted date, or '' when the value isn't a date
+ */
+const formatDate = (value, format = 'YYYY-MM-DD') => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === null || value === undefined || value === '' || Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  const parts = {
+    YYYY: date.getUTCFullYear(),
+    YY: String(date.getUTCFullYear()).slice(-2),
+    MMMM: MONTHS[date.getUTCMonth()],
+    MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+    MM: pad(date.getUTCMonth() + 1),
+    M: date.getUTCMonth() + 1,
+    DD: pad(date.getUTCDate()),
+    D: date.getUTCDate(),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+
+  return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|mm|ss/g, token => String(parts[token]));
+};
+
+const isBlank = value => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const FILTERS = {
+  default: (value, fallback = '') => (isBlank(value) ? fallback : value),
+  date: (value, format) => formatDate(value, format),
+  upper: value => (isBlank(value) ? value : String(value).toUpperCase()),
+  lower: value => (isBlank(value) ? value : String(value).toLowerCase()),
+  capitalize: value => (isBlank(value) ? value : String(value).charAt(0).toUpperCase() + String(value).slice(1)),
+  trim: value => (isBlank(value) ? value : String(value).trim())
+};
+
+/**
+ * Parses a filter argument: a quoted string or a number
+ * @param {string} raw - Argument source
+ * @returns {string|number} - Argument value
+ */
+const parseArgument = (raw) => {
+  const text = raw.trim();
+  const quoted = text.match(/^"((?:[^"\\]|\\.)*)"$|^'((?:[^'\\]|\\.)*)'$/);
+  if (quoted) {
+    return (quoted[1] ?? quoted[2]).replace(/\\(.)/g, '$1');
+  }
+  if (text !== '' && !Number.isNaN(Number(text))) {
+    return Number(text);
+  }
+  throw new Error(`Invalid filter argument: ${text}`);
+};
+
+/**
+ * Splits an expression on pipes that aren't inside quotes
+ * @param {string} expression - Tag expression
+ * @returns {Array<string>} - Segments
+ */
+const splitPipes = (expression) => {
+  const segments = [];
+  let current = '';
+  let quote = null;
+
+  for (let index = 0; index < expression.length; index += 1) {
+    const char = expression[index];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (expression[index + 1] || '');
+        index += 1;
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      segments.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  segments.push(current);
+
+  return segments.map(segment => segment.trim());
+};
+
+/**
+ * Parses "path | filter: arg | filter" into a path and filter list
+ * @param {string} expression - Tag expression
+ * @returns {object} - { path, filters }
+ */
+const parseExpression = (expression) => {
+  const [path, ...filterSources] = splitPipes(expression);
+  if (!PATH.test(path)) {
+    throw new Error(`Invalid merge tag: {{${expression}}}`);
+  }
+
+  const filters = filterSources.map(source => {
+    const separator = source.indexOf(':');
+    const name = (separator === -1 ? source : source.slice(0, separator)).trim();
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown template filter: ${name}`);
+    }
+    return {
+      name,
+      args: separator === -1 ? [] : [parseArgument(source.slice(separator + 1))]
+    };
+  });
+
+  return { path, filters };
+};
+
+/**
+ * Parses a template into a tree of text, value and block nodes
+ * @param {string} template - Template source
+ * @returns {Array<object>} - Parsed nodes
+ */
+const parse = (template) => {
+  const root = [];
+  const stack = [{ block: null, nodes: root }];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = text => text && current().nodes.push({ type: 'text', text });
+
+  for (const match of template.matchAll(TAG)) {
+    pushText(template.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (match[0] === '\\{{') {
+      pushText('{{');
+      continue;
+    }
+
+    if (match[1] !== undefined) {
+      current().nodes.push({ type: 'value', raw: true, ...parseExpression(match[1]) });
+      continue;
+    }
+
+    const body = match[2];
+    const open = body.match(/^#(if|unless)\s+(.+)$/);
+    const frame = current();
+
+    if (open) {
+      const block = { type: open[1], ...parseExpression(open[2]), children: [], otherwise: [] };
+      frame.nodes.push(block);
+      stack.push({ block, nodes: block.children });
+    } else if (body === 'else') {
+      if (!frame.block || frame.nodes === frame.block.otherwise) {
+        throw new Error('Unexpected {{else}} in template');
+      }
+      frame.nodes = frame.block.otherwise;
+    } else if (/^\/(if|unless)$/.test(body)) {
+      if (!frame.block || `/${frame.block.type}` !== body) {
+        throw new Error(`Unexpected {{${body}}} in template`);
+      }
+      stack.pop();
+    } else {
+      frame.nodes.push({ type: 'value', raw: false, ...parseExpression(body) });
+    }
+  }
+
+  pushText(template.slice(lastIndex));
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${current().block.type}}} in template`);
+  }
+
+  return root;
+};
+
+/**
+ * Resolves a value node's path and applies its filters
+ * @param {object} node - Parsed value or block node
+ * @param {object} data - Template data
+ * @returns {*} - Resolved value
+ */
+const resolve = (node, data) => node.filters.reduce(
+  (value, filter) => FILTERS[filter.name](value, ...filter.args),
+  getPath(data, node.path)
+);
+
+/**
+ * Converts a resolved value to output text
+ * @param {*} value - Resolved value
+ * @returns {string} - Text
+ */
+const stringify = (value) => {
+  if (value === undefined || value === null || typeof value === 'function') {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const renderNodes = (nodes, data, options) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.text;
+    case 'value': {
+      const text = stringify(resolve(node, data));
+      return options.escape === 'html' && !node.raw ? escapeHtml(text) : text;
+    }
+    default: {
+      const value = resolve(node, data);
+      const truthy = !isBlank(value) && value !== false && value !== 0;
+      return renderNodes((node.type === 'if') === truthy ? node.children : node.otherwise, data, options);
+    }
+  }
+}).join('');
+
+/**
+ * Renders a template against template data
+ * @param {string} template - Template source
+ * @param {object} data - Data from buildTemplateData (or any plain object)
+ * @param {object} [options] - Render options
+ * @param {string} [options.escape] - 'html' to escape {{ }} values, omit for plain text
+ * @returns {string} - Rendered text; non-string templates are returned unchanged
+ */
+const renderTemplate = (template, data = {}, options = {}) => {
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  return renderNodes(parse(template), data, options);
+};
+
+/**
+ * Checks a template for syntax errors without rendering it
+ * @param {string} template - Template source
+ * @returns {string|null} - Error message, or null when the template is valid
+ */
+const getTemplateError = (template) => {
+  try {
+    parse(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Builds the data merge tags can read from a workflow run context: contact,
+ * deal (the contact's most recent), user (the contact's owner), custom
+ * (custom fields and contact data by name), trigger, steps and now
+ * @param {object} context - Run context
+ * @returns {object} - Template data
+ */
+const buildTemplateData = (context = {}) => {
+  const contact = context.contact || null;
+  const custom = { ...(contact?.data || {}) };
+  for (const field of contact?.customFields || []) {
+    custom[field.name] = field.data?.value ?? field.data;
+  }
+
+  return {
+    contact: contact && {
+      ...contact,
+      fullName: [contact.firstName, contact.lastName].filter(Boolean).join(' '),
+      tags: (contact.tags || []).map(entry => entry.tag?.name).filter(Boolean)
+    },
+    deal: context.deal || null,
+    user: contact?.user || context.user || null,
+    custom,
+    trigger: context.trigger || {},
+    steps: context.steps || {},
+    now: context.now || new Date()
+  };
+};
+
+module.exports = {
+  renderTemplate,
+  getTemplateError,
+  buildTemplateData,
+  formatDate
+};
@@ -0,0 +1,141 @@
+/**
+ * Time calculations for schedule and date_relative trigger nodes
+ */
+
+const { CronExpressionParser } = require('cron-parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks that a string is an IANA time zone
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} - True if the zone is known
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Checks the schedule settings of a schedule or date_relative trigger
+ * @param {object} data - Trigger node data
+ * @returns {string|null} - Error message, or null when the trigger can be scheduled
+ */
+const getScheduleError = (data = {}) => {
+  const timeZone = data.timezone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    return `Unknown time zone '${timeZone}'`;
+  }
+
+  if (data.triggerType === 'schedule') {
+    if (!data.cron) {
+      return 'Schedule triggers need a cron expression';
+    }
+    try {
+      CronExpressionParser.parse(data.cron, { tz: timeZone });
+    } catch (error) {
+      return `Invalid cron expression '${data.cron}': ${error.message}`;
+    }
+  }
+
+  if (data.triggerType === 'date_relative' && !data.dateField) {
+    return 'Date-relative triggers need a dateField';
+  }
+
+  return null;
+};
+
+/**
+ * Returns the latest time a cron expression fired at or before now
+ * @param {string} cron - Cron expression
+ * @param {string} [timeZone] - IANA time zone the expression is read in
+ * @param {Date} [now] - Reference time
+ * @returns {Date} - Latest fire time
+ */
+const getLastCronFire = (cron, timeZone = 'UTC', now = new Date()) => {
+  // prev() is strictly before currentDate, so step a millisecond past now
+  const expression = CronExpressionParser.parse(cron, { currentDate: new Date(now.getTime() + 1), tz: timeZone });
+  return expression.prev().toDate();
+};
+
+/**
+ * Reads the calendar date and wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {object} - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+const getLocalDateTime = (date, timeZone = 'UTC') => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * Moves a calendar date by a number of days
+ * @param {string} isoDate - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const addDays = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00.000Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Reads the calendar date of a contact date value. Plain dates are taken as
+ * written; date-times by their UTC date.
+ * @param {*} value - Date, ISO string or timestamp
+ * @returns {string|null} - 'YYYY-MM-DD', or null when the value is not a date
+ */
+const toCalendarDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const isLeapYear = year => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * Checks whether a contact date falls on a day, or, yearly, on its anniversary.
+ * Anniversaries of 29 February fall on 28 February in other years.
+ * @param {string} contactDate - 'YYYY-MM-DD' read from the contact
+ * @param {string} day - 'YYYY-MM-DD' to check
+ * @param {boolean} [repeatYearly] - Compare month and day only
+ * @returns {boolean} - True if the date matches
+ */
+const isDateOn = (contactDate, day, repeatYearly = false) => {
+  if (!repeatYearly) {
+    return contactDate === day;
+  }
+
+  let monthDay = contactDate.slice(5);
+  if (monthDay === '02-29' && !isLeapYear(Number(day.slice(0, 4)))) {
+    monthDay = '02-28';
+  }
+  return monthDay === day.slice(5);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getScheduleError,
+  getLastCronFire,
+  getLocalDateTime,
+  addDays,
+  toCalendarDate,
+  isDateOn
+};
@@ -0,0 +1,209 @@
+/**
+ * Evaluation of ConditionNode data and edge conditions against a run context
+ */
+
+const crypto = require('crypto');
+const { getPath } = require('./objectPath');
+const { evaluateExpression, buildExpressionScope, isTruthy } = require('./expressionEvaluator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shorthand fields carried over from the original automation conditions
+const DERIVED_FIELDS = {
+  deal_value: context => context.deal?.value ?? 0,
+  deal_stage: context => context.deal?.stage?.name,
+  contact_tag: context => (context.contact?.tags || []).map(entry => entry.tag?.name).filter(Boolean)
+};
+
+/**
+ * Resolves a condition field. deal_value, deal_stage and contact_tag read the
+ * contact's most recent deal and tag names, dotted paths ("deal.value") are
+ * read from the context, bare names ("email") from the contact and then its
+ * data column.
+ * @param {object} context - Run context
+ * @param {string} field - Field name or path
+ * @returns {*} - Field value
+ */
+const resolveField = (context, field) => {
+  if (!field) {
+    return undefined;
+  }
+
+  if (DERIVED_FIELDS[field]) {
+    return DERIVED_FIELDS[field](context);
+  }
+
+  if (field.includes('.')) {
+    return getPath(context, field);
+  }
+
+  const contact = context.contact || {};
+  if (contact[field] !== undefined) {
+    return contact[field];
+  }
+
+  return getPath(contact.data || {}, field);
+};
+
+/**
+ * Applies a comparison operator. For list values (such as contact_tag) equals,
+ * not_equals and contains test membership.
+ * @param {*} actual - Value from the context
+ * @param {string} operator - equals, not_equals, contains, greater_than, less_than
+ * @param {*} expected - Value configured on the node
+ * @returns {boolean} - Comparison result
+ */
+const compare = (actual, operator = 'equals', expected) => {
+  if (Array.isArray(actual) && ['equals', 'not_equals', 'contains'].includes(operator)) {
+    const included = actual.map(String).includes(String(expected));
+    return operator === 'not_equals' ? !included : included;
+  }
+
+  switch (operator) {
+    case 'equals':
+      return String(actual ?? '') === String(expected ?? '');
+    case 'not_equals':
+      return String(actual ?? '') !== String(expected ?? '');
+    case 'contains':
+      return String(actual ?? '').toLowerCase().includes(String(expected ?? '').toLowerCase());
+    case 'greater_than':
+      return Number(actual) > Number(expected);
+    case 'less_than':
+      return Number(actual) < Number(expected);
+    default:
+      throw new Error(`Unsupported operator: ${operator}`);
+  }
+};
+
+/**
+ * Checks whether the contact carries a tag, matched by ID or name
+ * @param {object} contact - Contact with tags included
+ * @param {string} tag - Tag ID or name
+ * @returns {boolean} - True if the tag is present
+ */
+const hasTag = (contact, tag) => {
+  const tags = contact?.tags || [];
+  return tags.some(entry => entry.tagId === tag || entry.tag?.id === tag || entry.tag?.name === tag);
+};
+
+/**
+ * Evaluates a condition node
+ * @param {object} data - Condition node data
+ * @param {object} context - Run context
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} - Condition result
+ */
+const evaluateCondition = (data = {}, context = {}, now = new Date()) => {
+  switch (data.conditionType) {
+    case 'if_field_equals':
+      return compare(resolveField(context, data.field), data.operator, data.value);
+
+    case 'if_tag_exists':
+      return hasTag(context.contact, data.tagId);
+
+    case 'if_date_passed': {
+      const raw = resolveField(context, data.dateField);
+      const date = raw ? new Date(raw) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return false;
+      }
+      return date.getTime() + (data.daysOffset || 0) * DAY_MS <= now.getTime();
+    }
+
+    case 'if_custom':
+      return isTruthy(evaluateExpression(data.customLogic, buildExpressionScope(context, now)));
+
+    default:
+      throw new Error(`Unsupported condition type: ${data.conditionType}`);
+  }
+};
+
+/**
+ * Picks the branch of a split node. The pick is a hash of the workflow, node
+ * and contact, so a contact always takes the same branch while the weights
+ * stay the same; runs without a contact pick at random.
+ * @param {object} node - Split node
+ * @param {object} context - Run context
+ * @returns {object} - Chosen branch { id, label, weight }
+ */
+const chooseSplitBranch = (node, context = {}) => {
+  const branches = node.data?.branches || [];
+  const total = branches.reduce((sum, branch) => sum + branch.weight, 0);
+  if (branches.length === 0 || !(total > 0)) {
+    throw new Error('Split node has no branches with a weight');
+  }
+
+  let fraction = Math.random();
+  if (context.contact?.id) {
+    const hash = crypto.createHash('sha256').update(`${context.workflowId}:${node.id}:${context.contact.id}`).digest();
+    fraction = hash.readUInt32BE(0) / 2 ** 32;
+  }
+
+  let point = fraction * total;
+  for (const branch of branches) {
+    point -= branch.weight;
+    if (point < 0) {
+      return branch;
+    }
+  }
+  return branches[branches.length - 1];
+};
+
+/**
+ * Evaluates the optional condition attached to an edge
+ * @param {object} edge - Edge object
+ * @param {object} context - Run context
+ * @returns {boolean} - True if the edge may be traversed
+ */
+const evaluateEdgeCondition = (edge, context) => {
+  if (!edge.condition || !edge.condition.field) {
+    return true;
+  }
+
+  const { field, operator, value } = edge.condition;
+  return compare(resolveField(context, field), operator, value);
+};
+
+/**
+ * Checks whether the workflow goal (settings.goal) is met
+ * @param {object} goal - { match: 'any'|'all', conditions: [{ field, operator, value }] }
+ * @param {object} context - Run context
+ * @returns {boolean} - False when the workflow has no goal
+ */
+const evaluateGoal = (goal, context) => {
+  const conditions = goal?.conditions || [];
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  const holds = condition => compare(resolveField(context, condition.field), condition.operator, condition.value);
+  return goal.match === 'all' ? conditions.every(holds) : conditions.some(holds);
+};
+
+/**
+ * Checks a contact against the contactFilter of a schedule or date_relative
+ * trigger. The filter's tagId is applied when loading contacts.
+ * @param {object} filter - { match: 'any'|'all', conditions: [{ field, operator, value }] }
+ * @param {object} context - Run context
+ * @returns {boolean} - True when the filter has no conditions
+ */
+const matchesContactFilter = (filter, context) => {
+  const conditions = filter?.conditions || [];
+  if (conditions.length === 0) {
+    return true;
+  }
+
+  const holds = condition => compare(resolveField(context, condition.field), condition.operator, condition.value);
+  return filter.match === 'any' ? conditions.some(holds) : conditions.every(holds);
+};
+
+module.exports = {
+  resolveField,
+  compare,
+  hasTag,
+  evaluateCondition,
+  chooseSplitBranch,
+  evaluateEdgeCondition,
+  evaluateGoal,
+  matchesContactFilter
+};
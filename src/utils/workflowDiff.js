@@ -0,0 +1,91 @@
+/**
+ * Structural diff between two workflow definitions, matching nodes and edges
+ * by ID so an editor can show which parts of the graph a version changed.
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep equality for JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if both values are equal
+ */
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+/**
+ * Lists the changed leaves between two values. Objects are compared key by
+ * key; arrays and scalars are reported as a whole.
+ * @param {*} from - Old value
+ * @param {*} to - New value
+ * @param {string} [path] - Dotted path of the values
+ * @returns {Array<object>} - Changes as { path, from, to }
+ */
+const listChanges = (from, to, path = '') => {
+  if (isEqual(from, to)) {
+    return [];
+  }
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    return [...keys].flatMap(key => listChanges(from[key], to[key], path ? `${path}.${key}` : key));
+  }
+
+  return [{ path, from: from ?? null, to: to ?? null }];
+};
+
+/**
+ * Diffs a list of items (nodes or edges) by ID
+ * @param {Array<object>} fromItems - Items in the old definition
+ * @param {Array<object>} toItems - Items in the new definition
+ * @returns {object} - { added, removed, changed }
+ */
+const diffById = (fromItems = [], toItems = []) => {
+  const fromById = new Map(fromItems.map(item => [item.id, item]));
+  const toById = new Map(toItems.map(item => [item.id, item]));
+
+  return {
+    added: toItems.filter(item => !fromById.has(item.id)),
+    removed: fromItems.filter(item => !toById.has(item.id)),
+    changed: toItems
+      .filter(item => fromById.has(item.id))
+      .map(item => ({ id: item.id, changes: listChanges(fromById.get(item.id), item) }))
+      .filter(item => item.changes.length > 0)
+  };
+};
+
+/**
+ * Diffs two workflow definitions
+ * @param {object} from - Old definition
+ * @param {object} to - New definition
+ * @returns {object} - { nodes, edges, other } where nodes and edges hold
+ * { added, removed, changed } and other lists changes outside the graph
+ * (settings, metadata, viewport)
+ */
+const diffDefinitions = (from = {}, to = {}) => {
+  const { nodes: fromNodes, edges: fromEdges, ...fromRest } = from || {};
+  const { nodes: toNodes, edges: toEdges, ...toRest } = to || {};
+
+  return {
+    nodes: diffById(fromNodes, toNodes),
+    edges: diffById(fromEdges, toEdges),
+    other: listChanges(fromRest, toRest)
+  };
+};
+
+module.exports = {
+  isEqual,
+  diffDefinitions
+};
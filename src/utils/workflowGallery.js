@@ -0,0 +1,264 @@
+/**
+ * Built-in starter workflows users can clone into their account.
+ *
+ * Each entry is an import bundle (see workflowBundleService), so cloning runs
+ * the regular import: referenced tags and email templates are matched by name
+ * or created, and stages are matched by name in the user's pipelines.
+ */
+
+const { BUNDLE_FORMAT, BUNDLE_VERSION } = require('../services/workflowBundleService');
+
+/**
+ * Builds a node laid out left to right on the canvas
+ * @param {string} id - Node ID
+ * @param {string} type - Node type
+ * @param {number} column - Position on the canvas, from 0
+ * @param {object} data - Node data
+ * @returns {object} - Node
+ */
+const node = (id, type, column, data) => ({
+  id,
+  type,
+  position: { x: 100 + column * 250, y: 100 },
+  data
+});
+
+/**
+ * Connects nodes one after another
+ * @param {Array<string>} nodeIds - Node IDs in order
+ * @returns {Array<object>} - Edges
+ */
+const chain = nodeIds => nodeIds.slice(1).map((target, index) => ({
+  id: `edge-${index + 1}`,
+  source: nodeIds[index],
+  target
+}));
+
+const welcomeSequence = {
+  id: 'welcome-sequence',
+  category: 'Onboarding',
+  workflow: {
+    name: 'Welcome Sequence',
+    description: 'Greets new contacts and follows up over their first week',
+    definition: {
+      nodes: [
+        node('trigger', 'trigger', 0, {
+          label: 'Contact Created',
+          description: 'Starts when a contact is added',
+          triggerType: 'contact_created'
+        }),
+        node('welcome-email', 'action', 1, {
+          label: 'Send Welcome Email',
+          description: 'Introduce yourself right away',
+          actionType: 'send_email',
+          emailConfig: {
+            to: '{{contact.email}}',
+            subject: 'Welcome, {{ contact.firstName | default: "there" }}!',
+            body: '<p>Hi {{ contact.firstName | default: "there" }},</p><p>Thanks for getting in touch. Reply to this email any time with questions.</p>'
+          }
+        }),
+        node('wait-2-days', 'wait', 2, {
+          label: 'Wait 2 Days',
+          description: 'Give the contact time to settle in',
+          waitType: 'delay',
+          delayAmount: 2,
+          delayUnit: 'days'
+        }),
+        node('tips-email', 'action', 3, {
+          label: 'Send Tips Email',
+          description: 'Share resources that help them get started',
+          actionType: 'send_email',
+          emailConfig: {
+            to: '{{contact.email}}',
+            subject: 'A few tips to get started',
+            body: '<p>Hi {{ contact.firstName | default: "there" }},</p><p>Here are a few things our customers find most useful in their first week.</p>'
+          }
+        }),
+        node('tag-welcomed', 'action', 4, {
+          label: 'Tag as Welcomed',
+          description: 'Mark the contact as having finished the sequence',
+          actionType: 'add_tag',
+          tagConfig: { tagName: 'Welcomed' }
+        })
+      ],
+      edges: chain(['trigger', 'welcome-email', 'wait-2-days', 'tips-email', 'tag-welcomed']),
+      settings: { reentry: { policy: 'once' } }
+    }
+  },
+  references: { emailTemplates: [], tags: [], stages: [] }
+};
+
+const noShowFollowUp = {
+  id: 'no-show-follow-up',
+  category: 'Sales',
+  workflow: {
+    name: 'No-Show Follow-Up',
+    description: 'Reaches out to contacts tagged as missing a booked call and books them again',
+    definition: {
+      nodes: [
+        node('trigger', 'trigger', 0, {
+          label: 'Tagged No Show',
+          description: 'Starts when the No Show tag is added',
+          triggerType: 'tag_added',
+          tagId: 'tag-no-show'
+        }),
+        node('sms', 'action', 1, {
+          label: 'Text the Contact',
+          description: 'A quick, friendly nudge',
+          actionType: 'send_sms',
+          smsConfig: {
+            to: '{{contact.phone}}',
+            message: 'Hi {{ contact.firstName | default: "there" }}, sorry we missed you today! Reply here to find a new time.'
+          }
+        }),
+        node('wait-1-day', 'wait', 2, {
+          label: 'Wait 1 Day',
+          description: 'Give them a day to reply',
+          waitType: 'delay',
+          delayAmount: 1,
+          delayUnit: 'days'
+        }),
+        node('reschedule-email', 'action', 3, {
+          label: 'Send Reschedule Email',
+          description: 'Offer a new time by email',
+          actionType: 'send_email',
+          emailConfig: {
+            to: '{{contact.email}}',
+            subject: 'Let\'s find a new time',
+            body: '<p>Hi {{ contact.firstName | default: "there" }},</p><p>We missed you on our call. Reply with a few times that suit you and we\'ll rebook.</p>'
+          }
+        }),
+        node('call-task', 'action', 4, {
+          label: 'Create Call Task',
+          description: 'Remind the owner to call',
+          actionType: 'create_task',
+          taskConfig: {
+            title: 'Call {{contact.firstName}} {{contact.lastName}} to rebook',
+            description: 'Missed their booked call and has had an SMS and an email.'
+          }
+        }),
+        node('remove-tag', 'action', 5, {
+          label: 'Remove No Show Tag',
+          description: 'Allow the sequence to run again after a future no-show',
+          actionType: 'remove_tag',
+          tagConfig: { tagName: 'No Show' }
+        })
+      ],
+      edges: chain(['trigger', 'sms', 'wait-1-day', 'reschedule-email', 'call-task', 'remove-tag'])
+    }
+  },
+  references: {
+    emailTemplates: [],
+    tags: [{ id: 'tag-no-show', name: 'No Show', color: '#f97316' }],
+    stages: []
+  }
+};
+
+const dealWonOnboarding = {
+  id: 'deal-won-onboarding',
+  category: 'Customer Success',
+  workflow: {
+    name: 'Deal-Won Onboarding',
+    description: 'Welcomes new customers when a deal reaches Closed Won and schedules the kickoff',
+    definition: {
+      nodes: [
+        node('trigger', 'trigger', 0, {
+          label: 'Deal Won',
+          description: 'Starts when a deal moves to Closed Won',
+          triggerType: 'deal_stage_changed',
+          stageId: 'stage-closed-won'
+        }),
+        node('tag-customer', 'action', 1, {
+          label: 'Tag as Customer',
+          description: 'Mark the contact as a customer',
+          actionType: 'add_tag',
+          tagConfig: { tagId: 'tag-customer' }
+        }),
+        node('onboarding-email', 'action', 2, {
+          label: 'Send Onboarding Email',
+          description: 'Uses the Customer Onboarding email template',
+          actionType: 'send_email',
+          emailConfig: {
+            to: '{{contact.email}}',
+            templateId: 'template-onboarding'
+          }
+        }),
+        node('kickoff-task', 'action', 3, {
+          label: 'Schedule Kickoff',
+          description: 'Remind the owner to book the kickoff call',
+          actionType: 'create_task',
+          taskConfig: {
+            title: 'Book kickoff call with {{contact.firstName}} {{contact.lastName}}',
+            description: 'Deal {{deal.title}} was won.'
+          }
+        }),
+        node('wait-7-days', 'wait', 4, {
+          label: 'Wait 7 Days',
+          description: 'Check in after the first week',
+          waitType: 'delay',
+          delayAmount: 7,
+          delayUnit: 'days'
+        }),
+        node('check-in-email', 'action', 5, {
+          label: 'Send Check-In Email',
+          description: 'Ask how the first week went',
+          actionType: 'send_email',
+          emailConfig: {
+            to: '{{contact.email}}',
+            subject: 'How is your first week going?',
+            body: '<p>Hi {{ contact.firstName | default: "there" }},</p><p>You have been with us for a week now. Is there anything we can help with?</p>'
+          }
+        })
+      ],
+      edges: chain(['trigger', 'tag-customer', 'onboarding-email', 'kickoff-task', 'wait-7-days', 'check-in-email']),
+      settings: { reentry: { policy: 'once' } }
+    }
+  },
+  references: {
+    emailTemplates: [{
+      id: 'template-onboarding',
+      name: 'Customer Onboarding',
+      subject: 'Welcome aboard, {{ contact.firstName | default: "there" }}!',
+      body: '<p>Hi {{ contact.firstName | default: "there" }},</p><p>We are thrilled to have you as a customer. Your account manager will be in touch shortly to book your kickoff call.</p>'
+    }],
+    tags: [{ id: 'tag-customer', name: 'Customer', color: '#22c55e' }],
+    stages: [{ id: 'stage-closed-won', name: 'Closed Won', pipelineName: null }]
+  }
+};
+
+const GALLERY = [welcomeSequence, noShowFollowUp, dealWonOnboarding];
+
+/**
+ * Lists the gallery templates without their definitions
+ * @returns {Array<object>} - { id, name, description, category, nodeCount }
+ */
+const listGalleryTemplates = () => GALLERY.map(template => ({
+  id: template.id,
+  name: template.workflow.name,
+  description: template.workflow.description,
+  category: template.category,
+  nodeCount: template.workflow.definition.nodes.length
+}));
+
+/**
+ * Returns a gallery template as an import bundle
+ * @param {string} templateId - Gallery template ID
+ * @returns {object|null} - Bundle with id and category, or null when unknown
+ */
+const getGalleryTemplate = (templateId) => {
+  const template = GALLERY.find(candidate => candidate.id === templateId);
+  if (!template) {
+    return null;
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    ...JSON.parse(JSON.stringify(template))
+  };
+};
+
+module.exports = {
+  listGalleryTemplates,
+  getGalleryTemplate
+};
@@ -0,0 +1,90 @@
+/**
+ * Graph helpers for workflow definitions (nodes + edges as stored in
+ * AutomationWorkflow.definition, see workflowSchema.js).
+ */
+
+// Handle/label values the visual editor uses for condition branches
+const TRUE_BRANCHES = new Set(['true', 'yes']);
+const FALSE_BRANCHES = new Set(['false', 'no']);
+
+/**
+ * Builds lookup maps for a workflow definition
+ * @param {object} definition - Workflow definition with nodes and edges
+ * @returns {object} - { nodes, edges, nodesById, outgoing, incoming }
+ */
+const buildGraph = (definition = {}) => {
+  const nodes = Array.isArray(definition.nodes) ? definition.nodes : [];
+  const edges = Array.isArray(definition.edges) ? definition.edges : [];
+
+  const nodesById = new Map();
+  const outgoing = new Map();
+  const incoming = new Map();
+
+  for (const node of nodes) {
+    nodesById.set(node.id, node);
+    outgoing.set(node.id, []);
+    incoming.set(node.id, []);
+  }
+
+  for (const edge of edges) {
+    if (outgoing.has(edge.source)) {
+      outgoing.get(edge.source).push(edge);
+    }
+    if (incoming.has(edge.target)) {
+      incoming.get(edge.target).push(edge);
+    }
+  }
+
+  return { nodes, edges, nodesById, outgoing, incoming };
+};
+
+/**
+ * Returns the trigger nodes a run starts from
+ * @param {object} graph - Graph built by buildGraph
+ * @returns {Array<object>} - Trigger nodes
+ */
+const getTriggerNodes = (graph) => graph.nodes.filter(node => node.type === 'trigger');
+
+/**
+ * Returns the goal node enrollments jump to when the workflow goal is met
+ * @param {object} graph - Graph built by buildGraph
+ * @returns {object|null} - Goal node
+ */
+const getGoalNode = (graph) => graph.nodes.find(node => node.type === 'goal') || null;
+
+/**
+ * Normalizes the branch an edge leaving a condition node represents
+ * @param {object} edge - Edge object
+ * @returns {string|null} - 'true', 'false' or null when the edge is not a branch
+ */
+const getBranch = (edge) => {
+  const raw = edge.sourceHandle || edge.label;
+  if (!raw) {
+    return null;
+  }
+
+  const value = String(raw).trim().toLowerCase();
+  if (TRUE_BRANCHES.has(value)) {
+    return 'true';
+  }
+  if (FALSE_BRANCHES.has(value)) {
+    return 'false';
+  }
+
+  return null;
+};
+
+/**
+ * Returns the split branch an edge leaving a split node belongs to
+ * @param {object} edge - Edge object
+ * @returns {string|null} - Branch ID (the edge's sourceHandle, or its label)
+ */
+const getSplitBranch = (edge) => edge.sourceHandle || edge.label || null;
+
+module.exports = {
+  buildGraph,
+  getTriggerNodes,
+  getGoalNode,
+  getBranch,
+  getSplitBranch,
+};
@@ -15,7 +15,7 @@ const BaseNode = {
     },
     type: {
       type: 'string',
-      enum: ['trigger', 'action', 'form', 'wait', 'condition', 'webhook'],
+      enum: ['trigger', 'action', 'form', 'wait', 'condition', 'split', 'webhook', 'goal'],
       description: 'Type of the node'
     },
     position: {
@@ -56,7 +56,7 @@ const TriggerNode = {
         description: { type: 'string' },
         triggerType: {
           type: 'string',
-          enum: ['tag_added', 'form_submission', 'webhook', 'contact_created', 'contact_updated'],
+          enum: ['tag_added', 'form_submission', 'webhook', 'contact_created', 'contact_updated', 'deal_stage_changed', 'schedule', 'date_relative'],
           description: 'Type of trigger event'
         },
         tagId: {
@@ -67,10 +67,77 @@ const TriggerNode = {
           type: 'string',
           description: 'Form ID for form_submission trigger (optional)'
         },
+        stageId: {
+          type: 'string',
+          description: 'Pipeline stage ID for deal_stage_changed trigger (optional)'
+        },
         webhookUrl: {
           type: 'string',
           format: 'uri',
           description: 'Webhook URL for webhook trigger (optional)'
+        },
+        source: {
+          type: 'string',
+          enum: ['iclosed', 'kixie'],
+          description: 'Integration whose webhooks fire a webhook trigger (optional, any when omitted)'
+        },
+        cron: {
+          type: 'string',
+          description: 'Cron expression for schedule triggers (e.g. "0 9 * * 1" for Mondays at 9:00)'
+        },
+        timezone: {
+          type: 'string',
+          default: 'UTC',
+          description: 'IANA time zone the cron expression or timeOfDay is read in (schedule and date_relative triggers)'
+        },
+        dateField: {
+          type: 'string',
+          description: 'Contact date field for date_relative triggers: a contact field, a data key or custom.<name>'
+        },
+        daysOffset: {
+          type: 'integer',
+          default: 0,
+          description: 'Days from the date the trigger fires (negative fires before it, e.g. -7 for a week before)'
+        },
+        repeatYearly: {
+          type: 'boolean',
+          default: false,
+          description: 'Fire every year on the anniversary of the date, for birthdays and renewals (date_relative triggers)'
+        },
+        timeOfDay: {
+          type: 'string',
+          pattern: '^([01]\\d|2[0-3]):[0-5]\\d$',
+          default: '09:00',
+          description: 'Local time a date_relative trigger fires at (HH:MM)'
+        },
+        contactFilter: {
+          type: 'object',
+          properties: {
+            tagId: { type: 'string', description: 'Only contacts with this tag' },
+            match: {
+              type: 'string',
+              enum: ['any', 'all'],
+              default: 'all',
+              description: 'Whether any or all of the conditions must hold'
+            },
+            conditions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  operator: {
+                    type: 'string',
+                    enum: ['equals', 'not_equals', 'contains', 'greater_than', 'less_than'],
+                    default: 'equals'
+                  },
+                  value: { type: ['string', 'number', 'boolean'] }
+                },
+                required: ['field', 'value']
+              }
+            }
+          },
+          description: 'Contacts a schedule or date_relative trigger enrolls (schedule triggers without one start a single run without a contact)'
         }
       },
       required: ['label', 'description', 'triggerType']
@@ -96,7 +163,7 @@ const ActionNode = {
         description: { type: 'string' },
         actionType: {
           type: 'string',
-          enum: ['send_email', 'send_sms', 'add_tag', 'remove_tag', 'create_task', 'update_contact'],
+          enum: ['send_email', 'send_sms', 'add_tag', 'remove_tag', 'create_task', 'update_contact', 'move_deal_stage'],
           description: 'Type of action'
         },
         emailConfig: {
@@ -105,9 +172,13 @@ const ActionNode = {
             to: { type: 'string', format: 'email' },
             subject: { type: 'string' },
             body: { type: 'string' },
-            templateId: { type: 'string' }
+            templateId: { type: 'string', description: 'EmailTemplate supplying subject and body when they are omitted' }
           },
-          required: ['to', 'subject', 'body']
+          required: ['to'],
+          anyOf: [
+            { required: ['subject', 'body'] },
+            { required: ['templateId'] }
+          ]
         },
         smsConfig: {
           type: 'object',
@@ -121,9 +192,12 @@ const ActionNode = {
           type: 'object',
           properties: {
             tagId: { type: 'string' },
-            tagName: { type: 'string' }
+            tagName: { type: 'string', description: 'Tag name, used (and created if missing) when tagId is omitted' }
           },
-          required: ['tagId']
+          anyOf: [
+            { required: ['tagId'] },
+            { required: ['tagName'] }
+          ]
         },
         taskConfig: {
           type: 'object',
@@ -142,6 +216,18 @@ const ActionNode = {
             value: { type: ['string', 'number', 'boolean'] }
           },
           required: ['field', 'value']
+        },
+        dealStageConfig: {
+          type: 'object',
+          description: "Target stage in the pipeline of the contact's most recent deal",
+          properties: {
+            stageId: { type: 'string' },
+            stageName: { type: 'string' }
+          },
+          anyOf: [
+            { required: ['stageId'] },
+            { required: ['stageName'] }
+          ]
         }
       },
       required: ['label', 'description', 'actionType']
@@ -269,7 +355,10 @@ const ConditionNode = {
           enum: ['if_field_equals', 'if_tag_exists', 'if_date_passed', 'if_custom'],
           description: 'Type of condition'
         },
-        field: { type: 'string', description: 'Field to check (for field conditions)' },
+        field: {
+          type: 'string',
+          description: 'Field to check (for field conditions): a contact field, a dotted context path, or deal_value, deal_stage, contact_tag'
+        },
         operator: {
           type: 'string',
           enum: ['equals', 'not_equals', 'contains', 'greater_than', 'less_than'],
@@ -289,6 +378,43 @@ const ConditionNode = {
   }
 };
 
+// Split node schema. Contacts are sent down one branch at random, in
+// proportion to the branch weights; edges pick a branch by sourceHandle.
+const SplitNode = {
+  ...BaseNode,
+  type: 'object',
+  properties: {
+    ...BaseNode.properties,
+    type: {
+      type: 'string',
+      enum: ['split'],
+      const: 'split'
+    },
+    data: {
+      type: 'object',
+      properties: {
+        label: { type: 'string' },
+        description: { type: 'string' },
+        branches: {
+          type: 'array',
+          minItems: 2,
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', minLength: 1, description: 'Branch ID, used as the sourceHandle of its edge' },
+              label: { type: 'string', description: 'Branch name shown in analytics (e.g. "Variant A")' },
+              weight: { type: 'number', exclusiveMinimum: 0, description: 'Share of contacts, relative to the other branches' }
+            },
+            required: ['id', 'weight']
+          },
+          description: 'Branches to split contacts between'
+        }
+      },
+      required: ['label', 'description', 'branches']
+    }
+  }
+};
+
 // Webhook node schema
 const WebhookNode = {
   ...BaseNode,
@@ -336,7 +462,8 @@ const WebhookNode = {
         },
         responseMapping: {
           type: 'object',
-          description: 'Map webhook response to contact fields'
+          description: 'Map webhook response to contact fields',
+          additionalProperties: { type: 'string', minLength: 1 }
         }
       },
       required: ['label', 'description', 'endpoint']
@@ -344,6 +471,50 @@ const WebhookNode = {
   }
 };
 
+// Goal node schema. Enrollments jump here when the workflow goal is met; it
+// is entered from the goal rather than by edges, and may lead on to more nodes.
+const GoalNode = {
+  ...BaseNode,
+  type: 'object',
+  properties: {
+    ...BaseNode.properties,
+    type: {
+      type: 'string',
+      enum: ['goal'],
+      const: 'goal'
+    },
+    data: {
+      type: 'object',
+      properties: {
+        label: { type: 'string' },
+        description: { type: 'string' }
+      },
+      required: ['label']
+    }
+  }
+};
+
+// Goal criterion, evaluated like an edge condition
+const GoalCondition = {
+  type: 'object',
+  properties: {
+    field: {
+      type: 'string',
+      description: 'Field to check: a contact field, a dotted context path, or deal_value, deal_stage, contact_tag'
+    },
+    operator: {
+      type: 'string',
+      enum: ['equals', 'not_equals', 'contains', 'greater_than', 'less_than'],
+      default: 'equals'
+    },
+    value: {
+      type: ['string', 'number', 'boolean'],
+      description: 'Value to compare against'
+    }
+  },
+  required: ['field', 'value']
+};
+
 // Edge schema
 const Edge = {
   type: 'object',
@@ -410,7 +581,9 @@ const WorkflowSchema = {
           FormNode,
           WaitNode,
           ConditionNode,
-          WebhookNode
+          SplitNode,
+          WebhookNode,
+          GoalNode
         ]
       },
       description: 'Array of nodes in the workflow'
@@ -458,6 +631,50 @@ const WorkflowSchema = {
             maxRetries: { type: 'number', default: 3 },
             retryDelay: { type: 'number', default: 60 }
           }
+        },
+        throttle: {
+          type: 'object',
+          properties: {
+            send_email: { type: 'integer', minimum: 1, description: 'Emails the workflow may send per minute' },
+            send_sms: { type: 'integer', minimum: 1, description: 'Text messages the workflow may send per minute' },
+            webhook: { type: 'integer', minimum: 1, description: 'Webhook requests the workflow may make per minute' }
+          },
+          additionalProperties: false,
+          description: 'Per-minute limits for this workflow; executions over a limit wait for the next minute with room'
+        },
+        goal: {
+          type: 'object',
+          properties: {
+            match: {
+              type: 'string',
+              enum: ['any', 'all'],
+              default: 'any',
+              description: 'Whether any or all of the conditions must hold'
+            },
+            conditions: {
+              type: 'array',
+              items: GoalCondition,
+              minItems: 1
+            }
+          },
+          required: ['conditions'],
+          description: 'When met, active enrollments end early and jump to the goal node'
+        },
+        reentry: {
+          type: 'object',
+          properties: {
+            policy: {
+              type: 'string',
+              enum: ['allow', 'once', 'once_per_period'],
+              default: 'allow',
+              description: 'Whether a contact that finished the workflow can be enrolled again'
+            },
+            periodDays: {
+              type: 'number',
+              minimum: 1,
+              description: 'Days since the last enrollment before re-entry, for once_per_period'
+            }
+          }
         }
       },
       description: 'Workflow settings and configuration'
@@ -567,12 +784,15 @@ const mockWorkflow = {
 // Export schema and types
 module.exports = {
   WorkflowSchema,
+  BaseNode,
   TriggerNode,
   ActionNode,
   FormNode,
   WaitNode,
   ConditionNode,
+  SplitNode,
   WebhookNode,
+  GoalNode,
   Edge,
   mockWorkflow
 };
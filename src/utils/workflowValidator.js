@@ -0,0 +1,442 @@
+/**
+ * Server-side validation of workflow definitions.
+ *
+ * Definitions are checked against the node schemas exported from
+ * workflowSchema.js, then against graph rules the JSON Schema can't express.
+ * Every problem is reported as { nodeId, edgeId, path, code, message } so the
+ * editor can highlight the offending node or edge.
+ */
+
+const Ajv = require('ajv');
+const { fullFormats } = require('ajv-formats/dist/formats');
+const {
+  WorkflowSchema,
+  BaseNode,
+  TriggerNode,
+  ActionNode,
+  FormNode,
+  WaitNode,
+  ConditionNode,
+  SplitNode,
+  WebhookNode,
+  GoalNode
+} = require('./workflowSchema');
+const { buildGraph, getTriggerNodes, getBranch, getSplitBranch } = require('./workflowGraph');
+const { getTemplateError } = require('./templateRenderer');
+const { getExpressionError } = require('./expressionEvaluator');
+const { getScheduleError } = require('./triggerSchedule');
+
+const MERGE_TAG = /{{\s*[^}]+\s*}}/;
+
+/**
+ * Wraps a format check so values built from merge tags ("{{contact.email}}")
+ * pass; they can only be checked once rendered at run time.
+ * @param {Function|RegExp|object} format - Format definition from ajv-formats
+ * @returns {Function} - Format validator
+ */
+const allowMergeTags = (format) => {
+  const check = format instanceof RegExp
+    ? value => format.test(value)
+    : typeof format === 'function' ? format : format.validate;
+
+  return value => MERGE_TAG.test(value) || check(value);
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+for (const name of ['email', 'uri', 'date', 'date-time']) {
+  ajv.addFormat(name, allowMergeTags(fullFormats[name]));
+}
+ajv.addFormat('phone', allowMergeTags(/^\+?[\d\s().-]{7,20}$/));
+
+// Stored definitions carry only the canvas (id and name live on the
+// AutomationWorkflow row), and nodes are checked one by one against the schema
+// for their type so errors point at a single node instead of a oneOf mismatch.
+const validateShape = ajv.compile({
+  ...WorkflowSchema,
+  properties: {
+    ...WorkflowSchema.properties,
+    nodes: {
+      ...WorkflowSchema.properties.nodes,
+      items: {
+        type: 'object',
+        properties: {
+          id: BaseNode.properties.id,
+          type: BaseNode.properties.type
+        },
+        required: ['id', 'type']
+      }
+    }
+  },
+  required: ['nodes', 'edges']
+});
+
+const nodeValidators = {
+  trigger: ajv.compile(TriggerNode),
+  action: ajv.compile(ActionNode),
+  form: ajv.compile(FormNode),
+  wait: ajv.compile(WaitNode),
+  condition: ajv.compile(ConditionNode),
+  split: ajv.compile(SplitNode),
+  webhook: ajv.compile(WebhookNode),
+  goal: ajv.compile(GoalNode)
+};
+
+/**
+ * Builds a validation error entry
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {object} [location] - { nodeId, edgeId, path }
+ * @returns {object} - Error entry
+ */
+const buildError = (code, message, { nodeId = null, edgeId = null, path = '' } = {}) => ({
+  nodeId,
+  edgeId,
+  path,
+  code,
+  message
+});
+
+/**
+ * Converts Ajv errors into validation error entries. The per-branch errors of
+ * an anyOf are folded into a single "one of" message.
+ * @param {Array<object>} ajvErrors - Errors from an Ajv validate function
+ * @param {object} definition - Workflow definition being validated
+ * @param {string} [prefix] - JSON pointer the errors are relative to
+ * @returns {Array<object>} - Validation error entries
+ */
+const fromAjvErrors = (ajvErrors = [], definition, prefix = '') => {
+  const alternatives = new Map();
+  for (const error of ajvErrors) {
+    const match = error.schemaPath.match(/^(.*\/anyOf)\/\d+\//);
+    if (match && error.keyword === 'required') {
+      const key = `${error.instancePath}|${match[1]}`;
+      alternatives.set(key, [...(alternatives.get(key) || []), error.params.missingProperty]);
+    }
+  }
+
+  return ajvErrors
+    .filter(error => !/\/anyOf\/\d+\//.test(error.schemaPath))
+    .map(error => {
+      const path = `${prefix}${error.instancePath}`;
+      const [, collection, index] = path.match(/^\/(nodes|edges)\/(\d+)/) || [];
+      const item = collection ? definition[collection][Number(index)] : null;
+
+      let message = error.message;
+      if (error.keyword === 'anyOf') {
+        const options = alternatives.get(`${error.instancePath}|${error.schemaPath}`);
+        if (options) {
+          message = `must have one of the properties: ${options.join(', ')}`;
+        }
+      } else if (error.keyword === 'enum') {
+        message = `${message}: ${error.params.allowedValues.join(', ')}`;
+      }
+
+      return buildError('schema', `${path || '/'} ${message}`, {
+        nodeId: collection === 'nodes' ? item?.id ?? null : null,
+        edgeId: collection === 'edges' ? item?.id ?? null : null,
+        path
+      });
+    });
+};
+
+/**
+ * Finds strongly connected components (Tarjan) of the graph restricted to
+ * the given nodes
+ * @param {object} graph - Graph built by buildGraph
+ * @param {Function} include - Predicate selecting the nodes to consider
+ * @returns {Array<Array<string>>} - Components as lists of node IDs
+ */
+const findComponents = (graph, include) => {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  const visit = (nodeId) => {
+    indexes.set(nodeId, nextIndex);
+    lowLinks.set(nodeId, nextIndex);
+    nextIndex += 1;
+    stack.push(nodeId);
+    onStack.add(nodeId);
+
+    for (const { target } of graph.outgoing.get(nodeId)) {
+      if (!graph.nodesById.has(target) || !include(graph.nodesById.get(target))) {
+        continue;
+      }
+      if (!indexes.has(target)) {
+        visit(target);
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), lowLinks.get(target)));
+      } else if (onStack.has(target)) {
+        lowLinks.set(nodeId, Math.min(lowLinks.get(nodeId), indexes.get(target)));
+      }
+    }
+
+    if (lowLinks.get(nodeId) === indexes.get(nodeId)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== nodeId);
+      components.push(component.reverse());
+    }
+  };
+
+  for (const node of graph.nodes) {
+    if (include(node) && !indexes.has(node.id)) {
+      visit(node.id);
+    }
+  }
+
+  return components;
+};
+
+/**
+ * Checks the graph rules: unique node IDs, edges between known nodes, a
+ * trigger to start from, every node reachable from a trigger or the goal
+ * node, a single goal node, every cycle passing through a wait node, both
+ * branches on condition nodes, and an edge for every branch of split nodes
+ * @param {object} definition - Workflow definition that passed the shape check
+ * @returns {Array<object>} - Validation error entries
+ */
+const checkGraph = (definition) => {
+  const errors = [];
+  const graph = buildGraph(definition);
+
+  const seen = new Set();
+  definition.nodes.forEach((node, index) => {
+    if (seen.has(node.id)) {
+      errors.push(buildError('duplicate_node_id', `Node ID '${node.id}' is used more than once`, {
+        nodeId: node.id,
+        path: `/nodes/${index}/id`
+      }));
+    }
+    seen.add(node.id);
+  });
+
+  definition.edges.forEach((edge, index) => {
+    for (const end of ['source', 'target']) {
+      if (!graph.nodesById.has(edge[end])) {
+        errors.push(buildError(`unknown_${end}`, `Edge ${end} '${edge[end]}' is not a node in this workflow`, {
+          edgeId: edge.id,
+          path: `/edges/${index}/${end}`
+        }));
+      }
+    }
+  });
+
+  const triggers = getTriggerNodes(graph);
+  if (triggers.length === 0) {
+    errors.push(buildError('no_trigger', 'Workflow has no trigger node to start from', { path: '/nodes' }));
+  } else {
+    // Goal nodes are entered when the goal is met, not through edges
+    const goals = definition.nodes.filter(node => node.type === 'goal');
+    const reached = new Set([...triggers, ...goals].map(node => node.id));
+    const queue = [...reached];
+    while (queue.length > 0) {
+      for (const { target } of graph.outgoing.get(queue.shift())) {
+        if (graph.nodesById.has(target) && !reached.has(target)) {
+          reached.add(target);
+          queue.push(target);
+        }
+      }
+    }
+
+    definition.nodes.forEach((node, index) => {
+      if (!reached.has(node.id)) {
+        errors.push(buildError('unreachable_node', `Node '${node.id}' can't be reached from any trigger`, {
+          nodeId: node.id,
+          path: `/nodes/${index}`
+        }));
+      }
+    });
+  }
+
+  definition.nodes.forEach((node, index) => {
+    if (node.type === 'goal' && definition.nodes.findIndex(other => other.type === 'goal') !== index) {
+      errors.push(buildError('multiple_goal_nodes', `Node '${node.id}' is a second goal node; a workflow can have only one`, {
+        nodeId: node.id,
+        path: `/nodes/${index}`
+      }));
+    }
+  });
+
+  // With wait nodes left out, any remaining cycle would loop without pausing
+  const components = findComponents(graph, node => node.type !== 'wait');
+  for (const component of components) {
+    const [first] = component;
+    const selfLoop = component.length === 1 && graph.outgoing.get(first).some(edge => edge.target === first);
+    if (component.length > 1 || selfLoop) {
+      for (const nodeId of component) {
+        errors.push(buildError('cycle_without_wait', `Node '${nodeId}' is part of a loop with no wait node: ${[...component, first].join(' -> ')}`, {
+          nodeId,
+          path: `/nodes/${definition.nodes.findIndex(node => node.id === nodeId)}`
+        }));
+      }
+    }
+  }
+
+  definition.nodes.forEach((node, index) => {
+    if (node.type !== 'condition') {
+      return;
+    }
+    const branches = new Set(graph.outgoing.get(node.id).map(getBranch));
+    for (const branch of ['true', 'false']) {
+      if (!branches.has(branch)) {
+        errors.push(buildError('missing_branch', `Condition node '${node.id}' has no '${branch}' branch`, {
+          nodeId: node.id,
+          path: `/nodes/${index}`
+        }));
+      }
+    }
+  });
+
+  definition.nodes.forEach((node, index) => {
+    if (node.type !== 'split') {
+      return;
+    }
+    // Malformed branches are reported by the schema check
+    const branchIds = (Array.isArray(node.data?.branches) ? node.data.branches : []).map(branch => branch?.id);
+    branchIds.forEach((branchId, branchIndex) => {
+      if (branchIds.indexOf(branchId) !== branchIndex) {
+        errors.push(buildError('duplicate_branch', `Split node '${node.id}' has more than one '${branchId}' branch`, {
+          nodeId: node.id,
+          path: `/nodes/${index}/data/branches/${branchIndex}/id`
+        }));
+      } else if (!graph.outgoing.get(node.id).some(edge => getSplitBranch(edge) === branchId)) {
+        errors.push(buildError('missing_branch', `Split node '${node.id}' has no edge for its '${branchId}' branch`, {
+          nodeId: node.id,
+          path: `/nodes/${index}/data/branches/${branchIndex}`
+        }));
+      }
+    });
+    for (const edge of graph.outgoing.get(node.id)) {
+      if (!branchIds.includes(getSplitBranch(edge))) {
+        errors.push(buildError('unknown_branch', `Edge '${edge.id}' leaves split node '${node.id}' without naming one of its branches as sourceHandle`, {
+          edgeId: edge.id,
+          path: `/edges/${definition.edges.indexOf(edge)}/sourceHandle`
+        }));
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Checks the merge-tag syntax of every string in node configs (data keys
+ * ending in "Config")
+ * @param {object} definition - Workflow definition that passed the shape check
+ * @returns {Array<object>} - Validation error entries
+ */
+const checkTemplates = (definition) => {
+  const errors = [];
+
+  const visit = (value, node, path) => {
+    if (typeof value === 'string') {
+      const message = getTemplateError(value);
+      if (message) {
+        errors.push(buildError('invalid_template', message, { nodeId: node.id, path }));
+      }
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, node, `${path}/${key}`);
+      }
+    }
+  };
+
+  definition.nodes.forEach((node, index) => {
+    for (const [key, value] of Object.entries(node.data || {})) {
+      if (key.endsWith('Config')) {
+        visit(value, node, `/nodes/${index}/data/${key}`);
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Checks the customLogic expression of every if_custom condition node
+ * @param {object} definition - Workflow definition that passed the shape check
+ * @returns {Array<object>} - Validation error entries
+ */
+const checkExpressions = (definition) => {
+  const errors = [];
+
+  definition.nodes.forEach((node, index) => {
+    if (node.type !== 'condition' || node.data?.conditionType !== 'if_custom') {
+      return;
+    }
+    const message = getExpressionError(node.data.customLogic);
+    if (message) {
+      errors.push(buildError('invalid_expression', message, {
+        nodeId: node.id,
+        path: `/nodes/${index}/data/customLogic`
+      }));
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Checks the cron expression, time zone and date field of schedule and
+ * date_relative triggers
+ * @param {object} definition - Workflow definition that passed the shape check
+ * @returns {Array<object>} - Validation error entries
+ */
+const checkSchedules = (definition) => {
+  const errors = [];
+
+  definition.nodes.forEach((node, index) => {
+    if (node.type !== 'trigger' || !['schedule', 'date_relative'].includes(node.data?.triggerType)) {
+      return;
+    }
+    const message = getScheduleError(node.data);
+    if (message) {
+      errors.push(buildError('invalid_schedule', message, { nodeId: node.id, path: `/nodes/${index}/data` }));
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates a workflow definition
+ * @param {object} definition - Workflow definition (nodes and edges)
+ * @returns {object} - { valid, errors }
+ */
+const validateWorkflowDefinition = (definition) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    const errors = [buildError('schema', 'Definition must be an object with nodes and edges')];
+    return { valid: false, errors };
+  }
+
+  if (!validateShape(definition)) {
+    return { valid: false, errors: fromAjvErrors(validateShape.errors, definition) };
+  }
+
+  const errors = [];
+  definition.nodes.forEach((node, index) => {
+    const validateNode = nodeValidators[node.type];
+    if (!validateNode(node)) {
+      errors.push(...fromAjvErrors(validateNode.errors, definition, `/nodes/${index}`));
+    }
+  });
+
+  errors.push(...checkTemplates(definition));
+  errors.push(...checkExpressions(definition));
+  errors.push(...checkSchedules(definition));
+  errors.push(...checkGraph(definition));
+
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  validateWorkflowDefinition
+};
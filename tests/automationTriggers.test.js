@@ -0,0 +1,134 @@
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    automationWorkflow: { findMany: jest.fn() },
+    workflowEnrollment: { findFirst: jest.fn(), create: jest.fn() },
+  },
+}));
+jest.mock('../src/services/workflowContext', () => ({
+  loadContact: jest.fn(),
+}));
+jest.mock('../src/services/workflowRunService', () => ({
+  startRun: jest.fn(),
+}));
+
+const { prisma } = require('../src/services/db');
+const { loadContact } = require('../src/services/workflowContext');
+const { startRun } = require('../src/services/workflowRunService');
+const { enrollFromEvent } = require('../src/services/automationService');
+const { EVENTS } = require('../src/services/eventBus');
+
+const trigger = (id, data) => ({ id, type: 'trigger', position: { x: 0, y: 0 }, data });
+
+describe('Workflow Triggers', () => {
+  const contact = { id: 'contact-1', userId: 'user-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadContact.mockResolvedValue(contact);
+    startRun.mockImplementation(async ({ workflow }) => ({ run: { id: `run-${workflow.id}` } }));
+    prisma.workflowEnrollment.findFirst.mockResolvedValue(null);
+    prisma.workflowEnrollment.create.mockImplementation(async ({ data }) => ({ id: `enr-${data.workflowId}`, ...data }));
+  });
+
+  it('should only query active, published workflows of the event owner', async () => {
+    prisma.automationWorkflow.findMany.mockResolvedValue([]);
+
+    await enrollFromEvent({ type: EVENTS.CONTACT_CREATED, userId: 'user-1', contactId: 'contact-1', data: {} });
+
+    expect(prisma.automationWorkflow.findMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', isActive: true, publishedVersionId: { not: null } },
+      include: { publishedVersion: true },
+    });
+    expect(startRun).not.toHaveBeenCalled();
+  });
+
+  it('should start workflows whose trigger type and tag filter match', async () => {
+    prisma.automationWorkflow.findMany.mockResolvedValue([
+      {
+        id: 'wf-any-tag',
+        userId: 'user-1',
+        publishedVersion: { id: 'wf-any-tag-v1', definition: { nodes: [trigger('t1', { triggerType: 'tag_added' })], edges: [] } },
+      },
+      {
+        id: 'wf-vip',
+        userId: 'user-1',
+        publishedVersion: { id: 'wf-vip-v1', definition: { nodes: [trigger('t2', { triggerType: 'tag_added', tagId: 'tag-vip' })], edges: [] } },
+      },
+      {
+        id: 'wf-other-tag',
+        userId: 'user-1',
+        publishedVersion: { id: 'wf-other-tag-v1', definition: { nodes: [trigger('t3', { triggerType: 'tag_added', tagId: 'tag-cold' })], edges: [] } },
+      },
+      {
+        id: 'wf-created',
+        userId: 'user-1',
+        publishedVersion: { id: 'wf-created-v1', definition: { nodes: [trigger('t4', { triggerType: 'contact_created' })], edges: [] } },
+      },
+    ]);
+
+    const runs = await enrollFromEvent({
+      type: EVENTS.TAG_ADDED,
+      userId: 'user-1',
+      contactId: 'contact-1',
+      data: { tagId: 'tag-vip', tagName: 'VIP' },
+    });
+
+    expect(runs.map(run => run.id)).toEqual(['run-wf-any-tag', 'run-wf-vip']);
+    expect(startRun).toHaveBeenCalledWith(expect.objectContaining({
+      contact,
+      version: expect.objectContaining({ id: 'wf-vip-v1' }),
+      startNodeIds: ['t2'],
+      trigger: { type: 'tag_added', tagId: 'tag-vip', tagName: 'VIP' },
+    }));
+  });
+
+  it('should not start runs for a contact outside the user account', async () => {
+    prisma.automationWorkflow.findMany.mockResolvedValue([
+      {
+        id: 'wf-created',
+        userId: 'user-1',
+        publishedVersion: { id: 'wf-created-v1', definition: { nodes: [trigger('t1', { triggerType: 'contact_created' })], edges: [] } },
+      },
+    ]);
+    loadContact.mockResolvedValue(null);
+
+    const runs = await enrollFromEvent({ type: EVENTS.CONTACT_CREATED, userId: 'user-1', contactId: 'foreign', data: {} });
+
+    expect(runs).toEqual([]);
+    expect(startRun).not.toHaveBeenCalled();
+  });
+
+  it('should start runs through an enrollment', async () => {
+    prisma.automationWorkflow.findMany.mockResolvedValue([
+      {
+        id: 'wf-created',
+        userId: 'user-1',
+        publishedVersion: { id: 'wf-created-v1', definition: { nodes: [trigger('t1', { triggerType: 'contact_created' })], edges: [] } },
+      },
+    ]);
+
+    await enrollFromEvent({ type: EVENTS.CONTACT_CREATED, userId: 'user-1', contactId: 'contact-1', data: {} });
+
+    expect(prisma.workflowEnrollment.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ workflowId: 'wf-created', contactId: 'contact-1', activeKey: 'wf-created:contact-1' }),
+    });
+    expect(startRun).toHaveBeenCalledWith(expect.objectContaining({ enrollmentId: 'enr-wf-created' }));
+  });
+
+  it('should skip contacts already enrolled in the workflow', async () => {
+    prisma.automationWorkflow.findMany.mockResolvedValue([
+      {
+        id: 'wf-updated',
+        userId: 'user-1',
+        publishedVersion: { id: 'wf-updated-v1', definition: { nodes: [trigger('t1', { triggerType: 'contact_updated' })], edges: [] } },
+      },
+    ]);
+    prisma.workflowEnrollment.findFirst.mockResolvedValue({ id: 'enr-1', activeKey: 'wf-updated:contact-1' });
+
+    const runs = await enrollFromEvent({ type: EVENTS.CONTACT_UPDATED, userId: 'user-1', contactId: 'contact-1', data: {} });
+
+    expect(runs).toEqual([]);
+    expect(prisma.workflowEnrollment.create).not.toHaveBeenCalled();
+    expect(startRun).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,308 @@
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    contact: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: `contact-${data.email || data.phone}`, customFields: [], tags: [], ...data })),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    customField: { create: jest.fn(({ data }) => Promise.resolve({ id: 'field-1', ...data })), update: jest.fn() },
+    tag: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(({ data }) => Promise.resolve({ id: `tag-${data.name}`, ...data })),
+    },
+    contactTag: { create: jest.fn() },
+    customFieldDefinition: { findMany: jest.fn() },
+    contactImport: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+    },
+    $queryRaw: jest.fn(),
+  },
+}));
+jest.mock('../src/services/eventBus', () => ({
+  EVENTS: { CONTACT_CREATED: 'contact_created', CONTACT_UPDATED: 'contact_updated', TAG_ADDED: 'tag_added' },
+  publish: jest.fn(),
+}));
+jest.mock('../src/integrations/kixieService', () => ({
+  sendSMS: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { prisma } = require('../src/services/db');
+const { publish } = require('../src/services/eventBus');
+const { parseImportFile, suggestMapping, getMappingError, mapRow } = require('../src/utils/contactImport');
+const { processImport } = require('../src/services/contactImportService');
+const contactRoutes = require('../src/routes/contactRoutes');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'user-1' };
+  next();
+});
+app.use('/api/v1/contacts', contactRoutes);
+
+const csv = [
+  'First Name,Email,Tags,Plan',
+  'Jane,JANE@example.com,"VIP; Newsletter",pro',
+  'John,john@example.com,,basic',
+  'Bad,not-an-email,,',
+].join('\n');
+
+const upload = (content, fileName, fields = {}) => {
+  const req = request(app).post('/api/v1/contacts/import');
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return req.attach('file', Buffer.from(content), fileName);
+};
+
+describe('Contact Import', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.contact.findMany.mockResolvedValue([]);
+    prisma.contact.findFirst.mockResolvedValue(null);
+    prisma.customFieldDefinition.findMany.mockResolvedValue([]);
+  });
+
+  it('should parse CSV and XLSX files into rows keyed by header', async () => {
+    const fromCsv = await parseImportFile({ buffer: Buffer.from(`﻿${csv}\n\n`), originalname: 'contacts.csv' });
+    expect(fromCsv.columns).toEqual(['First Name', 'Email', 'Tags', 'Plan']);
+    expect(fromCsv.rows[0]).toEqual({ row: 2, cells: { 'First Name': 'Jane', Email: 'JANE@example.com', Tags: 'VIP; Newsletter', Plan: 'pro' } });
+    expect(fromCsv.rows).toHaveLength(3);
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Contacts');
+    sheet.addRow(['Email', 'Phone']);
+    sheet.addRow([{ text: 'ann@example.com', hyperlink: 'mailto:ann@example.com' }, 5550100]);
+    const fromXlsx = await parseImportFile({ buffer: await workbook.xlsx.writeBuffer(), originalname: 'Contacts.XLSX' });
+    expect(fromXlsx.rows).toEqual([{ row: 2, cells: { Email: 'ann@example.com', Phone: '5550100' } }]);
+
+    await expect(parseImportFile({ buffer: Buffer.from(csv), originalname: 'contacts.xls' })).rejects.toThrow('Only .csv and .xlsx files can be imported');
+    await expect(parseImportFile({ buffer: Buffer.from('Email,Email\na@b.co,c@d.co'), originalname: 'a.csv' })).rejects.toThrow("Column 'Email' appears more than once");
+  });
+
+  it('should suggest, check and apply column mappings', () => {
+    const columns = ['First Name', 'E-mail Address', 'Mobile', 'Tags', 'Plan'];
+    expect(suggestMapping(columns)).toEqual({ 'First Name': 'firstName', 'E-mail Address': 'email', Mobile: 'phone', Tags: 'tags', Plan: null });
+
+    expect(getMappingError({ Plan: 'custom.plan', Mobile: 'data.source' }, columns)).toBeNull();
+    expect(getMappingError({ Nope: 'email' }, columns)).toBe("Unknown column 'Nope'");
+    expect(getMappingError({ Plan: 'password' }, columns)).toBe("Column 'Plan' maps to unknown field 'password'");
+    expect(getMappingError({ Plan: 'data.email' }, columns)).toBe("Column 'Plan' maps to unknown field 'data.email'");
+    expect(getMappingError({ 'First Name': 'email', 'E-mail Address': 'email' }, columns))
+      .toBe("Columns 'First Name' and 'E-mail Address' both map to 'email'");
+
+    const mapping = { 'First Name': 'firstName', 'E-mail Address': 'email', Tags: 'tags', Plan: 'custom.plan' };
+    expect(mapRow({ 'First Name': ' Jane ', 'E-mail Address': 'Jane@Example.com', Tags: 'VIP,VIP;B2B', Plan: '' }, mapping))
+      .toEqual({ values: { firstName: 'Jane', email: 'jane@example.com' }, tags: ['VIP', 'B2B'], errors: [] });
+    expect(mapRow({ 'E-mail Address': 'jane@', Plan: 'pro' }, mapping).errors)
+      .toEqual(["'jane@' is not a valid email address"]);
+    expect(mapRow({ Plan: 'pro' }, mapping).errors).toEqual(['Row has no email, phone or name']);
+  });
+
+  it('should preview an import without writing anything', async () => {
+    prisma.contact.findMany.mockResolvedValue([{ email: 'John@Example.com' }]);
+
+    const res = await upload(csv, 'contacts.csv', {
+      dryRun: 'true',
+      dedupeStrategy: 'update',
+      mapping: JSON.stringify({ 'First Name': 'firstName', Email: 'email', Tags: 'tags', Plan: 'custom.plan' }),
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      dryRun: true,
+      totalRows: 3,
+      summary: { created: 1, updated: 1, skipped: 0, failed: 1 },
+      rowErrors: [{ row: 4, errors: ["'not-an-email' is not a valid email address"] }],
+    });
+    expect(res.body.data.preview[0]).toEqual({
+      row: 2,
+      action: 'create',
+      values: { firstName: 'Jane', email: 'jane@example.com', 'custom.plan': 'pro' },
+      tags: ['VIP', 'Newsletter'],
+      errors: [],
+    });
+    expect(prisma.contact.findMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', email: { in: ['jane@example.com', 'john@example.com'], mode: 'insensitive' } },
+      select: { email: true },
+    });
+    expect(prisma.contact.create).not.toHaveBeenCalled();
+    expect(prisma.contactImport.create).not.toHaveBeenCalled();
+  });
+
+  it('should check custom field columns against their definitions', async () => {
+    prisma.customFieldDefinition.findMany.mockResolvedValue([
+      { id: 'def-plan', name: 'plan', label: 'Plan', type: 'dropdown', required: false, options: ['pro', 'enterprise'] },
+    ]);
+
+    const res = await upload(csv, 'contacts.csv', {
+      dryRun: 'true',
+      mapping: JSON.stringify({ 'First Name': 'firstName', Email: 'email', Plan: 'custom.plan' }),
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ created: 1, updated: 0, skipped: 0, failed: 2 });
+    expect(res.body.data.rowErrors).toEqual([
+      { row: 3, errors: ['Plan must be one of: pro, enterprise'] },
+      { row: 4, errors: ["'not-an-email' is not a valid email address"] },
+    ]);
+  });
+
+  it('should hold new contacts to required custom fields and fill in defaults', async () => {
+    prisma.customFieldDefinition.findMany.mockResolvedValue([
+      { id: 'def-plan', name: 'plan', label: 'Plan', type: 'dropdown', required: true, options: ['pro', 'basic'], defaultValue: null },
+      { id: 'def-source', name: 'source', label: null, type: 'text', required: false, options: [], defaultValue: 'csv' },
+    ]);
+    prisma.contact.findMany.mockResolvedValue([{ email: 'john@example.com' }]);
+    const mapping = JSON.stringify({ 'First Name': 'firstName', Email: 'email' });
+
+    const preview = await upload(csv, 'contacts.csv', { dryRun: 'true', dedupeStrategy: 'update', mapping });
+
+    expect(preview.body.data.summary).toEqual({ created: 0, updated: 1, skipped: 0, failed: 2 });
+    expect(preview.body.data.rowErrors).toEqual([
+      { row: 2, errors: ['Plan is required'] },
+      { row: 4, errors: ["'not-an-email' is not a valid email address"] },
+    ]);
+
+    prisma.customFieldDefinition.findMany.mockResolvedValue([
+      { id: 'def-plan', name: 'plan', label: 'Plan', type: 'dropdown', required: true, options: ['pro', 'basic'], defaultValue: 'basic' },
+      { id: 'def-source', name: 'source', label: null, type: 'text', required: false, options: [], defaultValue: 'csv' },
+    ]);
+    prisma.contactImport.create.mockImplementation(({ data }) => {
+      prisma.contactImport.findUnique.mockResolvedValue({
+        id: 'import-3', processedRows: 0, createdCount: 0, updatedCount: 0, skippedCount: 0, failedCount: 0, rowErrors: null, ...data,
+      });
+      return Promise.resolve({ id: 'import-3', ...data });
+    });
+
+    const res = await upload(csv, 'contacts.csv', { dedupeStrategy: 'create', mapping });
+
+    expect(res.status).toBe(201);
+    expect(prisma.contact.create).toHaveBeenCalledTimes(2);
+    expect(prisma.customField.create).toHaveBeenCalledWith({
+      data: { contactId: 'contact-jane@example.com', name: 'plan', type: 'dropdown', definitionId: 'def-plan', data: { value: 'basic' } },
+    });
+    expect(prisma.customField.create).toHaveBeenCalledWith({
+      data: { contactId: 'contact-jane@example.com', name: 'source', type: 'text', definitionId: 'def-source', data: { value: 'csv' } },
+    });
+  });
+
+  it('should match existing contacts by the digits of their phone number', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ id: 'contact-ann', phone: '555.010.0199' }]);
+
+    const res = await upload('Name,Phone\nAnn,+1 (555) 010-0199\nBen,555 010 0200', 'contacts.csv', {
+      dryRun: 'true',
+      dedupeKey: 'phone',
+      mapping: JSON.stringify({ Name: 'firstName', Phone: 'phone' }),
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ created: 1, updated: 0, skipped: 1, failed: 0 });
+    expect(res.body.data.preview.map(row => row.action)).toEqual(['skip', 'create']);
+    expect(prisma.$queryRaw.mock.calls[0].slice(1)).toEqual([
+      'user-1',
+      ['5550100199', '15550100199', '5550100200', '15550100200'],
+    ]);
+  });
+
+  it('should reject uploads it cannot import', async () => {
+    expect((await request(app).post('/api/v1/contacts/import')).body).toEqual({ error: 'Upload a CSV or XLSX file in the file field' });
+
+    const noKey = await upload('Name,Phone\nJane,5550100', 'contacts.csv');
+    expect(noKey.status).toBe(400);
+    expect(noKey.body.error).toBe('Map a column to email to deduplicate on it');
+
+    const badStrategy = await upload(csv, 'contacts.csv', { dedupeStrategy: 'merge' });
+    expect(badStrategy.body.error).toBe('dedupeStrategy must be one of: skip, update, create');
+  });
+
+  it('should import small files right away, skipping existing contacts and creating tags', async () => {
+    prisma.contactImport.create.mockImplementation(({ data }) => {
+      prisma.contactImport.findUnique.mockResolvedValue({
+        id: 'import-1', processedRows: 0, createdCount: 0, updatedCount: 0, skippedCount: 0, failedCount: 0, rowErrors: null, ...data,
+      });
+      return Promise.resolve({ id: 'import-1', ...data });
+    });
+    prisma.contact.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      where.email.equals === 'john@example.com' ? { id: 'contact-john', email: 'John@Example.com', customFields: [], tags: [] } : null,
+    ));
+
+    const res = await upload(csv, 'contacts.csv', {
+      mapping: JSON.stringify({ 'First Name': 'firstName', Email: 'email', Tags: 'tags', Plan: 'custom.plan' }),
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 'import-1', status: 'completed' });
+    expect(prisma.contactImport.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'processing', totalRows: 3, dedupeKey: 'email', dedupeStrategy: 'skip' }),
+    }));
+
+    expect(prisma.contact.create).toHaveBeenCalledTimes(1);
+    expect(prisma.contact.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: { userId: 'user-1', firstName: 'Jane', email: 'jane@example.com' },
+    }));
+    expect(prisma.customField.create).toHaveBeenCalledWith({
+      data: { contactId: 'contact-jane@example.com', name: 'plan', type: 'string', data: { value: 'pro' } },
+    });
+    expect(prisma.tag.create.mock.calls.map(([{ data }]) => data.name)).toEqual(['VIP', 'Newsletter']);
+    expect(publish).toHaveBeenCalledWith('contact_created', {
+      userId: 'user-1',
+      contactId: 'contact-jane@example.com',
+      data: { source: 'import', importId: 'import-1' },
+    });
+
+    expect(prisma.contactImport.update).toHaveBeenCalledWith({
+      where: { id: 'import-1' },
+      data: expect.objectContaining({
+        createdCount: 1,
+        updatedCount: 0,
+        skippedCount: 1,
+        failedCount: 1,
+        processedRows: 3,
+        rowErrors: [{ row: 4, errors: ["'not-an-email' is not a valid email address"] }],
+      }),
+    });
+  });
+
+  it('should leave large imports to the worker, which continues after the last recorded batch', async () => {
+    const rows = Array.from({ length: 150 }, (_, index) => `Contact,c${index}@example.com`);
+    prisma.contactImport.create.mockImplementation(({ data }) => Promise.resolve({ id: 'import-2', status: 'pending', ...data }));
+
+    const res = await upload(['First Name,Email', ...rows].join('\n'), 'big.csv');
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.status).toBe('pending');
+    expect(prisma.contactImport.findUnique).not.toHaveBeenCalled();
+
+    prisma.contactImport.findUnique.mockResolvedValue({
+      id: 'import-2',
+      status: 'processing',
+      userId: 'user-1',
+      mapping: { 'First Name': 'firstName', Email: 'email' },
+      dedupeKey: 'email',
+      dedupeStrategy: 'update',
+      rows: prisma.contactImport.create.mock.calls[0][0].data.rows,
+      processedRows: 100,
+      createdCount: 100,
+      updatedCount: 0,
+      skippedCount: 0,
+      failedCount: 0,
+      rowErrors: [],
+    });
+
+    const finished = await processImport('import-2');
+
+    expect(prisma.contact.create).toHaveBeenCalledTimes(50);
+    expect(prisma.contact.create.mock.calls[0][0].data.email).toBe('c100@example.com');
+    expect(prisma.contactImport.update).toHaveBeenCalledWith({
+      where: { id: 'import-2' },
+      data: expect.objectContaining({ createdCount: 150, processedRows: 150 }),
+    });
+    expect(finished).toMatchObject({ status: 'completed', rows: [] });
+  });
+});
@@ -0,0 +1,267 @@
+jest.mock('../src/services/db', () => {
+  const model = () => ({
+    findMany: jest.fn().mockResolvedValue([]),
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(({ data }) => Promise.resolve({ id: 'created-1', ...data })),
+    createMany: jest.fn(),
+    update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+    count: jest.fn(),
+  });
+  const prisma = {
+    contact: model(),
+    contactTag: model(),
+    customField: model(),
+    customFieldDefinition: model(),
+    deal: model(),
+    activity: model(),
+    formSubmission: model(),
+    workflowRun: model(),
+    workflowTimer: model(),
+    workflowEnrollment: model(),
+    contactMerge: model(),
+  };
+  prisma.$transaction = jest.fn(fn => fn(prisma));
+  return { prisma };
+});
+jest.mock('../src/services/eventBus', () => ({
+  EVENTS: { CONTACT_UPDATED: 'contact_updated' },
+  publish: jest.fn(),
+}));
+jest.mock('../src/integrations/kixieService', () => ({
+  sendSMS: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../src/services/db');
+const { publish } = require('../src/services/eventBus');
+const { normalizePhone, toMatchKeys, scoreDuplicate } = require('../src/utils/contactMatching');
+const contactRoutes = require('../src/routes/contactRoutes');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'user-1' };
+  next();
+});
+app.use('/api/v1/contacts', contactRoutes);
+
+const contact = (id, fields = {}) => ({
+  id,
+  firstName: null,
+  lastName: null,
+  email: null,
+  phone: null,
+  company: null,
+  data: null,
+  createdAt: new Date('2025-09-01T10:00:00.000Z'),
+  tags: [],
+  customFields: [],
+  ...fields,
+});
+
+describe('Contact Merge', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('contactMatching', () => {
+    it('should compare phone numbers by their digits', () => {
+      expect(normalizePhone('+1 (555) 010-0199')).toBe('5550100199');
+      expect(normalizePhone('555.010.0199')).toBe('5550100199');
+      expect(normalizePhone('12-34')).toBeNull();
+    });
+
+    it('should score email, phone, similar names and companies', () => {
+      const a = toMatchKeys({ firstName: 'Jon', lastName: 'Smith', email: 'JON@acme.com', company: 'Acme, Inc.' });
+      const b = toMatchKeys({ firstName: 'John', lastName: 'Smith', email: 'jon@acme.com', company: 'ACME' });
+
+      expect(scoreDuplicate(a, b)).toEqual({ score: 99, reasons: ['email', 'name', 'company'] });
+      expect(scoreDuplicate(a, toMatchKeys({ firstName: 'Mary', lastName: 'Jones' }))).toEqual({ score: 0, reasons: [] });
+    });
+  });
+
+  it('should group contacts sharing a phone and name, oldest first, but not on a name alone', async () => {
+    prisma.contact.findMany.mockResolvedValueOnce([
+      contact('c1', { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', createdAt: new Date('2025-09-02') }),
+      contact('c2', { firstName: 'Jane', lastName: 'Doe', phone: '(555) 010-0199', createdAt: new Date('2025-09-01') }),
+      contact('c3', { firstName: 'J.', lastName: 'Doe', phone: '+1 555 010 0199', createdAt: new Date('2025-09-03') }),
+      contact('c4', { firstName: 'Mary', lastName: 'Jones', email: 'mary@example.com' }),
+    ]);
+
+    const res = await request(app).get('/api/v1/contacts/duplicates');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.data[0]).toMatchObject({
+      score: 80,
+      suggestedPrimaryId: 'c2',
+      contacts: [{ id: 'c2' }, { id: 'c3' }],
+    });
+    expect(res.body.data[0].contacts).toHaveLength(2);
+    expect(res.body.data[0].reasons).toEqual(['phone', 'name']);
+    expect(prisma.contact.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 'user-1' } }));
+  });
+
+  it('should merge duplicates into the primary and record what moved', async () => {
+    prisma.contact.findMany.mockResolvedValueOnce([
+      contact('c1', { firstName: 'Jane', data: { source: 'form' }, tags: [{ tagId: 'tag-vip' }], customFields: [{ id: 'f1', name: 'plan' }] }),
+      contact('c2', {
+        firstName: 'Janet',
+        email: 'jane@example.com',
+        phone: '555-0100',
+        data: { source: 'iclosed', callId: 'call-1' },
+        tags: [{ tagId: 'tag-vip' }, { tagId: 'tag-lead' }],
+        customFields: [
+          { id: 'f2', name: 'plan', contactId: 'c2', definitionId: 'def-plan' },
+          { id: 'f3', name: 'timezone', contactId: 'c2' },
+        ],
+      }),
+    ]);
+    prisma.deal.findMany.mockResolvedValueOnce([{ id: 'd1', contactId: 'c2' }]);
+    prisma.workflowEnrollment.findMany.mockResolvedValueOnce([
+      { id: 'e1', contactId: 'c1', workflowId: 'wf-1', activeKey: 'wf-1:c1' },
+      { id: 'e2', contactId: 'c2', workflowId: 'wf-1', activeKey: 'wf-1:c2' },
+      { id: 'e3', contactId: 'c2', workflowId: 'wf-2', activeKey: 'wf-2:c2' },
+    ]);
+    prisma.contactMerge.create.mockImplementationOnce(({ data }) => Promise.resolve({ id: 'merge-1', ...data }));
+
+    const res = await request(app)
+      .post('/api/v1/contacts/merge')
+      .send({ primaryId: 'c1', duplicateIds: ['c2'], fields: { firstName: 'c2' } });
+
+    expect(res.status).toBe(201);
+    expect(prisma.deal.updateMany).toHaveBeenCalledWith({ where: { id: { in: ['d1'] } }, data: { contactId: 'c1' } });
+
+    // The duplicate's enrollment in a workflow the primary is in ends; the other moves
+    expect(prisma.workflowEnrollment.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'e2' },
+      data: expect.objectContaining({ status: 'unenrolled', activeKey: null }),
+    }));
+    expect(prisma.workflowEnrollment.update).toHaveBeenCalledWith({ where: { id: 'e3' }, data: { contactId: 'c1', activeKey: 'wf-2:c1' } });
+
+    expect(prisma.contactTag.create).toHaveBeenCalledTimes(1);
+    expect(prisma.contactTag.create).toHaveBeenCalledWith({ data: { contactId: 'c1', tagId: 'tag-lead' } });
+    expect(prisma.customField.update).toHaveBeenCalledTimes(1);
+    expect(prisma.customField.update).toHaveBeenCalledWith({ where: { id: 'f3' }, data: { contactId: 'c1' } });
+
+    expect(prisma.contact.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['c2'] } } });
+    expect(prisma.contact.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'c1' },
+      data: {
+        firstName: 'Janet',
+        lastName: null,
+        email: 'jane@example.com',
+        phone: '555-0100',
+        company: null,
+        data: { source: 'form', callId: 'call-1' },
+      },
+    }));
+    expect(prisma.contact.deleteMany.mock.invocationCallOrder[0]).toBeLessThan(prisma.contact.update.mock.invocationCallOrder[0]);
+
+    const { snapshot } = prisma.contactMerge.create.mock.calls[0][0].data;
+    expect(snapshot.primary).toMatchObject({ id: 'c1', firstName: 'Jane', email: null });
+    expect(snapshot.duplicates[0]).toMatchObject({ contact: { id: 'c2' }, tagIds: ['tag-vip', 'tag-lead'] });
+    expect(snapshot.duplicates[0].customFields[0]).toMatchObject({ id: 'f2', name: 'plan', definitionId: 'def-plan' });
+    expect(snapshot.moved.deals).toEqual([{ id: 'd1', contactId: 'c2' }]);
+    expect(snapshot.moved.customFields).toEqual([{ id: 'f3', contactId: 'c2' }]);
+    expect(snapshot.addedTagIds).toEqual(['tag-lead']);
+
+    expect(prisma.activity.create).toHaveBeenCalledWith({ data: expect.objectContaining({ type: 'contacts_merged', contactId: 'c1' }) });
+    expect(publish).toHaveBeenCalledWith('contact_updated', expect.objectContaining({
+      contactId: 'c1',
+      data: expect.objectContaining({ source: 'merge', mergeId: 'merge-1' }),
+    }));
+  });
+
+  it('should reject invalid merges', async () => {
+    let res = await request(app).post('/api/v1/contacts/merge').send({ primaryId: 'c1', duplicateIds: ['c1'] });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'duplicateIds must be distinct and must not include primaryId' });
+
+    res = await request(app).post('/api/v1/contacts/merge').send({ primaryId: 'c1', duplicateIds: ['c2'], fields: { email: 'c9' } });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'fields.email must be one of the merged contacts' });
+
+    prisma.contact.findMany.mockResolvedValueOnce([contact('c1')]);
+    res = await request(app).post('/api/v1/contacts/merge').send({ primaryId: 'c1', duplicateIds: ['c2'] });
+    expect(res.status).toBe(404);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should undo a merge by recreating the duplicates and moving records back', async () => {
+    prisma.contactMerge.findFirst.mockResolvedValueOnce({
+      id: 'merge-1',
+      status: 'merged',
+      userId: 'user-1',
+      primaryId: 'c1',
+      duplicateIds: ['c2'],
+      snapshot: {
+        primary: { id: 'c1', firstName: 'Jane', lastName: null, email: null, phone: null, company: null, data: null },
+        duplicates: [{
+          contact: { id: 'c2', firstName: 'Janet', email: 'jane@example.com', createdAt: '2025-09-01T10:00:00.000Z' },
+          tagIds: ['tag-lead'],
+          customFields: [
+            { id: 'f2', name: 'plan', definitionId: 'def-plan' },
+            { id: 'f3', name: 'timezone' },
+            { id: 'f4', name: 'score', definitionId: 'def-deleted' },
+            { id: 'f5', name: 'nickname' },
+          ],
+        }],
+        moved: {
+          deals: [{ id: 'd1', contactId: 'c2' }],
+          activities: [],
+          formSubmissions: [],
+          workflowRuns: [],
+          customFields: [{ id: 'f3', contactId: 'c2' }],
+          workflowEnrollments: [{ id: 'e3', contactId: 'c2', activeKey: 'wf-2:c2' }],
+        },
+        addedTagIds: ['tag-lead'],
+      },
+    });
+    prisma.contact.findUnique.mockResolvedValueOnce({ id: 'c1' });
+    prisma.workflowEnrollment.findUnique.mockResolvedValueOnce({ status: 'active' });
+    // plan was renamed to tier since the merge, and score was deleted
+    prisma.customFieldDefinition.findMany.mockResolvedValueOnce([{ id: 'def-plan', name: 'tier' }]);
+
+    const res = await request(app).post('/api/v1/contacts/merges/merge-1/undo');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: 'merge-1', status: 'undone' });
+    expect(prisma.contact.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'c1' },
+      data: expect.objectContaining({ firstName: 'Jane', email: null, data: Prisma.DbNull }),
+    }));
+    expect(prisma.contact.create).toHaveBeenCalledWith({
+      data: { id: 'c2', firstName: 'Janet', email: 'jane@example.com', createdAt: '2025-09-01T10:00:00.000Z', userId: 'user-1' },
+    });
+    expect(prisma.customFieldDefinition.findMany).toHaveBeenCalledWith({
+      where: { id: { in: ['def-plan', 'def-deleted'] } },
+      select: { id: true, name: true },
+    });
+    expect(prisma.customField.createMany).toHaveBeenCalledWith({
+      data: [
+        { id: 'f2', name: 'tier', definitionId: 'def-plan', contactId: 'c2' },
+        { id: 'f5', name: 'nickname', contactId: 'c2' },
+      ],
+    });
+    expect(prisma.customField.updateMany).toHaveBeenCalledWith({ where: { id: { in: ['f3'] } }, data: { contactId: 'c2' } });
+    expect(prisma.deal.updateMany).toHaveBeenCalledWith({ where: { id: { in: ['d1'] } }, data: { contactId: 'c2' } });
+    expect(prisma.workflowEnrollment.update).toHaveBeenCalledWith({ where: { id: 'e3' }, data: { contactId: 'c2', activeKey: 'wf-2:c2' } });
+    expect(prisma.contactTag.deleteMany).toHaveBeenCalledWith({ where: { contactId: 'c1', tagId: { in: ['tag-lead'] } } });
+  });
+
+  it('should not undo a merge twice', async () => {
+    prisma.contactMerge.findFirst.mockResolvedValueOnce({ id: 'merge-1', status: 'undone' });
+
+    const res = await request(app).post('/api/v1/contacts/merges/merge-1/undo');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Merge is already undone' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,257 @@
+jest.mock('../src/services/db', () => {
+  const prisma = {
+    customFieldDefinition: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'def-new', ...data })),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+      delete: jest.fn(),
+    },
+    customField: {
+      updateMany: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: `cf-${data.name}`, ...data })),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+      delete: jest.fn(),
+    },
+    contact: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      count: jest.fn(),
+    },
+    activity: { create: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(fn => fn(prisma));
+  prisma.$queryRaw = jest.fn();
+  return { prisma };
+});
+jest.mock('../src/services/eventBus', () => ({
+  EVENTS: { CONTACT_CREATED: 'contact_created', CONTACT_UPDATED: 'contact_updated', TAG_ADDED: 'tag_added' },
+  publish: jest.fn(),
+}));
+jest.mock('../src/integrations/kixieService', () => ({
+  sendSMS: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../src/services/db');
+const { normalizeValue } = require('../src/services/customFieldService');
+const { writeContactFields } = require('../src/services/workflowActions');
+const contactRoutes = require('../src/routes/contactRoutes');
+const customFieldRoutes = require('../src/routes/customFieldRoutes');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'user-1' };
+  next();
+});
+app.use('/api/v1/contacts', contactRoutes);
+app.use('/api/v1/custom-fields', customFieldRoutes);
+
+const definitions = [
+  { id: 'def-plan', name: 'plan', label: 'Plan', type: 'dropdown', required: true, options: ['basic', 'pro'], defaultValue: 'basic' },
+  { id: 'def-score', name: 'score', label: null, type: 'number', required: false, options: [], defaultValue: null },
+  { id: 'def-interests', name: 'interests', label: null, type: 'multi_select', required: false, options: ['golf', 'tennis'], defaultValue: null },
+];
+
+// Echoes the nested custom field create back as the contact's customFields
+const echoContact = ({ data }) => Promise.resolve({
+  id: 'c1',
+  ...data,
+  tags: [],
+  customFields: (data.customFields?.create || []).map(field => ({ id: `cf-${field.name}`, ...field })),
+});
+
+describe('Custom Fields', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.customFieldDefinition.findMany.mockResolvedValue(definitions);
+  });
+
+  it('should validate and normalize values by type', () => {
+    expect(normalizeValue({ type: 'number' }, '42.5')).toEqual({ value: 42.5 });
+    expect(normalizeValue({ type: 'number' }, 'many')).toEqual({ error: 'must be a number' });
+    expect(normalizeValue({ type: 'date' }, '2025-09-22T15:30:00.000Z')).toEqual({ value: '2025-09-22' });
+    expect(normalizeValue({ type: 'date' }, '2025-13-40')).toEqual({ error: 'must be a date (YYYY-MM-DD)' });
+    expect(normalizeValue({ type: 'date' }, '2024-02-29')).toEqual({ value: '2024-02-29' });
+    expect(normalizeValue({ type: 'date' }, '2025-02-30')).toEqual({ error: 'must be a date (YYYY-MM-DD)' });
+    expect(normalizeValue({ type: 'date' }, 'March 5 99999')).toEqual({ error: 'must be a date (YYYY-MM-DD)' });
+    expect(normalizeValue({ type: 'date' }, '+099999-03-05T00:00:00.000Z')).toEqual({ error: 'must be a date (YYYY-MM-DD)' });
+    expect(normalizeValue(definitions[2], ['golf', 'golf'])).toEqual({ value: ['golf'] });
+    expect(normalizeValue(definitions[0], 'enterprise')).toEqual({ error: 'must be one of: basic, pro' });
+    expect(normalizeValue({ type: 'url' }, 'javascript:alert(1)')).toEqual({ error: 'must be an http or https URL' });
+    expect(normalizeValue({ type: 'phone' }, '+1 (555) 010-0199')).toEqual({ value: '+1 (555) 010-0199' });
+    expect(normalizeValue({ type: 'text' }, '')).toEqual({ value: null });
+  });
+
+  it('should type and link custom fields written by imports, forms and workflow actions', async () => {
+    const contact = {
+      id: 'c1',
+      userId: 'user-1',
+      customFields: [{ id: 'cf-plan', name: 'plan', type: 'string', data: { value: 'basic' } }],
+    };
+
+    await writeContactFields(contact, { 'custom.score': '12', 'custom.nickname': 'JJ', 'custom.plan': 'pro' });
+
+    expect(prisma.customFieldDefinition.findMany).toHaveBeenCalledWith({ where: { userId: 'user-1' }, orderBy: { createdAt: 'asc' } });
+    expect(prisma.customField.create).toHaveBeenCalledWith({
+      data: { contactId: 'c1', name: 'score', type: 'number', definitionId: 'def-score', data: { value: 12 } },
+    });
+    expect(prisma.customField.create).toHaveBeenCalledWith({
+      data: { contactId: 'c1', name: 'nickname', type: 'string', data: { value: 'JJ' } },
+    });
+    expect(prisma.customField.update).toHaveBeenCalledWith({
+      where: { id: 'cf-plan' },
+      data: { data: { value: 'pro' }, type: 'dropdown', definitionId: 'def-plan' },
+    });
+
+    await writeContactFields(contact, { 'custom.score': '' });
+    expect(prisma.customField.delete).toHaveBeenCalledWith({ where: { id: 'cf-score' } });
+    expect(contact.customFields.map(field => field.id)).toEqual(['cf-nickname', 'cf-plan']);
+
+    await expect(writeContactFields(contact, { 'custom.plan': 'enterprise', firstName: 'Jane' }))
+      .rejects.toThrow('Plan must be one of: basic, pro');
+    await expect(writeContactFields(contact, { 'custom.plan': null })).rejects.toThrow('Plan is required');
+    expect(prisma.contact.update).not.toHaveBeenCalled();
+  });
+
+  it('should create definitions and reject invalid ones', async () => {
+    let res = await request(app)
+      .post('/api/v1/custom-fields')
+      .send({ name: 'renewal', type: 'date', defaultValue: '2026-01-01T00:00:00.000Z' });
+
+    expect(res.status).toBe(201);
+    expect(prisma.customFieldDefinition.create).toHaveBeenCalledWith({
+      data: { name: 'renewal', label: null, type: 'date', required: false, options: [], defaultValue: '2026-01-01', userId: 'user-1' },
+    });
+
+    res = await request(app).post('/api/v1/custom-fields').send({ name: 'size', type: 'dropdown' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'options must be a non-empty array of strings for dropdown fields' });
+
+    res = await request(app).post('/api/v1/custom-fields').send({ name: 'plan', type: 'dropdown', options: ['a'], defaultValue: 'b' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'defaultValue must be one of: a' });
+
+    prisma.customFieldDefinition.create.mockRejectedValueOnce(Object.assign(new Error('Unique'), { code: 'P2002' }));
+    res = await request(app).post('/api/v1/custom-fields').send({ name: 'score', type: 'number' });
+    expect(res.status).toBe(409);
+  });
+
+  it('should rename the values of a renamed definition but never change its type', async () => {
+    prisma.customFieldDefinition.findFirst.mockResolvedValue(definitions[1]);
+
+    let res = await request(app).put('/api/v1/custom-fields/def-score').send({ type: 'text' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'type cannot be changed' });
+
+    res = await request(app).put('/api/v1/custom-fields/def-score').send({ name: 'leadScore', required: true });
+    expect(res.status).toBe(200);
+    expect(prisma.customField.updateMany).toHaveBeenCalledWith({ where: { definitionId: 'def-score' }, data: { name: 'leadScore' } });
+    expect(prisma.customFieldDefinition.update).toHaveBeenCalledWith({
+      where: { id: 'def-score' },
+      data: expect.objectContaining({ name: 'leadScore', required: true, defaultValue: Prisma.DbNull }),
+    });
+  });
+
+  it('should validate custom field values of new contacts and apply defaults', async () => {
+    let res = await request(app)
+      .post('/api/v1/contacts')
+      .send({ firstName: 'Jane', customFields: { score: 'high', nickname: 'JJ', plan: null } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      { field: 'customFields.score', message: 'score must be a number' },
+      { field: 'customFields.nickname', message: 'Unknown custom field' },
+    ]);
+    expect(prisma.contact.create).not.toHaveBeenCalled();
+
+    prisma.contact.create.mockImplementationOnce(echoContact);
+    res = await request(app)
+      .post('/api/v1/contacts')
+      .send({ firstName: 'Jane', customFields: { score: '12', interests: 'golf' } });
+
+    expect(res.status).toBe(201);
+    expect(prisma.contact.create.mock.calls[0][0].data.customFields).toEqual({
+      create: [
+        { name: 'score', type: 'number', data: { value: 12 }, definitionId: 'def-score' },
+        { name: 'interests', type: 'multi_select', data: { value: ['golf'] }, definitionId: 'def-interests' },
+        { name: 'plan', type: 'dropdown', data: { value: 'basic' }, definitionId: 'def-plan' },
+      ],
+    });
+    expect(res.body.data.custom).toEqual({ score: 12, interests: ['golf'], plan: 'basic' });
+  });
+
+  it('should only write the custom fields sent on update, clearing empty ones', async () => {
+    prisma.contact.findFirst.mockResolvedValueOnce({ id: 'c1', tags: [] });
+    prisma.contact.update.mockImplementationOnce(echoContact);
+
+    const res = await request(app)
+      .put('/api/v1/contacts/c1')
+      .send({ firstName: 'Jane', customFields: { score: 7, interests: [] } });
+
+    expect(res.status).toBe(200);
+    expect(prisma.contact.update.mock.calls[0][0].data.customFields).toEqual({
+      deleteMany: { name: { in: ['score', 'interests'] } },
+      create: [{ name: 'score', type: 'number', data: { value: 7 }, definitionId: 'def-score' }],
+    });
+
+    prisma.contact.findFirst.mockResolvedValueOnce({ id: 'c1', tags: [] });
+    const cleared = await request(app).put('/api/v1/contacts/c1').send({ customFields: { plan: '' } });
+    expect(cleared.status).toBe(400);
+    expect(cleared.body.details).toEqual([{ field: 'customFields.plan', message: 'Plan is required' }]);
+  });
+
+  it('should filter contacts by custom field values', async () => {
+    prisma.contact.findMany.mockResolvedValueOnce([{ id: 'c1', customFields: [{ name: 'score', data: { value: 12 } }] }]);
+    prisma.contact.count.mockResolvedValueOnce(1);
+
+    const res = await request(app).get('/api/v1/contacts?custom.score[gte]=10&custom.interests=golf');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].custom).toEqual({ score: 12 });
+    expect(prisma.contact.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        userId: 'user-1',
+        AND: [
+          { customFields: { some: { name: 'score', data: { path: ['value'], gte: 10 } } } },
+          { customFields: { some: { name: 'interests', data: { path: ['value'], array_contains: ['golf'] } } } },
+        ],
+      },
+    }));
+
+    const invalid = await request(app).get('/api/v1/contacts?custom.plan[gt]=basic');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'custom.plan supports: eq' });
+  });
+
+  it('should sort contacts by a custom field in SQL, a page at a time', async () => {
+    prisma.$queryRaw.mockResolvedValueOnce([{ id: 'c3' }, { id: 'c4' }]);
+    prisma.contact.findMany.mockResolvedValueOnce([
+      { id: 'c4', customFields: [] },
+      { id: 'c3', customFields: [] },
+    ]);
+    prisma.contact.count.mockResolvedValueOnce(4);
+
+    const res = await request(app).get('/api/v1/contacts?sortBy=custom.score&sortOrder=desc&page=2&limit=2&search=a_b&custom.interests=golf');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(contact => contact.id)).toEqual(['c3', 'c4']);
+    expect(res.body.pagination).toMatchObject({ total: 4, pages: 2 });
+    expect(prisma.contact.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { id: { in: ['c3', 'c4'] } } }));
+    expect(prisma.contact.count).toHaveBeenCalledWith({ where: expect.objectContaining({ userId: 'user-1' }) });
+
+    const query = Prisma.sql(...prisma.$queryRaw.mock.calls[0]);
+    const sql = query.text.replace(/\s+/g, ' ').trim();
+    expect(sql).toContain('LEFT JOIN LATERAL');
+    expect(sql).toContain('ORDER BY (v."value")::numeric DESC NULLS LAST');
+    expect(sql).toContain('f."data"->\'value\' @> $');
+    expect(query.values).toEqual(expect.arrayContaining(['user-1', 'def-score', '%a\\_b%', 'interests', '["golf"]', 2]));
+    expect(sql).toMatch(/LIMIT \$\d+ OFFSET \$\d+$/);
+    expect(query.values.slice(-2)).toEqual([2, 2]);
+  });
+});
@@ -0,0 +1,75 @@
+const { evaluateExpression, getExpressionError, buildExpressionScope } = require('../src/utils/expressionEvaluator');
+const { evaluateCondition } = require('../src/utils/workflowConditions');
+
+describe('Expression Evaluator', () => {
+  const now = new Date('2025-09-10T12:00:00.000Z');
+  const context = {
+    contact: {
+      firstName: 'Jane',
+      email: 'jane@example.com',
+      company: 'Acme',
+      createdAt: '2025-08-01T09:00:00.000Z',
+      data: { score: 42 },
+      tags: [{ tag: { name: 'VIP' } }, { tag: { name: 'Trial' } }],
+      customFields: [{ name: 'plan', data: { value: 'pro' } }],
+    },
+    deal: { value: 1500, stage: { name: 'Proposal Sent' } },
+    trigger: { source: 'iclosed' },
+    steps: { 'node-004': { output: { status: 200, data: { approved: true } } } },
+  };
+  const scope = buildExpressionScope(context, now);
+  const evaluate = source => evaluateExpression(source, scope);
+
+  it('should combine comparisons with boolean logic and precedence', () => {
+    expect(evaluate('contact.company == "Acme" and deal.value >= 1000')).toBe(true);
+    expect(evaluate('deal.value > 2000 or trigger.source == \'iclosed\' && !isEmpty(contact.email)')).toBe(true);
+    expect(evaluate('not deal.value < 1000 and (custom.score - 2) * 2 == 80')).toBe(true);
+    expect(evaluate('deal.value == "1500" and deal.value != 1499')).toBe(true);
+  });
+
+  it('should read tags, custom fields, contact data and step outputs', () => {
+    expect(evaluate('"VIP" in tags and hasTag("Trial") and not ("Partner" in tags)')).toBe(true);
+    expect(evaluate('custom.plan in ["pro", "enterprise"] and custom.score > 40')).toBe(true);
+    expect(evaluate('steps["node-004"].output.status == 200 and steps["node-004"].output.data.approved')).toBe(true);
+    expect(evaluate('deal.stage.name')).toBe('Proposal Sent');
+  });
+
+  it('should provide string and date functions', () => {
+    expect(evaluate('upper(contact.firstName) + " at " + lower(contact.company)')).toBe('JANE at acme');
+    expect(evaluate('endsWith(contact.email, "@example.com") and contains(deal.stage.name, "proposal")')).toBe(true);
+    expect(evaluate('daysSince(contact.createdAt)')).toBe(40);
+    expect(evaluate('date(contact.createdAt) < addDays(now(), -30) and daysUntil("2025-09-15") == 5')).toBe(true);
+  });
+
+  it('should read missing values as null instead of throwing', () => {
+    expect(evaluate('deal.owner.name')).toBeNull();
+    expect(evaluate('contact.phone == null and custom.missing > 3')).toBe(false);
+    expect(evaluate('daysSince(contact.updatedAt)')).toBeNull();
+  });
+
+  it('should never reach outside the scope', () => {
+    expect(evaluate('contact.constructor')).toBeNull();
+    expect(evaluate('contact["__proto__"]')).toBeNull();
+    expect(evaluate('contact.email.length')).toBe(16);
+    expect(getExpressionError('process.exit()')).toMatch(/^Unknown name 'process' at position 0/);
+    expect(getExpressionError('toString()')).toBe("Unknown function 'toString' at position 0");
+    expect(getExpressionError('contact.email()')).toBe('Only functions can be called, at position 13');
+  });
+
+  it('should report syntax errors with their position', () => {
+    expect(getExpressionError('deal.value > 1000')).toBeNull();
+    expect(getExpressionError('')).toBe('Expression is empty');
+    expect(getExpressionError('deal.value >')).toBe('Unexpected end of expression at position 12');
+    expect(getExpressionError('(deal.value > 1')).toBe("Expected ')' but found end of expression at position 15");
+    expect(getExpressionError('contact.name = "x"')).toBe("Unexpected character '=' at position 13");
+    expect(getExpressionError('"open')).toBe('Unterminated string at position 0');
+  });
+
+  it('should evaluate if_custom condition nodes', () => {
+    const condition = customLogic => evaluateCondition({ conditionType: 'if_custom', customLogic }, context, now);
+
+    expect(condition('"VIP" in tags and deal.value > 1000')).toBe(true);
+    expect(condition('custom.plan')).toBe(true);
+    expect(condition('len(tags) > 2')).toBe(false);
+  });
+});
@@ -0,0 +1,187 @@
+process.env.FORM_RATE_LIMIT_MAX = '5';
+
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    automationWorkflow: { findFirst: jest.fn() },
+    contact: {
+      findFirst: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'contact-new', customFields: [], ...data })),
+      update: jest.fn(),
+    },
+    customField: { create: jest.fn(), update: jest.fn() },
+    formSubmission: {
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'sub-1', ...data })),
+    },
+  },
+}));
+jest.mock('../src/services/eventBus', () => ({
+  EVENTS: {
+    CONTACT_CREATED: 'contact_created',
+    CONTACT_UPDATED: 'contact_updated',
+    FORM_SUBMISSION: 'form_submission',
+  },
+  publish: jest.fn(),
+}));
+
+jest.mock('../src/integrations/kixieService', () => ({
+  sendSMS: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma } = require('../src/services/db');
+const { publish } = require('../src/services/eventBus');
+const { validateSubmission } = require('../src/utils/formValidator');
+const { submitForm } = require('../src/services/formService');
+const formRoutes = require('../src/routes/formRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/forms', formRoutes);
+
+const formFields = [
+  { id: 'f1', name: 'email', type: 'email', required: true },
+  { id: 'f2', name: 'firstName', type: 'text', validation: { max: 20 } },
+  { id: 'f3', name: 'budget', type: 'number', validation: { min: 100 } },
+  { id: 'f4', name: 'plan', type: 'select', options: ['basic', 'pro'] },
+  { id: 'f5', name: 'interests', type: 'checkbox', options: ['email', 'sms'] },
+  { id: 'f6', name: 'consent', type: 'checkbox', required: true },
+];
+
+const workflow = {
+  id: 'wf-1',
+  userId: 'user-1',
+  publishedVersion: {
+    definition: {
+      nodes: [
+        { id: 'start', type: 'trigger', data: { triggerType: 'form_submission', formId: 'signup' } },
+        {
+          id: 'signup',
+          type: 'form',
+          data: { label: 'Signup', description: 'Newsletter', formTitle: 'Join us', formFields },
+        },
+      ],
+      edges: [],
+    },
+  },
+};
+
+describe('Hosted Forms', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.automationWorkflow.findFirst.mockResolvedValue(workflow);
+    prisma.contact.findFirst.mockResolvedValue(null);
+  });
+
+  it('should validate and normalize submitted values', () => {
+    const { values, errors } = validateSubmission(formFields, {
+      email: ' Jane@Example.com ',
+      budget: '250',
+      plan: 'enterprise',
+      interests: 'sms',
+      consent: 'on',
+      unknown: 'dropped',
+    });
+
+    expect(values).toEqual({ email: 'jane@example.com', budget: 250, interests: ['sms'], consent: true });
+    expect(errors).toEqual([{ field: 'plan', message: 'plan must be one of: basic, pro' }]);
+  });
+
+  it('should report required, format and range errors', () => {
+    const { errors } = validateSubmission(formFields, {
+      firstName: 'x'.repeat(21),
+      budget: '50',
+      consent: 'false',
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['email', 'firstName', 'budget', 'consent']);
+  });
+
+  it('should serve the form fields of a published workflow', async () => {
+    const response = await request(app).get('/api/v1/forms/wf-1/signup');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ id: 'signup', title: 'Join us', honeypotField: '_website' });
+    expect(response.body.data.fields).toHaveLength(formFields.length);
+    expect(prisma.automationWorkflow.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'wf-1', isActive: true, publishedVersionId: { not: null } },
+    }));
+  });
+
+  it('should return 404 for nodes that are not forms', async () => {
+    const response = await request(app).get('/api/v1/forms/wf-1/start');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should reject invalid submissions without storing them', async () => {
+    const response = await request(app).post('/api/v1/forms/wf-1/signup').send({ email: 'not-an-email', consent: true });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([{ field: 'email', message: 'email must be a valid email address' }]);
+    expect(prisma.formSubmission.create).not.toHaveBeenCalled();
+  });
+
+  it('should upsert the contact, store the submission and fire the form trigger', async () => {
+    const response = await request(app)
+      .post('/api/v1/forms/wf-1/signup')
+      .send({ email: 'jane@example.com', firstName: 'Jane', plan: 'pro', consent: true });
+
+    expect(response.status).toBe(201);
+    expect(prisma.contact.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', email: { equals: 'jane@example.com', mode: 'insensitive' } },
+    }));
+    expect(prisma.contact.update).toHaveBeenCalledWith({
+      where: { id: 'contact-new' },
+      data: { email: 'jane@example.com', firstName: 'Jane', data: { plan: 'pro', consent: true } },
+    });
+    expect(prisma.formSubmission.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ formId: 'signup', workflowId: 'wf-1', contactId: 'contact-new', userId: 'user-1' }),
+    });
+    expect(publish).toHaveBeenCalledWith('contact_created', expect.objectContaining({ contactId: 'contact-new' }));
+    expect(publish).toHaveBeenCalledWith('form_submission', {
+      userId: 'user-1',
+      contactId: 'contact-new',
+      data: expect.objectContaining({ formId: 'signup', workflowId: 'wf-1', submissionId: 'sub-1' }),
+    });
+  });
+
+  it('should use the contact a concurrent submission created with the same email', async () => {
+    const existing = { id: 'contact-1', userId: 'user-1', email: 'Jane@Example.com', customFields: [] };
+    prisma.contact.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+    prisma.contact.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+    const submission = await submitForm({
+      workflow: { id: 'wf-1', userId: 'user-1' },
+      form: { id: 'signup' },
+      values: { email: 'jane@example.com', firstName: 'Jane' },
+    });
+
+    expect(prisma.contact.findFirst).toHaveBeenCalledTimes(2);
+    expect(submission.contactId).toBe('contact-1');
+    expect(publish).toHaveBeenCalledWith('contact_updated', expect.objectContaining({ contactId: 'contact-1' }));
+  });
+
+  it('should silently drop submissions that fill the honeypot', async () => {
+    const response = await request(app)
+      .post('/api/v1/forms/wf-1/signup')
+      .send({ email: 'bot@example.com', consent: true, _website: 'http://spam.example.com' });
+
+    expect(response.status).toBe(201);
+    expect(prisma.contact.create).not.toHaveBeenCalled();
+    expect(prisma.formSubmission.create).not.toHaveBeenCalled();
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  it('should rate limit submissions per IP address', async () => {
+    // Earlier tests used three of the five submissions allowed in the window
+    const responses = [];
+    for (let i = 0; i < 3; i++) {
+      responses.push(await request(app).post('/api/v1/forms/wf-1/signup').send({}));
+    }
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 429]);
+    expect(prisma.automationWorkflow.findFirst).toHaveBeenCalledTimes(2);
+    expect(responses[2].body).toEqual({ error: 'Too many submissions, please try again later' });
+  });
+});
@@ -100,7 +100,7 @@ describe('iClosed Webhook Endpoints', () => {
 
       // Query the database to confirm a Contact with the new email now exists
       const createdContact = await prisma.contact.findUnique({
-        where: { email: 'new.user@test.com' },
+        where: { userId_email: { userId: testUser.id, email: 'new.user@test.com' } },
       });
       expect(createdContact).toBeTruthy();
       expect(createdContact.firstName).toBe('New');
@@ -272,7 +272,7 @@ describe('iClosed Webhook Endpoints', () => {
 
       // Verify that contact was created but no deal was created
       const createdContact = await prisma.contact.findUnique({
-        where: { email: 'contact.only@test.com' },
+        where: { userId_email: { userId: testUser.id, email: 'contact.only@test.com' } },
       });
       expect(createdContact).toBeTruthy();
 
@@ -223,7 +223,7 @@ describe('iClosed Webhook Security Tests', () => {
 
       // Verify contact was created
       const contact = await prisma.contact.findUnique({
-        where: { email: 'no-event-id@example.com' }
+        where: { userId_email: { userId: testUser.id, email: 'no-event-id@example.com' } }
       });
       expect(contact).toBeTruthy();
 
@@ -269,7 +269,7 @@ describe('iClosed Webhook Security Tests', () => {
 
       // Verify contact was created
       const contact = await prisma.contact.findUnique({
-        where: { email: 'appointment@example.com' }
+        where: { userId_email: { userId: testUser.id, email: 'appointment@example.com' } }
       });
       expect(contact).toBeTruthy();
       expect(contact.firstName).toBe('Appointment');
@@ -385,10 +385,60 @@ describe('iClosed Webhook Security Tests', () => {
 
       // Verify no contact was created
       const contact = await prisma.contact.findUnique({
-        where: { email: 'unknown@example.com' }
+        where: { userId_email: { userId: testUser.id, email: 'unknown@example.com' } }
       });
       expect(contact).toBeFalsy();
     });
+
+    it('should leave contacts of other users with the same email alone', async () => {
+      // Arrange: Another user already has a contact with the lead's email
+      const otherUser = await prisma.user.create({
+        data: {
+          email: 'other@example.com',
+          password: 'password123',
+          firstName: 'Other',
+          lastName: 'User',
+        },
+      });
+      const otherContact = await prisma.contact.create({
+        data: {
+          email: 'shared.lead@example.com',
+          firstName: 'Shared',
+          userId: otherUser.id,
+        },
+      });
+
+      const payload = {
+        event: 'appointment_booked',
+        event_id: 'shared-lead-event-123',
+        userId: testUser.id,
+        contact: {
+          email: 'shared.lead@example.com',
+          name: 'Shared Lead',
+        },
+      };
+
+      // Act: Send the request
+      const res = await request(app)
+        .post('/api/v1/webhooks/iclosed')
+        .set('X-Webhook-Secret', process.env.ICLOSED_SECRET || 'test-secret')
+        .send(payload);
+
+      // Assert: The lead is a new contact of the test user
+      expect(res.statusCode).toEqual(200);
+
+      const contact = await prisma.contact.findUnique({
+        where: { userId_email: { userId: testUser.id, email: 'shared.lead@example.com' } }
+      });
+      expect(contact).toBeTruthy();
+      expect(contact.id).not.toBe(otherContact.id);
+
+      const unchanged = await prisma.contact.findUnique({
+        where: { id: otherContact.id }
+      });
+      expect(unchanged.userId).toBe(otherUser.id);
+      expect(unchanged.lastName).toBeNull();
+    });
   });
 
   describe('Error Handling Tests', () => {
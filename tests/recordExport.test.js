@@ -0,0 +1,167 @@
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    contact: { findMany: jest.fn() },
+    customField: { findMany: jest.fn() },
+    deal: { findMany: jest.fn() },
+  },
+}));
+jest.mock('../src/integrations/kixieService', () => ({
+  sendSMS: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma } = require('../src/services/db');
+const contactRoutes = require('../src/routes/contactRoutes');
+const dealRoutes = require('../src/routes/dealRoutes');
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: 'user-1' };
+  next();
+});
+app.use('/api/v1/contacts', contactRoutes);
+app.use('/api/v1/deals', dealRoutes);
+
+const createdAt = new Date('2025-09-01T10:00:00.000Z');
+
+const contact = (id, fields = {}) => ({
+  id,
+  firstName: 'Jane',
+  lastName: null,
+  email: `${id}@example.com`,
+  phone: null,
+  company: null,
+  data: null,
+  createdAt,
+  updatedAt: createdAt,
+  tags: [],
+  customFields: [],
+  deals: [],
+  ...fields,
+});
+
+describe('Record Export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.customField.findMany.mockResolvedValue([]);
+  });
+
+  it('should stream contacts as CSV with tags and a column per custom field', async () => {
+    prisma.customField.findMany.mockResolvedValue([{ name: 'plan' }, { name: 'source' }]);
+    prisma.contact.findMany.mockResolvedValueOnce([
+      contact('c1', {
+        company: 'Acme, Inc.',
+        tags: [{ tag: { name: 'VIP' } }, { tag: { name: 'Newsletter' } }],
+        customFields: [{ name: 'plan', data: { value: 'pro' } }],
+        deals: [
+          { pipeline: { name: 'Sales' }, stage: { name: 'Proposal' } },
+          { pipeline: { name: 'Renewals' }, stage: { name: 'Won' } },
+        ],
+      }),
+      contact('c2', { firstName: 'Say "hi"' }),
+    ]);
+
+    const res = await request(app).get('/api/v1/contacts/export?search=acme&tagId=tag-vip');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="contacts-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(res.text.split('\r\n')).toEqual([
+      'id,firstName,lastName,email,phone,company,tags,dealStages,createdAt,updatedAt,custom.plan,custom.source',
+      'c1,Jane,,c1@example.com,,"Acme, Inc.",VIP; Newsletter,Sales: Proposal; Renewals: Won,2025-09-01T10:00:00.000Z,2025-09-01T10:00:00.000Z,pro,',
+      'c2,"Say ""hi""",,c2@example.com,,,,,2025-09-01T10:00:00.000Z,2025-09-01T10:00:00.000Z,,',
+      '',
+    ]);
+
+    const where = expect.objectContaining({ userId: 'user-1', tags: { some: { tagId: 'tag-vip' } }, OR: expect.any(Array) });
+    expect(prisma.customField.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { contact: where }, distinct: ['name'] }));
+    expect(prisma.contact.findMany).toHaveBeenCalledWith(expect.objectContaining({ where, orderBy: { id: 'asc' }, take: 500 }));
+  });
+
+  it('should keep cells a spreadsheet would run as formulas as text', async () => {
+    prisma.customField.findMany.mockResolvedValue([{ name: 'score' }]);
+    prisma.contact.findMany.mockResolvedValueOnce([
+      contact('c1', {
+        firstName: '=HYPERLINK("http://evil.example.com","Click")',
+        phone: '+1 555 010 0199',
+        company: '@SUM(A1:A9)',
+        tags: [{ tag: { name: '-VIP' } }],
+        customFields: [{ name: 'score', data: { value: -3 } }],
+      }),
+    ]);
+
+    const res = await request(app).get('/api/v1/contacts/export');
+
+    expect(res.text.split('\r\n')[1]).toBe(
+      'c1,"\'=HYPERLINK(""http://evil.example.com"",""Click"")",,c1@example.com,\'+1 555 010 0199,\'@SUM(A1:A9),\'-VIP,,'
+      + '2025-09-01T10:00:00.000Z,2025-09-01T10:00:00.000Z,-3',
+    );
+  });
+
+  it('should answer 500 when the first page cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prisma.contact.findMany.mockRejectedValueOnce(new Error('connection lost'));
+
+    const res = await request(app).get('/api/v1/contacts/export');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Failed to export contacts' });
+    expect(res.headers['content-disposition']).toBeUndefined();
+    console.error.mockRestore();
+  });
+
+  it('should page through every contact by ID as JSON Lines', async () => {
+    const firstPage = Array.from({ length: 500 }, (_, index) => contact(`c${String(index).padStart(3, '0')}`));
+    prisma.contact.findMany
+      .mockResolvedValueOnce(firstPage)
+      .mockResolvedValueOnce([contact('c500', { customFields: [{ name: 'plan', data: { value: 'pro' } }] })]);
+
+    const res = await request(app).get('/api/v1/contacts/export?format=jsonl');
+
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(501);
+    expect(lines[500]).toMatchObject({ id: 'c500', tags: [], customFields: { plan: 'pro' } });
+    expect(prisma.customField.findMany).not.toHaveBeenCalled();
+    expect(prisma.contact.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { AND: [{ userId: 'user-1' }, { id: { gt: 'c499' } }] },
+    }));
+  });
+
+  it('should stream deals with their pipeline, stage and contact', async () => {
+    prisma.deal.findMany.mockResolvedValueOnce([{
+      id: 'd1',
+      title: 'Website redesign',
+      value: 5000,
+      currency: 'USD',
+      pipelineId: 'p1',
+      stageId: 's2',
+      contactId: 'c1',
+      data: null,
+      createdAt,
+      updatedAt: createdAt,
+      pipeline: { name: 'Sales' },
+      stage: { name: 'Proposal' },
+      contact: { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' },
+    }]);
+
+    const res = await request(app).get('/api/v1/deals/export?pipelineId=p1&stageId=s2');
+
+    expect(res.text.split('\r\n').slice(0, 2)).toEqual([
+      'id,title,value,currency,pipeline,stage,contactId,contactName,contactEmail,createdAt,updatedAt',
+      'd1,Website redesign,5000,USD,Sales,Proposal,c1,Jane Doe,jane@example.com,2025-09-01T10:00:00.000Z,2025-09-01T10:00:00.000Z',
+    ]);
+    expect(prisma.deal.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', pipelineId: 'p1', stageId: 's2' },
+    }));
+  });
+
+  it('should reject unknown formats', async () => {
+    const res = await request(app).get('/api/v1/deals/export?format=xml');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'format must be one of: csv, jsonl' });
+    expect(prisma.deal.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+const { renderTemplate, getTemplateError, buildTemplateData } = require('../src/utils/templateRenderer');
+
+describe('Template Renderer', () => {
+  const data = buildTemplateData({
+    contact: {
+      firstName: 'jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: null,
+      data: { score: 42 },
+      tags: [{ tag: { name: 'VIP' } }, { tag: { name: 'Trial' } }],
+      customFields: [{ name: 'plan', data: { value: 'Pro' } }],
+      user: { firstName: 'Alex', email: 'alex@crm.test' },
+    },
+    deal: { title: 'Renewal', value: 1200, closeDate: '2025-09-03T15:04:05.000Z', stage: { name: 'Qualified' } },
+    trigger: { source: 'iclosed' },
+  });
+
+  it('should resolve contact, deal, user, custom field and trigger variables', () => {
+    const template = '{{contact.fullName}} <{{ contact.email }}> | {{deal.stage.name}} {{deal.value}} | '
+      + '{{user.firstName}} | {{custom.plan}} {{custom.score}} | {{trigger.source}} | {{contact.tags}}';
+
+    expect(renderTemplate(template, data))
+      .toBe('jane Doe <jane@example.com> | Qualified 1200 | Alex | Pro 42 | iclosed | VIP, Trial');
+  });
+
+  it('should apply default values and filters', () => {
+    expect(renderTemplate('Hi {{ contact.phone | default: "there" }}', data)).toBe('Hi there');
+    expect(renderTemplate('{{ contact.firstName | capitalize }} {{ trigger.source | upper }}', data)).toBe('Jane ICLOSED');
+    expect(renderTemplate('{{ missing | default: "a | b" }}', data)).toBe('a | b');
+  });
+
+  it('should format dates in UTC', () => {
+    expect(renderTemplate('{{ deal.closeDate | date }}', data)).toBe('2025-09-03');
+    expect(renderTemplate('{{ deal.closeDate | date: "MMM D, YYYY HH:mm" }}', data)).toBe('Sep 3, 2025 15:04');
+    expect(renderTemplate('{{ contact.email | date }}', data)).toBe('');
+  });
+
+  it('should render conditionals, including nested blocks and else branches', () => {
+    const template = '{{#if deal}}{{#unless contact.phone}}no phone{{else}}call{{/unless}}{{else}}no deal{{/if}}';
+
+    expect(renderTemplate(template, data)).toBe('no phone');
+    expect(renderTemplate(template, { contact: { phone: '+1555' }, deal: {} })).toBe('call');
+    expect(renderTemplate(template, {})).toBe('no deal');
+    expect(renderTemplate('{{#if list}}yes{{else}}no{{/if}}', { list: [] })).toBe('no');
+  });
+
+  it('should escape values in HTML unless triple braces are used', () => {
+    const html = { name: '<b>O\'Brien</b>' };
+
+    expect(renderTemplate('{{name}}|{{{name}}}', html, { escape: 'html' }))
+      .toBe('&lt;b&gt;O&#39;Brien&lt;/b&gt;|<b>O\'Brien</b>');
+    expect(renderTemplate('{{name}}', html)).toBe('<b>O\'Brien</b>');
+    expect(renderTemplate('\\{{name}}', html)).toBe('{{name}}');
+  });
+
+  it('should not reach outside the template data', () => {
+    expect(renderTemplate('{{constructor}}{{__proto__}}{{contact.email.constructor}}', data)).toBe('');
+    expect(getTemplateError('{{ process.exit() }}')).toBe('Invalid merge tag: {{process.exit()}}');
+  });
+
+  it('should report syntax errors', () => {
+    expect(getTemplateError('Hi {{contact.firstName}}')).toBeNull();
+    expect(getTemplateError('{{#if deal}}open')).toBe('Unclosed {{#if}} in template');
+    expect(getTemplateError('{{#if deal}}x{{/unless}}')).toBe('Unexpected {{/unless}} in template');
+    expect(getTemplateError('{{ name | shout }}')).toBe('Unknown template filter: shout');
+  });
+});
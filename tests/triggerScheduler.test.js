@@ -0,0 +1,145 @@
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    automationWorkflow: { findMany: jest.fn() },
+    contact: { findMany: jest.fn() },
+    workflowTriggerFire: {
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'fire-1', ...data })),
+      update: jest.fn(),
+    },
+  },
+}));
+jest.mock('../src/services/workflowRunService', () => ({
+  startRun: jest.fn().mockResolvedValue({ run: { id: 'run-1' } }),
+}));
+jest.mock('../src/services/enrollmentService', () => ({
+  enrollContact: jest.fn().mockResolvedValue({ run: { id: 'run-1' } }),
+}));
+
+const { prisma } = require('../src/services/db');
+const { startRun } = require('../src/services/workflowRunService');
+const { enrollContact } = require('../src/services/enrollmentService');
+const { pollOnce } = require('../src/services/triggerScheduler');
+const { getScheduleError, getLastCronFire, getLocalDateTime, isDateOn } = require('../src/utils/triggerSchedule');
+
+const trigger = (data) => ({ id: 'start', type: 'trigger', data: { label: 'Start', description: 'Start', ...data } });
+
+const workflowWith = (node) => ({
+  id: 'wf-1',
+  name: 'Scheduled',
+  userId: 'user-1',
+  publishedVersion: { id: 'v1', createdAt: new Date('2025-01-01T00:00:00Z'), definition: { nodes: [node], edges: [] } },
+});
+
+const contact = (id, fields = {}) => ({ id, data: {}, tags: [], customFields: [], deals: [], ...fields });
+
+describe('Trigger Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.contact.findMany.mockResolvedValue([]);
+  });
+
+  it('should compute cron slots and local dates in the trigger time zone', () => {
+    const now = new Date('2025-09-15T13:30:00Z');
+
+    expect(getLastCronFire('0 9 * * 1', 'America/New_York', now)).toEqual(new Date('2025-09-15T13:00:00Z'));
+    expect(getLastCronFire('30 13 * * *', 'UTC', now)).toEqual(now);
+    expect(getLocalDateTime(new Date('2025-09-15T23:30:00Z'), 'Asia/Tokyo')).toEqual({ date: '2025-09-16', time: '08:30' });
+
+    expect(isDateOn('1990-09-22', '2025-09-22', true)).toBe(true);
+    expect(isDateOn('1990-09-22', '2025-09-22', false)).toBe(false);
+    expect(isDateOn('2000-02-29', '2025-02-28', true)).toBe(true);
+    expect(isDateOn('2000-02-29', '2024-02-28', true)).toBe(false);
+  });
+
+  it('should report invalid schedules', () => {
+    expect(getScheduleError({ triggerType: 'schedule', cron: '0 9 * * 1', timezone: 'Europe/London' })).toBeNull();
+    expect(getScheduleError({ triggerType: 'schedule' })).toBe('Schedule triggers need a cron expression');
+    expect(getScheduleError({ triggerType: 'schedule', cron: '61 * * * *' })).toMatch(/^Invalid cron expression '61 \* \* \* \*'/);
+    expect(getScheduleError({ triggerType: 'schedule', cron: '* * * * *', timezone: 'Mars/Olympus' })).toBe("Unknown time zone 'Mars/Olympus'");
+    expect(getScheduleError({ triggerType: 'date_relative' })).toBe('Date-relative triggers need a dateField');
+  });
+
+  it('should enroll the contacts matching the filter once per cron slot', async () => {
+    const node = trigger({
+      triggerType: 'schedule',
+      cron: '0 9 * * *',
+      timezone: 'UTC',
+      contactFilter: { tagId: 'tag-vip', conditions: [{ field: 'company', operator: 'equals', value: 'Acme' }] },
+    });
+    prisma.automationWorkflow.findMany.mockResolvedValue([workflowWith(node)]);
+    prisma.contact.findMany
+      .mockResolvedValueOnce([contact('c1', { company: 'Acme' }), contact('c2', { company: 'Globex' })])
+      .mockResolvedValueOnce([]);
+
+    const fired = await pollOnce(new Date('2025-09-15T09:00:30Z'));
+
+    expect(fired).toBe(1);
+    expect(prisma.workflowTriggerFire.create).toHaveBeenCalledWith({
+      data: { workflowId: 'wf-1', nodeId: 'start', fireKey: '2025-09-15T09:00:00.000Z' },
+    });
+    expect(prisma.contact.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', tags: { some: { tagId: 'tag-vip' } } },
+    }));
+    expect(enrollContact).toHaveBeenCalledTimes(1);
+    expect(enrollContact).toHaveBeenCalledWith(expect.objectContaining({
+      contact: expect.objectContaining({ id: 'c1' }),
+      trigger: { type: 'schedule', scheduledAt: '2025-09-15T09:00:00.000Z', cron: '0 9 * * *', timezone: 'UTC' },
+      startNodeIds: ['start'],
+    }));
+    expect(prisma.workflowTriggerFire.update).toHaveBeenCalledWith({ where: { id: 'fire-1' }, data: { contactCount: 1 } });
+
+    // Another instance (or the next tick) finds the slot already claimed
+    prisma.workflowTriggerFire.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+    enrollContact.mockClear();
+
+    expect(await pollOnce(new Date('2025-09-15T09:01:30Z'))).toBe(0);
+    expect(enrollContact).not.toHaveBeenCalled();
+  });
+
+  it('should start a single run without a contact filter and skip long-missed slots', async () => {
+    const node = trigger({ triggerType: 'schedule', cron: '0 9 * * *' });
+    prisma.automationWorkflow.findMany.mockResolvedValue([workflowWith(node)]);
+
+    expect(await pollOnce(new Date('2025-09-15T09:05:00Z'))).toBe(1);
+    expect(startRun).toHaveBeenCalledWith(expect.objectContaining({ contact: null, startNodeIds: ['start'] }));
+    expect(prisma.contact.findMany).not.toHaveBeenCalled();
+
+    prisma.workflowTriggerFire.create.mockClear();
+    expect(await pollOnce(new Date('2025-09-15T11:00:00Z'))).toBe(0);
+    expect(prisma.workflowTriggerFire.create).not.toHaveBeenCalled();
+  });
+
+  it('should fire date-relative triggers after their time of day for dates N days away', async () => {
+    const node = trigger({
+      triggerType: 'date_relative',
+      dateField: 'custom.birthday',
+      daysOffset: -7,
+      repeatYearly: true,
+      timeOfDay: '08:00',
+      timezone: 'Europe/Berlin',
+    });
+    prisma.automationWorkflow.findMany.mockResolvedValue([workflowWith(node)]);
+
+    // 05:30 UTC is 07:30 in Berlin, before the trigger's time of day
+    expect(await pollOnce(new Date('2025-09-15T05:30:00Z'))).toBe(0);
+    expect(prisma.workflowTriggerFire.create).not.toHaveBeenCalled();
+
+    prisma.contact.findMany
+      .mockResolvedValueOnce([
+        contact('c1', { customFields: [{ name: 'birthday', data: { value: '1990-09-22' } }] }),
+        contact('c2', { customFields: [{ name: 'birthday', data: { value: '1990-09-23' } }] }),
+        contact('c3'),
+      ])
+      .mockResolvedValueOnce([]);
+
+    expect(await pollOnce(new Date('2025-09-15T06:30:00Z'))).toBe(1);
+    expect(prisma.workflowTriggerFire.create).toHaveBeenCalledWith({
+      data: { workflowId: 'wf-1', nodeId: 'start', fireKey: '2025-09-15' },
+    });
+    expect(enrollContact).toHaveBeenCalledTimes(1);
+    expect(enrollContact).toHaveBeenCalledWith(expect.objectContaining({
+      contact: expect.objectContaining({ id: 'c1' }),
+      trigger: { type: 'date_relative', dateField: 'custom.birthday', date: '2025-09-22', daysOffset: -7 },
+    }));
+  });
+});
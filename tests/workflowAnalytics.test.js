@@ -0,0 +1,135 @@
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    workflowEnrollment: { groupBy: jest.fn(), count: jest.fn() },
+  },
+}));
+
+const { prisma } = require('../src/services/db');
+const { parseRange, getWorkflowAnalytics, getEnrollmentSummaries } = require('../src/services/workflowAnalyticsService');
+
+describe('Workflow Analytics', () => {
+  const workflow = {
+    id: 'wf-1',
+    definition: {
+      nodes: [
+        { id: 'start', type: 'trigger', data: { label: 'Start' } },
+        { id: 'email', type: 'action', data: { label: 'Send Email' } },
+        { id: 'wait', type: 'wait', data: { label: 'Wait 2 Days' } },
+      ],
+      edges: [
+        { id: 'e1', source: 'start', target: 'email' },
+        { id: 'e2', source: 'email', target: 'wait' },
+      ],
+      settings: { goal: { type: 'tag_added', tagId: 'Customer' } },
+    },
+  };
+  const range = { from: new Date('2025-09-01T00:00:00Z'), to: new Date('2025-09-30T00:00:00Z') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should default to the last 30 days and reject invalid ranges', () => {
+    const now = new Date('2025-09-30T00:00:00Z');
+
+    expect(parseRange({}, now)).toEqual({ from: new Date('2025-08-31T00:00:00Z'), to: now });
+    expect(parseRange({ from: '2025-09-01' }, now).from).toEqual(new Date('2025-09-01T00:00:00Z'));
+    expect(parseRange({ from: 'yesterday' }, now)).toEqual({ error: 'from and to must be valid dates' });
+    expect(parseRange({ from: '2025-10-01', to: '2025-09-01' }, now)).toEqual({ error: 'from must be before to' });
+  });
+
+  it('should report the funnel, drop-off, transition times and goal conversion', async () => {
+    prisma.$queryRaw
+      .mockResolvedValueOnce([
+        { nodeId: 'start', nodeType: 'trigger', label: 'Start', entered: 10, completed: 10, failed: 0 },
+        { nodeId: 'email', nodeType: 'action', label: 'Send Email', entered: 10, completed: 8, failed: 2 },
+        { nodeId: 'old-sms', nodeType: 'action', label: 'Send SMS', entered: 3, completed: 3, failed: 0 },
+      ])
+      .mockResolvedValueOnce([{ source: 'start', target: 'email', samples: 10, medianSeconds: 1.5 }]);
+    prisma.workflowEnrollment.groupBy
+      .mockResolvedValueOnce([{ currentNodeId: 'wait', _count: { _all: 6 } }])
+      .mockResolvedValueOnce([{ currentNodeId: 'email', _count: { _all: 2 } }]);
+    prisma.workflowEnrollment.count.mockResolvedValueOnce(10).mockResolvedValueOnce(4);
+
+    const analytics = await getWorkflowAnalytics(workflow, range);
+
+    expect(analytics.range).toEqual({ from: '2025-09-01T00:00:00.000Z', to: '2025-09-30T00:00:00.000Z' });
+    expect(analytics.nodes).toEqual([
+      { nodeId: 'start', type: 'trigger', label: 'Start', entered: 10, completed: 10, failed: 0, waiting: 0, dropOff: 0 },
+      { nodeId: 'email', type: 'action', label: 'Send Email', entered: 10, completed: 8, failed: 2, waiting: 0, dropOff: 2 },
+      { nodeId: 'wait', type: 'wait', label: 'Wait 2 Days', entered: 0, completed: 0, failed: 0, waiting: 6, dropOff: 0 },
+      { nodeId: 'old-sms', type: 'action', label: 'Send SMS', entered: 3, completed: 3, failed: 0, waiting: 0, dropOff: 0, removed: true },
+    ]);
+    expect(analytics.transitions).toEqual([
+      { edgeId: 'e1', source: 'start', target: 'email', samples: 10, medianSeconds: 1.5 },
+      { edgeId: 'e2', source: 'email', target: 'wait', samples: 0, medianSeconds: null },
+    ]);
+    expect(analytics.goal).toEqual({ defined: true, enrolled: 10, converted: 4, conversionRate: 0.4 });
+
+    // Drop-off only counts enrollments that left in the range; waiting is a snapshot
+    expect(prisma.workflowEnrollment.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      where: { workflowId: 'wf-1', status: { in: ['active', 'paused'] }, currentNodeId: { not: null } },
+    }));
+    expect(prisma.workflowEnrollment.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        workflowId: 'wf-1',
+        status: { in: ['failed', 'unenrolled'] },
+        finishedAt: { gte: range.from, lte: range.to },
+        currentNodeId: { not: null },
+      },
+    }));
+  });
+
+  it('should skip the transition query and report no conversion rate without data', async () => {
+    prisma.$queryRaw.mockResolvedValue([]);
+    prisma.workflowEnrollment.groupBy.mockResolvedValue([]);
+    prisma.workflowEnrollment.count.mockResolvedValue(0);
+
+    const analytics = await getWorkflowAnalytics({ id: 'wf-2', definition: { nodes: [], edges: [] } }, range);
+
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+    expect(analytics).toMatchObject({ nodes: [], transitions: [], goal: { defined: false, enrolled: 0, conversionRate: null } });
+  });
+
+  it('should compare goal conversion across split branches', async () => {
+    const split = {
+      id: 'split',
+      type: 'split',
+      data: { label: 'Subject Test', branches: [{ id: 'a', label: 'Short', weight: 50 }, { id: 'b', label: 'Long', weight: 50 }] },
+    };
+    prisma.$queryRaw
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ nodeId: 'split', branch: 'a', enrolled: 20, converted: 5 }]);
+    prisma.workflowEnrollment.groupBy.mockResolvedValue([]);
+    prisma.workflowEnrollment.count.mockResolvedValue(20);
+
+    const analytics = await getWorkflowAnalytics({ id: 'wf-3', definition: { nodes: [split], edges: [] } }, range);
+
+    expect(analytics.splits).toEqual([{
+      nodeId: 'split',
+      label: 'Subject Test',
+      branches: [
+        { id: 'a', label: 'Short', weight: 50, enrolled: 20, converted: 5, conversionRate: 0.25 },
+        { id: 'b', label: 'Long', weight: 50, enrolled: 0, converted: 0, conversionRate: null },
+      ],
+    }]);
+  });
+
+  it('should summarize enrollments per workflow for the workflow list', async () => {
+    prisma.workflowEnrollment.groupBy.mockResolvedValue([
+      { workflowId: 'wf-1', status: 'active', _count: { _all: 3 } },
+      { workflowId: 'wf-1', status: 'paused', _count: { _all: 1 } },
+      { workflowId: 'wf-1', status: 'completed', _count: { _all: 5 } },
+      { workflowId: 'wf-1', status: 'failed', _count: { _all: 2 } },
+    ]);
+
+    const summaries = await getEnrollmentSummaries('user-1', ['wf-1', 'wf-2']);
+
+    expect(summaries.get('wf-1')).toEqual({ enrolled: 11, active: 4, completed: 5 });
+    expect(summaries.get('wf-2')).toEqual({ enrolled: 0, active: 0, completed: 0 });
+    expect(prisma.workflowEnrollment.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', workflowId: { in: ['wf-1', 'wf-2'] } },
+    }));
+  });
+});
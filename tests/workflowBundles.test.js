@@ -0,0 +1,151 @@
+jest.mock('../src/services/db', () => {
+  const prisma = {
+    emailTemplate: { findMany: jest.fn(), findFirst: jest.fn(), create: jest.fn() },
+    tag: { findMany: jest.fn(), findFirst: jest.fn(), create: jest.fn() },
+    pipelineStage: { findMany: jest.fn() },
+    automationWorkflow: {
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'wf-new', publishedVersionId: null, ...data })),
+      update: jest.fn(),
+    },
+    workflowVersion: {
+      aggregate: jest.fn().mockResolvedValue({ _max: { version: null } }),
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'wf-new-v1', ...data })),
+    },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+
+const { prisma } = require('../src/services/db');
+const { exportWorkflow, getBundleError, importBundle } = require('../src/services/workflowBundleService');
+const { listGalleryTemplates, getGalleryTemplate } = require('../src/utils/workflowGallery');
+const { validateWorkflowDefinition } = require('../src/utils/workflowValidator');
+
+const node = (id, type, data) => ({ id, type, position: { x: 0, y: 0 }, data: { label: id, description: id, ...data } });
+
+describe('Workflow Bundles', () => {
+  const definition = {
+    nodes: [
+      node('start', 'trigger', { triggerType: 'deal_stage_changed', stageId: 'stage-won' }),
+      node('email', 'action', { actionType: 'send_email', emailConfig: { to: '{{contact.email}}', templateId: 'tpl-1' } }),
+      node('tag', 'action', { actionType: 'add_tag', tagConfig: { tagId: 'tag-1' } }),
+      node('check', 'condition', { conditionType: 'if_tag_exists', tagId: 'VIP' }),
+    ],
+    edges: [],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should export the definition with the records it references', async () => {
+    prisma.emailTemplate.findMany.mockResolvedValue([{ id: 'tpl-1', name: 'Onboarding', subject: 'Hi', body: '<p>Hi</p>' }]);
+    prisma.tag.findMany.mockResolvedValue([{ id: 'tag-1', name: 'Customer', color: null }, { id: 'tag-9', name: 'VIP', color: '#f00' }]);
+    prisma.pipelineStage.findMany.mockResolvedValue([{ id: 'stage-won', name: 'Closed Won', pipeline: { name: 'Sales' } }]);
+
+    const bundle = await exportWorkflow({ id: 'wf-1', userId: 'user-1', name: 'Onboarding', definition });
+
+    expect(prisma.emailTemplate.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: { in: ['tpl-1'] }, userId: 'user-1' },
+    }));
+    expect(bundle).toMatchObject({
+      format: 'automation-workflow',
+      version: 1,
+      workflow: { name: 'Onboarding', definition },
+      references: {
+        emailTemplates: [{ id: 'tpl-1', name: 'Onboarding' }],
+        tags: [{ id: 'tag-1', name: 'Customer' }, { id: 'VIP', name: 'VIP', color: '#f00' }],
+        stages: [{ id: 'stage-won', name: 'Closed Won', pipelineName: 'Sales' }],
+      },
+    });
+    expect(getBundleError(bundle)).toBeNull();
+    expect(getBundleError({ format: 'automation-workflow', version: 2 })).toBe('Unsupported workflow bundle version: 2');
+  });
+
+  it('should remap references into the importing account and report unresolved ones', async () => {
+    const bundle = {
+      format: 'automation-workflow',
+      version: 1,
+      workflow: { name: 'Onboarding', definition },
+      references: {
+        emailTemplates: [{ id: 'tpl-1', name: 'Onboarding', subject: 'Hi', body: '<p>Hi</p>' }],
+        tags: [{ id: 'tag-1', name: 'Customer' }],
+        stages: [{ id: 'stage-won', name: 'Closed Won', pipelineName: 'Sales' }],
+      },
+    };
+    prisma.emailTemplate.findFirst.mockResolvedValue(null);
+    prisma.emailTemplate.create.mockResolvedValue({ id: 'tpl-local' });
+    prisma.tag.findFirst.mockResolvedValue({ id: 'tag-local', name: 'Customer' });
+    prisma.pipelineStage.findMany.mockResolvedValue([]);
+
+    const { workflow, references, unresolved } = await importBundle(bundle, 'user-2', { name: 'Client onboarding' });
+
+    expect(prisma.emailTemplate.create).toHaveBeenCalledWith({
+      data: { name: 'Onboarding', subject: 'Hi', body: '<p>Hi</p>', userId: 'user-2' },
+    });
+    expect(references).toEqual([
+      { kind: 'emailTemplates', sourceId: 'tpl-1', name: 'Onboarding', id: 'tpl-local', status: 'created' },
+      { kind: 'tags', sourceId: 'tag-1', name: 'Customer', id: 'tag-local', status: 'matched' },
+      { kind: 'stages', sourceId: 'stage-won', name: 'Closed Won', id: null, status: 'unresolved' },
+    ]);
+    expect(unresolved).toEqual([
+      { kind: 'stages', id: 'stage-won', nodeId: 'start', path: '/nodes/0/data/stageId', name: 'Closed Won', reason: 'no_match' },
+      { kind: 'tags', id: 'VIP', nodeId: 'check', path: '/nodes/3/data/tagId', reason: 'not_in_bundle' },
+    ]);
+
+    const imported = prisma.automationWorkflow.create.mock.calls[0][0].data;
+    expect(imported).toMatchObject({ name: 'Client onboarding', userId: 'user-2' });
+    expect(imported.definition.nodes[1].data.emailConfig.templateId).toBe('tpl-local');
+    expect(imported.definition.nodes[2].data.tagConfig.tagId).toBe('tag-local');
+    expect(imported.definition.nodes[0].data.stageId).toBe('stage-won');
+    expect(definition.nodes[1].data.emailConfig.templateId).toBe('tpl-1');
+
+    // Imports stay unpublished until reviewed
+    expect(prisma.workflowVersion.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ workflowId: 'wf-new', version: 1, note: 'Imported' }),
+    });
+    expect(prisma.automationWorkflow.update).not.toHaveBeenCalled();
+    expect(workflow.publishedVersionId).toBeNull();
+  });
+
+  it('should prefer the stage in the pipeline with the bundled name', async () => {
+    prisma.pipelineStage.findMany.mockResolvedValue([
+      { id: 'stage-a', pipeline: { name: 'Default', isDefault: true } },
+      { id: 'stage-b', pipeline: { name: 'Sales', isDefault: false } },
+    ]);
+    const bundle = {
+      format: 'automation-workflow',
+      version: 1,
+      workflow: { name: 'Won', definition: { nodes: [definition.nodes[0]], edges: [] } },
+      references: { stages: [{ id: 'stage-won', name: 'Closed Won', pipelineName: 'Sales' }] },
+    };
+
+    const { unresolved } = await importBundle(bundle, 'user-2');
+
+    expect(unresolved).toEqual([]);
+    expect(prisma.automationWorkflow.create.mock.calls[0][0].data.definition.nodes[0].data.stageId).toBe('stage-b');
+  });
+
+  it('should ship valid gallery templates that clone through the import', async () => {
+    const templates = listGalleryTemplates();
+
+    expect(templates.map(template => template.id)).toEqual(['welcome-sequence', 'no-show-follow-up', 'deal-won-onboarding']);
+    for (const { id } of templates) {
+      const bundle = getGalleryTemplate(id);
+      expect(getBundleError(bundle)).toBeNull();
+      expect(validateWorkflowDefinition(bundle.workflow.definition)).toEqual({ valid: true, errors: [] });
+    }
+    expect(getGalleryTemplate('missing')).toBeNull();
+
+    prisma.emailTemplate.findFirst.mockResolvedValue(null);
+    prisma.emailTemplate.create.mockResolvedValue({ id: 'tpl-local' });
+    prisma.tag.findFirst.mockResolvedValue(null);
+    prisma.tag.create.mockResolvedValue({ id: 'tag-local' });
+    prisma.pipelineStage.findMany.mockResolvedValue([{ id: 'stage-local', pipeline: { name: 'Sales', isDefault: true } }]);
+
+    const { references, unresolved } = await importBundle(getGalleryTemplate('deal-won-onboarding'), 'user-2');
+
+    expect(references.map(reference => reference.status)).toEqual(['created', 'created', 'matched']);
+    expect(unresolved).toEqual([]);
+  });
+});
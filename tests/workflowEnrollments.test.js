@@ -0,0 +1,342 @@
+jest.mock('../src/services/db', () => {
+  const prisma = {
+    workflowEnrollment: {
+      findFirst: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'enr-1', ...data })),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+      updateMany: jest.fn(),
+    },
+    workflowRun: {
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'run-1', ...data })),
+      findUnique: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([{ id: 'run-1' }]),
+      update: jest.fn(({ data }) => Promise.resolve(data)),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+    },
+    workflowTimer: {
+      createMany: jest.fn(),
+      count: jest.fn().mockResolvedValue(0),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    workflowRunStep: { create: jest.fn(), updateMany: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  prisma.$queryRaw = jest.fn();
+  return { prisma };
+});
+jest.mock('../src/services/workflowContext', () => ({
+  loadContact: jest.fn(),
+  buildContext: jest.fn(({ contact }) => ({ contact, steps: {} })),
+}));
+jest.mock('../src/services/workflowRunner', () => ({
+  runWorkflow: jest.fn(),
+}));
+
+const { prisma } = require('../src/services/db');
+const { loadContact } = require('../src/services/workflowContext');
+const { runWorkflow } = require('../src/services/workflowRunner');
+const { resumeRun } = require('../src/services/workflowRunService');
+const { pollOnce } = require('../src/services/waitScheduler');
+const {
+  getReentryBlock,
+  enrollContact,
+  pauseEnrollment,
+  unenroll,
+  checkGoals,
+} = require('../src/services/enrollmentService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const withPolicy = reentry => ({ nodes: [], edges: [], settings: { reentry } });
+
+describe('Workflow Enrollments', () => {
+  const workflow = { id: 'wf-1', userId: 'user-1' };
+  const version = { id: 'wf-1-v1', definition: withPolicy({ policy: 'allow' }) };
+  const contact = { id: 'contact-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.workflowEnrollment.findFirst.mockResolvedValue(null);
+    prisma.workflowRun.findUnique.mockResolvedValue({ id: 'run-1', status: 'running', enrollment: { status: 'active' } });
+    runWorkflow.mockResolvedValue({
+      status: 'completed',
+      steps: [{ nodeId: 'a', status: 'completed' }],
+      waiting: [],
+      context: { steps: {} },
+    });
+  });
+
+  it('should apply the re-entry policy to a finished enrollment', () => {
+    const now = new Date('2025-09-10T00:00:00Z');
+    const finished = { activeKey: null, enrolledAt: new Date(now - 3 * DAY) };
+
+    expect(getReentryBlock(withPolicy({ policy: 'allow' }), null, now)).toBeNull();
+    expect(getReentryBlock(withPolicy(undefined), finished, now)).toBeNull();
+    expect(getReentryBlock(withPolicy({ policy: 'once' }), finished, now)).toBe('reentry_not_allowed');
+    expect(getReentryBlock(withPolicy({ policy: 'once_per_period', periodDays: 7 }), finished, now)).toBe('reentry_too_soon');
+    expect(getReentryBlock(withPolicy({ policy: 'once_per_period', periodDays: 2 }), finished, now)).toBeNull();
+  });
+
+  it('should never enroll a contact that is still in the workflow', () => {
+    const active = { activeKey: 'wf-1:contact-1', enrolledAt: new Date() };
+
+    expect(getReentryBlock(withPolicy({ policy: 'allow' }), active)).toBe('already_enrolled');
+  });
+
+  it('should create the enrollment, start its run and close it when the run completes', async () => {
+    const { enrollment, run } = await enrollContact({ workflow, version, contact, source: 'manual' });
+
+    expect(enrollment).toEqual(expect.objectContaining({ source: 'manual', activeKey: 'wf-1:contact-1' }));
+    expect(prisma.workflowRun.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ enrollmentId: 'enr-1', versionId: 'wf-1-v1' }),
+    });
+    expect(run.status).toBe('completed');
+    expect(prisma.workflowEnrollment.updateMany).toHaveBeenCalledWith({
+      where: { id: 'enr-1', status: { in: ['active', 'paused'] } },
+      data: expect.objectContaining({ status: 'completed', activeKey: null, currentNodeId: 'a' }),
+    });
+  });
+
+  it('should keep the enrollment active at the wait node while the run waits', async () => {
+    runWorkflow.mockResolvedValue({
+      status: 'completed',
+      steps: [{ nodeId: 'a', status: 'completed' }, { nodeId: 'wait', status: 'waiting' }],
+      waiting: [{ nodeId: 'wait', resumeAt: new Date() }],
+      context: { steps: {} },
+    });
+    prisma.workflowTimer.count.mockResolvedValueOnce(1);
+
+    await enrollContact({ workflow, version, contact });
+
+    expect(prisma.workflowEnrollment.updateMany).toHaveBeenCalledWith({
+      where: { id: 'enr-1', status: { in: ['active', 'paused'] } },
+      data: { currentNodeId: 'wait' },
+    });
+  });
+
+  it('should skip the contact when a concurrent enrollment wins the unique key', async () => {
+    prisma.workflowEnrollment.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+    const result = await enrollContact({ workflow, version, contact });
+
+    expect(result).toEqual({ skipped: true, reason: 'already_enrolled' });
+    expect(prisma.workflowRun.create).not.toHaveBeenCalled();
+  });
+
+  it('should park waiting and executing runs and their timers on pause', async () => {
+    const updated = await pauseEnrollment({ id: 'enr-1', status: 'active' });
+
+    expect(prisma.workflowRun.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { enrollmentId: 'enr-1', status: { in: ['running', 'waiting'] } },
+    }));
+    expect(prisma.workflowRun.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['run-1'] }, status: { in: ['running', 'waiting'] } },
+      data: { status: 'paused' },
+    });
+    expect(prisma.workflowTimer.updateMany).toHaveBeenCalledWith({
+      where: { runId: { in: ['run-1'] }, status: 'pending' },
+      data: { status: 'paused' },
+    });
+    expect(updated.status).toBe('paused');
+  });
+
+  it('should cancel unfinished runs and free the active key on unenroll', async () => {
+    const updated = await unenroll({ id: 'enr-1', status: 'paused' });
+
+    expect(prisma.workflowRun.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['run-1'] } },
+      data: expect.objectContaining({ status: 'cancelled' }),
+    });
+    expect(prisma.workflowTimer.updateMany).toHaveBeenCalledWith({
+      where: { runId: { in: ['run-1'] }, status: { in: ['pending', 'paused'] } },
+      data: { status: 'cancelled' },
+    });
+    expect(updated).toEqual(expect.objectContaining({ status: 'unenrolled', activeKey: null }));
+  });
+
+  it('should leave a run cancelled by unenroll while it executed alone', async () => {
+    runWorkflow.mockResolvedValue({
+      status: 'completed',
+      steps: [{ nodeId: 'a', status: 'completed' }, { nodeId: 'wait', status: 'waiting' }],
+      waiting: [{ nodeId: 'wait', resumeAt: new Date() }],
+      context: { steps: {} },
+    });
+    // unenroll cancelled the run before the pass finished
+    prisma.workflowRun.updateMany.mockResolvedValueOnce({ count: 0 });
+    prisma.workflowRun.findUnique.mockResolvedValue({ id: 'run-1', status: 'cancelled', enrollment: { status: 'unenrolled' } });
+
+    const { run } = await enrollContact({ workflow, version, contact });
+
+    expect(prisma.workflowRun.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'run-1', status: { not: 'cancelled' } },
+    }));
+    expect(run).toEqual({ id: 'run-1', status: 'cancelled' });
+    expect(prisma.workflowTimer.createMany).not.toHaveBeenCalled();
+    expect(prisma.workflowRun.update).not.toHaveBeenCalled();
+    expect(prisma.workflowEnrollment.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should schedule the waits of a run paused while it executed as paused', async () => {
+    runWorkflow.mockResolvedValue({
+      status: 'completed',
+      steps: [{ nodeId: 'a', status: 'completed' }, { nodeId: 'wait', status: 'waiting' }],
+      waiting: [{ nodeId: 'wait', resumeAt: new Date() }],
+      context: { steps: {} },
+    });
+    prisma.workflowRun.findUnique.mockResolvedValue({ id: 'run-1', status: 'paused', enrollment: { status: 'paused' } });
+    prisma.workflowTimer.count.mockResolvedValueOnce(1);
+
+    const { run } = await enrollContact({ workflow, version, contact });
+
+    expect(prisma.workflowTimer.createMany).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ nodeId: 'wait', status: 'paused' })],
+    });
+    expect(prisma.workflowTimer.count).toHaveBeenCalledWith({
+      where: { runId: 'run-1', status: { in: ['pending', 'processing', 'paused'] } },
+    });
+    expect(run).toEqual(expect.objectContaining({ status: 'paused', finishedAt: null }));
+  });
+
+  it('should park a claimed timer again when its run was paused before it resumed', async () => {
+    prisma.$queryRaw.mockResolvedValueOnce([{ id: 'timer-1', runId: 'run-1', nodeId: 'wait', attempts: 1 }]);
+    prisma.workflowRun.updateMany.mockResolvedValueOnce({ count: 0 });
+    prisma.workflowRun.findUnique.mockResolvedValue({ id: 'run-1', status: 'paused' });
+
+    await pollOnce();
+
+    expect(prisma.workflowRun.updateMany).toHaveBeenCalledWith({
+      where: { id: 'run-1', status: { in: ['waiting'] } },
+      data: { status: 'running' },
+    });
+    expect(runWorkflow).not.toHaveBeenCalled();
+    expect(prisma.workflowTimer.updateMany).toHaveBeenCalledWith({
+      where: { id: 'timer-1', status: 'processing' },
+      data: { status: 'paused', lockedAt: null },
+    });
+  });
+
+  it('should hand a claimed timer back when another pass is executing its run', async () => {
+    prisma.$queryRaw.mockResolvedValueOnce([{ id: 'timer-1', runId: 'run-1', nodeId: 'wait', attempts: 1 }]);
+    prisma.workflowRun.updateMany.mockResolvedValueOnce({ count: 0 });
+    prisma.workflowRun.findUnique.mockResolvedValue({ id: 'run-1', status: 'running' });
+
+    await pollOnce();
+
+    expect(runWorkflow).not.toHaveBeenCalled();
+    expect(prisma.workflowTimer.updateMany).toHaveBeenCalledWith({
+      where: { id: 'timer-1', status: 'processing' },
+      data: { status: 'pending', lockedAt: null },
+    });
+  });
+
+  it('should mark a claimed timer done when its run no longer waits', async () => {
+    prisma.$queryRaw.mockResolvedValueOnce([{ id: 'timer-1', runId: 'run-1', nodeId: 'wait', attempts: 1 }]);
+    prisma.workflowRun.updateMany.mockResolvedValueOnce({ count: 0 });
+    prisma.workflowRun.findUnique.mockResolvedValue({ id: 'run-1', status: 'cancelled' });
+
+    await pollOnce();
+
+    expect(prisma.workflowTimer.updateMany).toHaveBeenCalledWith({
+      where: { id: 'timer-1', status: 'processing' },
+      data: { status: 'done', lockedAt: null },
+    });
+  });
+
+  describe('Goals', () => {
+    const customer = { id: 'contact-1', tags: [{ tagId: 'tag-c', tag: { name: 'Customer' } }] };
+    const goalDefinition = {
+      nodes: [
+        { id: 'start', type: 'trigger', data: { triggerType: 'contact_updated' } },
+        { id: 'wait', type: 'wait', data: { waitType: 'delay', delayAmount: 2, delayUnit: 'days' } },
+        { id: 'won', type: 'goal', data: { label: 'Became a customer' } },
+      ],
+      edges: [{ id: 'e1', source: 'start', target: 'wait' }],
+      settings: { goal: { conditions: [{ field: 'contact_tag', operator: 'contains', value: 'Customer' }] } },
+    };
+    const waitingRun = {
+      id: 'run-1',
+      workflowId: 'wf-1',
+      enrollmentId: 'enr-1',
+      contactId: 'contact-1',
+      userId: 'user-1',
+      status: 'waiting',
+      workflow,
+      version: { id: 'wf-1-v1', definition: goalDefinition },
+    };
+
+    beforeEach(() => {
+      loadContact.mockResolvedValue(customer);
+      runWorkflow.mockResolvedValue({
+        status: 'completed',
+        steps: [{ nodeId: 'won', status: 'completed' }],
+        waiting: [],
+        context: { steps: {} },
+      });
+    });
+
+    it('should not enroll a contact that already meets the goal', async () => {
+      const result = await enrollContact({ workflow, version: { id: 'wf-1-v1', definition: goalDefinition }, contact: customer });
+
+      expect(result).toEqual({ skipped: true, reason: 'goal_met' });
+      expect(prisma.workflowEnrollment.create).not.toHaveBeenCalled();
+    });
+
+    it('should jump to the goal node instead of resuming once the goal is met', async () => {
+      prisma.workflowRun.findUnique.mockResolvedValue(waitingRun);
+
+      await resumeRun('run-1', 'wait', { timerId: 'timer-1' });
+
+      expect(runWorkflow).toHaveBeenCalledWith(goalDefinition, expect.anything(), expect.objectContaining({ startNodeIds: ['won'] }));
+      expect(prisma.workflowTimer.updateMany).toHaveBeenCalledWith({
+        where: { runId: 'run-1', status: { in: ['pending', 'paused', 'processing'] }, id: { not: 'timer-1' } },
+        data: { status: 'cancelled' },
+      });
+      expect(prisma.workflowEnrollment.update).toHaveBeenCalledWith({
+        where: { id: 'enr-1' },
+        data: expect.objectContaining({ status: 'active', goalReachedAt: expect.any(Date) }),
+      });
+      expect(prisma.workflowEnrollment.updateMany).toHaveBeenCalledWith({
+        where: { id: 'enr-1', status: { in: ['active', 'paused'] } },
+        data: expect.objectContaining({ status: 'completed', currentNodeId: 'won' }),
+      });
+    });
+
+    it('should end enrollments early when an event makes the goal true', async () => {
+      prisma.workflowRun.findMany.mockResolvedValueOnce([waitingRun]);
+
+      const exited = await checkGoals({ type: 'tag_added', userId: 'user-1', contactId: 'contact-1', data: {} });
+
+      expect(prisma.workflowRun.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ contactId: 'contact-1', status: { in: ['waiting', 'paused'] } }),
+      }));
+      expect(exited).toHaveLength(1);
+      expect(prisma.workflowRun.updateMany).toHaveBeenCalledWith({
+        where: { id: 'run-1', status: { in: ['waiting', 'paused'] } },
+        data: { status: 'running' },
+      });
+      expect(runWorkflow).toHaveBeenCalledWith(goalDefinition, expect.anything(), expect.objectContaining({ startNodeIds: ['won'] }));
+    });
+
+    it('should not exit a run a timer started executing after the goal check read it', async () => {
+      prisma.workflowRun.findMany.mockResolvedValueOnce([waitingRun]);
+      prisma.workflowRun.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      const exited = await checkGoals({ type: 'tag_added', userId: 'user-1', contactId: 'contact-1', data: {} });
+
+      expect(exited).toEqual([]);
+      expect(runWorkflow).not.toHaveBeenCalled();
+      expect(prisma.workflowTimer.updateMany).not.toHaveBeenCalled();
+      expect(prisma.workflowEnrollment.update).not.toHaveBeenCalled();
+    });
+
+    it('should leave enrollments alone while the goal is not met', async () => {
+      loadContact.mockResolvedValue({ id: 'contact-1', tags: [] });
+      prisma.workflowRun.findMany.mockResolvedValueOnce([waitingRun]);
+
+      const exited = await checkGoals({ type: 'contact_updated', userId: 'user-1', contactId: 'contact-1', data: {} });
+
+      expect(exited).toEqual([]);
+      expect(runWorkflow).not.toHaveBeenCalled();
+    });
+  });
+});
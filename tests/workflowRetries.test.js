@@ -0,0 +1,158 @@
+jest.mock('../src/services/db', () => {
+  const prisma = {
+    workflowRun: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+    },
+    workflowRunStep: { create: jest.fn(), updateMany: jest.fn() },
+    workflowTimer: {
+      createMany: jest.fn(),
+      count: jest.fn().mockResolvedValue(0),
+      updateMany: jest.fn(),
+    },
+    workflowDeadLetter: { createMany: jest.fn(), updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+    workflowEnrollment: { update: jest.fn(), updateMany: jest.fn() },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../src/services/workflowContext', () => ({
+  loadContact: jest.fn().mockResolvedValue({ id: 'contact-1' }),
+  buildContext: jest.fn(({ contact }) => ({ contact, steps: {} })),
+}));
+jest.mock('../src/services/workflowRunner', () => ({
+  runWorkflow: jest.fn(),
+}));
+
+const { prisma } = require('../src/services/db');
+const { runWorkflow } = require('../src/services/workflowRunner');
+const { resumeRun, redriveDeadLetter } = require('../src/services/workflowRunService');
+
+describe('Workflow Retries', () => {
+  const definition = { nodes: [], edges: [], settings: { errorHandling: { maxRetries: 2 } } };
+  const run = {
+    id: 'run-1',
+    workflowId: 'wf-1',
+    userId: 'user-1',
+    contactId: 'contact-1',
+    enrollmentId: 'enr-1',
+    status: 'waiting',
+    workflow: { id: 'wf-1', definition },
+    version: { id: 'wf-1-v1', definition },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should store retries as timers that execute the failed node again', async () => {
+    const resumeAt = new Date('2025-09-01T10:01:00.000Z');
+    prisma.workflowRun.findUnique.mockResolvedValue(run);
+    runWorkflow.mockResolvedValue({
+      status: 'waiting',
+      steps: [{ nodeId: 'hook', status: 'retrying' }],
+      waiting: [{ nodeId: 'hook', resumeAt, retryAttempt: 2 }],
+      failures: [],
+      context: { steps: {} },
+    });
+    prisma.workflowTimer.count.mockResolvedValueOnce(1);
+
+    const { run: updated } = await resumeRun('run-1', 'hook', { timerId: 'timer-1', retryAttempt: 1 });
+
+    expect(runWorkflow).toHaveBeenCalledWith(definition, expect.anything(), expect.objectContaining({
+      startNodeIds: ['hook'],
+      retryAttempts: { hook: 1 },
+    }));
+    expect(prisma.workflowRunStep.updateMany).not.toHaveBeenCalled();
+    expect(prisma.workflowTimer.createMany).toHaveBeenCalledWith({
+      data: [{ runId: 'run-1', nodeId: 'hook', resumeAt, retryAttempt: 2 }],
+    });
+    expect(updated.status).toBe('waiting');
+  });
+
+  it('should execute a throttled node in its booked window without marking steps complete', async () => {
+    prisma.workflowRun.findUnique.mockResolvedValue(run);
+    runWorkflow.mockResolvedValue({ status: 'completed', steps: [], waiting: [], failures: [], context: { steps: {} } });
+
+    await resumeRun('run-1', 'sms', { timerId: 'timer-3', retryAttempt: null, throttled: true });
+
+    expect(runWorkflow).toHaveBeenCalledWith(definition, expect.anything(), expect.objectContaining({
+      startNodeIds: ['sms'],
+      retryAttempts: { sms: 0 },
+      reservedNodeIds: ['sms'],
+    }));
+    expect(prisma.workflowRunStep.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should dead-letter nodes whose retries are exhausted', async () => {
+    prisma.workflowRun.findUnique.mockResolvedValue(run);
+    runWorkflow.mockResolvedValue({
+      status: 'failed',
+      steps: [{ nodeId: 'hook', status: 'failed', error: 'Service unavailable' }],
+      waiting: [],
+      failures: [{ nodeId: 'hook', nodeType: 'webhook', error: 'Service unavailable', attempts: 3, continued: false }],
+      context: { steps: {} },
+    });
+
+    const { run: updated } = await resumeRun('run-1', 'hook', { timerId: 'timer-2', retryAttempt: 2 });
+
+    expect(prisma.workflowDeadLetter.createMany).toHaveBeenCalledWith({
+      data: [{
+        runId: 'run-1',
+        workflowId: 'wf-1',
+        nodeId: 'hook',
+        nodeType: 'webhook',
+        error: 'Service unavailable',
+        attempts: 3,
+        continued: false,
+      }],
+    });
+    expect(updated).toMatchObject({ status: 'failed', error: 'Service unavailable' });
+  });
+
+  it('should re-drive a stopped run from the failed node and reopen its enrollment', async () => {
+    prisma.workflowRun.findUnique.mockResolvedValue({ ...run, status: 'failed', enrollment: { id: 'enr-1', status: 'failed' } });
+    runWorkflow.mockResolvedValue({
+      status: 'completed',
+      steps: [{ nodeId: 'hook', status: 'completed' }, { nodeId: 'after', status: 'completed' }],
+      waiting: [],
+      failures: [],
+      context: { steps: {} },
+    });
+
+    const { run: updated } = await redriveDeadLetter({ id: 'dl-1', runId: 'run-1', nodeId: 'hook', continued: false });
+
+    expect(prisma.workflowEnrollment.update).toHaveBeenCalledWith({
+      where: { id: 'enr-1' },
+      data: { status: 'active', activeKey: 'wf-1:contact-1', finishedAt: null },
+    });
+    expect(runWorkflow).toHaveBeenCalledWith(definition, expect.anything(), { startNodeIds: ['hook'], followEdges: true, onStep: expect.any(Function), throttle: expect.any(Function) });
+    expect(prisma.workflowDeadLetter.updateMany).toHaveBeenCalledWith({
+      where: { id: 'dl-1', status: 'open' },
+      data: { status: 'redriven', resolvedAt: expect.any(Date) },
+    });
+    expect(updated.status).toBe('completed');
+  });
+
+  it('should execute only the node when the run went on past it', async () => {
+    prisma.workflowRun.findUnique.mockResolvedValue({ ...run, status: 'completed', enrollment: { id: 'enr-1', status: 'completed' } });
+    runWorkflow.mockResolvedValue({ status: 'completed', steps: [], waiting: [], failures: [], context: { steps: {} } });
+
+    await redriveDeadLetter({ id: 'dl-2', runId: 'run-1', nodeId: 'hook', continued: true });
+
+    expect(prisma.workflowEnrollment.update).not.toHaveBeenCalled();
+    expect(runWorkflow).toHaveBeenCalledWith(definition, expect.anything(), expect.objectContaining({ followEdges: false }));
+  });
+
+  it('should not execute a dead letter another re-drive claimed first', async () => {
+    prisma.workflowRun.findUnique.mockResolvedValue({ ...run, status: 'failed', enrollment: { id: 'enr-1', status: 'failed' } });
+    prisma.workflowDeadLetter.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    const redriven = await redriveDeadLetter({ id: 'dl-1', runId: 'run-1', nodeId: 'hook', continued: false });
+
+    expect(redriven).toBeNull();
+    expect(prisma.workflowEnrollment.update).not.toHaveBeenCalled();
+    expect(runWorkflow).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,590 @@
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    activity: { create: jest.fn().mockResolvedValue({ id: 'activity-1' }) },
+    emailTemplate: { findFirst: jest.fn() },
+    tag: {
+      findUnique: jest.fn(({ where }) => Promise.resolve({ id: where.id, name: where.id })),
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'tag-new', ...data })),
+    },
+    contactTag: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      create: jest.fn().mockResolvedValue({}),
+      deleteMany: jest.fn().mockResolvedValue({ count: 1 }),
+    },
+    contact: { update: jest.fn().mockResolvedValue({}) },
+    pipelineStage: { findFirst: jest.fn() },
+    deal: { update: jest.fn().mockResolvedValue({}) },
+    customField: {
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'field-new', ...data })),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+    },
+    customFieldDefinition: { findMany: jest.fn().mockResolvedValue([]) },
+  },
+}));
+jest.mock('../src/services/eventBus', () => ({
+  EVENTS: { TAG_ADDED: 'tag_added', DEAL_STAGE_CHANGED: 'deal_stage_changed' },
+  publish: jest.fn(),
+}));
+jest.mock('../src/integrations/kixieService', () => ({
+  sendSMS: jest.fn().mockResolvedValue({ ok: true }),
+}));
+jest.mock('../src/utils/httpClient', () => {
+  const client = { request: jest.fn().mockResolvedValue({ status: 200, data: { received: true } }) };
+  return { createHttpClient: jest.fn(() => client), request: client.request };
+});
+
+const { prisma } = require('../src/services/db');
+const { publish } = require('../src/services/eventBus');
+const { sendSMS } = require('../src/integrations/kixieService');
+const httpClient = require('../src/utils/httpClient');
+const { runWorkflow, getResumeAt } = require('../src/services/workflowRunner');
+const { buildSampleContact } = require('../src/services/workflowContext');
+const { mockWorkflow } = require('../src/utils/workflowSchema');
+
+const node = (id, type, data = {}) => ({
+  id,
+  type,
+  position: { x: 0, y: 0 },
+  data: { label: id, description: id, ...data },
+});
+
+const edge = (source, target, extra = {}) => ({ id: `${source}-${target}`, source, target, ...extra });
+
+describe('Workflow Runner', () => {
+  const contact = {
+    id: 'contact-1',
+    firstName: 'Jane',
+    email: 'jane@example.com',
+    tags: [{ tagId: 'tag-vip', tag: { id: 'tag-vip', name: 'VIP' } }],
+  };
+  const context = { userId: 'user-1', workflowId: 'wf-1', contact, steps: {} };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should run the mock welcome sequence up to its wait node', async () => {
+    const result = await runWorkflow(mockWorkflow, context);
+
+    expect(result.status).toBe('waiting');
+    expect(result.steps.map(step => [step.nodeId, step.status])).toEqual([
+      ['node-001', 'completed'],
+      ['node-002', 'completed'],
+      ['node-003', 'waiting'],
+    ]);
+    expect(result.waiting[0].nodeId).toBe('node-003');
+
+    // Placeholders are resolved against the contact
+    expect(result.steps[1].output.to).toBe('jane@example.com');
+    expect(result.steps[1].output.body).toContain('Hi Jane');
+    expect(prisma.activity.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('should render a saved email template when the node references one', async () => {
+    prisma.emailTemplate.findFirst.mockResolvedValue({
+      id: 'template-1',
+      subject: 'Welcome {{ contact.firstName | upper }}',
+      body: '<p>Hi {{contact.firstName}}{{#if custom.plan}}, on {{custom.plan}}{{/if}}</p>',
+    });
+    const definition = {
+      nodes: [
+        node('start', 'trigger', { triggerType: 'contact_created' }),
+        node('email', 'action', { actionType: 'send_email', emailConfig: { to: '{{contact.email}}', templateId: 'template-1' } }),
+      ],
+      edges: [edge('start', 'email')],
+    };
+
+    const result = await runWorkflow(definition, context);
+
+    expect(prisma.emailTemplate.findFirst).toHaveBeenCalledWith({ where: { id: 'template-1', userId: 'user-1' } });
+    expect(result.steps[1].output).toMatchObject({
+      to: 'jane@example.com',
+      subject: 'Welcome JANE',
+      body: '<p>Hi Jane</p>',
+    });
+  });
+
+  it('should continue after a wait node when resuming', async () => {
+    const result = await runWorkflow(mockWorkflow, context, { resumeFrom: 'node-003' });
+
+    expect(result.status).toBe('completed');
+    expect(result.steps.map(step => step.nodeId)).toEqual(['node-004']);
+  });
+
+  it('should follow only the branch matching a condition result', async () => {
+    const definition = {
+      nodes: [
+        node('start', 'trigger', { triggerType: 'contact_created' }),
+        node('check', 'condition', { conditionType: 'if_tag_exists', tagId: 'tag-vip' }),
+        node('vip', 'action', { actionType: 'add_tag', tagConfig: { tagId: 'tag-gold' } }),
+        node('regular', 'action', { actionType: 'remove_tag', tagConfig: { tagId: 'tag-gold' } }),
+      ],
+      edges: [
+        edge('start', 'check'),
+        edge('check', 'vip', { sourceHandle: 'true' }),
+        edge('check', 'regular', { sourceHandle: 'false' }),
+      ],
+    };
+
+    const result = await runWorkflow(definition, context);
+
+    expect(result.status).toBe('completed');
+    expect(result.steps.map(step => step.nodeId)).toEqual(['start', 'check', 'vip']);
+    expect(result.steps[1].output).toEqual({ result: true });
+    expect(prisma.contactTag.create).toHaveBeenCalledTimes(1);
+    expect(prisma.contactTag.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should send each contact down the same weighted split branch every time', async () => {
+    const definition = {
+      nodes: [
+        node('start', 'trigger', { triggerType: 'contact_created' }),
+        node('split', 'split', { branches: [{ id: 'a', label: 'Variant A', weight: 50 }, { id: 'b', label: 'Variant B', weight: 50 }] }),
+        node('variant-a', 'action', { actionType: 'add_tag', tagConfig: { tagId: 'tag-a' } }),
+        node('variant-b', 'action', { actionType: 'add_tag', tagConfig: { tagId: 'tag-b' } }),
+      ],
+      edges: [
+        edge('start', 'split'),
+        edge('split', 'variant-a', { sourceHandle: 'a' }),
+        edge('split', 'variant-b', { sourceHandle: 'b' }),
+      ],
+    };
+
+    const branches = { a: 0, b: 0 };
+    for (let i = 0; i < 200; i++) {
+      const runContext = { ...context, contact: { id: `contact-${i}`, tags: [] } };
+      const first = await runWorkflow(definition, runContext, { dryRun: true });
+      const again = await runWorkflow(definition, runContext, { dryRun: true });
+
+      expect(again.steps[1].output).toEqual(first.steps[1].output);
+      expect(first.steps.map(step => step.nodeId)).toEqual(['start', 'split', `variant-${first.steps[1].output.branch}`]);
+      branches[first.steps[1].output.branch] += 1;
+    }
+
+    // A sha256 split of 200 contacts lands near 50/50
+    expect(branches.a).toBeGreaterThan(70);
+    expect(branches.b).toBeGreaterThan(70);
+
+    // Only branches with a weight are ever chosen
+    definition.nodes[1].data.branches[1].weight = 0.000001;
+    const skewed = await runWorkflow(definition, context, { dryRun: true });
+    expect(skewed.steps[1].output).toEqual({ branch: 'a', label: 'Variant A' });
+  });
+
+  it('should stop the run and report the failing node', async () => {
+    const definition = {
+      nodes: [
+        node('start', 'trigger', { triggerType: 'contact_created' }),
+        node('broken', 'action', { actionType: 'teleport' }),
+        node('after', 'action', { actionType: 'create_task', taskConfig: { title: 'Never' } }),
+      ],
+      edges: [edge('start', 'broken'), edge('broken', 'after')],
+    };
+
+    const result = await runWorkflow(definition, context);
+
+    expect(result.status).toBe('failed');
+    expect(result.steps).toHaveLength(2);
+    expect(result.steps[1]).toMatchObject({
+      nodeId: 'broken',
+      status: 'failed',
+      error: 'Unsupported action type: teleport',
+    });
+  });
+
+  it('should reject definitions without a trigger node', async () => {
+    await expect(runWorkflow({ nodes: [], edges: [] }, context)).rejects.toThrow(
+      'Workflow has no trigger node to start from'
+    );
+  });
+
+  describe('automation conditions and actions', () => {
+    const dealContext = () => ({
+      userId: 'user-1',
+      workflowId: 'wf-1',
+      contact: {
+        id: 'contact-2',
+        tags: [{ tagId: 'tag-hot', tag: { id: 'tag-hot', name: 'Hot Lead' } }],
+      },
+      deal: { id: 'deal-1', value: 12000, pipelineId: 'pipe-1', stageId: 'stage-1', stage: { id: 'stage-1', name: 'Lead' } },
+      steps: {},
+    });
+
+    it('should resolve deal_value, deal_stage and contact_tag condition fields', async () => {
+      const definition = {
+        nodes: [
+          node('start', 'trigger', { triggerType: 'webhook' }),
+          node('big', 'condition', { conditionType: 'if_field_equals', field: 'deal_value', operator: 'greater_than', value: 10000 }),
+          node('stage', 'condition', { conditionType: 'if_field_equals', field: 'deal_stage', operator: 'equals', value: 'Lead' }),
+          node('tagged', 'condition', { conditionType: 'if_field_equals', field: 'contact_tag', operator: 'contains', value: 'Hot Lead' }),
+        ],
+        edges: [
+          edge('start', 'big'),
+          edge('big', 'stage', { sourceHandle: 'true' }),
+          edge('stage', 'tagged', { sourceHandle: 'true' }),
+        ],
+      };
+
+      const result = await runWorkflow(definition, dealContext());
+
+      expect(result.steps.map(step => [step.nodeId, step.output])).toEqual([
+        ['start', { triggerType: 'webhook' }],
+        ['big', { result: true }],
+        ['stage', { result: true }],
+        ['tagged', { result: true }],
+      ]);
+    });
+
+    it('should move the deal to a named stage of its pipeline', async () => {
+      prisma.pipelineStage.findFirst.mockResolvedValue({ id: 'stage-2', name: 'Qualified', pipelineId: 'pipe-1' });
+      const runContext = dealContext();
+      const definition = {
+        nodes: [
+          node('start', 'trigger', { triggerType: 'webhook' }),
+          node('move', 'action', { actionType: 'move_deal_stage', dealStageConfig: { stageName: 'Qualified' } }),
+        ],
+        edges: [edge('start', 'move')],
+      };
+
+      const result = await runWorkflow(definition, runContext);
+
+      expect(result.status).toBe('completed');
+      expect(prisma.pipelineStage.findFirst).toHaveBeenCalledWith({
+        where: { pipelineId: 'pipe-1', name: 'Qualified' },
+      });
+      expect(prisma.deal.update).toHaveBeenCalledWith({ where: { id: 'deal-1' }, data: { stageId: 'stage-2' } });
+      expect(result.steps[1].output).toEqual({
+        actionType: 'move_deal_stage',
+        dealId: 'deal-1',
+        fromStage: 'Lead',
+        toStage: 'Qualified',
+      });
+      expect(result.context.deal.stage.name).toBe('Qualified');
+      expect(publish).toHaveBeenCalledWith('deal_stage_changed', expect.objectContaining({
+        data: expect.objectContaining({ dealId: 'deal-1', stageId: 'stage-2', stageName: 'Qualified' }),
+      }));
+    });
+
+    it('should create a tag by name and publish tag_added only when newly applied', async () => {
+      const runContext = dealContext();
+      const definition = {
+        nodes: [
+          node('start', 'trigger', { triggerType: 'webhook' }),
+          node('tag', 'action', { actionType: 'add_tag', tagConfig: { tagName: 'Booked' } }),
+        ],
+        edges: [edge('start', 'tag')],
+      };
+
+      const first = await runWorkflow(definition, runContext);
+
+      expect(prisma.tag.create).toHaveBeenCalledWith({ data: { name: 'Booked' } });
+      expect(prisma.contactTag.create).toHaveBeenCalledWith({ data: { contactId: 'contact-2', tagId: 'tag-new' } });
+      expect(first.steps[1].output).toMatchObject({ tagId: 'tag-new', tagName: 'Booked', added: true });
+      expect(publish).toHaveBeenCalledWith('tag_added', {
+        userId: 'user-1',
+        contactId: 'contact-2',
+        data: { tagId: 'tag-new', tagName: 'Booked', workflowId: 'wf-1' },
+      });
+
+      publish.mockClear();
+      prisma.contactTag.findUnique.mockResolvedValueOnce({ contactId: 'contact-2', tagId: 'tag-new' });
+      const second = await runWorkflow(definition, runContext);
+
+      expect(second.steps[1].output).toMatchObject({ added: false });
+      expect(publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dry runs', () => {
+    const sampleContext = () => ({
+      userId: 'user-1',
+      workflowId: 'wf-1',
+      contact: buildSampleContact({ firstName: 'Sam', phone: '+15550001111', tags: ['Lead'] }),
+      deal: null,
+      steps: {},
+    });
+
+    it('should walk past waits without sending, requesting or writing anything', async () => {
+      const definition = {
+        nodes: [
+          node('start', 'trigger', { triggerType: 'contact_created' }),
+          node('sms', 'action', { actionType: 'send_sms', smsConfig: { message: 'Hi {{contact.firstName}}' } }),
+          node('tag', 'action', { actionType: 'add_tag', tagConfig: { tagName: 'Texted' } }),
+          node('pause', 'wait', { waitType: 'delay', delayAmount: 3, delayUnit: 'days' }),
+          node('check', 'condition', { conditionType: 'if_field_equals', field: 'contact_tag', operator: 'contains', value: 'Texted' }),
+          node('hook', 'webhook', { endpoint: 'https://example.com/hook', payload: { ok: true } }),
+          node('task', 'action', { actionType: 'create_task', taskConfig: { title: 'Call {{contact.firstName}}' } }),
+        ],
+        edges: [
+          edge('start', 'sms'),
+          edge('sms', 'tag'),
+          edge('tag', 'pause'),
+          edge('pause', 'check'),
+          edge('check', 'hook', { sourceHandle: 'true' }),
+          edge('check', 'task', { sourceHandle: 'false' }),
+        ],
+      };
+      const now = new Date('2025-09-01T10:00:00.000Z');
+
+      const result = await runWorkflow(definition, sampleContext(), { dryRun: true, now });
+
+      expect(result.status).toBe('completed');
+      expect(result.steps.map(step => step.nodeId)).toEqual(['start', 'sms', 'tag', 'pause', 'check', 'hook']);
+      expect(result.steps[1].output).toEqual({ actionType: 'send_sms', to: '+15550001111', message: 'Hi Sam', response: null });
+      expect(result.steps[2].output).toEqual({ actionType: 'add_tag', tagId: null, tagName: 'Texted', added: true });
+      expect(result.steps[3].output).toEqual({ resumeAt: new Date('2025-09-04T10:00:00.000Z'), collapsed: true });
+      expect(result.steps[5].output.request).toMatchObject({ url: 'https://example.com/hook', method: 'POST' });
+
+      expect(sendSMS).not.toHaveBeenCalled();
+      expect(httpClient.request).not.toHaveBeenCalled();
+      expect(prisma.tag.create).not.toHaveBeenCalled();
+      expect(prisma.contactTag.create).not.toHaveBeenCalled();
+      expect(prisma.activity.create).not.toHaveBeenCalled();
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    it('should evaluate date conditions on the simulated clock after a wait', async () => {
+      const runContext = sampleContext();
+      runContext.contact.data = { renewalDate: '2025-09-05T00:00:00.000Z' };
+      const definition = {
+        nodes: [
+          node('start', 'trigger', { triggerType: 'contact_created' }),
+          node('pause', 'wait', { waitType: 'until', waitUntil: '2025-09-10T00:00:00.000Z' }),
+          node('due', 'condition', { conditionType: 'if_date_passed', dateField: 'renewalDate' }),
+        ],
+        edges: [edge('start', 'pause'), edge('pause', 'due')],
+      };
+
+      const result = await runWorkflow(definition, runContext, { dryRun: true, now: new Date('2025-09-01T00:00:00.000Z') });
+
+      expect(result.steps[2].output).toEqual({ result: true });
+    });
+  });
+
+  describe('webhook nodes', () => {
+    const webhookContext = () => ({
+      ...context,
+      contact: {
+        ...contact,
+        data: {},
+        customFields: [{ id: 'field-1', name: 'score', type: 'number', data: { value: 10 } }],
+      },
+    });
+    const webhook = (data) => ({
+      nodes: [
+        node('start', 'trigger', { triggerType: 'contact_created' }),
+        node('hook', 'webhook', { endpoint: 'https://api.example.com/leads/{{contact.id}}', ...data }),
+      ],
+      edges: [edge('start', 'hook')],
+    });
+
+    beforeEach(() => {
+      httpClient.request.mockResolvedValue({
+        status: 200,
+        data: { lead: { score: 87, company: 'Acme', tier: 'gold' } },
+      });
+    });
+
+    it('should render the request and add authentication headers', async () => {
+      const result = await runWorkflow(webhook({
+        method: 'POST',
+        headers: { 'X-Contact': '{{contact.email}}' },
+        payload: { name: '{{contact.firstName}}', emails: ['{{contact.email}}'], vip: true },
+        authentication: { type: 'basic', username: 'crm', password: 's3cret' },
+      }), webhookContext());
+
+      expect(result.status).toBe('completed');
+      expect(httpClient.request).toHaveBeenCalledWith({
+        url: 'https://api.example.com/leads/contact-1',
+        method: 'POST',
+        headers: {
+          'X-Contact': 'jane@example.com',
+          Authorization: `Basic ${Buffer.from('crm:s3cret').toString('base64')}`,
+        },
+        data: { name: 'Jane', emails: ['jane@example.com'], vip: true },
+      });
+    });
+
+    it('should send GET payloads as query parameters and hide credentials in dry runs', async () => {
+      const definition = webhook({
+        method: 'GET',
+        payload: { email: '{{contact.email}}' },
+        authentication: { type: 'api_key', apiKey: 'key-123', apiKeyHeader: 'X-Token' },
+      });
+
+      const result = await runWorkflow(definition, webhookContext(), { dryRun: true });
+
+      expect(httpClient.request).not.toHaveBeenCalled();
+      expect(result.steps[1].output.request).toEqual({
+        url: 'https://api.example.com/leads/contact-1',
+        method: 'GET',
+        headers: { 'X-Token': '[redacted]' },
+        params: { email: 'jane@example.com' },
+      });
+    });
+
+    it('should write mapped response fields to contact columns, custom fields and data', async () => {
+      const runContext = webhookContext();
+      prisma.customFieldDefinition.findMany.mockResolvedValueOnce([
+        { id: 'def-score', name: 'score', type: 'number', required: false, options: [] },
+      ]);
+
+      const result = await runWorkflow(webhook({
+        authentication: { type: 'bearer', token: 'abc' },
+        responseMapping: {
+          'lead.company': 'company',
+          'lead.score': 'custom.score',
+          'lead.tier': 'custom.tier',
+          'lead.region': 'region',
+          'lead.segment': 'segment',
+        },
+      }), runContext);
+
+      expect(result.steps[1].output).toMatchObject({
+        status: 200,
+        mapped: { company: 'Acme', 'custom.score': 87, 'custom.tier': 'gold' },
+      });
+      expect(httpClient.request.mock.calls[0][0].headers).toEqual({ Authorization: 'Bearer abc' });
+      expect(prisma.customField.update).toHaveBeenCalledWith({
+        where: { id: 'field-1' },
+        data: { data: { value: 87 }, type: 'number', definitionId: 'def-score' },
+      });
+      expect(prisma.customField.create).toHaveBeenCalledWith({
+        data: { contactId: 'contact-1', name: 'tier', type: 'string', data: { value: 'gold' } },
+      });
+      expect(prisma.contact.update).toHaveBeenCalledWith({ where: { id: 'contact-1' }, data: { company: 'Acme' } });
+      expect(runContext.contact.company).toBe('Acme');
+    });
+
+    it('should fail the step when a mapped value does not fit its custom field definition', async () => {
+      prisma.customFieldDefinition.findMany.mockResolvedValueOnce([
+        { id: 'def-tier', name: 'tier', label: 'Tier', type: 'dropdown', required: false, options: ['silver', 'bronze'] },
+      ]);
+
+      const result = await runWorkflow(webhook({ responseMapping: { 'lead.tier': 'custom.tier' } }), webhookContext());
+
+      expect(result.status).toBe('failed');
+      expect(result.steps[1]).toMatchObject({ status: 'failed', error: 'Tier must be one of: silver, bronze' });
+      expect(prisma.customField.create).not.toHaveBeenCalled();
+      expect(prisma.customField.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('error handling', () => {
+    const now = new Date('2025-09-01T10:00:00.000Z');
+    const failing = (settings) => ({
+      nodes: [
+        node('start', 'trigger', { triggerType: 'webhook' }),
+        node('hook', 'webhook', { endpoint: 'https://example.com/hook' }),
+        node('after', 'action', { actionType: 'create_task', taskConfig: { title: 'Follow up' } }),
+      ],
+      edges: [edge('start', 'hook'), edge('hook', 'after')],
+      settings,
+    });
+
+    beforeEach(() => {
+      httpClient.request.mockRejectedValue(new Error('Service unavailable'));
+    });
+
+    it('should schedule a retry with exponential backoff instead of failing', async () => {
+      const definition = failing({ errorHandling: { maxRetries: 3, retryDelay: 60 } });
+
+      const first = await runWorkflow(definition, context, { now });
+      expect(first.status).toBe('waiting');
+      expect(first.steps[1]).toMatchObject({ nodeId: 'hook', status: 'retrying', error: 'Service unavailable' });
+      expect(first.waiting).toEqual([{ nodeId: 'hook', resumeAt: new Date('2025-09-01T10:01:00.000Z'), retryAttempt: 1 }]);
+
+      const third = await runWorkflow(definition, context, { now, startNodeIds: ['hook'], retryAttempts: { hook: 2 } });
+      expect(third.waiting[0]).toEqual({ nodeId: 'hook', resumeAt: new Date('2025-09-01T10:04:00.000Z'), retryAttempt: 3 });
+    });
+
+    it('should stop the run once retries are exhausted and report the failure', async () => {
+      const definition = failing({ errorHandling: { maxRetries: 3, retryDelay: 60 } });
+
+      const result = await runWorkflow(definition, context, { now, startNodeIds: ['hook'], retryAttempts: { hook: 3 } });
+
+      expect(result.status).toBe('failed');
+      expect(result.failures).toEqual([
+        { nodeId: 'hook', nodeType: 'webhook', error: 'Service unavailable', attempts: 4, continued: false },
+      ]);
+      expect(result.steps.map(step => step.nodeId)).toEqual(['hook']);
+    });
+
+    it('should go on past a failed node with continueOnError', async () => {
+      const result = await runWorkflow(failing({ errorHandling: { continueOnError: true, maxRetries: 0 } }), context);
+
+      expect(result.status).toBe('completed');
+      expect(result.steps.map(step => [step.nodeId, step.status])).toEqual([
+        ['start', 'completed'],
+        ['hook', 'failed'],
+        ['after', 'completed'],
+      ]);
+      expect(result.failures[0]).toMatchObject({ nodeId: 'hook', attempts: 1, continued: true });
+    });
+
+    it('should neither retry nor continue without errorHandling settings', async () => {
+      const result = await runWorkflow(failing(undefined), context);
+
+      expect(result.status).toBe('failed');
+      expect(result.waiting).toEqual([]);
+      expect(result.failures).toHaveLength(1);
+    });
+  });
+
+  describe('throttling', () => {
+    const now = new Date('2025-09-01T10:00:00.000Z');
+    const definition = {
+      nodes: [
+        node('start', 'trigger', { triggerType: 'webhook' }),
+        node('sms', 'action', { actionType: 'send_sms', smsConfig: { to: '+15550100', message: 'Hi' } }),
+        node('after', 'action', { actionType: 'create_task', taskConfig: { title: 'Follow up' } }),
+      ],
+      edges: [edge('start', 'sms'), edge('sms', 'after')],
+    };
+
+    it('should defer a rate-limited node to the window it was booked into', async () => {
+      const deferredUntil = new Date('2025-09-01T10:03:00.000Z');
+      const throttle = jest.fn(n => Promise.resolve(n.id === 'sms' ? deferredUntil : null));
+
+      const result = await runWorkflow(definition, context, { now, throttle });
+
+      expect(result.status).toBe('waiting');
+      expect(result.steps.map(step => [step.nodeId, step.status])).toEqual([['start', 'completed'], ['sms', 'throttled']]);
+      expect(result.steps[1].output).toEqual({ deferredUntil });
+      expect(result.waiting).toEqual([{ nodeId: 'sms', resumeAt: deferredUntil, throttled: true }]);
+      expect(sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should execute a reserved node without booking it again, and never throttle dry runs', async () => {
+      const throttle = jest.fn().mockResolvedValue(null);
+
+      const resumed = await runWorkflow(definition, context, { now, throttle, startNodeIds: ['sms'], reservedNodeIds: ['sms'] });
+      expect(resumed.status).toBe('completed');
+      expect(throttle.mock.calls.map(([n]) => n.id)).toEqual(['after']);
+      expect(sendSMS).toHaveBeenCalledTimes(1);
+
+      throttle.mockClear();
+      await runWorkflow(definition, context, { now, throttle, dryRun: true });
+      expect(throttle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getResumeAt', () => {
+    const now = new Date('2025-09-01T10:00:00.000Z');
+
+    it('should add delays in the configured unit', () => {
+      expect(getResumeAt({ waitType: 'delay', delayAmount: 24, delayUnit: 'hours' }, now).toISOString())
+        .toBe('2025-09-02T10:00:00.000Z');
+      expect(getResumeAt({ waitType: 'delay', delayAmount: 2, delayUnit: 'weeks' }, now).toISOString())
+        .toBe('2025-09-15T10:00:00.000Z');
+    });
+
+    it('should resolve until and date waits to absolute times', () => {
+      expect(getResumeAt({ waitType: 'until', waitUntil: '2025-09-03T08:30:00.000Z' }, now).toISOString())
+        .toBe('2025-09-03T08:30:00.000Z');
+      expect(getResumeAt({ waitType: 'date', specificDate: '2025-12-24' }, now).toISOString())
+        .toBe('2025-12-24T00:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../src/services/db', () => {
+  const prisma = {
+    automationWorkflow: { findFirst: jest.fn() },
+    workflowRun: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+    },
+    workflowDeadLetter: {
+      findFirst: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  };
+  prisma.$transaction = jest.fn(fn => fn(prisma));
+  return { prisma };
+});
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user-1' };
+  next();
+});
+jest.mock('../src/integrations/kixieService', () => ({
+  sendSMS: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { prisma } = require('../src/services/db');
+const workflowRoutes = require('../src/routes/workflowRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/workflows', workflowRoutes);
+
+describe('Workflow Run History', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should page the runs of a workflow, newest first', async () => {
+    prisma.automationWorkflow.findFirst.mockResolvedValue({ id: 'wf-1', userId: 'user-1' });
+    prisma.workflowRun.findMany.mockResolvedValue([{ id: 'run-3' }, { id: 'run-2' }]);
+    prisma.workflowRun.count.mockResolvedValue(5);
+
+    const res = await request(app).get('/api/v1/workflows/wf-1/runs?status=completed&page=2&limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(run => run.id)).toEqual(['run-3', 'run-2']);
+    expect(res.body.pagination).toEqual({ page: 2, limit: 2, total: 5, pages: 3 });
+    expect(prisma.automationWorkflow.findFirst).toHaveBeenCalledWith({ where: { id: 'wf-1', userId: 'user-1' } });
+    expect(prisma.workflowRun.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { workflowId: 'wf-1', userId: 'user-1', status: 'completed' },
+      skip: 2,
+      take: 2,
+      orderBy: { startedAt: 'desc' },
+    }));
+    expect(prisma.workflowRun.count).toHaveBeenCalledWith({
+      where: { workflowId: 'wf-1', userId: 'user-1', status: 'completed' },
+    });
+  });
+
+  it('should not list the runs of another user\'s workflow', async () => {
+    prisma.automationWorkflow.findFirst.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/v1/workflows/wf-other/runs');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Workflow not found' });
+    expect(prisma.workflowRun.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should return a run with its steps in execution order', async () => {
+    prisma.workflowRun.findFirst.mockResolvedValue({ id: 'run-1', steps: [{ nodeId: 'a' }, { nodeId: 'b' }] });
+
+    const res = await request(app).get('/api/v1/workflows/runs/run-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.steps.map(step => step.nodeId)).toEqual(['a', 'b']);
+    expect(prisma.workflowRun.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'run-1', userId: 'user-1' },
+      include: expect.objectContaining({
+        steps: { orderBy: [{ startedAt: 'asc' }, { id: 'asc' }] },
+      }),
+    }));
+  });
+
+  it('should 404 on a run of another user', async () => {
+    prisma.workflowRun.findFirst.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/v1/workflows/runs/run-other');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Workflow run not found' });
+    expect(prisma.workflowRun.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'run-other', userId: 'user-1' },
+    }));
+  });
+
+  it('should refuse a re-drive that lost the race for the dead letter', async () => {
+    prisma.workflowDeadLetter.findFirst.mockResolvedValue({ id: 'dl-1', runId: 'run-1', nodeId: 'hook', status: 'open', continued: true });
+    prisma.workflowRun.findUnique.mockResolvedValue({ id: 'run-1', workflow: {}, enrollment: null });
+    prisma.workflowDeadLetter.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await request(app).post('/api/v1/workflows/dead-letters/dl-1/redrive');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Dead letter is no longer open' });
+    expect(prisma.workflowDeadLetter.updateMany).toHaveBeenCalledWith({
+      where: { id: 'dl-1', status: 'open' },
+      data: { status: 'redriven', resolvedAt: expect.any(Date) },
+    });
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../src/services/db', () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    workflowRateSlot: { findMany: jest.fn(), update: jest.fn(), deleteMany: jest.fn() },
+  },
+}));
+
+const { prisma } = require('../src/services/db');
+const { getThrottleChannel, bookExecution, pruneRateSlots } = require('../src/services/workflowThrottle');
+
+describe('Workflow Throttle', () => {
+  const now = new Date('2025-09-16T10:00:30.000Z');
+  const sms = { id: 'sms', type: 'action', data: { actionType: 'send_sms' } };
+  const definition = { nodes: [sms], edges: [], settings: { throttle: { send_sms: 10 } } };
+  const booking = { workflowId: 'wf-1', userId: 'user-1', definition, node: sms, now };
+
+  // Scope and window of each booking attempt made through $queryRaw
+  const bookedSlots = () => prisma.$queryRaw.mock.calls.map(([, scope, window]) => [scope, window.toISOString()]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.workflowRateSlot.findMany.mockResolvedValue([]);
+    prisma.$queryRaw.mockResolvedValue([{ count: 1 }]);
+  });
+
+  it('should only limit emails, SMS and webhooks', () => {
+    expect(getThrottleChannel(sms)).toBe('send_sms');
+    expect(getThrottleChannel({ type: 'action', data: { actionType: 'send_email' } })).toBe('send_email');
+    expect(getThrottleChannel({ type: 'webhook', data: {} })).toBe('webhook');
+    expect(getThrottleChannel({ type: 'action', data: { actionType: 'add_tag' } })).toBeNull();
+    expect(getThrottleChannel({ type: 'wait', data: {} })).toBeNull();
+  });
+
+  it('should book the current minute against the workflow and user limits', async () => {
+    expect(await bookExecution(booking)).toBeNull();
+
+    expect(bookedSlots()).toEqual([
+      ['workflow:wf-1:send_sms', '2025-09-16T10:00:00.000Z'],
+      ['user:user-1:send_sms', '2025-09-16T10:00:00.000Z'],
+    ]);
+    expect(prisma.$queryRaw.mock.calls[0]).toContain(10);
+    expect(prisma.$queryRaw.mock.calls[1]).toContain(30);
+  });
+
+  it('should queue into the first minute with room under every limit', async () => {
+    prisma.workflowRateSlot.findMany
+      .mockResolvedValueOnce([{ window: new Date('2025-09-16T10:00:00.000Z') }])
+      .mockResolvedValueOnce([{ window: new Date('2025-09-16T10:01:00.000Z') }]);
+
+    expect(await bookExecution(booking)).toEqual(new Date('2025-09-16T10:02:00.000Z'));
+    expect(prisma.workflowRateSlot.findMany).toHaveBeenCalledWith({
+      where: { scope: 'workflow:wf-1:send_sms', window: { gte: new Date('2025-09-16T10:00:00.000Z') }, count: { gte: 10 } },
+      select: { window: true },
+    });
+  });
+
+  it('should release a partial booking when another instance fills the window first', async () => {
+    prisma.$queryRaw
+      .mockResolvedValueOnce([{ count: 10 }])
+      .mockResolvedValueOnce([])
+      .mockResolvedValue([{ count: 1 }]);
+
+    expect(await bookExecution(booking)).toEqual(new Date('2025-09-16T10:01:00.000Z'));
+    expect(prisma.workflowRateSlot.update).toHaveBeenCalledWith({
+      where: { scope_window: { scope: 'workflow:wf-1:send_sms', window: new Date('2025-09-16T10:00:00.000Z') } },
+      data: { count: { decrement: 1 } },
+    });
+  });
+
+  it('should read user limits from the environment and skip nodes without a channel', async () => {
+    process.env.WORKFLOW_USER_WEBHOOKS_PER_MINUTE = '5';
+    try {
+      await bookExecution({ ...booking, definition: { nodes: [], edges: [] }, node: { id: 'hook', type: 'webhook', data: {} } });
+    } finally {
+      delete process.env.WORKFLOW_USER_WEBHOOKS_PER_MINUTE;
+    }
+
+    expect(bookedSlots()).toEqual([['user:user-1:webhook', '2025-09-16T10:00:00.000Z']]);
+    expect(prisma.$queryRaw.mock.calls[0]).toContain(5);
+
+    prisma.$queryRaw.mockClear();
+    expect(await bookExecution({ ...booking, node: { id: 'tag', type: 'action', data: { actionType: 'add_tag' } } })).toBeNull();
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  it('should prune windows older than an hour', async () => {
+    prisma.workflowRateSlot.deleteMany.mockResolvedValue({ count: 4 });
+
+    expect(await pruneRateSlots(now)).toBe(4);
+    expect(prisma.workflowRateSlot.deleteMany).toHaveBeenCalledWith({
+      where: { window: { lt: new Date('2025-09-16T09:00:30.000Z') } },
+    });
+  });
+});
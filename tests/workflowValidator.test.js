@@ -0,0 +1,221 @@
+const { validateWorkflowDefinition } = require('../src/utils/workflowValidator');
+const { mockWorkflow } = require('../src/utils/workflowSchema');
+
+const node = (id, type, data = {}) => ({
+  id,
+  type,
+  position: { x: 0, y: 0 },
+  data: { label: id, description: id, ...data },
+});
+
+const edge = (source, target, extra = {}) => ({ id: `${source}-${target}`, source, target, ...extra });
+
+const trigger = node('start', 'trigger', { triggerType: 'contact_created' });
+const task = (id) => node(id, 'action', { actionType: 'create_task', taskConfig: { title: id } });
+
+describe('Workflow Validator', () => {
+  it('should accept the mock workflow', () => {
+    expect(validateWorkflowDefinition(mockWorkflow)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should report schema errors against the node they belong to', () => {
+    const definition = {
+      nodes: [
+        trigger,
+        node('email', 'action', { actionType: 'send_email', emailConfig: { to: 'not-an-email', subject: 'Hi' } }),
+        node('tag', 'action', { actionType: 'add_tag', tagConfig: {} }),
+      ],
+      edges: [edge('start', 'email'), edge('email', 'tag')],
+    };
+
+    const { valid, errors } = validateWorkflowDefinition(definition);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ nodeId: 'email', code: 'schema', path: '/nodes/1/data/emailConfig' }),
+      expect.objectContaining({ nodeId: 'email', code: 'schema', path: '/nodes/1/data/emailConfig/to' }),
+      expect.objectContaining({
+        nodeId: 'tag',
+        path: '/nodes/2/data/tagConfig',
+        message: '/nodes/2/data/tagConfig must have one of the properties: tagId, tagName',
+      }),
+    ]));
+  });
+
+  it('should reject unknown node types before checking the graph', () => {
+    const { errors } = validateWorkflowDefinition({
+      nodes: [trigger, { id: 'odd', type: 'teleport', position: { x: 0, y: 0 }, data: {} }],
+      edges: [],
+    });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ nodeId: 'odd', path: '/nodes/1/type', code: 'schema' });
+  });
+
+  it('should report edges to unknown nodes and unreachable nodes', () => {
+    const { errors } = validateWorkflowDefinition({
+      nodes: [trigger, task('orphan')],
+      edges: [edge('start', 'ghost')],
+    });
+
+    expect(errors).toEqual([
+      expect.objectContaining({ edgeId: 'start-ghost', code: 'unknown_target', path: '/edges/0/target' }),
+      expect.objectContaining({ nodeId: 'orphan', code: 'unreachable_node' }),
+    ]);
+  });
+
+  it('should require a trigger node', () => {
+    const { errors } = validateWorkflowDefinition({ nodes: [task('alone')], edges: [] });
+
+    expect(errors.map(error => error.code)).toEqual(['no_trigger']);
+  });
+
+  it('should reject loops unless they pass through a wait node', () => {
+    const wait = node('pause', 'wait', { waitType: 'delay', delayAmount: 1, delayUnit: 'days' });
+    const looping = {
+      nodes: [trigger, task('a'), task('b')],
+      edges: [edge('start', 'a'), edge('a', 'b'), edge('b', 'a')],
+    };
+
+    const { errors } = validateWorkflowDefinition(looping);
+
+    expect(errors.map(error => [error.code, error.nodeId])).toEqual([
+      ['cycle_without_wait', 'a'],
+      ['cycle_without_wait', 'b'],
+    ]);
+
+    const paused = {
+      nodes: [...looping.nodes, wait],
+      edges: [edge('start', 'a'), edge('a', 'b'), edge('b', 'pause'), edge('pause', 'a')],
+    };
+    expect(validateWorkflowDefinition(paused).valid).toBe(true);
+  });
+
+  it('should require both branches on condition nodes', () => {
+    const { errors } = validateWorkflowDefinition({
+      nodes: [trigger, node('check', 'condition', { conditionType: 'if_tag_exists', tagId: 'vip' }), task('yes')],
+      edges: [edge('start', 'check'), edge('check', 'yes', { sourceHandle: 'yes' })],
+    });
+
+    expect(errors).toEqual([
+      expect.objectContaining({ nodeId: 'check', code: 'missing_branch', message: "Condition node 'check' has no 'false' branch" }),
+    ]);
+  });
+
+  it('should require an edge for every split branch and no edges to unknown branches', () => {
+    const split = node('split', 'split', {
+      branches: [{ id: 'a', weight: 50 }, { id: 'b', weight: 50 }, { id: 'a', weight: 10 }],
+    });
+    const { errors } = validateWorkflowDefinition({
+      nodes: [trigger, split, task('variant-a'), task('variant-c')],
+      edges: [
+        edge('start', 'split'),
+        edge('split', 'variant-a', { sourceHandle: 'a' }),
+        edge('split', 'variant-c', { sourceHandle: 'c' }),
+      ],
+    });
+
+    expect(errors).toEqual([
+      expect.objectContaining({ nodeId: 'split', code: 'missing_branch', path: '/nodes/1/data/branches/1' }),
+      expect.objectContaining({ nodeId: 'split', code: 'duplicate_branch', path: '/nodes/1/data/branches/2/id' }),
+      expect.objectContaining({ edgeId: 'split-variant-c', code: 'unknown_branch', path: '/edges/2/sourceHandle' }),
+    ]);
+  });
+
+  it('should require at least two split branches with positive weights', () => {
+    const { errors } = validateWorkflowDefinition({
+      nodes: [trigger, node('split', 'split', { branches: [{ id: 'a', weight: 0 }] })],
+      edges: [edge('start', 'split')],
+    });
+
+    expect(errors.map(error => error.path)).toEqual(expect.arrayContaining([
+      '/nodes/1/data/branches',
+      '/nodes/1/data/branches/0/weight',
+    ]));
+  });
+
+  it('should report merge-tag syntax errors in node configs', () => {
+    const { errors } = validateWorkflowDefinition({
+      nodes: [
+        trigger,
+        node('sms', 'action', { actionType: 'send_sms', smsConfig: { to: '+15550001111', message: '{{#if contact.company}}Hi' } }),
+      ],
+      edges: [edge('start', 'sms')],
+    });
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        nodeId: 'sms',
+        code: 'invalid_template',
+        path: '/nodes/1/data/smsConfig/message',
+        message: 'Unclosed {{#if}} in template',
+      }),
+    ]);
+  });
+
+  it('should report invalid custom logic expressions', () => {
+    const custom = (id, customLogic) => node(id, 'condition', { conditionType: 'if_custom', customLogic });
+    const { errors } = validateWorkflowDefinition({
+      nodes: [trigger, custom('valid', 'deal.value > 1000 and "VIP" in tags'), custom('typo', 'contact.email == '), task('yes'), task('no')],
+      edges: [
+        edge('start', 'valid'),
+        edge('valid', 'typo', { sourceHandle: 'true' }),
+        edge('valid', 'no', { sourceHandle: 'false' }),
+        edge('typo', 'yes', { sourceHandle: 'true' }),
+        edge('typo', 'no', { sourceHandle: 'false' }),
+      ],
+    });
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        nodeId: 'typo',
+        code: 'invalid_expression',
+        path: '/nodes/2/data/customLogic',
+        message: 'Unexpected end of expression at position 17',
+      }),
+    ]);
+  });
+
+  it('should report invalid cron expressions and time zones on scheduled triggers', () => {
+    const { errors } = validateWorkflowDefinition({
+      nodes: [
+        node('cron', 'trigger', { triggerType: 'schedule', cron: '0 25 * * *' }),
+        node('dates', 'trigger', { triggerType: 'date_relative', dateField: 'renewalDate', timezone: 'Nowhere/City' }),
+      ],
+      edges: [],
+    });
+
+    expect(errors).toEqual([
+      expect.objectContaining({ nodeId: 'cron', code: 'invalid_schedule', path: '/nodes/0/data' }),
+      expect.objectContaining({ nodeId: 'dates', code: 'invalid_schedule', message: "Unknown time zone 'Nowhere/City'" }),
+    ]);
+  });
+
+  it('should accept merge tags in formatted fields', () => {
+    const { valid } = validateWorkflowDefinition({
+      nodes: [
+        trigger,
+        node('sms', 'action', { actionType: 'send_sms', smsConfig: { to: '{{contact.phone}}', message: 'Hi' } }),
+      ],
+      edges: [edge('start', 'sms')],
+    });
+
+    expect(valid).toBe(true);
+  });
+
+  it('should accept a goal path that no edge reaches, but only one goal node', () => {
+    const goal = {
+      nodes: [trigger, task('nurture'), node('won', 'goal', { label: 'Customer' }), task('handoff')],
+      edges: [edge('start', 'nurture'), edge('won', 'handoff')],
+      settings: { goal: { conditions: [{ field: 'contact_tag', operator: 'contains', value: 'Customer' }] } },
+    };
+
+    expect(validateWorkflowDefinition(goal)).toEqual({ valid: true, errors: [] });
+
+    const { errors } = validateWorkflowDefinition({
+      ...goal,
+      nodes: [...goal.nodes, node('lost', 'goal', { label: 'Lost' })],
+    });
+    expect(errors).toEqual([expect.objectContaining({ nodeId: 'lost', code: 'multiple_goal_nodes' })]);
+  });
+});
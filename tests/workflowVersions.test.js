@@ -0,0 +1,108 @@
+jest.mock('../src/services/db', () => {
+  const prisma = {
+    automationWorkflow: {
+      create: jest.fn(),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+    },
+    workflowVersion: {
+      aggregate: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: `version-${data.version}`, ...data })),
+    },
+    workflowRun: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      update: jest.fn(({ data }) => Promise.resolve(data)),
+    },
+    workflowRunStep: { updateMany: jest.fn() },
+    workflowTimer: { count: jest.fn().mockResolvedValue(0) },
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return { prisma };
+});
+jest.mock('../src/services/workflowContext', () => ({
+  loadContact: jest.fn().mockResolvedValue(null),
+  buildContext: jest.fn(() => ({ steps: {} })),
+}));
+jest.mock('../src/services/workflowRunner', () => ({
+  runWorkflow: jest.fn().mockResolvedValue({ status: 'completed', steps: [], waiting: [], context: { steps: {} } }),
+}));
+
+const { prisma } = require('../src/services/db');
+const { runWorkflow } = require('../src/services/workflowRunner');
+const { saveDraft, rollbackToVersion } = require('../src/services/workflowVersionService');
+const { resumeRun } = require('../src/services/workflowRunService');
+const { diffDefinitions } = require('../src/utils/workflowDiff');
+
+const node = (id, data = {}) => ({ id, type: 'action', position: { x: 0, y: 0 }, data: { label: id, ...data } });
+
+describe('Workflow Versions', () => {
+  const v1 = {
+    nodes: [node('a'), node('b', { actionType: 'send_sms' })],
+    edges: [{ id: 'a-b', source: 'a', target: 'b' }],
+  };
+  const v2 = {
+    nodes: [node('a'), node('b', { actionType: 'send_email' }), node('c')],
+    edges: [{ id: 'a-b', source: 'a', target: 'b' }],
+    settings: { isActive: false },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should diff nodes and edges by ID', () => {
+    const diff = diffDefinitions(v1, v2);
+
+    expect(diff.nodes.added.map(item => item.id)).toEqual(['c']);
+    expect(diff.nodes.removed).toEqual([]);
+    expect(diff.nodes.changed).toEqual([
+      { id: 'b', changes: [{ path: 'data.actionType', from: 'send_sms', to: 'send_email' }] },
+    ]);
+    expect(diff.edges).toEqual({ added: [], removed: [], changed: [] });
+    expect(diff.other).toEqual([{ path: 'settings', from: null, to: { isActive: false } }]);
+  });
+
+  it('should snapshot a changed definition as the next version without publishing it', async () => {
+    prisma.workflowVersion.findFirst.mockResolvedValue({ id: 'version-1', version: 1, definition: v1 });
+    prisma.workflowVersion.aggregate.mockResolvedValue({ _max: { version: 1 } });
+
+    const { workflow, version } = await saveDraft({ id: 'wf-1' }, { name: 'Welcome', definition: v2 });
+
+    expect(version).toMatchObject({ version: 2, workflowId: 'wf-1', definition: v2 });
+    expect(workflow).toEqual({ id: 'wf-1', name: 'Welcome', definition: v2 });
+    expect(workflow.publishedVersionId).toBeUndefined();
+  });
+
+  it('should not create a version when the definition is unchanged', async () => {
+    prisma.workflowVersion.findFirst.mockResolvedValue({ id: 'version-1', version: 1, definition: v1 });
+
+    const { version } = await saveDraft({ id: 'wf-1' }, { name: 'Renamed', definition: JSON.parse(JSON.stringify(v1)) });
+
+    expect(version).toBeNull();
+    expect(prisma.workflowVersion.create).not.toHaveBeenCalled();
+  });
+
+  it('should roll back by publishing a copy of the earlier version', async () => {
+    prisma.workflowVersion.aggregate.mockResolvedValue({ _max: { version: 4 } });
+
+    const { workflow, version } = await rollbackToVersion({ id: 'wf-1' }, { id: 'version-1', version: 1, definition: v1 });
+
+    expect(version).toMatchObject({ version: 5, definition: v1, note: 'Rollback to version 1' });
+    expect(workflow).toMatchObject({ definition: v1, publishedVersionId: 'version-5' });
+  });
+
+  it('should resume a waiting run on the version it started with', async () => {
+    prisma.workflowRun.findUnique.mockResolvedValue({
+      id: 'run-1',
+      status: 'waiting',
+      userId: 'user-1',
+      workflow: { id: 'wf-1', definition: v2 },
+      version: { id: 'version-1', version: 1, definition: v1 },
+    });
+
+    await resumeRun('run-1', 'a');
+
+    expect(runWorkflow).toHaveBeenCalledWith(v1, expect.any(Object), expect.objectContaining({ resumeFrom: 'a' }));
+  });
+});